@@ -0,0 +1,336 @@
+const { normalizeQueryResult } = require('./queryResults');
+const { profileQueryData } = require('./dataProfile');
+
+// Deterministic findings about a tile's full result, computed before summarization and given to the
+// prompt as facts: outliers (robust z-scores), level shifts (change points), trends (least squares
+// slope), seasonality hints (autocorrelation at the calendar's natural lag) and the dimension values
+// that moved most between the last two periods. Series are the measures summed per date value.
+
+const MAX_FINDINGS = 10;
+const MAX_MEASURES = 8;
+const MAX_OUTLIERS_PER_MEASURE = 2;
+const MIN_OUTLIER_POINTS = 5;
+const MIN_TREND_POINTS = 4;
+const MIN_CHANGE_POINT_SEGMENT = 3;
+// Robust z-score (median and MAD) beyond which a value is an outlier
+const OUTLIER_Z = 3.5;
+// ...and be at least this share of the typical value away, so near-constant series don't flag noise
+const MIN_OUTLIER_DEVIATION = 0.05;
+// A level shift must separate the segment means by this many standard errors...
+const CHANGE_POINT_T = 4;
+// ...and fit the series this much better than a straight line (share of the line's squared error)
+const CHANGE_POINT_FIT = 0.5;
+const TREND_R2 = 0.5;
+const TREND_MIN_CHANGE_PCT = 5;
+const SEASONALITY_ACF = 0.4;
+const TOP_MOVERS = 3;
+const MIN_MOVER_SHARE = 0.25;
+
+// Natural seasonal lag of each date granularity
+const SEASONAL_LAGS = { hour: 24, day: 7, week: 52, month: 12, quarter: 4 };
+const SEASON_NAMES = { hour: 'day', day: 'week', week: 'year', month: 'year', quarter: 'year' };
+const WEEKDAYS = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+// Ordered by how much a summary should mention them
+const KIND_PRIORITY = { outlier: 0, changePoint: 1, topMover: 2, trend: 3, seasonality: 4 };
+
+const isNumeric = (value) => typeof value === 'number' && Number.isFinite(value);
+const sum = (values) => values.reduce((total, value) => total + value, 0);
+const mean = (values) => sum(values) / values.length;
+
+function median(values) {
+    const sorted = [...values].sort((a, b) => a - b);
+    const middle = Math.floor(sorted.length / 2);
+    return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+}
+
+// Readable and still matched by the summary verification: 45210 -> '45,210', 0.1234 -> '0.12'
+function formatNumber(value) {
+    const digits = Math.abs(value) >= 100 ? 0 : 2;
+    return value.toLocaleString('en-US', { maximumFractionDigits: digits, minimumFractionDigits: 0 });
+}
+
+const formatPercent = (value) => `${value >= 0 ? '+' : ''}${formatNumber(value)}%`;
+
+function granularity(periods) {
+    const sample = periods[0];
+    if (/^\d{4}$/.test(sample)) return 'year';
+    if (/^\d{4}-Q[1-4]$/.test(sample)) return 'quarter';
+    if (/^\d{4}-W\d{2}$/.test(sample)) return 'week';
+    if (/^\d{4}-\d{2}$/.test(sample)) return 'month';
+    if (/^\d{4}-\d{2}-\d{2}$/.test(sample)) {
+        // Weekly data is often keyed by the first day of each week
+        const days = periods.slice(0, 10).map((period) => Date.parse(`${period}T00:00:00Z`) / 86400000);
+        const steps = days.slice(1).map((day, index) => day - days[index]);
+        return steps.length > 0 && steps.every((step) => step === 7) ? 'week' : 'day';
+    }
+    if (/[ T]\d{2}:\d{2}/.test(sample)) return 'hour';
+    return 'period';
+}
+
+// Least squares line through the values at x = 0, 1, 2, ...
+function linearFit(values) {
+    const n = values.length;
+    const xMean = (n - 1) / 2;
+    const yMean = mean(values);
+    let sxy = 0;
+    let sxx = 0;
+    values.forEach((value, x) => {
+        sxy += (x - xMean) * (value - yMean);
+        sxx += (x - xMean) * (x - xMean);
+    });
+    const slope = sxx === 0 ? 0 : sxy / sxx;
+    const intercept = yMean - slope * xMean;
+    const residuals = values.map((value, x) => value - (intercept + slope * x));
+    const sse = sum(residuals.map((residual) => residual * residual));
+    const sst = sum(values.map((value) => (value - yMean) * (value - yMean)));
+    return { slope, intercept, residuals, sse, r2: sst === 0 ? 0 : 1 - sse / sst };
+}
+
+// Indexes of values far from the rest: robust z-scores, or plain z-scores when most values are equal.
+// `typical` is the size of the series' values, which deviations must be a share of.
+function outlierIndexes(values, typical) {
+    const center = median(values);
+    const mad = median(values.map((value) => Math.abs(value - center)));
+    let scores;
+    if (mad > 0) {
+        scores = values.map((value) => 0.6745 * (value - center) / mad);
+    } else {
+        const average = mean(values);
+        const stdDev = Math.sqrt(mean(values.map((value) => (value - average) * (value - average))));
+        if (stdDev === 0) return [];
+        scores = values.map((value) => (value - average) / stdDev);
+    }
+    return scores
+        .map((score, index) => ({ index, score }))
+        .filter(({ index, score }) => Math.abs(score) >= OUTLIER_Z && Math.abs(values[index] - center) >= typical * MIN_OUTLIER_DEVIATION)
+        .sort((a, b) => Math.abs(b.score) - Math.abs(a.score))
+        .slice(0, MAX_OUTLIERS_PER_MEASURE);
+}
+
+// The split into two segments with the most different means, if it explains the series better than a line
+function changePoint(values, lineSse) {
+    const n = values.length;
+    if (n < MIN_CHANGE_POINT_SEGMENT * 2 + 2) return null;
+    const prefix = [0];
+    const prefixSquares = [0];
+    values.forEach((value, index) => {
+        prefix.push(prefix[index] + value);
+        prefixSquares.push(prefixSquares[index] + value * value);
+    });
+    let best = null;
+    for (let split = MIN_CHANGE_POINT_SEGMENT; split <= n - MIN_CHANGE_POINT_SEGMENT; split++) {
+        const before = prefix[split] / split;
+        const after = (prefix[n] - prefix[split]) / (n - split);
+        const sse = (prefixSquares[split] - split * before * before)
+            + (prefixSquares[n] - prefixSquares[split] - (n - split) * after * after);
+        const variance = sse / (n - 2);
+        const t = variance > 0 ? Math.abs(after - before) / Math.sqrt(variance * (1 / split + 1 / (n - split))) : Infinity;
+        if (!best || sse < best.sse) {
+            best = { split, before, after, sse, t };
+        }
+    }
+    if (!best || best.t < CHANGE_POINT_T || best.sse > lineSse * CHANGE_POINT_FIT || best.before === best.after) return null;
+    return best;
+}
+
+function autocorrelation(values, lag) {
+    const average = mean(values);
+    const variance = sum(values.map((value) => (value - average) * (value - average)));
+    if (variance === 0) return 0;
+    let covariance = 0;
+    for (let index = lag; index < values.length; index++) {
+        covariance += (values[index] - average) * (values[index - lag] - average);
+    }
+    return covariance / variance;
+}
+
+// Highest and lowest weekday of daily data, by median
+function weekdayPattern(periods, values) {
+    const byWeekday = new Map();
+    periods.forEach((period, index) => {
+        const weekday = new Date(`${period}T00:00:00Z`).getUTCDay();
+        byWeekday.set(weekday, [...(byWeekday.get(weekday) || []), values[index]]);
+    });
+    if (byWeekday.size < 7) return '';
+    const medians = [...byWeekday.entries()].map(([weekday, weekdayValues]) => ({ weekday, median: median(weekdayValues) }))
+        .sort((a, b) => b.median - a.median);
+    return `; highest on ${WEEKDAYS[medians[0].weekday]}s, lowest on ${WEEKDAYS[medians[medians.length - 1].weekday]}s`;
+}
+
+function seriesFindings(field, periods, values) {
+    const findings = [];
+    const unit = granularity(periods);
+    const line = values.length >= MIN_TREND_POINTS ? linearFit(values) : null;
+    const trending = line && line.r2 >= TREND_R2;
+    const shift = line ? changePoint(values, line.sse) : null;
+
+    // A level shift explains the series better than the line, so it isn't also reported as a trend
+    if (line && !shift) {
+        const average = mean(values);
+        const changePct = average !== 0 ? line.slope * (values.length - 1) / Math.abs(average) * 100 : 0;
+        if (trending && Math.abs(changePct) >= TREND_MIN_CHANGE_PCT) {
+            const direction = line.slope > 0 ? 'up' : 'down';
+            findings.push({
+                kind: 'trend',
+                field,
+                direction,
+                score: line.r2,
+                label: `${field} trending ${direction}`,
+                text: `${field} trends ${direction} by about ${formatNumber(Math.abs(line.slope))} per ${unit} from ${periods[0]} to ${periods[periods.length - 1]} (${formatPercent(changePct)} of its average over ${values.length} ${unit}s, R² ${formatNumber(line.r2)})`,
+            });
+        }
+    }
+
+    if (shift) {
+        const direction = shift.after > shift.before ? 'up' : 'down';
+        const changePct = shift.before !== 0 ? (shift.after - shift.before) / Math.abs(shift.before) * 100 : null;
+        findings.push({
+            kind: 'changePoint',
+            field,
+            direction,
+            score: shift.t / CHANGE_POINT_T,
+            label: `${field} shifted ${direction} from ${periods[shift.split]}`,
+            text: `${field} shifted ${direction} from ${periods[shift.split]}: it averaged ${formatNumber(shift.before)} per ${unit} before and ${formatNumber(shift.after)} from then on${changePct === null ? '' : ` (${formatPercent(changePct)})`}`,
+        });
+    }
+
+    // Trend and seasonality are taken out before looking for outliers, so steady growth and regular
+    // peaks (e.g. weekends) aren't flagged
+    let base = trending ? line.residuals : values;
+    const removed = trending ? ['trend'] : [];
+    const lag = SEASONAL_LAGS[unit];
+    if (lag && values.length >= lag * 2) {
+        const acf = autocorrelation(base, lag);
+        if (acf >= SEASONALITY_ACF) {
+            findings.push({
+                kind: 'seasonality',
+                field,
+                direction: null,
+                score: acf,
+                label: `${field} repeats every ${SEASON_NAMES[unit]}`,
+                text: `${field} follows a repeating pattern every ${lag} ${unit}s (autocorrelation ${formatNumber(acf)})${unit === 'day' ? weekdayPattern(periods, values) : ''}; treat it as seasonality when judging changes`,
+            });
+            // Medians, so an outlier doesn't shift the other values of its phase
+            const phaseMedians = Array.from({ length: lag }, (_, phase) => median(base.filter((value, index) => index % lag === phase)));
+            base = base.map((value, index) => value - phaseMedians[index % lag]);
+            removed.push('seasonality');
+        }
+    }
+
+    if (values.length >= MIN_OUTLIER_POINTS) {
+        outlierIndexes(base, median(values.map(Math.abs))).forEach(({ index, score }) => {
+            const direction = score > 0 ? 'up' : 'down';
+            findings.push({
+                kind: 'outlier',
+                field,
+                direction,
+                score: Math.abs(score),
+                label: `${field} ${direction === 'up' ? 'spike' : 'dip'} in ${periods[index]}`,
+                text: `${field} was unusually ${direction === 'up' ? 'high' : 'low'} in ${periods[index]} at ${formatNumber(values[index])} (robust z-score ${formatNumber(score)}${removed.length > 0 ? ` after removing ${removed.join(' and ')}` : ''}; median ${formatNumber(median(values))})`,
+            });
+        });
+    }
+    return findings;
+}
+
+// The dimension values whose measure changed most between the last two periods
+function topMovers(rows, dateColumn, dimension, measure) {
+    const periods = [...new Set(rows.map((row) => row[dateColumn]).filter((period) => typeof period === 'string'))].sort();
+    if (periods.length < 2) return [];
+    const [previous, latest] = periods.slice(-2);
+    const totals = new Map();
+    rows.forEach((row) => {
+        if (!isNumeric(row[measure]) || (row[dateColumn] !== latest && row[dateColumn] !== previous)) return;
+        const key = row[dimension] === null || row[dimension] === undefined ? '(null)' : String(row[dimension]);
+        const entry = totals.get(key) || { latest: 0, previous: 0 };
+        entry[row[dateColumn] === latest ? 'latest' : 'previous'] += row[measure];
+        totals.set(key, entry);
+    });
+    if (totals.size < 2) return [];
+    return [...totals.entries()]
+        .map(([value, entry]) => ({ value, ...entry, change: entry.latest - entry.previous }))
+        .filter((mover) => mover.change !== 0)
+        .sort((a, b) => Math.abs(b.change) - Math.abs(a.change))
+        // Values that barely moved next to the biggest mover aren't worth a mention
+        .filter((mover, rank, movers) => Math.abs(mover.change) >= Math.abs(movers[0].change) * MIN_MOVER_SHARE)
+        .slice(0, TOP_MOVERS)
+        .map((mover, rank) => {
+            const changePct = mover.previous !== 0 ? mover.change / Math.abs(mover.previous) * 100 : null;
+            const direction = mover.change > 0 ? 'up' : 'down';
+            return {
+                kind: 'topMover',
+                field: measure,
+                direction,
+                score: TOP_MOVERS - rank,
+                label: `${mover.value} ${changePct === null ? `${mover.change > 0 ? '+' : '-'}${formatNumber(Math.abs(mover.change))}` : formatPercent(changePct)}`,
+                text: `${dimension} "${mover.value}" ${rank === 0 ? 'moved most' : 'was among the top movers'} in ${measure} from ${previous} to ${latest}: ${formatNumber(mover.previous)} to ${formatNumber(mover.latest)} (${mover.change > 0 ? '+' : '-'}${formatNumber(Math.abs(mover.change))}${changePct === null ? '' : `, ${formatPercent(changePct)}`})`,
+            };
+        });
+}
+
+/**
+ * Findings for a tile's query result (json_detail or plain rows), most important first:
+ * [{ kind: 'outlier' | 'changePoint' | 'trend' | 'seasonality' | 'topMover', field, direction
+ * ('up' | 'down' | null), label (short, for chips), text (a sentence for the prompt) }].
+ * Without a date column only outliers across rows are looked for.
+ */
+function detectAnomalies(queryData) {
+    const { rows } = normalizeQueryResult(queryData);
+    if (rows.length < MIN_TREND_POINTS) return [];
+    const { columns } = profileQueryData(rows);
+    const names = Object.keys(columns);
+    const measures = names.filter((name) => columns[name].type === 'number').slice(0, MAX_MEASURES);
+    const dateColumn = names.find((name) => columns[name].type === 'date');
+    const dimensions = names.filter((name) => columns[name].type === 'category');
+    let findings = [];
+
+    if (dateColumn) {
+        const periods = [...new Set(rows.map((row) => row[dateColumn]).filter((period) => typeof period === 'string'))].sort();
+        measures.forEach((measure) => {
+            const totals = new Map(periods.map((period) => [period, null]));
+            rows.forEach((row) => {
+                if (isNumeric(row[measure]) && totals.has(row[dateColumn])) {
+                    totals.set(row[dateColumn], (totals.get(row[dateColumn]) || 0) + row[measure]);
+                }
+            });
+            // Periods without a value are left out rather than counted as zero
+            const present = periods.filter((period) => totals.get(period) !== null);
+            if (present.length < MIN_TREND_POINTS) return;
+            findings.push(...seriesFindings(measure, present, present.map((period) => totals.get(period))));
+        });
+        dimensions.slice(0, 2).forEach((dimension) => {
+            measures.slice(0, 2).forEach((measure) => findings.push(...topMovers(rows, dateColumn, dimension, measure)));
+        });
+    } else {
+        // Rows are labeled by their dimension values
+        const rowLabel = (row) => dimensions.map((dimension) => row[dimension]).filter((value) => value !== null && value !== undefined).join(' / ') || 'one row';
+        measures.forEach((measure) => {
+            const indexed = rows.map((row, index) => ({ index, value: row[measure] })).filter(({ value }) => isNumeric(value));
+            if (indexed.length < MIN_OUTLIER_POINTS) return;
+            const values = indexed.map(({ value }) => value);
+            outlierIndexes(values, median(values.map(Math.abs))).forEach(({ index, score }) => {
+                const direction = score > 0 ? 'up' : 'down';
+                const label = rowLabel(rows[indexed[index].index]);
+                findings.push({
+                    kind: 'outlier',
+                    field: measure,
+                    direction,
+                    score: Math.abs(score),
+                    label: `${measure} ${direction === 'up' ? 'high' : 'low'}: ${label}`,
+                    text: `${measure} is unusually ${direction === 'up' ? 'high' : 'low'} for ${label} at ${formatNumber(values[index])} (robust z-score ${formatNumber(score)}; median ${formatNumber(median(values))})`,
+                });
+            });
+        });
+    }
+
+    findings = findings.sort((a, b) => KIND_PRIORITY[a.kind] - KIND_PRIORITY[b.kind] || b.score - a.score).slice(0, MAX_FINDINGS);
+    return findings.map(({ score, ...finding }) => finding);
+}
+
+// Findings as prompt lines
+function describeAnomalies(findings) {
+    if (findings.length === 0) return 'Detected Patterns: none found';
+    return `Detected Patterns (computed from all rows; facts, not suggestions):\n    ${findings.map((finding) => `* ${finding.text}`).join('\n    ')}`;
+}
+
+module.exports = { detectAnomalies, describeAnomalies };
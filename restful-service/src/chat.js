@@ -0,0 +1,66 @@
+const crypto = require('crypto');
+
+// Conversations for /chat. Each keeps its grounding context (the dashboard's tiles, described once
+// when the conversation starts) and its turns. They live in memory: when the service restarts or a
+// conversation expires, the extension starts a new one with the tiles and the turns it has shown.
+
+// Tiles are cited by these ids in answers, e.g. [T1]
+const tileId = (index) => `T${index + 1}`;
+const TILE_ID_PATTERN = /\[(T\d+)\]/g;
+
+function createConversationStore({ ttlSeconds = 3600, maxConversations = 500 } = {}) {
+    // Insertion order is last-use order, so the first entry is the one to evict
+    const conversations = new Map();
+
+    function get(id) {
+        const conversation = conversations.get(id);
+        if (!conversation) return null;
+        if (conversation.updatedAt + ttlSeconds * 1000 < Date.now()) {
+            conversations.delete(id);
+            return null;
+        }
+        return conversation;
+    }
+
+    return {
+        get,
+        // tiles: [{ id, title }], grounding: the tile context for prompts, turns: earlier turns to restore
+        create({ tiles, grounding, description, turns = [] }) {
+            const conversation = { id: crypto.randomUUID(), tiles, grounding, description, turns, updatedAt: Date.now() };
+            conversations.set(conversation.id, conversation);
+            if (conversations.size > maxConversations) {
+                conversations.delete(conversations.keys().next().value);
+            }
+            return conversation;
+        },
+        addTurns(conversation, ...turns) {
+            conversation.turns.push(...turns);
+            conversation.updatedAt = Date.now();
+            conversations.delete(conversation.id);
+            conversations.set(conversation.id, conversation);
+        },
+    };
+}
+
+/**
+ * Citations of an answer: those the model listed plus any [T1] markers in the answer it didn't list,
+ * keeping only tiles that exist. Returns [{ tileId, title, evidence }] in the order tiles are cited.
+ */
+function resolveCitations(answer, citations, tiles) {
+    const titles = new Map(tiles.map((tile) => [tile.id, tile.title]));
+    const resolved = new Map();
+    (citations || []).forEach((citation) => {
+        const id = String(citation.tileId).replace(/[[\]]/g, '').toUpperCase();
+        if (titles.has(id) && !resolved.has(id)) {
+            resolved.set(id, { tileId: id, title: titles.get(id), evidence: citation.evidence || '' });
+        }
+    });
+    for (const [, id] of answer.matchAll(TILE_ID_PATTERN)) {
+        if (titles.has(id) && !resolved.has(id)) {
+            resolved.set(id, { tileId: id, title: titles.get(id), evidence: '' });
+        }
+    }
+    return [...resolved.values()];
+}
+
+module.exports = { createConversationStore, resolveCitations, tileId };
@@ -0,0 +1,112 @@
+const { normalizeQueryResult } = require('./queryResults');
+const { profileQueryData } = require('./dataProfile');
+
+// Period-over-period comparison of a tile: the same query run for the current and the shifted
+// (previous) date range. Measures are compared overall and per dimension value, so the prompt
+// can explain what changed instead of restating levels.
+
+const TOP_MOVERS = 10;
+// Measure types whose rows can't be summed into a meaningful total
+const AVERAGED_TYPES = ['average', 'average_distinct', 'median', 'median_distinct', 'percentile', 'percentile_distinct', 'number'];
+
+function round(value, digits = 4) {
+    const factor = Math.pow(10, digits);
+    return Math.round(value * factor) / factor;
+}
+
+function delta(current, previous) {
+    if (typeof current !== 'number' || typeof previous !== 'number') {
+        return { current: current === undefined ? null : current, previous: previous === undefined ? null : previous, change: null, changePct: null };
+    }
+    return {
+        current: round(current),
+        previous: round(previous),
+        change: round(current - previous),
+        changePct: previous !== 0 ? round((current - previous) / Math.abs(previous) * 100, 2) : null,
+    };
+}
+
+// Column label -> how rows combine, from the json_detail field types ('sum' when unknown)
+function aggregationFor(column, fields) {
+    const field = fields.find((candidate) => column === candidate.label || column.startsWith(`${candidate.label} [`));
+    return field && AVERAGED_TYPES.includes(field.type) ? 'mean' : 'sum';
+}
+
+function aggregate(rows, measures, fields) {
+    const totals = {};
+    measures.forEach((measure) => {
+        const values = rows.map((row) => row[measure]).filter((value) => typeof value === 'number' && Number.isFinite(value));
+        if (values.length === 0) return;
+        const sum = values.reduce((total, value) => total + value, 0);
+        totals[measure] = aggregationFor(measure, fields) === 'mean' ? sum / values.length : sum;
+    });
+    return totals;
+}
+
+// Date columns are left out of the grouping key: they differ between the two periods by design
+function groupBy(rows, dimensions, measures, fields) {
+    const groups = new Map();
+    rows.forEach((row) => {
+        const key = JSON.stringify(dimensions.map((dimension) => row[dimension]));
+        if (!groups.has(key)) groups.set(key, []);
+        groups.get(key).push(row);
+    });
+    const result = new Map();
+    groups.forEach((groupRows, key) => result.set(key, aggregate(groupRows, measures, fields)));
+    return result;
+}
+
+/**
+ * Compares the current and previous results of a tile. Returns
+ * { overall: [{ measure, current, previous, change, changePct }], topMovers: [{ dimensions, measure, ... }] }
+ * where overall uses Looker's totals row when both periods have one.
+ */
+function compareQueryResults(currentData, previousData) {
+    const current = normalizeQueryResult(currentData);
+    const previous = normalizeQueryResult(previousData);
+    const profile = profileQueryData(current.rows.concat(previous.rows));
+    const columns = Object.entries(profile.columns);
+    const measures = columns.filter(([, column]) => column.type === 'number').map(([name]) => name);
+    const dimensions = columns.filter(([, column]) => column.type === 'category').map(([name]) => name);
+    const fields = current.fields.length > 0 ? current.fields : previous.fields;
+
+    const currentTotals = current.totals && previous.totals ? current.totals : aggregate(current.rows, measures, fields);
+    const previousTotals = current.totals && previous.totals ? previous.totals : aggregate(previous.rows, measures, fields);
+    const overall = measures.map((measure) => ({ measure, ...delta(currentTotals[measure], previousTotals[measure]) }));
+
+    let topMovers = [];
+    if (dimensions.length > 0) {
+        const currentGroups = groupBy(current.rows, dimensions, measures, fields);
+        const previousGroups = groupBy(previous.rows, dimensions, measures, fields);
+        const keys = new Set([...currentGroups.keys(), ...previousGroups.keys()]);
+        keys.forEach((key) => {
+            const values = JSON.parse(key);
+            const labels = {};
+            dimensions.forEach((dimension, index) => {
+                labels[dimension] = values[index];
+            });
+            measures.forEach((measure) => {
+                // A value missing from one period counts as 0 there (e.g. a new product)
+                const currentValue = (currentGroups.get(key) || {})[measure];
+                const previousValue = (previousGroups.get(key) || {})[measure];
+                if (currentValue === undefined && previousValue === undefined) return;
+                topMovers.push({ dimensions: labels, measure, ...delta(currentValue || 0, previousValue || 0) });
+            });
+        });
+        // Changes are only comparable within a measure, so each measure gets its share of the list
+        const perMeasure = Math.max(1, Math.floor(TOP_MOVERS / measures.length));
+        topMovers = measures.flatMap((measure) => topMovers
+            .filter((mover) => mover.measure === measure && mover.change !== 0)
+            .sort((a, b) => Math.abs(b.change) - Math.abs(a.change))
+            .slice(0, perMeasure));
+    }
+
+    return {
+        currentRows: current.rows.length,
+        previousRows: previous.rows.length,
+        overall,
+        topMovers,
+    };
+}
+
+module.exports = { compareQueryResults };
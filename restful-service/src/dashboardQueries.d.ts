@@ -0,0 +1,28 @@
+// Types of dashboardQueries.js for the extension, which bundles it (see src/utils/resolveTileFilters.ts)
+
+interface ResolvedMergeSource {
+    name: string;
+    queryBody: any;
+    mergeFields: { field_name: string; source_field_name: string }[];
+}
+
+export interface ResolvedTileQuery {
+    queryBody: any;
+    note_text: string;
+    title: string;
+    appliedFilters: any[];
+    mergeSources?: ResolvedMergeSource[];
+}
+
+export function resolveTileQuery(
+    element: any,
+    dashboardFilters: { [name: string]: any } | null | undefined,
+    crossFilters: { model?: string; view?: string; filters: { [field: string]: string } } | null,
+    sourceQueries?: { name: string; merge_fields?: any[]; query: any }[]
+): ResolvedTileQuery | null;
+
+export function mergeResultIdOf(element: any): string | null;
+
+export function compactQueryResult(result: any): any;
+
+export function mergeQueryResults(sources: (ResolvedMergeSource & { result: any })[]): any;
@@ -0,0 +1,212 @@
+// Works out what a dashboard tile queries and prepares its results, the way Looker does, for both
+// the extension (bundled through src/utils/resolveTileFilters.ts and fetchQueryData.ts) and the
+// scheduled runs of the service (scheduler/lookerDashboard.js), so both summarize the same data.
+// It is plain JavaScript without dependencies or browser APIs: webpack bundles it as is.
+
+const QUERY_BODY_KEYS = ['fields', 'dynamic_fields', 'view', 'model', 'filters', 'pivots', 'sorts', 'limit', 'column_limit', 'row_total', 'subtotals'];
+const FIELD_KEYS = ['name', 'label', 'label_short', 'view_label', 'description', 'type', 'category', 'value_format', 'value_format_name', 'is_numeric', 'measure'];
+const FIELD_GROUPS = ['dimensions', 'measures', 'table_calculations'];
+const GROUPING_KEY = '$$$__grouping__$$$';
+
+const isSet = (value) => value !== undefined && value !== null && value !== '';
+
+function pickKeys(source, keys) {
+    const picked = {};
+    keys.forEach((key) => {
+        if (source[key] !== undefined && source[key] !== null) picked[key] = source[key];
+    });
+    return picked;
+}
+
+function toQueryBody(query) {
+    return pickKeys(query, QUERY_BODY_KEYS);
+}
+
+/**
+ * Filters a query runs with: its saved filters, then the dashboard filters it listens to, then
+ * cross-filters on the same explore, with later ones replacing earlier ones on the same field.
+ * Returns { filters, appliedFilters } where appliedFilters says where each value came from.
+ */
+function resolveFilters(queryBody, filterables, dashboardFilters, crossFilters, mergeSource) {
+    const filters = {};
+    const applied = {};
+    const apply = (filter) => {
+        filters[filter.field] = filter.value;
+        applied[filter.field] = mergeSource ? { ...filter, mergeSource } : filter;
+    };
+
+    Object.entries(queryBody.filters || {}).forEach(([field, value]) => {
+        if (isSet(value)) apply({ field, value, source: 'tile' });
+    });
+
+    // An empty dashboard filter means "any value" and leaves the tile's own filter in place
+    (filterables || []).forEach((filterable) => {
+        (filterable.listen || []).forEach((listener) => {
+            const value = dashboardFilters ? dashboardFilters[listener.dashboard_filter_name] : undefined;
+            if (isSet(value)) {
+                apply({ field: listener.field, value, source: 'dashboard', dashboardFilter: listener.dashboard_filter_name });
+            }
+        });
+    });
+
+    if (crossFilters && crossFilters.model === queryBody.model && crossFilters.view === queryBody.view) {
+        Object.entries(crossFilters.filters || {}).forEach(([field, value]) => {
+            // The filtered query also carries dashboard filters; only report values that change something
+            if (isSet(value) && filters[field] !== value) apply({ field, value, source: 'crossfilter' });
+        });
+    }
+
+    return { filters, appliedFilters: Object.values(applied) };
+}
+
+// Filterables of a merged results tile belong to its source queries; match them by name, then by explore
+function filterablesForSource(filterables, source, queryBody) {
+    const all = filterables || [];
+    const byName = all.filter((filterable) => filterable.name && filterable.name === source.name);
+    if (byName.length > 0) return byName;
+    return all.filter((filterable) => filterable.model === queryBody.model && filterable.view === queryBody.view);
+}
+
+// Merge query id of a merged results tile, or null when the tile has its own query (or none)
+function mergeResultIdOf(element) {
+    if (element.query || (element.result_maker && element.result_maker.query)) return null;
+    return element.merge_result_id || (element.result_maker && element.result_maker.merge_result_id) || null;
+}
+
+/**
+ * Resolves a dashboard element into { queryBody, note_text, title, appliedFilters, mergeSources }
+ * with its effective filters, or null when the element has no query (text tiles, etc.).
+ * For merged results tiles the caller fetches the merge query's sources (see mergeResultIdOf) as
+ * sourceQueries: [{ name, merge_fields, query }]. queryBody is then the primary source and
+ * mergeSources lists every source with its join fields.
+ */
+function resolveTileQuery(element, dashboardFilters, crossFilters, sourceQueries = []) {
+    const { note_text, title } = element;
+    const filterables = element.result_maker && element.result_maker.filterables;
+    const query = element.query || (element.result_maker && element.result_maker.query);
+
+    if (query) {
+        const queryBody = toQueryBody(query);
+        const { filters, appliedFilters } = resolveFilters(queryBody, filterables, dashboardFilters, crossFilters);
+        return { queryBody: { ...queryBody, filters }, note_text, title, appliedFilters };
+    }
+
+    const resolved = sourceQueries.map((source) => {
+        const queryBody = toQueryBody(source.query);
+        const { filters, appliedFilters } = resolveFilters(queryBody, filterablesForSource(filterables, source, queryBody), dashboardFilters, crossFilters, source.name);
+        return { mergeSource: { name: source.name, queryBody: { ...queryBody, filters }, mergeFields: source.merge_fields || [] }, appliedFilters };
+    });
+    if (resolved.length === 0) return null;
+    const mergeSources = resolved.map((source) => source.mergeSource);
+    return {
+        queryBody: mergeSources[0].queryBody,
+        note_text,
+        title,
+        appliedFilters: resolved.flatMap((source) => source.appliedFilters),
+        mergeSources,
+    };
+}
+
+// Keeps value and rendered from a json_detail cell; pivoted measures hold one cell per pivot key
+function compactCell(cell) {
+    if (cell === null || typeof cell !== 'object' || Array.isArray(cell)) return cell;
+    if ('value' in cell) return { value: cell.value, rendered: cell.rendered };
+    return compactRow(cell);
+}
+
+function compactRow(row) {
+    const compacted = {};
+    Object.keys(row).forEach((key) => {
+        compacted[key] = compactCell(row[key]);
+    });
+    return compacted;
+}
+
+// Drops what the summary prompts don't use (SQL, links, drill menus, HTML) from a json_detail result
+function compactQueryResult(result) {
+    const fields = result.fields || {};
+    const compactFields = (group = []) => group.map((field) => pickKeys(field, FIELD_KEYS));
+    return {
+        fields: {
+            dimensions: compactFields(fields.dimensions),
+            measures: compactFields(fields.measures),
+            pivots: compactFields(fields.pivots),
+            table_calculations: compactFields(fields.table_calculations),
+        },
+        pivots: (result.pivots || []).map((pivot) => pickKeys(pivot, ['key', 'data', 'is_total'])),
+        data: (result.data || []).map(compactRow),
+        totals_data: result.totals_data ? compactRow(result.totals_data) : undefined,
+        has_totals: result.has_totals,
+        has_row_totals: result.has_row_totals,
+    };
+}
+
+const cellKey = (cell) => JSON.stringify(cell !== null && typeof cell === 'object' && 'value' in cell ? cell.value : cell);
+
+/**
+ * Joins the json_detail results of a merged results tile's sources ([{ name, mergeFields, result }])
+ * the way Looker merges them: every row of the primary (first) source, with the matching row of
+ * each other source on its merge fields. Fields a source shares with the primary are renamed with
+ * the source name.
+ */
+function mergeQueryResults(sources) {
+    const [primary, ...others] = sources;
+    const primaryFields = primary.result.fields || {};
+    const merged = {
+        fields: { ...primaryFields, pivots: [...(primaryFields.pivots || [])] },
+        pivots: [...(primary.result.pivots || [])],
+        data: (primary.result.data || []).map((row) => ({ ...row })),
+        // Totals of the sources don't add up to totals of the merged rows
+        has_totals: false,
+        has_row_totals: primary.result.has_row_totals,
+    };
+    FIELD_GROUPS.forEach((group) => {
+        merged.fields[group] = [...(primaryFields[group] || [])];
+    });
+    const usedNames = new Set(FIELD_GROUPS.flatMap((group) => merged.fields[group].map((field) => field.name)));
+
+    others.forEach((source) => {
+        const sourceFields = source.result.fields || {};
+        const joinFields = new Set(source.mergeFields.map((mergeField) => mergeField.source_field_name));
+        const renamed = {};
+        FIELD_GROUPS.forEach((group) => {
+            (sourceFields[group] || []).filter((field) => !joinFields.has(field.name)).forEach((field) => {
+                const collides = usedNames.has(field.name);
+                const name = collides ? `${source.name}.${field.name}` : field.name;
+                renamed[field.name] = name;
+                usedNames.add(name);
+                merged.fields[group].push(collides
+                    ? { ...field, name, label: `${field.label || field.name} (${source.name})`, label_short: `${field.label_short || field.label || field.name} (${source.name})` }
+                    : field);
+            });
+        });
+        (sourceFields.pivots || []).forEach((field) => {
+            if (!merged.fields.pivots.some((existing) => existing.name === field.name)) merged.fields.pivots.push(field);
+        });
+        (source.result.pivots || []).forEach((pivot) => {
+            if (!merged.pivots.some((existing) => existing.key === pivot.key)) merged.pivots.push(pivot);
+        });
+
+        const index = new Map();
+        (source.result.data || []).forEach((row) => {
+            if (row[GROUPING_KEY]) return;
+            const key = source.mergeFields.map((mergeField) => cellKey(row[mergeField.source_field_name])).join('|');
+            if (!index.has(key)) index.set(key, row);
+        });
+        merged.data.forEach((row) => {
+            const match = index.get(source.mergeFields.map((mergeField) => cellKey(row[mergeField.field_name])).join('|'));
+            Object.keys(renamed).forEach((name) => {
+                row[renamed[name]] = match ? match[name] : { value: null };
+            });
+        });
+    });
+
+    return merged;
+}
+
+module.exports = {
+    resolveTileQuery,
+    mergeResultIdOf,
+    compactQueryResult,
+    mergeQueryResults,
+};
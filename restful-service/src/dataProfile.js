@@ -0,0 +1,194 @@
+// Profiles a tile's full result set so the prompt describes the whole tile rather than
+// its first rows: per-column statistics, period-over-period deltas for date columns and
+// a representative sample of rows that fits a token budget.
+
+const TOP_N = 5;
+const DATE_PATTERN = /^\d{4}-\d{2}(-\d{2})?([ T]\d{2}:\d{2}(:\d{2})?)?$|^\d{4}$|^\d{4}-W\d{2}$|^\d{4}-Q[1-4]$/;
+
+function isNumeric(value) {
+    return typeof value === 'number' && Number.isFinite(value);
+}
+
+function round(value, digits = 4) {
+    const factor = Math.pow(10, digits);
+    return Math.round(value * factor) / factor;
+}
+
+// Rough token estimate used for budgeting (about 4 characters per token)
+function estimateTokens(value) {
+    return Math.ceil(JSON.stringify(value).length / 4);
+}
+
+function columnType(values) {
+    const present = values.filter((value) => value !== null && value !== undefined && value !== '');
+    if (present.length === 0) return 'empty';
+    if (present.every(isNumeric)) return 'number';
+    if (present.every((value) => typeof value === 'string' && DATE_PATTERN.test(value))) return 'date';
+    return 'category';
+}
+
+function numberStats(values) {
+    const numbers = values.filter(isNumeric);
+    const sum = numbers.reduce((total, value) => total + value, 0);
+    const mean = sum / numbers.length;
+    const variance = numbers.reduce((total, value) => total + Math.pow(value - mean, 2), 0) / numbers.length;
+    return {
+        min: Math.min(...numbers),
+        max: Math.max(...numbers),
+        mean: round(mean),
+        total: round(sum),
+        stdDev: round(Math.sqrt(variance)),
+    };
+}
+
+// Top categories by the total of the primary measure, or by row count when there is none
+function topCategories(rows, column, measure) {
+    const totals = new Map();
+    rows.forEach((row) => {
+        const key = row[column] === null || row[column] === undefined ? '(null)' : String(row[column]);
+        const amount = measure ? (isNumeric(row[measure]) ? row[measure] : 0) : 1;
+        totals.set(key, (totals.get(key) || 0) + amount);
+    });
+    return {
+        distinct: totals.size,
+        top: [...totals.entries()]
+            .sort((a, b) => b[1] - a[1])
+            .slice(0, TOP_N)
+            .map(([value, total]) => (measure ? { value, [measure]: round(total) } : { value, rows: total })),
+    };
+}
+
+// Compares the last two periods of a date column for every measure
+function periodDeltas(rows, dateColumn, measures) {
+    const periods = new Map();
+    rows.forEach((row) => {
+        const period = row[dateColumn];
+        if (typeof period !== 'string') return;
+        const totals = periods.get(period) || {};
+        measures.forEach((measure) => {
+            if (isNumeric(row[measure])) {
+                totals[measure] = (totals[measure] || 0) + row[measure];
+            }
+        });
+        periods.set(period, totals);
+    });
+    // ISO-style dates sort chronologically as strings
+    const ordered = [...periods.keys()].sort();
+    if (ordered.length < 2) return null;
+
+    const latest = ordered[ordered.length - 1];
+    const previous = ordered[ordered.length - 2];
+    const first = ordered[0];
+    const deltas = {};
+    measures.forEach((measure) => {
+        const latestValue = periods.get(latest)[measure];
+        const previousValue = periods.get(previous)[measure];
+        const firstValue = periods.get(first)[measure];
+        if (latestValue === undefined || previousValue === undefined) return;
+        deltas[measure] = {
+            latest: round(latestValue),
+            previous: round(previousValue),
+            change: round(latestValue - previousValue),
+            changePct: previousValue !== 0 ? round((latestValue - previousValue) / Math.abs(previousValue) * 100, 2) : null,
+            changeSinceFirstPct: firstValue ? round((latestValue - firstValue) / Math.abs(firstValue) * 100, 2) : null,
+        };
+    });
+    return { latestPeriod: latest, previousPeriod: previous, firstPeriod: first, periods: ordered.length, deltas };
+}
+
+/**
+ * Per-column statistics for a result set (array of flat row objects).
+ * Numbers get min/max/mean/total/stdDev, categories get their top values and
+ * date columns get the range and period-over-period deltas of every measure.
+ */
+function profileQueryData(rows) {
+    if (!Array.isArray(rows) || rows.length === 0) {
+        return { rowCount: 0, columns: {} };
+    }
+    const columnNames = [...new Set(rows.flatMap((row) => Object.keys(row)))];
+    const types = {};
+    columnNames.forEach((column) => {
+        types[column] = columnType(rows.map((row) => row[column]));
+    });
+    const measures = columnNames.filter((column) => types[column] === 'number');
+    const primaryMeasure = measures[0];
+
+    const columns = {};
+    columnNames.forEach((column) => {
+        const values = rows.map((row) => row[column]);
+        const nulls = values.filter((value) => value === null || value === undefined || value === '').length;
+        const profile = { type: types[column], nulls };
+        if (types[column] === 'number') {
+            Object.assign(profile, numberStats(values));
+        } else if (types[column] === 'date') {
+            const dates = values.filter((value) => typeof value === 'string').sort();
+            Object.assign(profile, { min: dates[0], max: dates[dates.length - 1] });
+            const comparison = periodDeltas(rows, column, measures);
+            if (comparison) profile.periodOverPeriod = comparison;
+        } else if (types[column] === 'category') {
+            Object.assign(profile, topCategories(rows, column, primaryMeasure));
+        }
+        columns[column] = profile;
+    });
+    return { rowCount: rows.length, columns };
+}
+
+/**
+ * Picks rows that fit in tokenBudget while representing the whole result: the first and
+ * last rows, the rows holding each measure's min and max, then evenly spaced rows.
+ * Rows keep their original order.
+ */
+function sampleRows(rows, tokenBudget) {
+    if (!Array.isArray(rows) || rows.length === 0) {
+        return { rows: [], totalRows: 0, sampled: false };
+    }
+    if (estimateTokens(rows) <= tokenBudget) {
+        return { rows, totalRows: rows.length, sampled: false };
+    }
+
+    const picked = new Set([0, 1, rows.length - 2, rows.length - 1].filter((index) => index >= 0 && index < rows.length));
+    const measures = Object.keys(rows[0]).filter((column) => rows.some((row) => isNumeric(row[column])));
+    measures.forEach((measure) => {
+        let minIndex = -1;
+        let maxIndex = -1;
+        rows.forEach((row, index) => {
+            if (!isNumeric(row[measure])) return;
+            if (minIndex === -1 || row[measure] < rows[minIndex][measure]) minIndex = index;
+            if (maxIndex === -1 || row[measure] > rows[maxIndex][measure]) maxIndex = index;
+        });
+        if (minIndex !== -1) picked.add(minIndex);
+        if (maxIndex !== -1) picked.add(maxIndex);
+    });
+
+    const rowTokens = Math.max(1, Math.ceil(estimateTokens(rows) / rows.length));
+    const capacity = Math.max(picked.size, Math.floor(tokenBudget / rowTokens));
+    const remaining = capacity - picked.size;
+    if (remaining > 0) {
+        const stride = rows.length / remaining;
+        for (let i = 0; i < remaining; i++) {
+            picked.add(Math.floor(i * stride));
+        }
+    }
+
+    const indexes = [...picked].sort((a, b) => a - b);
+    return { rows: indexes.map((index) => rows[index]), totalRows: rows.length, sampled: true };
+}
+
+// Text block describing a tile's data for the summary prompts
+function describeQueryData(rows, tokenBudget) {
+    const profile = profileQueryData(rows);
+    // The sample gets whatever the profile leaves of the budget
+    const sample = sampleRows(rows, Math.max(200, tokenBudget - estimateTokens(profile)));
+    const sampleNote = sample.sampled
+        ? `Representative sample of ${sample.rows.length} of ${sample.totalRows} rows (first and last rows, the minimum and maximum of each measure, and evenly spaced rows)`
+        : `All ${sample.totalRows} rows`;
+    return `Column Profile (computed from all ${profile.rowCount} rows; use these for totals, averages, ranges and changes): ${JSON.stringify(profile.columns)}
+    ${sampleNote}: ${JSON.stringify(sample.rows)}`;
+}
+
+module.exports = {
+    profileQueryData,
+    sampleRows,
+    describeQueryData,
+    estimateTokens,
+};
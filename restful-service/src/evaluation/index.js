@@ -0,0 +1,60 @@
+const fs = require('fs');
+const dotenv = require('dotenv');
+const { loadCases, loadVariants, runEvaluation, DEFAULT_CASES_DIRECTORY } = require('./runner');
+const { renderReport } = require('./report');
+
+// Evaluates the summary prompts and models on the recorded cases and prints a Markdown report:
+//   node evaluation/index.js [--cases dir] [--variants variants.json] [--out report.md]
+//                            [--json results.json] [--min-score 0.7]
+// Without --variants the configured provider is evaluated as is. With --min-score the run fails
+// when a variant's overall score is below it, so it can gate prompt changes.
+
+dotenv.config();
+
+const USAGE = 'Usage: node evaluation/index.js [--cases dir] [--variants file] [--out file] [--json file] [--min-score n]';
+const OPTIONS = new Set(['--cases', '--variants', '--out', '--json', '--min-score']);
+
+function parseArgs(argv) {
+    const args = {};
+    for (let i = 0; i < argv.length; i += 2) {
+        if (!OPTIONS.has(argv[i]) || argv[i + 1] === undefined) {
+            throw new Error(USAGE);
+        }
+        args[argv[i].slice(2)] = argv[i + 1];
+    }
+    return args;
+}
+
+async function main() {
+    const args = parseArgs(process.argv.slice(2));
+    const cases = loadCases(args.cases || DEFAULT_CASES_DIRECTORY);
+    const variants = args.variants ? loadVariants(args.variants) : [{ name: 'current' }];
+    const evaluation = await runEvaluation({
+        cases,
+        variants,
+        onProgress: (message) => console.error(`Evaluated ${message}`),
+    });
+
+    const report = renderReport(evaluation);
+    if (args.out) {
+        fs.writeFileSync(args.out, report);
+        console.error(`Wrote ${args.out}`);
+    } else {
+        process.stdout.write(report);
+    }
+    if (args.json) {
+        fs.writeFileSync(args.json, JSON.stringify(evaluation, null, 2));
+        console.error(`Wrote ${args.json}`);
+    }
+
+    if (args['min-score'] !== undefined) {
+        const below = evaluation.variants.filter((variant) => variant.totals.overall === null || variant.totals.overall < Number(args['min-score']));
+        below.forEach((variant) => console.error(`${variant.name} scored ${variant.totals.overall} (minimum ${args['min-score']})`));
+        if (below.length > 0) process.exitCode = 1;
+    }
+}
+
+main().catch((e) => {
+    console.error(e.message);
+    process.exitCode = 1;
+});
@@ -0,0 +1,121 @@
+const { querySummaryToMarkdown } = require('../markdown');
+
+// Markdown report of runEvaluation results with the variants side by side: a column per variant in
+// every table, then the failed checks, unsupported figures and the generated dashboard summaries.
+
+const score = (value) => (value === null || value === undefined ? '–' : value.toFixed(2));
+
+const cell = (text) => String(text).replace(/\|/g, '\\|').replace(/\n/g, ' ');
+
+function table(header, rows) {
+    return [
+        `| ${header.map(cell).join(' | ')} |`,
+        `|${header.map((_, index) => (index === 0 ? ' --- ' : ' ---: ')).join('|')}|`,
+        ...rows.map((row) => `| ${row.map(cell).join(' | ')} |`),
+    ].join('\n');
+}
+
+// Metric rows of the overview: [label, value of a variant's totals]
+const OVERVIEW = [
+    ['Overall', (totals) => score(totals.overall)],
+    ['Tile format', (totals) => score(totals.tile.format)],
+    ['Tile faithfulness', (totals) => score(totals.tile.faithfulness)],
+    ['Tile length', (totals) => score(totals.tile.length)],
+    ['Dashboard format', (totals) => score(totals.dashboard.format)],
+    ['Dashboard faithfulness', (totals) => score(totals.dashboard.faithfulness)],
+    ['Dashboard length', (totals) => score(totals.dashboard.length)],
+    ['Failed tiles', (totals) => totals.failedTiles],
+    ['Failed dashboard summaries', (totals) => totals.failedDashboards],
+    ['Words per tile', (totals) => (totals.tileWords === null ? '–' : Math.round(totals.tileWords))],
+    ['Duration (s)', (totals) => (totals.durationMs / 1000).toFixed(1)],
+];
+
+// "0.85 (F 0.80 · N 1.00 · L 0.75)", or the error of a failed generation
+const describeScores = (item) => (item.summary === null
+    ? `failed: ${item.error}`
+    : `${score(item.scores.overall)} (F ${score(item.scores.format)} · N ${score(item.scores.faithfulness)} · L ${score(item.scores.length)})`);
+
+// Failed checks and unsupported figures of a case, per variant
+function issues(variants, caseIndex) {
+    const lines = [];
+    variants.forEach((variant) => {
+        const result = variant.results[caseIndex];
+        const items = [
+            ...result.tiles.map((tile) => ({ label: tile.title, ...tile })),
+            { label: 'Dashboard summary', ...result.dashboard },
+        ];
+        items.forEach((item) => {
+            const problems = [
+                ...(item.failedChecks || []).map((check) => `fails "${check}"`),
+                ...(item.unsupportedFigures || []).map((figure) => `unsupported figure ${figure}`),
+                ...(item.unsupportedEntities || []).map((entity) => `unknown ${entity}`),
+            ];
+            if (problems.length > 0) {
+                lines.push(`- **${variant.name}**, ${item.label}: ${problems.join('; ')}`);
+            }
+        });
+    });
+    return lines;
+}
+
+function outputs(variants, caseIndex) {
+    return variants.map((variant) => {
+        const result = variant.results[caseIndex];
+        const tiles = result.tiles.map((tile) => (tile.summary ? querySummaryToMarkdown(tile.summary) : `_${tile.title} failed: ${tile.error}_`));
+        const dashboard = result.dashboard.summary === null ? `_Failed: ${result.dashboard.error}_` : result.dashboard.summary;
+        return [
+            `<details><summary>${variant.name}</summary>`,
+            '',
+            '#### Dashboard summary',
+            '',
+            dashboard.trim(),
+            '',
+            '#### Tile summaries',
+            '',
+            tiles.join('\n\n---\n\n').trim(),
+            '',
+            '</details>',
+        ].join('\n');
+    });
+}
+
+/**
+ * Renders the results of runEvaluation (runner.js). Scores range from 0 to 1; per tile, F is
+ * format, N numeric faithfulness and L length.
+ */
+function renderReport(evaluation) {
+    const { variants } = evaluation;
+    const names = variants.map((variant) => variant.name);
+    const sections = [
+        '# Summary Evaluation',
+        '',
+        `${evaluation.cases.length} cases, generated ${evaluation.generatedAt}. Scores range from 0 to 1.`,
+        '',
+        table(['Variant', 'Model'], variants.map((variant) => [variant.name, variant.model])),
+        '',
+        '## Overview',
+        '',
+        table(['Metric', ...names], OVERVIEW.map(([label, value]) => [label, ...variants.map((variant) => value(variant.totals))])),
+    ];
+
+    evaluation.cases.forEach((caseId, caseIndex) => {
+        const first = variants[0].results[caseIndex];
+        const rows = first.tiles.map((tile, tileIndex) => [tile.title, ...variants.map((variant) => describeScores(variant.results[caseIndex].tiles[tileIndex]))]);
+        rows.push(['Dashboard summary', ...variants.map((variant) => describeScores(variant.results[caseIndex].dashboard))]);
+        const caseIssues = issues(variants, caseIndex);
+        sections.push(
+            '',
+            `## ${first.title} (\`${caseId}\`)`,
+            '',
+            table(['', ...names], rows),
+            '',
+            ...(caseIssues.length > 0 ? ['### Issues', '', ...caseIssues, ''] : []),
+            '### Outputs',
+            '',
+            outputs(variants, caseIndex).join('\n\n'),
+        );
+    });
+    return `${sections.join('\n')}\n`;
+}
+
+module.exports = { renderReport };
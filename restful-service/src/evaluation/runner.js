@@ -0,0 +1,116 @@
+const fs = require('fs');
+const path = require('path');
+const { createProvider } = require('../providers');
+const { createResilientProvider } = require('../resilience');
+const { createSummaryGenerator } = require('../summaryGeneration');
+const { detectAnomalies } = require('../anomalies');
+const { scoreTileSummary, scoreDashboardSummary, mean } = require('./scoring');
+
+// Runs the evaluation cases (recorded dashboards: tile queries with their results) through the
+// summary generator for each variant and scores the outputs (see scoring.js). A variant picks the
+// provider and model with environment settings and may replace prompts:
+//   { name, env: { LLM_PROVIDER, MODEL_ID, ... }, prompts: './variants/module.js', promptDataTokenBudget }
+// `env` is applied over the process environment; `prompts` is resolved from the variants file and
+// exports replacements for DEFAULT_PROMPTS in summaryGeneration.js.
+
+const DEFAULT_CASES_DIRECTORY = path.join(__dirname, 'cases');
+
+function loadCases(directory = DEFAULT_CASES_DIRECTORY) {
+    return fs.readdirSync(directory)
+        .filter((file) => file.endsWith('.json'))
+        .sort()
+        .map((file) => JSON.parse(fs.readFileSync(path.join(directory, file), 'utf8')));
+}
+
+// Variants from a JSON file (a list of variants), with their prompt modules loaded
+function loadVariants(file) {
+    const variants = JSON.parse(fs.readFileSync(file, 'utf8'));
+    if (!Array.isArray(variants) || variants.length === 0) {
+        throw new Error(`${file} must contain a list of variants`);
+    }
+    return variants.map((variant, index) => ({
+        ...variant,
+        name: variant.name || `variant ${index + 1}`,
+        prompts: typeof variant.prompts === 'string' ? require(path.resolve(path.dirname(file), variant.prompts)) : variant.prompts,
+    }));
+}
+
+// Failed tiles and summaries score 0 rather than being left out, so a variant can't score well by failing
+const failedScores = { format: 0, faithfulness: 0, length: 0, overall: 0 };
+
+async function timed(action) {
+    const startedAt = Date.now();
+    try {
+        return { value: await action(), error: null, durationMs: Date.now() - startedAt };
+    } catch (e) {
+        return { value: null, error: e.code || e.message, durationMs: Date.now() - startedAt };
+    }
+}
+
+// Generates and scores the tile summaries and the dashboard summary of one case
+async function runCase(generator, testCase) {
+    const description = testCase.dashboard.description;
+    const instructions = testCase.nextStepsInstructions;
+    const tiles = [];
+    for (const query of testCase.queries) {
+        const findings = detectAnomalies(query.queryData);
+        const { value: summary, error, durationMs } = await timed(() => generator.generateQuerySummary(query, description, instructions, findings));
+        tiles.push(summary
+            ? { title: query.title, summary, error, durationMs, ...scoreTileSummary(summary, query, { description, findings }) }
+            : { title: query.title, summary: null, error, durationMs, scores: failedScores });
+    }
+    const querySummaries = tiles.map((tile) => tile.summary).filter(Boolean);
+    const { value: dashboardSummary, error, durationMs } = querySummaries.length > 0
+        ? await timed(() => generator.generateSummary(querySummaries, instructions))
+        : { value: null, error: 'no tile summaries', durationMs: 0 };
+    return {
+        caseId: testCase.id,
+        title: testCase.dashboard.title,
+        tiles,
+        dashboard: dashboardSummary !== null
+            ? { summary: dashboardSummary, error, durationMs, ...scoreDashboardSummary(dashboardSummary, querySummaries) }
+            : { summary: null, error, durationMs, scores: failedScores },
+    };
+}
+
+// Mean scores of a variant's results: tile scores over every tile, dashboard scores over every case
+function summarizeResults(results) {
+    const tiles = results.flatMap((result) => result.tiles);
+    const dashboards = results.map((result) => result.dashboard);
+    const average = (items, key) => mean(items.map((item) => item.scores[key]));
+    return {
+        tile: { format: average(tiles, 'format'), faithfulness: average(tiles, 'faithfulness'), length: average(tiles, 'length') },
+        dashboard: { format: average(dashboards, 'format'), faithfulness: average(dashboards, 'faithfulness'), length: average(dashboards, 'length') },
+        overall: mean([...tiles, ...dashboards].map((item) => item.scores.overall)),
+        failedTiles: tiles.filter((tile) => !tile.summary).length,
+        failedDashboards: dashboards.filter((dashboard) => dashboard.summary === null).length,
+        tileWords: mean(tiles.filter((tile) => tile.summary).map((tile) => tile.words)),
+        durationMs: [...tiles, ...dashboards].reduce((sum, item) => sum + item.durationMs, 0),
+    };
+}
+
+/**
+ * Runs every case with every variant, one at a time. `env` is the base environment (defaults to the
+ * process environment); onProgress(message) reports each case as it finishes.
+ */
+async function runEvaluation({ cases, variants, env = process.env, onProgress = () => {} }) {
+    const evaluated = [];
+    for (const variant of variants) {
+        const provider = createProvider({ ...env, ...(variant.env || {}) });
+        const llm = createResilientProvider(provider, { maxConcurrency: 1 });
+        const generator = createSummaryGenerator({
+            llm,
+            promptDataTokenBudget: variant.promptDataTokenBudget || Number(env.PROMPT_DATA_TOKEN_BUDGET || 6000),
+            prompts: variant.prompts || {},
+        });
+        const results = [];
+        for (const testCase of cases) {
+            results.push(await runCase(generator, testCase));
+            onProgress(`${variant.name}: ${testCase.id}`);
+        }
+        evaluated.push({ name: variant.name, model: `${provider.name}/${provider.modelId}`, results, totals: summarizeResults(results) });
+    }
+    return { generatedAt: new Date().toISOString(), cases: cases.map((testCase) => testCase.id), variants: evaluated };
+}
+
+module.exports = { loadCases, loadVariants, runEvaluation, DEFAULT_CASES_DIRECTORY };
@@ -0,0 +1,119 @@
+const { extractFigures, verifyQuerySummary, linkSummaryFigures } = require('../verification');
+
+// Scores of generated summaries, each between 0 and 1:
+//   format        the share of the prompt's formatting rules the output follows
+//   faithfulness  the share of figures backed by the data: the tile's data (and derived values, see
+//                 verification.js) for tile summaries, the tile summaries for the dashboard summary
+//   length        1 within the expected word range, falling off proportionally outside it
+// Nothing here calls the model, so scores are comparable across providers and prompt variants.
+
+const TILE_WORDS = { min: 60, max: 220 };
+const DASHBOARD_WORDS = { min: 120, max: 600 };
+
+// Headings, list items, tables and quotes; tile summary values may only use inline Markdown
+const BLOCK_MARKDOWN = /^\s*(#{1,6}\s|[-*+]\s|\d+\.\s|\||>)/m;
+
+const countWords = (text) => (String(text || '').match(/\S+/g) || []).length;
+
+// Sentences end with ., ! or ? followed by a space or the end; decimals like 3.5 don't end one
+const countSentences = (text) => String(text || '').split(/[.!?]+(?:\s+|$)/).filter((sentence) => sentence.trim()).length;
+
+const within = (value, min, max) => value >= min && value <= max;
+
+const ratio = (passed, total) => (total === 0 ? 1 : passed / total);
+
+function lengthScore(words, { min, max }) {
+    if (words < min) return words / min;
+    if (words > max) return max / words;
+    return 1;
+}
+
+// Format score and the checks that failed, from [{ name, passed }]
+function formatScore(checks) {
+    return {
+        score: ratio(checks.filter((check) => check.passed).length, checks.length),
+        failed: checks.filter((check) => !check.passed).map((check) => check.name),
+    };
+}
+
+const mean = (values) => (values.length === 0 ? null : values.reduce((sum, value) => sum + value, 0) / values.length);
+
+/**
+ * Scores a tile summary (a QuerySummary object) against the tile query it summarizes, following the
+ * rules of getQuerySummaryPrompt in summaryGeneration.js. `findings` are the anomaly findings the
+ * prompt was given, whose figures count as supported.
+ */
+function scoreTileSummary(summary, query, { description, findings = [] } = {}) {
+    const nextSteps = Array.isArray(summary.nextSteps) ? summary.nextSteps : [];
+    const values = [summary.description, summary.summary, ...nextSteps];
+    const format = formatScore([
+        { name: 'queryTitle is the tile title', passed: String(summary.queryTitle || '').trim() === String(query.title || '').trim() },
+        { name: 'description has 2-4 sentences', passed: within(countSentences(summary.description), 2, 4) },
+        { name: 'summary has 3-5 sentences', passed: within(countSentences(summary.summary), 3, 5) },
+        { name: '2-3 next steps', passed: within(nextSteps.length, 2, 3) },
+        { name: 'values use inline Markdown only', passed: values.every((value) => !BLOCK_MARKDOWN.test(String(value || ''))) },
+    ]);
+
+    const verification = verifyQuerySummary(summary, query, { description, findings });
+    const figures = extractFigures(`${summary.description || ''}\n${summary.summary || ''}`);
+    const unsupportedFigures = verification.unsupported.filter((item) => item.kind === 'figure').map((item) => item.text);
+    const unsupportedFigureCount = figures.filter((figure) => unsupportedFigures.includes(figure.text)).length;
+    const unsupportedEntities = verification.unsupported.filter((item) => item.kind === 'entity').map((item) => item.text);
+
+    const words = countWords(values.join(' '));
+    const scores = {
+        format: format.score,
+        faithfulness: ratio(figures.length - unsupportedFigureCount, figures.length),
+        length: lengthScore(words, TILE_WORDS),
+    };
+    return {
+        scores: { ...scores, overall: mean(Object.values(scores)) },
+        words,
+        figures: figures.length,
+        failedChecks: format.failed,
+        unsupportedFigures,
+        unsupportedEntities,
+    };
+}
+
+/**
+ * Scores a dashboard summary (Markdown) following the layout getSummaryPrompt asks for: a section
+ * heading per topic, `---` separators between sections and one Next Steps list of 2-6 items.
+ * Figures are faithful when one of the tile summaries it combines has them.
+ */
+function scoreDashboardSummary(markdown, querySummaries) {
+    const text = String(markdown || '');
+    const headings = text.match(/^#{1,3}\s+\S.*$/gm) || [];
+    const nextStepsHeading = text.search(/^#{1,3}\s+Next Steps\b.*$/im);
+    // The list items right after the Next Steps heading
+    const nextSteps = nextStepsHeading === -1
+        ? []
+        : (text.slice(nextStepsHeading).split('\n').slice(1).join('\n').split(/^\s*(?:#{1,6}\s|-{3,}\s*$)/m)[0]
+            .match(/^\s*(?:[-*+]|\d+\.)\s+\S.*$/gm) || []);
+    const separators = (text.match(/^\s*-{3,}\s*$/gm) || []).length;
+    const format = formatScore([
+        { name: 'has section headings', passed: headings.length > 0 },
+        { name: 'has a Next Steps heading', passed: nextStepsHeading !== -1 },
+        { name: 'sections are separated by ---', passed: headings.length < 2 || separators > 0 },
+        { name: 'Next Steps lists 2-6 items', passed: within(nextSteps.length, 2, 6) },
+    ]);
+
+    const figures = extractFigures(text);
+    const linked = linkSummaryFigures(text, querySummaries);
+    const linkedStarts = new Set(linked.map((figure) => figure.start));
+    const words = countWords(text);
+    const scores = {
+        format: format.score,
+        faithfulness: ratio(linked.length, figures.length),
+        length: lengthScore(words, DASHBOARD_WORDS),
+    };
+    return {
+        scores: { ...scores, overall: mean(Object.values(scores)) },
+        words,
+        figures: figures.length,
+        failedChecks: format.failed,
+        unsupportedFigures: figures.filter((figure) => !linkedStarts.has(figure.start)).map((figure) => figure.text),
+    };
+}
+
+module.exports = { scoreTileSummary, scoreDashboardSummary, countWords, countSentences, mean, TILE_WORDS, DASHBOARD_WORDS };
@@ -0,0 +1,12 @@
+const { DEFAULT_PROMPTS } = require('../../summaryGeneration');
+
+// Example prompt variant: the current tile prompt with a stricter length limit. A variant module
+// exports replacements for any of DEFAULT_PROMPTS with the same signatures.
+
+function getQuerySummaryPrompt(...args) {
+    return `${DEFAULT_PROMPTS.getQuerySummaryPrompt(...args)}
+    Keep the description to 2 sentences and the summary to 3 sentences, and lead the summary with the largest figure in the data.
+    `;
+}
+
+module.exports = { getQuerySummaryPrompt };
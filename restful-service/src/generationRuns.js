@@ -0,0 +1,146 @@
+const crypto = require('crypto');
+const { validateSchema } = require('./structuredOutput');
+const { GENERATION_RUN_SCHEMA } = require('./schemas');
+const { toGenerationError, generationErrorBody } = require('./resilience');
+
+// Progress of dashboard summarizations. The extension starts a run with the dashboard's tiles and
+// sends its id with each tile's request and the dashboard summary request; scheduled runs are
+// tracked the same way. Each step (a tile or the summary) is pending, running, done or failed with
+// its typed error, so the status shows which tiles were skipped and why. Runs are kept in memory
+// for ttlSeconds after their last update.
+// A tile whose request never arrives (the tab was closed, the proxy failed) would stay pending, so
+// pending tiles fail once the dashboard summary has been generated without them, or when the run
+// is older than pendingTimeoutSeconds.
+
+class GenerationRunValidationError extends Error {
+    constructor(errors) {
+        super(`Invalid generation run: ${errors.join('; ')}`);
+        this.name = 'GenerationRunValidationError';
+        this.errors = errors;
+    }
+}
+
+// requests counts how often the step was run: the extension's retries of a failed tile run it again
+const newStep = () => ({ status: 'pending', requests: 0, startedAt: null, finishedAt: null, error: null });
+
+// The error of a tile that was never requested, in the form of generationErrorBody
+const NOT_REQUESTED_ERROR = { error: 'not_requested', message: 'The tile was never requested.', retryable: true };
+
+function failPendingTiles(run) {
+    const now = new Date().toISOString();
+    run.tiles.filter((tile) => tile.status === 'pending').forEach((tile) => {
+        Object.assign(tile, { status: 'failed', finishedAt: now, error: NOT_REQUESTED_ERROR });
+    });
+}
+
+/**
+ * running while a step is pending or running; once every tile has finished, failed when no tile was
+ * summarized, partial when some failed and complete when all were (and the summary is done)
+ */
+function runStatus(run) {
+    const counts = { pending: 0, running: 0, done: 0, failed: 0 };
+    run.tiles.forEach((tile) => {
+        counts[tile.status] += 1;
+    });
+    if (counts.pending > 0 || counts.running > 0) return { status: 'running', counts };
+    if (counts.done === 0) return { status: 'failed', counts };
+    if (run.summary.status === 'pending' || run.summary.status === 'running') return { status: 'running', counts };
+    const failed = counts.failed > 0 || run.summary.status === 'failed';
+    return { status: failed ? 'partial' : 'complete', counts };
+}
+
+// What the status route returns
+const describeRun = (run) => ({ ...run, ...runStatus(run) });
+
+function createGenerationRuns({ ttlSeconds = 3600, pendingTimeoutSeconds = 600, maxRuns = 500 } = {}) {
+    // Insertion order is last-update order, so the first entry is the one to evict
+    const runs = new Map();
+
+    function get(id) {
+        const run = runs.get(id);
+        if (!run) return null;
+        if (Date.parse(run.updatedAt) + ttlSeconds * 1000 < Date.now()) {
+            runs.delete(id);
+            return null;
+        }
+        if (Date.parse(run.createdAt) + pendingTimeoutSeconds * 1000 < Date.now()) {
+            failPendingTiles(run);
+        }
+        return run;
+    }
+
+    function touch(run) {
+        run.updatedAt = new Date().toISOString();
+        runs.delete(run.id);
+        runs.set(run.id, run);
+    }
+
+    return {
+        /**
+         * Starts tracking a run of `tiles` (tile titles, in the order the extension indexes them).
+         * @param source 'extension' or 'schedule'
+         */
+        start(fields, { source = 'extension', userId = null } = {}) {
+            const errors = validateSchema(GENERATION_RUN_SCHEMA, fields);
+            if (errors.length > 0) {
+                throw new GenerationRunValidationError(errors);
+            }
+            const now = new Date().toISOString();
+            const run = {
+                id: crypto.randomUUID(),
+                dashboardId: fields.dashboardId,
+                source,
+                userId,
+                createdAt: now,
+                updatedAt: now,
+                tiles: fields.tiles.map((title, index) => ({ index, title, ...newStep() })),
+                summary: newStep(),
+            };
+            runs.set(run.id, run);
+            if (runs.size > maxRuns) {
+                runs.delete(runs.keys().next().value);
+            }
+            return describeRun(run);
+        },
+        get(id) {
+            const run = get(id);
+            return run ? describeRun(run) : null;
+        },
+        // Runs of the dashboard still kept, newest first
+        list(dashboardId) {
+            return [...runs.keys()].map(get)
+                .filter((run) => run && run.dashboardId === dashboardId)
+                .sort((a, b) => b.createdAt.localeCompare(a.createdAt))
+                .map(describeRun);
+        },
+        /**
+         * Runs `action` as a step of the run: a tile index or 'summary'. Retrying a failed tile runs
+         * its step again. Without a known run id (tracking is optional for callers, and runs expire)
+         * the action just runs.
+         */
+        async track(runId, step, action) {
+            const run = typeof runId === 'string' ? get(runId) : null;
+            const entry = run && (step === 'summary' ? run.summary : Number.isInteger(step) ? run.tiles[step] : null);
+            if (!entry) return action();
+            Object.assign(entry, { status: 'running', requests: entry.requests + 1, startedAt: new Date().toISOString(), finishedAt: null, error: null });
+            touch(run);
+            try {
+                const result = await action();
+                entry.status = 'done';
+                return result;
+            } catch (e) {
+                entry.status = 'failed';
+                entry.error = generationErrorBody(toGenerationError(e));
+                throw e;
+            } finally {
+                entry.finishedAt = new Date().toISOString();
+                if (step === 'summary') {
+                    failPendingTiles(run);
+                }
+                touch(run);
+            }
+        },
+    };
+}
+
+module.exports = { createGenerationRuns, GenerationRunValidationError };
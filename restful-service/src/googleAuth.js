@@ -0,0 +1,17 @@
+// Helper function to get Google Cloud access token, for the Cloud Platform scope unless other scopes are given
+async function getAccessToken(scopes = 'https://www.googleapis.com/auth/cloud-platform') {
+    try {
+        const { GoogleAuth } = require('google-auth-library');
+        const auth = new GoogleAuth({
+            scopes,
+        });
+        const client = await auth.getClient();
+        const accessToken = await client.getAccessToken();
+        return accessToken.token;
+    } catch (error) {
+        console.error('Error getting access token:', error);
+        throw error; // Re-throw to be caught by caller
+    }
+}
+
+module.exports = { getAccessToken };
@@ -0,0 +1,68 @@
+const fetch = require('node-fetch');
+
+// Google Chat export with app authentication. Only a Chat app can post cards (a user's OAuth token
+// can only send text), so the extension builds the Cards v2 messages and the service posts them as
+// the Chat app whose service account it runs as. The app lists and posts to the spaces it was added to.
+
+const CHAT_API = 'https://chat.googleapis.com/v1';
+const CHAT_BOT_SCOPE = 'https://www.googleapis.com/auth/chat.bot';
+const SPACE_NAME_PATTERN = /^spaces\/[\w-]+$/;
+// Summaries are split into a handful of messages; more than this is a malformed request
+const MAX_MESSAGES = 20;
+
+class GoogleChatError extends Error {
+    constructor(message, status) {
+        super(message);
+        this.name = 'GoogleChatError';
+        this.status = status;
+    }
+}
+
+async function callChatApi(accessToken, url, options = {}) {
+    const response = await fetch(url, {
+        ...options,
+        headers: { Authorization: `Bearer ${accessToken}`, 'Content-Type': 'application/json' },
+    });
+    const body = await response.json().catch(() => ({}));
+    if (!response.ok) {
+        throw new GoogleChatError((body.error && body.error.message) || `Google Chat API responded ${response.status}`, response.status);
+    }
+    return body;
+}
+
+// Spaces the Chat app is a member of: [{ name: 'spaces/AAA', displayName, spaceType }]
+async function listSpaces(getAccessToken) {
+    const accessToken = await getAccessToken(CHAT_BOT_SCOPE);
+    const spaces = [];
+    let pageToken = '';
+    do {
+        const body = await callChatApi(accessToken, `${CHAT_API}/spaces?pageSize=1000${pageToken ? `&pageToken=${encodeURIComponent(pageToken)}` : ''}`);
+        (body.spaces || []).forEach(({ name, displayName, spaceType }) => {
+            spaces.push({ name, displayName: displayName || name, spaceType });
+        });
+        pageToken = body.nextPageToken;
+    } while (pageToken);
+    return spaces;
+}
+
+// Posts the messages in order; resolves with the names of the created messages
+async function postMessages(getAccessToken, space, messages) {
+    if (!SPACE_NAME_PATTERN.test(space || '')) {
+        throw new GoogleChatError(`Invalid space "${space}", expected spaces/<id>`, 400);
+    }
+    if (!Array.isArray(messages) || messages.length === 0 || messages.length > MAX_MESSAGES) {
+        throw new GoogleChatError(`Expected 1 to ${MAX_MESSAGES} messages`, 400);
+    }
+    const accessToken = await getAccessToken(CHAT_BOT_SCOPE);
+    const names = [];
+    for (const message of messages) {
+        const body = await callChatApi(accessToken, `${CHAT_API}/${space}/messages`, {
+            method: 'POST',
+            body: JSON.stringify({ text: message.text, cardsV2: message.cardsV2 }),
+        });
+        names.push(body.name);
+    }
+    return names;
+}
+
+module.exports = { listSpaces, postMessages, GoogleChatError };
@@ -3,77 +3,332 @@ const app = express();
 const cors = require('cors');
 const http = require('http');
 const server = http.createServer(app);
-const fetch = require('node-fetch'); // Import node-fetch
 const dotenv = require('dotenv');
 const fs = require('fs');
 const path = require('path');
+const crypto = require('crypto');
+const perspectiveAnalytics = require('./perspectiveAnalytics');
+const { createProvider } = require('./providers');
+const { getAccessToken } = require('./googleAuth');
+const { createStreamToken, verifyStreamToken } = require('./streamToken');
+const { generateStructured } = require('./structuredOutput');
+const { QUERY_SUGGESTIONS_SCHEMA, CHAT_ANSWER_SCHEMA } = require('./schemas');
+const { createSummaryCache } = require('./summaryCache');
+const { describeQueryResult } = require('./queryResults');
+const { createScheduler, ScheduleValidationError, ScheduleRunningError } = require('./scheduler');
+const { createScheduleStore } = require('./scheduler/store');
+const { createPresetStore, PresetValidationError } = require('./presets');
+const { createSummaryHistory, hashQueryData, SummaryRunValidationError } = require('./summaryHistory');
+const { loadDashboard } = require('./scheduler/lookerDashboard');
+const { deliver } = require('./scheduler/delivery');
+const googleChat = require('./googleChat');
+const { createConversationStore, resolveCitations, tileId } = require('./chat');
+const { buildFieldCatalog, describeFieldCatalog, validateSuggestions } = require('./querySuggestions');
+const { verifyQuerySummary, linkSummaryFigures } = require('./verification');
+const { detectAnomalies } = require('./anomalies');
+const { createSummaryGenerator, describeAppliedFilters } = require('./summaryGeneration');
+const { secretMatches, isLoopbackRequest, clientId, createCorsOptions, createRateLimiter } = require('./security');
+const { createResilientProvider, toGenerationError, generationErrorBody } = require('./resilience');
+const { createGenerationRuns, GenerationRunValidationError } = require('./generationRuns');
 dotenv.config();
 
 const storedClientSecret = process.env.GENAI_CLIENT_SECRET;
+// Local development: accept requests from this machine without the secret, which the extension
+// no longer bundles. Never set this where a proxy on the same host forwards outside traffic.
+const DEV_LOOPBACK_BYPASS = process.env.DEV_LOOPBACK_BYPASS === 'true';
+// Stream tokens are signed with the client secret, or a key for this process when there is none (local development)
+const streamTokenSecret = storedClientSecret || crypto.randomBytes(32).toString('hex');
 const PROJECT_ID = process.env.PROJECT;
-const REGION = process.env.REGION || 'us-central1'; // Default region
-const MODEL_ID = process.env.MODEL_ID || 'gemini-2.0-flash'; // Default model, now from env
-const API_ENDPOINT = `https://${REGION}-aiplatform.googleapis.com/v1/projects/${PROJECT_ID}/locations/${REGION}/publishers/google/models/${MODEL_ID}:generateContent`;
+// LLM_PROVIDER selects vertex (default), openai or fixture; MODEL_ID selects the model. Calls are
+// retried with backoff, time out and share a concurrency limit (see resilience.js).
+const llm = createResilientProvider(createProvider(process.env), {
+    maxAttempts: Number(process.env.LLM_MAX_ATTEMPTS || 4),
+    baseDelayMs: Number(process.env.LLM_RETRY_BASE_DELAY_MS || 500),
+    maxDelayMs: Number(process.env.LLM_RETRY_MAX_DELAY_MS || 10000),
+    timeoutSeconds: Number(process.env.LLM_TIMEOUT_SECONDS || 60), // 0 turns the timeout off
+    maxConcurrency: Number(process.env.LLM_MAX_CONCURRENCY || 4), // 0 turns the limit off
+    maxQueue: Number(process.env.LLM_MAX_QUEUE || 100),
+    onRetry: (error, attempt, delayMs, task) => writeStructuredLog('Retrying model request', {
+        task, attempt, delayMs: Math.round(delayMs), error: error.code, cause: error.cause ? error.cause.message : undefined,
+    }, 'WARNING'),
+});
+// Reported with summaries (exports cite it) and part of the cache keys
+const MODEL_NAME = `${llm.name}/${llm.modelId}`;
+// Approximate tokens of query data (column profile plus sampled rows) included per tile
+const PROMPT_DATA_TOKEN_BUDGET = Number(process.env.PROMPT_DATA_TOKEN_BUDGET || 6000);
+const summaryGenerator = createSummaryGenerator({ llm, promptDataTokenBudget: PROMPT_DATA_TOKEN_BUDGET });
+// Approximate tokens of query data for all tiles together in /chat prompts, and the turns of history included
+const CHAT_DATA_TOKEN_BUDGET = Number(process.env.CHAT_DATA_TOKEN_BUDGET || 12000);
+const CHAT_HISTORY_TURNS = Number(process.env.CHAT_HISTORY_TURNS || 10);
+
+const summaryCache = createSummaryCache({
+    backend: process.env.SUMMARY_CACHE_BACKEND || 'memory', // 'memory', 'file' or 'none'
+    ttlSeconds: Number(process.env.SUMMARY_CACHE_TTL_SECONDS || 3600),
+    directory: process.env.SUMMARY_CACHE_DIR || path.join(__dirname, '.cache', 'summaries'),
+});
 
-app.use(express.json());
-app.use(cors());
+const conversations = createConversationStore({
+    ttlSeconds: Number(process.env.CHAT_CONVERSATION_TTL_SECONDS || 3600),
+});
 
-const writeStructuredLog = (message) => {
-    return {
-        severity: 'INFO',
-        message: message,
+// Scheduled summaries; the /schedules routes manage them, SCHEDULER_ENABLED starts the in-process timer
+const scheduleStore = createScheduleStore({
+    backend: process.env.SCHEDULER_STORE || 'file', // 'file' or 'memory'
+    file: process.env.SCHEDULER_STORE_FILE || path.join(__dirname, '.data', 'schedules.json'),
+    historyLimit: Number(process.env.SCHEDULER_HISTORY_LIMIT || 50),
+});
+const scheduler = createScheduler({
+    store: scheduleStore,
+    summarize: summarizeDashboard,
+    deliver: (destination, message) => deliver(destination, message, process.env),
+    retryDelaySeconds: Number(process.env.SCHEDULER_RETRY_DELAY_SECONDS || 60),
+    leaseSeconds: Number(process.env.SCHEDULER_LEASE_SECONDS || 3600),
+    defaultTimeZone: process.env.SCHEDULER_TIME_ZONE || 'UTC',
+});
+
+// Team prompt presets and dashboard default presets, shared by the extension's users
+const presetStore = createPresetStore({
+    backend: process.env.PRESET_STORE || 'file', // 'file' or 'memory'
+    file: process.env.PRESET_STORE_FILE || path.join(__dirname, '.data', 'presets.json'),
+});
+
+// Earlier summary runs per dashboard, saved by the extension and by scheduled runs
+const summaryHistory = createSummaryHistory({
+    backend: process.env.SUMMARY_HISTORY_STORE || 'file', // 'file' or 'memory'
+    file: process.env.SUMMARY_HISTORY_STORE_FILE || path.join(__dirname, '.data', 'summaryHistory.json'),
+    historyLimit: Number(process.env.SUMMARY_HISTORY_LIMIT || 50),
+});
+
+// Progress of the summarizations running, reported by /generationRuns/:id
+const generationRuns = createGenerationRuns({
+    ttlSeconds: Number(process.env.GENERATION_RUN_TTL_SECONDS || 3600),
+    pendingTimeoutSeconds: Number(process.env.GENERATION_RUN_PENDING_TIMEOUT_SECONDS || 600),
+});
+
+const weightsProvider = perspectiveAnalytics.createWeightsProvider({
+    source: process.env.PERSPECTIVE_WEIGHTS_SOURCE || 'file', // 'file' or 'bigquery'
+    weightsFile: process.env.PERSPECTIVE_WEIGHTS_FILE, // Defaults to fixtures/model_weights.json
+    model: process.env.PERSPECTIVE_BQML_MODEL, // project.dataset.model
+    target: process.env.PERSPECTIVE_TARGET,
+    projectId: PROJECT_ID,
+    getAccessToken,
+});
+
+// Routes that call the model: rate limited per client, audit logged and allowed larger bodies
+const GENERATE_ROUTES = [
+    '/generateQuerySummary',
+    '/generateSummary',
+    '/generateQuerySummaryStream',
+    '/generateSummaryStream',
+    '/generateQuerySuggestions',
+    '/generatePerspectiveAnalytics',
+    '/chat',
+];
+// Tiles send their full result sets, which are well over the default 100kb; other routes get a small cap
+const GENERATE_MAX_REQUEST_SIZE = process.env.MAX_REQUEST_SIZE || '10mb';
+const DEFAULT_MAX_REQUEST_SIZE = process.env.DEFAULT_MAX_REQUEST_SIZE || '100kb';
+
+// Cloud Run and load balancers set X-Forwarded-For; TRUST_PROXY is the number of proxy hops in front of the service
+app.set('trust proxy', Number(process.env.TRUST_PROXY || 0));
+const corsAllowedOrigins = (process.env.CORS_ALLOWED_ORIGINS || '').split(',').map((origin) => origin.trim()).filter(Boolean);
+app.use(cors(createCorsOptions(corsAllowedOrigins)));
+// Rate limit and audit key of a request (see clientId)
+const requestClientId = (req) => clientId(req, { clientSecret: storedClientSecret, streamTokenSecret });
+app.use(GENERATE_ROUTES, createRateLimiter({
+    windowSeconds: Number(process.env.RATE_LIMIT_WINDOW_SECONDS || 60),
+    maxRequests: Number(process.env.RATE_LIMIT_MAX_REQUESTS || 240), // 0 turns rate limiting off
+    keyOf: requestClientId,
+    onLimited: (req) => writeStructuredLog('Rate limited', { audit: auditFields(req) }, 'WARNING'),
+}));
+app.use(GENERATE_ROUTES, express.json({ limit: GENERATE_MAX_REQUEST_SIZE }));
+// Saved runs carry every tile summary of the dashboard
+app.use('/summaryRuns', express.json({ limit: GENERATE_MAX_REQUEST_SIZE }));
+// Skipped for bodies the generate routes' parser already read
+app.use(express.json({ limit: DEFAULT_MAX_REQUEST_SIZE }));
+
+// Writes a JSON log line; Cloud Logging turns it into a structured entry (see the log sink in the README)
+const writeStructuredLog = (message, fields = {}, severity = 'INFO') => {
+    console.log(JSON.stringify({
+        severity,
+        message,
         component: 'dashboard-summarization-logs',
-    };
+        ...fields,
+    }));
+};
+
+// Who called which route for which dashboard; the extension reports the Looker user and dashboard in
+// headers, which the service can't verify (see clientId)
+const auditFields = (req) => ({
+    // originalUrl, since req.path is relative inside middleware mounted on a route
+    route: req.originalUrl.split('?')[0],
+    client: requestClientId(req),
+    ip: req.ip,
+    reportedUserId: req.get('X-Looker-User-Id') || null,
+    dashboardId: req.get('X-Looker-Dashboard-Id') || null,
+});
+
+// Logs every generate request once the response is finished, with the tile it was for
+const auditGenerateRequest = (req, res, next) => {
+    const startedAt = Date.now();
+    res.on('finish', () => {
+        const query = req.body && req.body.query;
+        writeStructuredLog('Generate request', {
+            audit: {
+                ...auditFields(req),
+                tile: query && typeof query === 'object' ? query.title || null : null,
+                tiles: Array.isArray(req.body && (req.body.querySummaries || req.body.tiles))
+                    ? (req.body.querySummaries || req.body.tiles).length
+                    : undefined,
+                status: res.statusCode,
+                durationMs: Date.now() - startedAt,
+            },
+        });
+    });
+    next();
+};
+app.use(GENERATE_ROUTES, auditGenerateRequest);
+
+const rejectRequest = (req, res, reason) => {
+    writeStructuredLog('Rejected request', { audit: { ...auditFields(req), reason } }, 'WARNING');
+    res.status(403).send('Forbidden: Invalid client secret');
 };
 
-// Middleware to verify client secret
+// Middleware to verify the client secret, sent by the Looker server proxy in the X-Client-Secret header
 const verifyClientSecret = (req, res, next) => {
-    const clientSecret = req.body.client_secret;
-    if (clientSecret === storedClientSecret) {
+    if (secretMatches(storedClientSecret, req.get('X-Client-Secret'))) {
+        next();
+    } else if (DEV_LOOPBACK_BYPASS && isLoopbackRequest(req)) {
         next();
     } else {
-        res.status(403).send('Forbidden: Invalid client secret');
+        rejectRequest(req, res, 'invalid client secret');
     }
 };
 
-// Helper function to get Google Cloud access token
-async function getAccessToken() {
-    try {
-        const { GoogleAuth } = require('google-auth-library');
-        const auth = new GoogleAuth({
-            scopes: 'https://www.googleapis.com/auth/cloud-platform',
-        });
-        const client = await auth.getClient();
-        const accessToken = await client.getAccessToken();
-        return accessToken.token;
-    } catch (error) {
-        console.error('Error getting access token:', error);
-        throw error; // Re-throw to be caught by caller
+// Middleware for the streaming routes, which are called directly by the browser with a stream token
+const verifyStreamAccess = (req, res, next) => {
+    const [scheme, token] = (req.get('Authorization') || '').split(' ');
+    if (scheme === 'Bearer' && verifyStreamToken(streamTokenSecret, token) !== null) {
+        next();
+    } else {
+        verifyClientSecret(req, res, next);
     }
-}
+};
+
+// Opens a Server-Sent Events response and returns a function to send named events
+const openEventStream = (res) => {
+    res.writeHead(200, {
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache, no-transform',
+        'Connection': 'keep-alive',
+        'X-Accel-Buffering': 'no', // Disable proxy buffering
+    });
+    res.flushHeaders();
+    return (event, data) => res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+};
 
 // --- API Endpoint Handlers (using REST API) ---
 
+// Failed generation is answered with a typed error ({ error, message, retryable }, see resilience.js)
+// and its status, so the extension can tell a rate limit or timeout it may retry from a bad request
+const sendGenerationError = (res, route, e) => {
+    console.error(`Error in ${route}:`, e);
+    const error = toGenerationError(e);
+    res.status(error.status).json(generationErrorBody(error));
+};
+
+// A tile request with the `runId` of a generation run and its `tileIndex` updates the run's status
+const trackedQuerySummary = (body, onChunk) =>
+    generationRuns.track(body.runId, body.tileIndex, () => cachedQuerySummary(body, onChunk));
+
+const trackedSummary = (body, onChunk) =>
+    generationRuns.track(body.runId, 'summary', () => cachedSummary(body, onChunk));
+
 app.post('/generateQuerySummary', verifyClientSecret, async (req, res) => {
-    const { query, description, nextStepsInstructions } = req.body;
     try {
-        const summary = await generateQuerySummary(query, description, nextStepsInstructions);
-        res.json({ summary });
+        const { summary, cache, verification, findings } = await trackedQuerySummary(req.body);
+        res.json({ summary, cache, verification, findings, model: MODEL_NAME });
     } catch (e) {
-        console.error('Error in /generateQuerySummary:', e);
-        res.status(500).send('Internal Server Error');
+        sendGenerationError(res, '/generateQuerySummary', e);
     }
 });
 
 app.post('/generateSummary', verifyClientSecret, async (req, res) => {
-    const { querySummaries, nextStepsInstructions } = req.body;
     try {
-        const summary = await generateSummary(querySummaries, nextStepsInstructions);
-        res.json({ summary });
+        const { summary, cache, figures } = await trackedSummary(req.body);
+        res.json({ summary, cache, figures, model: MODEL_NAME });
+    } catch (e) {
+        sendGenerationError(res, '/generateSummary', e);
+    }
+});
+
+app.post('/streamToken', verifyClientSecret, (req, res) => {
+    res.json(createStreamToken(streamTokenSecret, { userId: req.get('X-Looker-User-Id') || null }));
+});
+
+// Streaming variants: `chunk` events carry text as it is generated, then a `done` event
+// carries the complete summary (or an `error` event with the typed error if generation failed).
+// Cache hits skip straight to the `done` event.
+const sendStreamError = (send, route, e) => {
+    console.error(`Error in ${route}:`, e);
+    send('error', generationErrorBody(toGenerationError(e)));
+};
+
+app.post('/generateQuerySummaryStream', verifyStreamAccess, async (req, res) => {
+    const send = openEventStream(res);
+    try {
+        const { summary, cache, verification, findings } = await trackedQuerySummary(req.body, (text) => send('chunk', { text }));
+        send('done', { summary, cache, verification, findings, model: MODEL_NAME });
+    } catch (e) {
+        sendStreamError(send, '/generateQuerySummaryStream', e);
+    }
+    res.end();
+});
+
+app.post('/generateSummaryStream', verifyStreamAccess, async (req, res) => {
+    const send = openEventStream(res);
+    try {
+        const { summary, cache, figures } = await trackedSummary(req.body, (text) => send('chunk', { text }));
+        send('done', { summary, cache, figures, model: MODEL_NAME });
     } catch (e) {
-        console.error('Error in /generateSummary:', e);
-        res.status(500).send('Internal Server Error');
+        sendStreamError(send, '/generateSummaryStream', e);
     }
+    res.end();
+});
+
+// --- Generation Runs ---
+
+const sendGenerationRunError = (res, route, e) => {
+    if (e instanceof GenerationRunValidationError) {
+        return res.status(400).json({ errors: e.errors });
+    }
+    console.error(`Error in ${route}:`, e);
+    res.status(500).send('Internal Server Error');
+};
+
+// Starts tracking a summarization of { dashboardId, tiles } (the tile titles); the tile and summary
+// requests then send the returned run's id
+app.post('/generationRuns', verifyClientSecret, (req, res) => {
+    try {
+        const run = generationRuns.start(req.body || {}, { source: 'extension', userId: req.get('X-Looker-User-Id') || null });
+        res.status(201).json({ run });
+    } catch (e) {
+        sendGenerationRunError(res, 'POST /generationRuns', e);
+    }
+});
+
+// Runs of the dashboard in ?dashboardId= still kept, newest first
+app.get('/generationRuns', verifyClientSecret, (req, res) => {
+    if (typeof req.query.dashboardId !== 'string' || !req.query.dashboardId) {
+        return res.status(400).json({ errors: ['dashboardId is required'] });
+    }
+    res.json({ runs: generationRuns.list(req.query.dashboardId) });
+});
+
+// The run's status (running, partial, failed or complete) with each tile's status and error
+app.get('/generationRuns/:id', verifyClientSecret, (req, res) => {
+    const run = generationRuns.get(req.params.id);
+    if (!run) return res.status(404).send('Not Found');
+    res.json({ run });
 });
 
 app.post('/generateQuerySuggestions', verifyClientSecret, async (req, res) => {
@@ -82,212 +337,533 @@ app.post('/generateQuerySuggestions', verifyClientSecret, async (req, res) => {
         const suggestions = await generateQuerySuggestions(queryResults, querySummaries, nextStepsInstructions);
         res.json({ suggestions });
     } catch (e) {
-        console.error('Error in /generateQuerySuggestions:', e);
-        res.status(500).send('Internal Server Error');
+        sendGenerationError(res, '/generateQuerySuggestions', e);
     }
 });
 
-// --- Helper Functions (using REST API) ---
+app.post('/generatePerspectiveAnalytics', verifyClientSecret, async (req, res) => {
+    const { query } = req.body || {};
+    if (typeof query !== 'string' || !query.trim()) {
+        return res.status(400).send('Bad Request: query must be a non-empty string');
+    }
+    try {
+        const { analysis, computation } = await generatePerspectiveAnalytics(query);
+        res.json({ analysis, computation });
+    } catch (e) {
+        sendGenerationError(res, '/generatePerspectiveAnalytics', e);
+    }
+});
 
-async function generateQuerySummary(query, description, nextStepsInstructions) {
-    const accessToken = await getAccessToken();
-    const prompt = {
-        contents: [{
-            role: 'user',
-            parts: [{
-                text: getQuerySummaryPrompt(query, description, nextStepsInstructions)
-            }]
-        }]
-    };
+// Follow-up questions about the dashboard. The first turn sends `tiles` (the tile queries with their
+// results and summaries); later turns send the `conversationId` returned. An unknown or expired
+// conversation gets a 404, and the extension starts over with the tiles and the turns (`history`) so far.
+app.post('/chat', verifyClientSecret, async (req, res) => {
+    const { conversationId, message, tiles, history, description } = req.body;
+    if (typeof message !== 'string' || !message.trim()) {
+        return res.status(400).json({ error: 'message is required' });
+    }
+    try {
+        let conversation = conversationId ? conversations.get(conversationId) : null;
+        if (!conversation) {
+            if (!Array.isArray(tiles) || tiles.length === 0) {
+                return res.status(404).json({ error: 'conversation_not_found' });
+            }
+            conversation = conversations.create({
+                tiles: tiles.map((tile, index) => ({ id: tileId(index), title: tile.title })),
+                grounding: describeChatTiles(tiles),
+                description,
+                turns: Array.isArray(history) ? history.map(({ role, content }) => ({ role, content })) : [],
+            });
+        }
+        const { answer, citations } = await answerChatMessage(conversation, message);
+        conversations.addTurns(conversation, { role: 'user', content: message }, { role: 'assistant', content: answer });
+        res.json({ conversationId: conversation.id, answer, citations, model: MODEL_NAME });
+    } catch (e) {
+        sendGenerationError(res, '/chat', e);
+    }
+});
 
-    const response = await fetch(API_ENDPOINT, {
-        method: 'POST',
-        headers: {
-            'Authorization': `Bearer ${accessToken}`,
-            'Content-Type': 'application/json',
-        },
-        body: JSON.stringify(prompt),
-    });
+// --- Google Chat Export ---
+// Posted as the Chat app (see googleChat.js); Chat API errors are passed on so the extension can show them
 
-    if (!response.ok) {
-        const errorText = await response.text(); // Get error message
-        throw new Error(`API request failed with status ${response.status}: ${errorText}`);
+const sendGoogleChatError = (res, route, e) => {
+    console.error(`Error in ${route}:`, e);
+    if (e instanceof googleChat.GoogleChatError) {
+        return res.status(e.status === 400 ? 400 : 502).json({ error: e.message });
     }
-    const data = await response.json();
+    res.status(500).json({ error: 'Internal Server Error' });
+};
 
-    if (data.error) {
-        throw new Error(`Vertex AI API error: ${data.error.message}`);
+app.post('/googleChat/spaces', verifyClientSecret, async (req, res) => {
+    try {
+        res.json({ spaces: await googleChat.listSpaces(getAccessToken) });
+    } catch (e) {
+        sendGoogleChatError(res, '/googleChat/spaces', e);
     }
+});
 
-    return data.candidates[0]?.content?.parts[0]?.text || '';
-}
+app.post('/googleChat/messages', verifyClientSecret, async (req, res) => {
+    const { space, messages } = req.body;
+    try {
+        res.json({ messages: await googleChat.postMessages(getAccessToken, space, messages) });
+    } catch (e) {
+        sendGoogleChatError(res, '/googleChat/messages', e);
+    }
+});
+
+// --- Scheduled Summaries ---
 
-function getQuerySummaryPrompt(query, description, nextStepsInstructions) {
-    const queryPrompt = `
-    You are an expert Looker dashboard analyst tasked with summarizing dashboard queries and providing actionable next steps in Markdown format.
+const sendScheduleError = (res, route, e) => {
+    if (e instanceof ScheduleValidationError) {
+        return res.status(400).json({ errors: e.errors });
+    }
+    if (e instanceof ScheduleRunningError) {
+        return res.status(409).send('Conflict: the schedule is already running');
+    }
+    console.error(`Error in ${route}:`, e);
+    res.status(500).send('Internal Server Error');
+};
 
-    **Strict Formatting and Content Requirements:**
+// The client secret isn't part of the schedule
+const scheduleFields = ({ client_secret, ...fields }) => fields;
 
-    * **Markdown Output:** All responses must be formatted using Markdown. Supported elements include headings, bold, italic, links, tables, lists, code blocks, and blockquotes.
-    * **No Images:** Do not include or attempt to render images.
-    * **Numerical Formatting:** Format numerical values as percentages or dollar amounts (rounded to the nearest cent).
-    * **No Indentation:** Do not indent any part of your response.
-    * **Query-Specific Sections:** Each dashboard query summary should adhere to the following structure, starting on a new line:
-        * \`## Query Name\`: Use the "Query Title" from the provided context.
-        * \`Description\`: A concise (2-4 sentences) paragraph describing the query.
-        * \`> Summary\`: A blockquote (3-5 sentences) summarizing the query results for user comprehension.
-        * \`## Next Steps\`: A bulleted list of 2-3 actionable next steps based on the query summary.
-    * **Newlines and Dividers:** Each query summary must start on a new line and end with a horizontal divider (\`---\`).
+app.get('/schedules', verifyClientSecret, async (req, res) => {
+    try {
+        res.json({ schedules: await scheduleStore.listSchedules() });
+    } catch (e) {
+        sendScheduleError(res, 'GET /schedules', e);
+    }
+});
 
-    **Context:**
-    
-    Summary style/specialized instructions: ${nextStepsInstructions || ''}
-    Dashboard Detail: ${description || ''} 
+app.post('/schedules', verifyClientSecret, async (req, res) => {
+    try {
+        res.status(201).json({ schedule: await scheduler.createSchedule(scheduleFields(req.body)) });
+    } catch (e) {
+        sendScheduleError(res, 'POST /schedules', e);
+    }
+});
+
+app.put('/schedules/:id', verifyClientSecret, async (req, res) => {
+    try {
+        const schedule = await scheduler.updateSchedule(req.params.id, scheduleFields(req.body));
+        if (!schedule) return res.status(404).send('Not Found');
+        res.json({ schedule });
+    } catch (e) {
+        sendScheduleError(res, 'PUT /schedules/:id', e);
+    }
+});
+
+app.delete('/schedules/:id', verifyClientSecret, async (req, res) => {
+    try {
+        const deleted = await scheduleStore.deleteSchedule(req.params.id);
+        res.status(deleted ? 204 : 404).end();
+    } catch (e) {
+        sendScheduleError(res, 'DELETE /schedules/:id', e);
+    }
+});
+
+app.get('/schedules/:id/runs', verifyClientSecret, async (req, res) => {
+    try {
+        res.json({ runs: await scheduleStore.listRuns(req.params.id) });
+    } catch (e) {
+        sendScheduleError(res, 'GET /schedules/:id/runs', e);
+    }
+});
+
+// Runs a schedule now, e.g. to retry a failed run, and responds with the run once it has finished.
+// Runs aren't left in the background: Cloud Run throttles the CPU of an instance after its response.
+app.post('/schedules/:id/run', verifyClientSecret, async (req, res) => {
+    try {
+        const schedule = await scheduleStore.getSchedule(req.params.id);
+        if (!schedule) return res.status(404).send('Not Found');
+        res.json({ run: await scheduler.runSchedule(schedule, 'manual') });
+    } catch (e) {
+        sendScheduleError(res, 'POST /schedules/:id/run', e);
+    }
+});
 
-    Query Details: "Query Title: ${query.title} 
-    ${query.note_text !== '' && query.note_text !== null ? "Query Note: " + query.note_text : ''} 
-    Query Fields: ${query.queryBody.fields} 
-    Query Data: ${JSON.stringify(query.queryData)}"
+// Runs due schedules and responds with their runs once they have finished; call every minute from
+// Cloud Scheduler when the in-process timer is off
+app.post('/schedules/tick', verifyClientSecret, async (req, res) => {
+    try {
+        res.json({ runs: await scheduler.tick() });
+    } catch (e) {
+        sendScheduleError(res, 'POST /schedules/tick', e);
+    }
+});
 
-    **Example Output (Use as a Template, Not Verbatim):**
+// --- Summary History ---
 
-    \`\`\`markdown
-    ## Web Traffic Over Time
+const sendSummaryRunError = (res, route, e) => {
+    if (e instanceof SummaryRunValidationError) {
+        return res.status(400).json({ errors: e.errors });
+    }
+    console.error(`Error in ${route}:`, e);
+    res.status(500).send('Internal Server Error');
+};
 
-    This query details the amount of web traffic received to the website over the past 6 months. It includes a web traffic source field of organic, search, and display, as well as an amount field detailing the number of users from those sources.
+// Runs of the dashboard in ?dashboardId=, newest first and without their summaries
+app.get('/summaryRuns', verifyClientSecret, async (req, res) => {
+    try {
+        if (typeof req.query.dashboardId !== 'string' || !req.query.dashboardId) {
+            return res.status(400).json({ errors: ['dashboardId is required'] });
+        }
+        res.json({ runs: await summaryHistory.listRuns(req.query.dashboardId) });
+    } catch (e) {
+        sendSummaryRunError(res, 'GET /summaryRuns', e);
+    }
+});
 
-    > It appears that search has consistently driven the highest user traffic, with 9875 users in the past month and a peak in December at 1000 unique users. Organic traffic is the second highest, while display traffic is significantly lower. Display traffic started strong but declined steadily. There was a notable 23% spike in organic traffic in March.
+app.get('/summaryRuns/:id', verifyClientSecret, async (req, res) => {
+    try {
+        const run = await summaryHistory.getRun(req.params.id);
+        if (!run) return res.status(404).send('Not Found');
+        res.json({ run });
+    } catch (e) {
+        sendSummaryRunError(res, 'GET /summaryRuns/:id', e);
+    }
+});
 
-    ## Next Steps
-    * Investigate the 23% organic traffic spike in March to identify potential causes (e.g., marketing campaign, website error).
-    * Segment search traffic by campaign source to identify high-performing strategies.
-    * Analyze display traffic patterns to determine the factors contributing to its decline and explore optimization strategies.
-    ---
-    \`\`\`
-    `;
-    return queryPrompt;
+app.post('/summaryRuns', verifyClientSecret, async (req, res) => {
+    try {
+        const run = await summaryHistory.saveRun(req.body || {}, { source: 'extension', userId: req.get('X-Looker-User-Id') || null });
+        writeStructuredLog('Saved summary run', { audit: { ...auditFields(req), dashboardId: run.dashboardId, runId: run.id, dataHash: run.dataHash } });
+        res.status(201).json({ run });
+    } catch (e) {
+        sendSummaryRunError(res, 'POST /summaryRuns', e);
+    }
+});
+
+// --- Prompt Presets ---
+
+const sendPresetError = (res, route, e) => {
+    if (e instanceof PresetValidationError) {
+        return res.status(400).json({ errors: e.errors });
+    }
+    console.error(`Error in ${route}:`, e);
+    res.status(500).send('Internal Server Error');
+};
+
+// Team presets, and the default preset of the dashboard in ?dashboardId= (null without one)
+app.get('/presets', verifyClientSecret, async (req, res) => {
+    try {
+        const dashboardId = typeof req.query.dashboardId === 'string' ? req.query.dashboardId : null;
+        res.json({
+            presets: await presetStore.listPresets(),
+            dashboardDefault: dashboardId ? await presetStore.getDashboardDefault(dashboardId) : null,
+        });
+    } catch (e) {
+        sendPresetError(res, 'GET /presets', e);
+    }
+});
+
+app.post('/presets', verifyClientSecret, async (req, res) => {
+    try {
+        const preset = await presetStore.createPreset(req.body || {}, req.get('X-Looker-User-Id') || null);
+        writeStructuredLog('Created prompt preset', { audit: { ...auditFields(req), presetId: preset.id } });
+        res.status(201).json({ preset });
+    } catch (e) {
+        sendPresetError(res, 'POST /presets', e);
+    }
+});
+
+app.put('/presets/:id', verifyClientSecret, async (req, res) => {
+    try {
+        const preset = await presetStore.updatePreset(req.params.id, req.body || {}, req.get('X-Looker-User-Id') || null);
+        if (!preset) return res.status(404).send('Not Found');
+        writeStructuredLog('Updated prompt preset', { audit: { ...auditFields(req), presetId: preset.id } });
+        res.json({ preset });
+    } catch (e) {
+        sendPresetError(res, 'PUT /presets/:id', e);
+    }
+});
+
+app.delete('/presets/:id', verifyClientSecret, async (req, res) => {
+    try {
+        const deleted = await presetStore.deletePreset(req.params.id);
+        if (deleted) {
+            writeStructuredLog('Deleted prompt preset', { audit: { ...auditFields(req), presetId: req.params.id } });
+        }
+        res.status(deleted ? 204 : 404).end();
+    } catch (e) {
+        sendPresetError(res, 'DELETE /presets/:id', e);
+    }
+});
+
+// Body { presetId }: a team or built-in preset id, or null to clear the default
+app.put('/dashboards/:dashboardId/defaultPreset', verifyClientSecret, async (req, res) => {
+    try {
+        const presetId = await presetStore.setDashboardDefault(req.params.dashboardId, (req.body || {}).presetId ?? null, req.get('X-Looker-User-Id') || null);
+        writeStructuredLog('Set dashboard default preset', { audit: { ...auditFields(req), dashboardId: req.params.dashboardId, presetId } });
+        res.json({ dashboardId: req.params.dashboardId, presetId });
+    } catch (e) {
+        sendPresetError(res, 'PUT /dashboards/:dashboardId/defaultPreset', e);
+    }
+});
+
+// --- Helper Functions (using REST API) ---
+
+// Cached summaries are keyed on everything in the prompt plus the model; forceRefresh bypasses the lookup
+// `comparison` ({ label, shiftedFilters, previousQueryData }) switches to the period-over-period prompt.
+// Summaries are verified against the tile's data on every request, cached or not. The anomaly findings
+// are computed from the data (part of the key) and returned for the extension to show.
+async function cachedQuerySummary({ query, description, nextStepsInstructions, comparison, forceRefresh }, onChunk) {
+    const findings = findQueryAnomalies(query);
+    const keyParts = {
+        title: query.title,
+        noteText: query.note_text,
+        queryBody: query.queryBody,
+        queryData: query.queryData,
+        appliedFilters: query.appliedFilters,
+        comparison,
+        description,
+        nextStepsInstructions,
+        model: MODEL_NAME,
+    };
+    const { value, cache } = await summaryCache.wrap(comparison ? 'comparisonSummary' : 'querySummary', keyParts, { forceRefresh },
+        () => (comparison
+            ? summaryGenerator.generateComparisonSummary(query, comparison, description, nextStepsInstructions, onChunk)
+            : summaryGenerator.generateQuerySummary(query, description, nextStepsInstructions, findings, onChunk)));
+    return { summary: value, cache, verification: checkQuerySummary(value, query, comparison, description, findings), findings };
+}
+
+// Like verification, a failed analysis leaves the tile without findings rather than failing the request
+function findQueryAnomalies(query) {
+    try {
+        return detectAnomalies(query.queryData);
+    } catch (e) {
+        console.error('Error detecting anomalies:', e);
+        return [];
+    }
+}
+
+// A failed check leaves the summary unverified (null) rather than failing the request
+function checkQuerySummary(summary, query, comparison, description, findings) {
+    try {
+        return verifyQuerySummary(summary, query, { comparison, description, findings });
+    } catch (e) {
+        console.error('Error verifying query summary:', e);
+        return null;
+    }
 }
 
+async function cachedSummary({ querySummaries, nextStepsInstructions, comparison, forceRefresh }, onChunk) {
+    const keyParts = { querySummaries, nextStepsInstructions, comparison, model: MODEL_NAME };
+    const { value, cache } = await summaryCache.wrap('summary', keyParts, { forceRefresh },
+        () => summaryGenerator.generateSummary(querySummaries, nextStepsInstructions, onChunk, comparison));
+    // Figures of the summary with the index of the tile summary each was taken from
+    return { summary: value, cache, figures: linkSummaryFigures(value, querySummaries) };
+}
+
+// Resolves with suggestions that passed validateSuggestions; empty when the tiles have no explore to query
+async function generateQuerySuggestions(queryResults, querySummaries, nextStepsInstructions) {
+    const catalog = buildFieldCatalog(queryResults);
+    if (catalog.size === 0) return [];
+    const summaries = (querySummaries || []).filter(Boolean)
+        .map((summary) => `${summary.queryTitle}: ${summary.summary}\n    Next steps: ${(summary.nextSteps || []).join(' ')}`);
+    const prompt = `
+    You are an expert Looker analyst suggesting follow-up queries that investigate the dashboard's findings further.
+
+    **Strict Requirements:**
+
+    * **Runnable Queries:** Each suggestion is a Looker query on one of the explores listed below, using only that explore's listed fields by their exact names.
+    * **Targeted Investigation:** Build on the tile summaries and next steps below instead of repeating the tiles' own queries, e.g. a different breakdown, a narrower filter or a longer time range.
+    * **Alignment with Next Steps:** Follow the next step instructions: \`${nextStepsInstructions}\`
+    * **Date Filtering:** Filter every query on a date field when its explore lists one. If no range is suggested by the context, use "last 30 days".
+    * **Filters:** Use Looker filter expressions, e.g. "last 30 days", ">1000", "EMEA,APAC" or "-Unknown".
+    * **JSON Output:** Respond with ONLY a JSON object holding exactly three suggestions, without code fences or any other text:
+        {"suggestions": [{"title": "Top products in EMEA", "question": "Which products drove EMEA revenue in the last 30 days?", "model": "ecommerce", "explore": "order_items", "fields": ["products.name", "order_items.total_sale_price"], "filters": [{"field": "order_items.created_date", "value": "last 30 days"}, {"field": "users.region", "value": "EMEA"}], "sorts": ["order_items.total_sale_price desc"], "limit": 10}]}
+
+    **Context:**
+
+    Explores and fields:
+    ${describeFieldCatalog(catalog).replace(/\n/g, '\n    ')}
 
-async function generateSummary(querySummaries, nextStepsInstructions) {
-    const accessToken = await getAccessToken();
-    const finalPromptData = `
-    You are a specialized answering assistant that can summarize a Looker dashboard and the underlying data and propose operational next steps drawing conclusions from the Query Details listed above. Follow the instructions below:
-
-    Please highlight the findings of all of the query data here. All responses MUST be based on the actual information returned by these queries: \n                                     
-    data: ${querySummaries.join('\n')}
-
-    For example, use the names of the locations in the data series (like Seattle, Indianapolis, Chicago, etc) in recommendations regarding locations. Use the name of a process if discussing processes. Don't use row numbers to refer to any facility, process or location. This information should be sourced from the above data.
-    Surface the most important or notable details and combine next steps recommendations into one bulleted list of 2-6 suggestions. \n
-    --------------
-    Here is an output format Example:
-    ----------------
-    
-    ## Web Traffic Over Time \n
-    This query details the amount of web traffic received to the website over the past 6 months. It includes a web traffic source field of organic, search and display
-    as well as an amount field detailing the amount of people coming from those sources to the website. \n
-    
-    > It looks like search historically has been driving the most user traffic with 9875 users over the past month with peak traffic happening in december at 1000 unique users.
-    Organic comes in second and display a distant 3rd. It seems that display got off to a decent start in the year, but has decreased in volume consistently into the end of the year.
-    There appears to be a large spike in organic traffic during the month of March a 23% increase from the rest of the year.\n
-    \n
-    
-    ## Next Steps
-    * Look into the data for the month of March to determine if there was an issue in reporting and/or what sort of local events could have caused the spike
-    * Continue investing into search advertisement with common digital marketing strategies. IT would also be good to identify/breakdown this number by campaign source and see what strategies have been working well for Search.
-    * Display seems to be dropping off and variable. Use only during select months and optimize for heavily trafficed areas with a good demographic for the site retention.\n
-    \n
-    -----------
-
-    Please add actionable next steps, both for immediate intervention, improved data gathering and further analysis of existing data.
-    Here are some tips for creating actionable next steps: \n
-    -----------
-    ${nextStepsInstructions}
-    -----------
-    
+    Tile summaries:
+    ${summaries.join('\n    ')}
     `;
-    const prompt = {
-        contents: [{ role: 'user', parts: [{ text: finalPromptData }] }]
-    };
-    const response = await fetch(API_ENDPOINT, {
-        method: 'POST',
-        headers: {
-            'Authorization': `Bearer ${accessToken}`,
-            'Content-Type': 'application/json',
-        },
-        body: JSON.stringify(prompt),
-    });
+    const response = await generateStructured(llm, prompt, QUERY_SUGGESTIONS_SCHEMA, { task: 'querySuggestions' });
+    return validateSuggestions(response.suggestions, catalog);
+}
+
+// Model weights only change when the model is retrained, so load them once
+let modelWeightsPromise = null;
 
-    if (!response.ok) {
-          const errorText = await response.text();
-        throw new Error(`API request failed with status ${response.status}: ${errorText}`);
+function loadModelWeights() {
+    if (!modelWeightsPromise) {
+        modelWeightsPromise = weightsProvider.load().catch((error) => {
+            modelWeightsPromise = null;
+            throw error;
+        });
     }
+    return modelWeightsPromise;
+}
 
-    const data = await response.json();
-      if (data.error) {
-        throw new Error(`Vertex AI API error: ${data.error.message}`);
+async function generatePerspectiveAnalytics(userQuestion) {
+    const model = await loadModelWeights();
+    const question = perspectiveAnalytics.extractQuestion(userQuestion);
+    const computation = perspectiveAnalytics.analyzeQuestion(question, model);
+    const fallback = perspectiveAnalytics.describeComputation(computation);
+    // Nothing was computed, so there is nothing for the model to phrase
+    if (computation.type === 'unrecognized') {
+        return { analysis: fallback, computation };
+    }
+
+    // The numbers are final at this point; the LLM only phrases them
+    try {
+        const analysis = await llm.generate(perspectiveAnalytics.getPerspectivePrompt(computation, model), { task: 'perspectiveAnalytics' });
+        return { analysis: analysis || fallback, computation };
+    } catch (error) {
+        console.error('Error phrasing perspective analytics, returning computed result:', error);
+        return { analysis: fallback, computation };
     }
-    return data.candidates[0]?.content?.parts[0]?.text || '';
 }
 
+// Each tile with its id, summary, filters and data, sharing CHAT_DATA_TOKEN_BUDGET
+function describeChatTiles(tiles) {
+    const tokenBudget = Math.max(500, Math.floor(CHAT_DATA_TOKEN_BUDGET / tiles.length));
+    return tiles.map((tile, index) => {
+        const summary = tile.summary || {};
+        return `[${tileId(index)}] ${tile.title}
+    ${tile.note_text ? `Tile Note: ${tile.note_text}` : ''}
+    Summary: ${summary.summary || 'not generated'}
+    ${describeAppliedFilters(tile.appliedFilters)}
+    ${tile.queryData ? describeQueryResult(tile.queryData, tile.queryBody, tokenBudget) : 'Data: not loaded'}`;
+    }).join('\n\n    ');
+}
 
+// Resolves with { answer, citations: [{ tileId, title, evidence }] }
+async function answerChatMessage(conversation, message) {
+    const prompt = getChatPrompt(conversation, message);
+    const response = await generateStructured(llm, prompt, CHAT_ANSWER_SCHEMA, { task: 'chat' });
+    return { answer: response.answer, citations: resolveCitations(response.answer, response.citations, conversation.tiles) };
+}
 
-async function generateQuerySuggestions(queryResults, querySummaries, nextStepsInstructions) {
-    const accessToken = await getAccessToken();
-    const querySuggestionsPromptData = `
-    You are an expert Looker analyst tasked with generating actionable next-step investigation queries in JSON format.
+function getChatPrompt(conversation, message) {
+    const turns = conversation.turns.slice(-CHAT_HISTORY_TURNS)
+        .map((turn) => `${turn.role === 'user' ? 'User' : 'Assistant'}: ${turn.content}`);
+    return `
+    You are an expert Looker dashboard analyst answering follow-up questions about a dashboard. The dashboard's tiles, with their data and summaries, are listed below.
 
-    Your goal is to provide a JSON array of strings, where each string represents a potential Looker query or data exploration suggestion. These suggestions should directly address the "next steps" in analysis, guided by the following criteria:
+    **Strict Requirements:**
 
-    * **Actionable and Looker-Executable:** Queries must be feasible within the Looker platform.
-    * **Targeted Investigation:** Queries should build upon the provided queryResults and querySummaries, avoiding repetition of existing analyses.
-    * **Alignment with Next Steps:** Queries must directly relate to the analytical "next steps" outlined in \`${nextStepsInstructions}\` and the context provided within \`${querySummaries}\`.
-    * **Date Filtering:** Include a date filter in every query. If a relevant date range isn't specified in the context, default to the "last 30 days."
+    * **Grounding:** Answer only from the tiles below. When they can't answer the question, say so and name the data that would.
+    * **Citations:** After each figure or claim, cite the tile it comes from by its id in brackets, e.g. [T2]. List every cited tile in \`citations\` with the figures or rows you used as \`evidence\`.
+    * **Whole Result:** The data may be a sample. Base totals, averages, ranges and changes on the Column Profile, which covers every row.
+    * **Field Labels:** Refer to fields by their labels (e.g. "Total Sale Price (USD)"), never by technical names.
+    * **Length:** Keep answers to a few sentences or a short list. Use Markdown for emphasis and lists, no headings.
+    * **JSON Output:** Respond with ONLY a JSON object, without code fences or any other text:
+        {"answer": "EMEA drove the drop: revenue fell 18% to $1.2M [T1].", "citations": [{"tileId": "T1", "evidence": "EMEA revenue $1.2M vs $1.46M"}]}
 
-    Here's the data context:
+    **Context:**
 
-    * **Current Data:** \`${queryResults}\`
-    * **Previous Analysis and Next Steps:** \`${querySummaries}\`
-    * **Next Step Instructions:** \`${nextStepsInstructions}\`
+    Dashboard Detail: ${conversation.description || ''}
 
-    Output Format:
+    Tiles:
+    ${conversation.grounding}
 
-    Provide your response in the following JSON format, containing exactly three querySuggestion elements:
+    ${turns.length > 0 ? `Conversation so far:\n    ${turns.join('\n    ')}` : ''}
 
-    \`\`\`json
-    [
-        {"querySuggestion": "Show me the top XXX entries for YYY on October 13th, 2024"},
-        {"querySuggestion": "What are the lowest values for ZZZ, grouped by AAA, in the last 30 days?"},
-        {"querySuggestion": "What is the productivity and standard deviation for the XXX facility for the past 3 months?"}
-    ]
-    \`\`\`
+    User question: ${message}
     `;
+}
 
-    const prompt = {
-        contents: [{ role: 'user', parts: [{ text: querySuggestionsPromptData }] }]
-    };
-    const response = await fetch(API_ENDPOINT, {
-        method: 'POST',
-        headers: {
-            'Authorization': `Bearer ${accessToken}`,
-            'Content-Type': 'application/json',
-        },
-        body: JSON.stringify(prompt),
-    });
+// Instructions for scheduled runs that don't set their own
+const DEFAULT_SCHEDULE_INSTRUCTIONS = 'Write for executives: lead with the most important changes and risks, and keep next steps short and concrete.';
 
-    if (!response.ok) {
-        const errorText = await response.text();
-        throw new Error(`API request failed with status ${response.status}: ${errorText}`);
+// Looker's web URL, for dashboard links; the API URL usually differs only by the :19999 port
+function lookerWebUrl() {
+    return (process.env.LOOKER_WEB_URL || process.env.LOOKERSDK_BASE_URL || '').replace(/:19999$/, '').replace(/\/$/, '');
+}
+
+/**
+ * Summarizes a dashboard for a scheduled run with the same cached pipeline the extension uses:
+ * tiles are loaded through the Looker API, summarized one by one, then combined. Resolves with the
+ * message the destinations receive.
+ */
+async function summarizeDashboard({ id: scheduleId, dashboardId, filters, nextStepsInstructions }) {
+    writeStructuredLog('Scheduled summary', { audit: { route: 'scheduler', client: 'scheduler', dashboardId } });
+    const dashboard = await loadDashboard(dashboardId, filters);
+    if (dashboard.queries.length === 0) {
+        throw new Error(`No tiles of dashboard ${dashboardId} could be loaded`);
+    }
+    const instructions = nextStepsInstructions || DEFAULT_SCHEDULE_INSTRUCTIONS;
+    // Tracked like the extension's runs, so /generationRuns shows which tiles a scheduled run skipped
+    const run = generationRuns.start({ dashboardId, tiles: dashboard.queries.map((query) => query.title || '') }, { source: 'schedule' });
+    const querySummaries = [];
+    for (const [index, query] of dashboard.queries.entries()) {
+        try {
+            const { summary } = await trackedQuerySummary({ runId: run.id, tileIndex: index, query, description: dashboard.description, nextStepsInstructions: instructions });
+            querySummaries.push(summary);
+        } catch (error) {
+            console.error(`Error summarizing tile "${query.title}" of dashboard ${dashboardId}:`, error);
+        }
     }
-    const data = await response.json();
-      if (data.error) {
-        throw new Error(`Vertex AI API error: ${data.error.message}`);
+    if (querySummaries.length === 0) {
+        throw new Error(`No tiles of dashboard ${dashboardId} could be summarized`);
     }
-    return data.candidates[0]?.content?.parts[0]?.text || '';
+    const { summary } = await trackedSummary({ runId: run.id, querySummaries, nextStepsInstructions: instructions });
+    try {
+        await summaryHistory.saveRun({
+            dashboardId,
+            dashboardTitle: dashboard.title,
+            dashboardSummary: summary,
+            querySummaries,
+            filters: dashboard.filters,
+            filtersDescription: Object.entries(dashboard.filters).filter(([, value]) => value).map(([name, value]) => `${name}: ${value}`).join(', '),
+            instructions,
+            model: MODEL_NAME,
+            dataHash: hashQueryData(dashboard.queries),
+        }, { source: 'schedule', scheduleId: scheduleId || null });
+    } catch (error) {
+        // The history is for reference; the summary is still delivered
+        console.error(`Error saving the scheduled summary of dashboard ${dashboardId} to the history:`, error);
+    }
+    const filterParams = new URLSearchParams(dashboard.filters).toString();
+    return {
+        title: `Summary of ${dashboard.title}`,
+        dashboardId,
+        dashboardUrl: `${lookerWebUrl()}/dashboards/${dashboardId}${filterParams ? `?${filterParams}` : ''}`,
+        filters: dashboard.filters,
+        generatedAt: new Date().toISOString(),
+        model: MODEL_NAME,
+        markdown: summary,
+        querySummaries,
+    };
 }
 
 const PORT = process.env.PORT ? process.env.PORT : 5000;
 
-server.listen(PORT, () => {
-    console.log("Listening on: ", PORT);
+// Bodies over the size caps and malformed JSON get a JSON error instead of Express's HTML page
+app.use((err, req, res, next) => {
+    if (err.type === 'entity.too.large') {
+        writeStructuredLog('Payload too large', { audit: { ...auditFields(req), bytes: err.length, limit: err.limit } }, 'WARNING');
+        return res.status(413).json({ error: 'payload_too_large', limit: err.limit });
+    }
+    if (err.type === 'entity.parse.failed') {
+        return res.status(400).json({ error: 'invalid_json' });
+    }
+    next(err);
 });
+
+// Started by `node index.js`; tests require the app without listening
+if (require.main === module) {
+    server.listen(PORT, () => {
+        console.log("Listening on: ", PORT);
+        if (!storedClientSecret) {
+            console.warn('GENAI_CLIENT_SECRET is not set: only loopback requests with DEV_LOOPBACK_BYPASS=true are accepted');
+        }
+        if (DEV_LOOPBACK_BYPASS) {
+            console.warn('DEV_LOOPBACK_BYPASS is on: requests from this machine are accepted without the client secret');
+        }
+        if (corsAllowedOrigins.length === 0) {
+            console.warn('CORS_ALLOWED_ORIGINS is not set: browsers cannot call the service directly, so summaries are not streamed');
+        }
+        if (process.env.SCHEDULER_ENABLED === 'true') {
+            scheduler.start();
+            console.log('Scheduler started');
+        }
+    });
+}
+
+module.exports = { app, server };
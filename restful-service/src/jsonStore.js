@@ -0,0 +1,83 @@
+const fs = require('fs');
+const path = require('path');
+
+// Small JSON state stores for the schedules and prompt presets. The file backend keeps the state in
+// one JSON file (mount a volume on Cloud Run so it survives restarts); the memory backend is for local runs.
+
+// --- Backends ---
+// load() => Promise<state>, save(state) => Promise<void>
+
+function memoryBackend({ initialState }) {
+    let state = initialState();
+    return {
+        name: 'memory',
+        async load() {
+            return state;
+        },
+        async save(nextState) {
+            state = nextState;
+        },
+    };
+}
+
+function fileBackend({ file, initialState }) {
+    return {
+        name: 'file',
+        async load() {
+            try {
+                return { ...initialState(), ...JSON.parse(await fs.promises.readFile(file, 'utf8')) };
+            } catch (error) {
+                if (error.code === 'ENOENT') {
+                    return initialState();
+                }
+                throw error;
+            }
+        },
+        async save(state) {
+            await fs.promises.mkdir(path.dirname(file), { recursive: true });
+            // Write then rename so a crash mid-write can't leave a truncated file
+            const temporaryFile = `${file}.${process.pid}.tmp`;
+            await fs.promises.writeFile(temporaryFile, JSON.stringify(state, null, 2));
+            await fs.promises.rename(temporaryFile, file);
+        },
+    };
+}
+
+const backends = {
+    memory: memoryBackend,
+    file: fileBackend,
+};
+
+/**
+ * @param backend      'file' or 'memory'
+ * @param initialState () => the state of an empty store
+ * @param setting      environment variable naming the backend, for the error on an unknown one
+ * Returns { backend, load(), update(change) }; update applies change(state) and saves, resolving
+ * with what change returns.
+ */
+function createJsonStore({ backend = 'file', file, initialState, setting }) {
+    const factory = backends[backend];
+    if (!factory) {
+        throw new Error(`Unknown ${setting} "${backend}". Expected one of: ${Object.keys(backends).join(', ')}`);
+    }
+    const store = factory({ file, initialState });
+    // Updates are serialized so concurrent requests don't overwrite each other's changes
+    let queue = Promise.resolve();
+
+    return {
+        backend: store.name,
+        load: () => store.load(),
+        update(change) {
+            const result = queue.then(async () => {
+                const state = await store.load();
+                const value = change(state);
+                await store.save(state);
+                return value;
+            });
+            queue = result.catch(() => {});
+            return result;
+        },
+    };
+}
+
+module.exports = { createJsonStore };
@@ -0,0 +1,22 @@
+// Markdown rendering of structured query summaries, matching the extension's
+// src/utils/querySummaryMarkdown.ts so server-side consumers see the same layout.
+
+function querySummaryToMarkdown(summary) {
+    if (typeof summary === 'string') {
+        return summary; // Summaries generated before the JSON contract
+    }
+    return [
+        `## ${summary.queryTitle}`,
+        '',
+        summary.description,
+        '',
+        `> ${summary.summary}`,
+        '',
+        '## Next Steps',
+        ...(summary.nextSteps || []).map((step) => `* ${step}`),
+        '---',
+        '',
+    ].join('\n');
+}
+
+module.exports = { querySummaryToMarkdown };
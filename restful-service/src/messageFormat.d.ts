@@ -0,0 +1,11 @@
+// Types of messageFormat.js for the extension, which bundles it (see src/utils/exportMessages.ts)
+
+export function chunkText(text: string, limit: number): string[];
+
+export function escapeHtml(text: string): string;
+
+export function markdownToSlack(markdown: string): string;
+
+export function markdownToChatText(markdown: string): string;
+
+export function markdownToChatHtml(markdown: string): string;
@@ -0,0 +1,71 @@
+// Converts summary Markdown for Slack and Google Chat messages and splits it to fit their limits,
+// for both the extension's exports (bundled through src/utils/exportMessages.ts) and the scheduled
+// deliveries of the service (scheduler/delivery.js). Plain JavaScript without dependencies, so
+// webpack bundles it as is.
+
+// Splits text on paragraph, then line boundaries so each chunk fits `limit`
+function chunkText(text, limit) {
+    const chunks = [];
+    let current = '';
+    text.split(/(\n\n)/).forEach((part) => {
+        if ((current + part).length <= limit) {
+            current += part;
+            return;
+        }
+        if (current.trim()) chunks.push(current.trim());
+        current = '';
+        while (part.length > limit) {
+            const cut = part.lastIndexOf('\n', limit) > 0 ? part.lastIndexOf('\n', limit) : limit;
+            chunks.push(part.slice(0, cut).trim());
+            part = part.slice(cut);
+        }
+        current = part;
+    });
+    if (current.trim()) chunks.push(current.trim());
+    return chunks;
+}
+
+function escapeHtml(text) {
+    return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+// Headings and bold to *bold*, list items to bullets and links to <url|text>
+function toMrkdwn(markdown) {
+    return markdown
+        .replace(/\[([^\]]+)\]\(([^)\s]+)\)/g, '<$2|$1>')
+        .replace(/^#{1,6}\s+(.*)$/gm, '*$1*')
+        .replace(/\*\*(.+?)\*\*/g, '*$1*')
+        .replace(/^[ \t]*[-*][ \t]+/gm, '• ')
+        .replace(/^-{3,}$/gm, '');
+}
+
+// Markdown to Slack mrkdwn, which needs &, < and > escaped
+function markdownToSlack(markdown) {
+    return toMrkdwn(escapeHtml(markdown));
+}
+
+// Markdown to Google Chat text messages: the same markers as Slack, but Chat shows entities as typed
+function markdownToChatText(markdown) {
+    return toMrkdwn(markdown);
+}
+
+// Markdown to the HTML subset Google Chat card text supports
+function markdownToChatHtml(markdown) {
+    return escapeHtml(markdown)
+        .replace(/\[([^\]]+)\]\(([^)\s]+)\)/g, '<a href="$2">$1</a>')
+        .replace(/^#{1,6}\s+(.*)$/gm, '<b>$1</b>')
+        .replace(/\*\*(.+?)\*\*/g, '<b>$1</b>')
+        .replace(/^[ \t]*[-*][ \t]+/gm, '• ')
+        .replace(/^&gt;\s?/gm, '')
+        .replace(/^-{3,}$/gm, '')
+        .trim()
+        .replace(/\n/g, '<br>');
+}
+
+module.exports = {
+    chunkText,
+    escapeHtml,
+    markdownToSlack,
+    markdownToChatText,
+    markdownToChatHtml,
+};
@@ -0,0 +1,345 @@
+const fs = require('fs');
+const path = require('path');
+const fetch = require('node-fetch');
+
+// Perspective analytics answers "what if" and driver questions against a linear model.
+// All of the arithmetic happens here so the numbers are reproducible; the LLM is only
+// asked to phrase the computed result.
+
+const DEFAULT_WEIGHTS_FILE = path.join(__dirname, 'fixtures', 'model_weights.json');
+const INTERCEPT_NAMES = ['__INTERCEPT__', '_INTERCEPT_', 'intercept'];
+
+// --- Weights Providers ---
+
+// Reads { target, intercept, weights, featureMeans } from a JSON file
+function fileWeightsProvider(filePath = DEFAULT_WEIGHTS_FILE) {
+    return {
+        name: 'file',
+        async load() {
+            const raw = JSON.parse(await fs.promises.readFile(filePath, 'utf8'));
+            return normalizeModel(raw);
+        }
+    };
+}
+
+// How long each BigQuery request waits for the query, and how many times an unfinished query is polled
+const BIGQUERY_WAIT_MS = 10000;
+const BIGQUERY_MAX_POLLS = 6;
+
+async function bigQueryRequest(url, accessToken, options = {}) {
+    const response = await fetch(url, {
+        ...options,
+        headers: {
+            'Authorization': `Bearer ${accessToken}`,
+            'Content-Type': 'application/json',
+        },
+    });
+    if (!response.ok) {
+        const errorText = await response.text();
+        throw new Error(`BigQuery request failed with status ${response.status}: ${errorText}`);
+    }
+    return response.json();
+}
+
+// Reads coefficients of a BigQuery ML linear model through ML.WEIGHTS (REST API)
+function bigQueryWeightsProvider({ model, target, projectId, getAccessToken }) {
+    if (!model) {
+        throw new Error('PERSPECTIVE_BQML_MODEL must be set to `project.dataset.model` for the bigquery weights source');
+    }
+    // ML.WEIGHTS doesn't name the predicted column
+    if (!target) {
+        throw new Error('PERSPECTIVE_TARGET must be set to the predicted column for the bigquery weights source');
+    }
+    const billingProject = projectId || model.split('.')[0];
+    const baseUrl = `https://bigquery.googleapis.com/bigquery/v2/projects/${billingProject}/queries`;
+    return {
+        name: 'bigquery',
+        async load() {
+            const accessToken = await getAccessToken();
+            let data = await bigQueryRequest(baseUrl, accessToken, {
+                method: 'POST',
+                body: JSON.stringify({
+                    query: `SELECT processed_input, weight FROM ML.WEIGHTS(MODEL \`${model}\`)`,
+                    useLegacySql: false,
+                    timeoutMs: BIGQUERY_WAIT_MS,
+                }),
+            });
+            // Queries still running after timeoutMs return jobComplete: false and no rows
+            for (let poll = 0; !data.jobComplete; poll++) {
+                if (poll >= BIGQUERY_MAX_POLLS) {
+                    throw new Error(`BigQuery query of ML.WEIGHTS for ${model} did not finish within ${BIGQUERY_WAIT_MS * (BIGQUERY_MAX_POLLS + 1) / 1000} seconds`);
+                }
+                const { jobId, location } = data.jobReference;
+                const params = new URLSearchParams({ timeoutMs: String(BIGQUERY_WAIT_MS), ...(location ? { location } : {}) });
+                data = await bigQueryRequest(`${baseUrl}/${encodeURIComponent(jobId)}?${params}`, accessToken);
+            }
+            const weights = {};
+            (data.rows || []).forEach((row) => {
+                const [name, weight] = row.f.map((cell) => cell.v);
+                // Categorical inputs have a null weight and are expanded in category_weights
+                if (weight !== null) {
+                    weights[name] = Number(weight);
+                }
+            });
+            return normalizeModel({ model, target, weights });
+        }
+    };
+}
+
+// Registry of weights sources, selected with PERSPECTIVE_WEIGHTS_SOURCE
+const weightsProviders = {
+    file: (config) => fileWeightsProvider(config.weightsFile),
+    bigquery: (config) => bigQueryWeightsProvider(config),
+};
+
+function createWeightsProvider(config = {}) {
+    const source = config.source || 'file';
+    const factory = weightsProviders[source];
+    if (!factory) {
+        throw new Error(`Unknown perspective weights source "${source}". Expected one of: ${Object.keys(weightsProviders).join(', ')}`);
+    }
+    return factory(config);
+}
+
+function normalizeModel(raw) {
+    const weights = {};
+    let intercept = raw.intercept !== undefined ? Number(raw.intercept) : 0;
+    Object.entries(raw.weights || {}).forEach(([name, weight]) => {
+        if (INTERCEPT_NAMES.includes(name)) {
+            intercept = Number(weight);
+        } else {
+            weights[name] = Number(weight);
+        }
+    });
+    if (Object.keys(weights).length === 0) {
+        throw new Error('Model has no feature weights');
+    }
+    if (!raw.target) {
+        throw new Error('Model has no target: the name of the predicted column');
+    }
+    return {
+        model: raw.model || 'unknown',
+        target: raw.target,
+        description: raw.description || '',
+        intercept,
+        weights,
+        featureMeans: raw.featureMeans || {},
+    };
+}
+
+// --- Question Parsing ---
+
+const INCREASE_WORDS = ['increase', 'increases', 'increased', 'rise', 'rises', 'grow', 'grows', 'goes up', 'go up', 'raise', 'raised', 'improve', 'improves'];
+const DECREASE_WORDS = ['decrease', 'decreases', 'decreased', 'drop', 'drops', 'fall', 'falls', 'decline', 'declines', 'goes down', 'go down', 'reduce', 'reduces', 'reduced', 'lower', 'lowered'];
+const CHANGE_PATTERN = [...INCREASE_WORDS, ...DECREASE_WORDS].sort((a, b) => b.length - a.length).join('|');
+const NUMBER_PATTERN = '(\\d+(?:\\.\\d+)?)';
+const UNIT_PATTERN = '\\s*(%|percent|units?|points?)?';
+const DRIVER_QUESTION = /\b(drives?|drivers?|factors?|influenc\w*|important|importance|matters?|affects?|determines?|weights?|features?|rank\w*)\b/;
+
+// The preset prompt wraps the question in instructions; pull out the question itself
+function extractQuestion(text) {
+    const match = /user'?s question:\s*\n?\s*(.+)/i.exec(text || '');
+    const question = match ? match[1] : (text || '');
+    return question.trim().replace(/^['"]|['"]$/g, '');
+}
+
+function findFeature(name, weights) {
+    if (!name) return null;
+    return Object.keys(weights).find((feature) => feature.toLowerCase() === name.toLowerCase()) || null;
+}
+
+function directionOf(word) {
+    return DECREASE_WORDS.includes(word.toLowerCase()) ? -1 : 1;
+}
+
+function parseQuestion(question, model) {
+    const text = question.toLowerCase();
+
+    // "how can we increase medv by 5", "what would it take to raise medv by 5 points"
+    const goalMatch = new RegExp(`(${CHANGE_PATTERN})\\s+(?:the\\s+)?(\\w+)\\s+by\\s+${NUMBER_PATTERN}${UNIT_PATTERN}`).exec(text);
+    if (goalMatch && findFeature(goalMatch[2], { [model.target]: 0 })) {
+        return { type: 'goal', amount: directionOf(goalMatch[1]) * Number(goalMatch[3]) };
+    }
+
+    // "if rm increases by 2 units", "what if lstat drops by 10%"
+    const changeMatch = new RegExp(`(\\w+)\\s+(?:is\\s+|was\\s+)?(${CHANGE_PATTERN})\\s+by\\s+${NUMBER_PATTERN}${UNIT_PATTERN}`).exec(text);
+    if (changeMatch && findFeature(changeMatch[1], model.weights)) {
+        return {
+            type: 'whatIf',
+            feature: findFeature(changeMatch[1], model.weights),
+            amount: directionOf(changeMatch[2]) * Number(changeMatch[3]),
+            isPercent: changeMatch[4] === '%' || changeMatch[4] === 'percent',
+        };
+    }
+
+    // "a 1 unit increase in rm", "10% drop in lstat"
+    const nounMatch = new RegExp(`${NUMBER_PATTERN}${UNIT_PATTERN}\\s+(${CHANGE_PATTERN})\\s+(?:in|of)\\s+(\\w+)`).exec(text);
+    if (nounMatch && findFeature(nounMatch[4], model.weights)) {
+        return {
+            type: 'whatIf',
+            feature: findFeature(nounMatch[4], model.weights),
+            amount: directionOf(nounMatch[3]) * Number(nounMatch[1]),
+            isPercent: nounMatch[2] === '%' || nounMatch[2] === 'percent',
+        };
+    }
+
+    // A change the model can't compute, e.g. of an unknown or multi-word feature ("crime rate")
+    const mentioned = (changeMatch && changeMatch[1]) || (nounMatch && nounMatch[4]) || (goalMatch && goalMatch[2]);
+    if (mentioned) {
+        return { type: 'unrecognized', reason: 'unknownFeature', mentioned };
+    }
+
+    // "what drives medv", "which factors matter most"
+    if (DRIVER_QUESTION.test(text)) {
+        return { type: 'drivers' };
+    }
+    return { type: 'unrecognized', reason: 'unrecognizedQuestion' };
+}
+
+// --- Model Math ---
+
+function round(value, digits = 4) {
+    const factor = Math.pow(10, digits);
+    return Math.round(value * factor) / factor;
+}
+
+function rankDrivers(model) {
+    return Object.entries(model.weights)
+        .map(([feature, weight]) => ({
+            feature,
+            weight,
+            direction: weight >= 0 ? 'positive' : 'negative',
+        }))
+        .sort((a, b) => Math.abs(b.weight) - Math.abs(a.weight))
+        .map((driver, index) => ({ rank: index + 1, ...driver }));
+}
+
+// A percentage change needs the feature's baseline mean (BigQuery ML weights have none); without
+// it the change and impact are null and only the per-unit impact (the weight) is known
+function simulateChange(model, feature, amount, isPercent) {
+    const weight = model.weights[feature];
+    let change = amount;
+    if (isPercent) {
+        const mean = model.featureMeans[feature];
+        if (mean === undefined) {
+            return { feature, weight, percent: amount, change: null, impact: null, baselinePrediction: null };
+        }
+        change = mean * amount / 100;
+    }
+    return {
+        feature,
+        weight,
+        change: round(change),
+        impact: round(change * weight),
+        baselinePrediction: baselinePrediction(model),
+    };
+}
+
+// Prediction at the feature means, when they are known
+function baselinePrediction(model) {
+    const features = Object.keys(model.weights);
+    if (!features.every((feature) => model.featureMeans[feature] !== undefined)) {
+        return null;
+    }
+    return round(features.reduce((total, feature) => total + model.weights[feature] * model.featureMeans[feature], model.intercept));
+}
+
+// Single-feature change needed to move the target by `amount` (inverse weight)
+function goalSeek(model, amount, limit = 3) {
+    return rankDrivers(model)
+        .filter((driver) => driver.weight !== 0)
+        .slice(0, limit)
+        .map((driver) => ({
+            feature: driver.feature,
+            weight: driver.weight,
+            requiredChange: round(amount / driver.weight),
+        }));
+}
+
+function analyzeQuestion(question, model) {
+    const parsed = parseQuestion(question, model);
+    const base = { question, model: model.model, target: model.target, intercept: model.intercept };
+    switch (parsed.type) {
+        case 'whatIf':
+            return { ...base, type: 'whatIf', result: simulateChange(model, parsed.feature, parsed.amount, parsed.isPercent) };
+        case 'goal':
+            return { ...base, type: 'goal', amount: parsed.amount, result: goalSeek(model, parsed.amount) };
+        case 'unrecognized':
+            return { ...base, type: 'unrecognized', result: { reason: parsed.reason, mentioned: parsed.mentioned || null, features: Object.keys(model.weights) } };
+        default:
+            return { ...base, type: 'drivers', result: rankDrivers(model) };
+    }
+}
+
+// Plain-language statement of the computation, used in the prompt and as a fallback answer
+function describeComputation(computation) {
+    const { target, result } = computation;
+    switch (computation.type) {
+        case 'whatIf': {
+            if (result.impact === null) {
+                return [
+                    `A ${Math.abs(result.percent)}% ${result.percent < 0 ? 'decrease' : 'increase'} in ${result.feature} cannot be converted to a predicted change in ${target}, because the model has no baseline (average) value of ${result.feature} to take the percentage of.`,
+                    `Each unit of ${result.feature} changes ${target} by ${result.weight}; ask about a change in units instead.`,
+                ].join('\n');
+            }
+            const verb = result.impact >= 0 ? 'increase' : 'decrease';
+            const lines = [
+                `Changing ${result.feature} by ${result.change} (weight ${result.weight}) is predicted to ${verb} ${target} by ${Math.abs(result.impact)}.`,
+                `Impact = ${result.change} x ${result.weight} = ${result.impact}.`,
+            ];
+            if (result.baselinePrediction !== null) {
+                lines.push(`At average feature values ${target} is predicted at ${result.baselinePrediction}, so the new prediction would be ${round(result.baselinePrediction + result.impact)}.`);
+            }
+            return lines.join('\n');
+        }
+        case 'unrecognized':
+            return [
+                result.reason === 'unknownFeature'
+                    ? `The question was not understood: "${result.mentioned}" is neither ${target} nor one of the model's features, so nothing was computed.`
+                    : 'The question was not understood, so nothing was computed.',
+                `The model predicts ${target} from these features: ${result.features.join(', ')}.`,
+                `Ask e.g. "What if ${result.features[0]} increases by 2 units?", "How can we increase ${target} by 5?" or "What drives ${target}?"`,
+            ].join('\n');
+        case 'goal':
+            return [
+                `To change ${target} by ${computation.amount}, any one of these single-feature changes would be enough:`,
+                ...result.map((lever) => `* ${lever.feature}: change by ${lever.requiredChange} (weight ${lever.weight})`),
+            ].join('\n');
+        default:
+            return [
+                `Drivers of ${target} ranked by absolute weight:`,
+                ...result.map((driver) => `${driver.rank}. ${driver.feature}: weight ${driver.weight} (${driver.direction})`),
+            ].join('\n');
+    }
+}
+
+function getPerspectivePrompt(computation, model) {
+    return `
+    You are a strategic advisor explaining the output of a linear model to business decision-makers.
+
+    **Strict Requirements:**
+
+    * Use ONLY the numbers in the "Computed Result" below. Do not calculate, estimate or invent any other numbers.
+    * Answer the user's question directly in 3-6 sentences, followed by a short bulleted list of recommendations.
+    * Explain whether each feature mentioned influences ${model.target} positively or negatively.
+    * Format the response in Markdown.
+
+    **Context:**
+
+    Model: ${model.model} ${model.description ? `(${model.description})` : ''}
+    Prediction: ${model.target} = sum(weight_i * feature_i) + ${model.intercept}
+    User's question: ${computation.question}
+
+    **Computed Result:**
+
+    ${describeComputation(computation)}
+    `;
+}
+
+module.exports = {
+    createWeightsProvider,
+    extractQuestion,
+    analyzeQuestion,
+    describeComputation,
+    getPerspectivePrompt,
+};
@@ -0,0 +1,106 @@
+const crypto = require('crypto');
+const { createJsonStore } = require('./jsonStore');
+const { validateSchema } = require('./structuredOutput');
+const { PRESET_SCHEMA } = require('./schemas');
+
+// Team prompt presets and each dashboard's default preset. Personal presets stay in the extension's
+// local storage; these are shared by everyone using the service. A dashboard default names a team
+// preset or one of the extension's built-in presets (e.g. 'executive') by id.
+
+const PRESET_ID_PATTERN = /^[\w-]{1,100}$/;
+// Numeric ids and LookML dashboard ids (model::dashboard). They key a plain object, so names like
+// __proto__ are ruled out by requiring a letter or digit first.
+const DASHBOARD_ID_PATTERN = /^[A-Za-z0-9][\w:-]{0,199}$/;
+
+// Errors for invalid presets, returned to the caller as 400s
+class PresetValidationError extends Error {
+    constructor(errors) {
+        super(`Invalid preset: ${errors.join('; ')}`);
+        this.name = 'PresetValidationError';
+        this.errors = errors;
+    }
+}
+
+// Only the editable fields, trimmed; ids, authors and timestamps are set by the store
+function presetFields({ title, description, prompt }) {
+    const fields = { title, description: description || '', prompt };
+    const errors = validateSchema(PRESET_SCHEMA, fields);
+    if (errors.length > 0) {
+        throw new PresetValidationError(errors);
+    }
+    return { title: title.trim(), description: fields.description.trim(), prompt: prompt.trim() };
+}
+
+function validateDashboardId(dashboardId) {
+    if (typeof dashboardId !== 'string' || !DASHBOARD_ID_PATTERN.test(dashboardId)) {
+        throw new PresetValidationError(['dashboardId must be a Looker dashboard id']);
+    }
+}
+
+// Only the dashboard's own entry, never one inherited from Object.prototype (e.g. 'constructor')
+const dashboardDefaultOf = (state, dashboardId) => (
+    Object.prototype.hasOwnProperty.call(state.dashboardDefaults, dashboardId) ? state.dashboardDefaults[dashboardId] : null
+);
+
+function createPresetStore({ backend = 'file', file } = {}) {
+    const store = createJsonStore({ backend, file, initialState: () => ({ presets: [], dashboardDefaults: {} }), setting: 'PRESET_STORE' });
+
+    return {
+        backend: store.backend,
+        async listPresets() {
+            return (await store.load()).presets;
+        },
+        // The id of the dashboard's default preset, or null
+        async getDashboardDefault(dashboardId) {
+            validateDashboardId(dashboardId);
+            const dashboardDefault = dashboardDefaultOf(await store.load(), dashboardId);
+            return dashboardDefault ? dashboardDefault.presetId : null;
+        },
+        createPreset(fields, userId = null) {
+            const now = new Date().toISOString();
+            const preset = { ...presetFields(fields), id: crypto.randomUUID(), createdBy: userId, updatedBy: userId, createdAt: now, updatedAt: now };
+            return store.update((state) => {
+                state.presets.push(preset);
+                return preset;
+            });
+        },
+        // Resolves with null when there is no such preset
+        updatePreset(id, fields, userId = null) {
+            const changes = presetFields(fields);
+            return store.update((state) => {
+                const index = state.presets.findIndex((preset) => preset.id === id);
+                if (index === -1) return null;
+                state.presets[index] = { ...state.presets[index], ...changes, updatedBy: userId, updatedAt: new Date().toISOString() };
+                return state.presets[index];
+            });
+        },
+        // Dashboards defaulting to the preset go back to having no default
+        deletePreset(id) {
+            return store.update((state) => {
+                const count = state.presets.length;
+                state.presets = state.presets.filter((preset) => preset.id !== id);
+                Object.keys(state.dashboardDefaults)
+                    .filter((dashboardId) => state.dashboardDefaults[dashboardId].presetId === id)
+                    .forEach((dashboardId) => delete state.dashboardDefaults[dashboardId]);
+                return state.presets.length !== count;
+            });
+        },
+        // presetId null clears the default
+        setDashboardDefault(dashboardId, presetId, userId = null) {
+            validateDashboardId(dashboardId);
+            if (presetId !== null && (typeof presetId !== 'string' || !PRESET_ID_PATTERN.test(presetId))) {
+                throw new PresetValidationError(['presetId must be a preset id or null']);
+            }
+            return store.update((state) => {
+                if (presetId === null) {
+                    delete state.dashboardDefaults[dashboardId];
+                } else {
+                    state.dashboardDefaults[dashboardId] = { presetId, updatedBy: userId, updatedAt: new Date().toISOString() };
+                }
+                return presetId;
+            });
+        },
+    };
+}
+
+module.exports = { createPresetStore, PresetValidationError };
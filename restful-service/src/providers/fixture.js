@@ -0,0 +1,46 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { ProviderError } = require('./providerError');
+
+const DEFAULT_RESPONSES_FILE = path.join(__dirname, '..', 'fixtures', 'llm_responses.json');
+
+// Deterministic offline provider. Responses are looked up by the `task` option
+// (querySummary, summary, querySuggestions, ...) so the service can be run and
+// tested without credentials or network access. A response of the form
+// { "error": { "status": 503, "message": "..." } } fails like an error response of the API would.
+function createFixtureProvider({ responsesFile = DEFAULT_RESPONSES_FILE, modelId = 'fixture' } = {}) {
+    const responses = JSON.parse(fs.readFileSync(responsesFile, 'utf8'));
+
+    async function generate(prompt, options = {}) {
+        let response = responses[options.task];
+        if (response === undefined) {
+            const digest = crypto.createHash('sha256').update(prompt).digest('hex').slice(0, 12);
+            return `Fixture response for ${options.task || 'unknown task'} (${digest})`;
+        }
+        // A list of responses is indexed by the prompt so the same prompt always gets the same answer
+        if (Array.isArray(response)) {
+            const index = parseInt(crypto.createHash('sha256').update(prompt).digest('hex').slice(0, 8), 16) % response.length;
+            response = response[index];
+        }
+        if (response && typeof response === 'object' && response.error) {
+            throw new ProviderError(response.error.status || 500, response.error.message || 'Fixture error');
+        }
+        return response;
+    }
+
+    // Replays the fixture response a few words at a time
+    async function stream(prompt, options = {}, onChunk) {
+        const text = await generate(prompt, options);
+        const words = text.split(/(?<=\s)/);
+        for (let i = 0; i < words.length; i += 8) {
+            onChunk(words.slice(i, i + 8).join(''));
+            await new Promise((resolve) => setImmediate(resolve));
+        }
+        return text;
+    }
+
+    return { name: 'fixture', modelId, generate, stream };
+}
+
+module.exports = { createFixtureProvider };
@@ -0,0 +1,40 @@
+const { createVertexProvider } = require('./vertex');
+const { createOpenAIProvider } = require('./openai');
+const { createFixtureProvider } = require('./fixture');
+const { ProviderError } = require('./providerError');
+
+// Every provider exposes the same interface:
+//   name     provider name, for logging
+//   modelId  model used for generation
+//   generate(prompt, { task, temperature, responseSchema }) => Promise<string>
+//   stream(prompt, { task, temperature, responseSchema }, onChunk) => Promise<string>, calling onChunk with each text delta
+// responseSchema asks for JSON output where the backend supports it (see structuredOutput.js); `signal`
+// (an AbortSignal) cancels the request. Error responses are thrown as ProviderError with their status.
+const providers = {
+    vertex: (env) => createVertexProvider({
+        projectId: env.PROJECT,
+        region: env.REGION || 'us-central1',
+        modelId: env.MODEL_ID || 'gemini-2.0-flash',
+    }),
+    openai: (env) => createOpenAIProvider({
+        baseUrl: env.OPENAI_BASE_URL,
+        apiKey: env.OPENAI_API_KEY,
+        modelId: env.MODEL_ID,
+    }),
+    fixture: (env) => createFixtureProvider({
+        responsesFile: env.LLM_FIXTURES_FILE,
+        modelId: env.MODEL_ID || 'fixture',
+    }),
+};
+
+// Select the provider with LLM_PROVIDER (defaults to Vertex AI)
+function createProvider(env = process.env) {
+    const name = env.LLM_PROVIDER || 'vertex';
+    const factory = providers[name];
+    if (!factory) {
+        throw new Error(`Unknown LLM_PROVIDER "${name}". Expected one of: ${Object.keys(providers).join(', ')}`);
+    }
+    return factory(env);
+}
+
+module.exports = { createProvider, ProviderError };
@@ -0,0 +1,77 @@
+const fetch = require('node-fetch');
+const { readEventStream } = require('./sse');
+const { ProviderError, providerErrorFrom } = require('./providerError');
+
+// Any OpenAI-compatible chat completions API: OpenAI, Azure-style gateways,
+// or local servers such as Ollama (http://localhost:11434/v1) and vLLM
+function createOpenAIProvider({ baseUrl = 'https://api.openai.com/v1', apiKey, modelId }) {
+    if (!modelId) {
+        throw new Error('MODEL_ID must be set when using the openai provider');
+    }
+    const endpoint = `${baseUrl.replace(/\/$/, '')}/chat/completions`;
+
+    async function post(prompt, options, stream) {
+        const headers = { 'Content-Type': 'application/json' };
+        // Local servers usually don't need a key
+        if (apiKey) {
+            headers['Authorization'] = `Bearer ${apiKey}`;
+        }
+        const body = {
+            model: modelId,
+            messages: [{ role: 'user', content: prompt }],
+            stream,
+        };
+        if (options.temperature !== undefined) {
+            body.temperature = options.temperature;
+        }
+        // JSON mode; the schema itself is described in the prompt and validated afterwards
+        if (options.responseSchema) {
+            body.response_format = { type: 'json_object' };
+        }
+
+        const response = await fetch(endpoint, {
+            method: 'POST',
+            headers,
+            body: JSON.stringify(body),
+            signal: options.signal,
+        });
+
+        if (!response.ok) {
+            throw await providerErrorFrom(response);
+        }
+        return response;
+    }
+
+    function checkError(data) {
+        if (data.error) {
+            const status = typeof data.error.code === 'number' ? data.error.code : 500;
+            throw new ProviderError(status, `OpenAI-compatible API error: ${data.error.message || data.error}`);
+        }
+    }
+
+    async function generate(prompt, options = {}) {
+        const data = await (await post(prompt, options, false)).json();
+        checkError(data);
+        return data.choices?.[0]?.message?.content || '';
+    }
+
+    async function stream(prompt, options = {}, onChunk) {
+        const response = await post(prompt, options, true);
+        let text = '';
+        await readEventStream(response.body, (data) => {
+            if (data === '[DONE]') return;
+            const payload = JSON.parse(data);
+            checkError(payload);
+            const chunk = payload.choices?.[0]?.delta?.content || '';
+            if (chunk) {
+                text += chunk;
+                onChunk(chunk);
+            }
+        });
+        return text;
+    }
+
+    return { name: 'openai', modelId, generate, stream };
+}
+
+module.exports = { createOpenAIProvider };
@@ -0,0 +1,23 @@
+// An error response from the model API. `status` is the HTTP status (or the status code in an
+// error payload of a stream); `retryAfterSeconds` is the Retry-After header of a 429 or 503, if any.
+class ProviderError extends Error {
+    constructor(status, message, retryAfterSeconds = null) {
+        super(message);
+        this.name = 'ProviderError';
+        this.status = status;
+        this.retryAfterSeconds = retryAfterSeconds;
+    }
+}
+
+// Builds the error for a failed response; the body is kept in the message for the logs
+async function providerErrorFrom(response) {
+    const errorText = await response.text();
+    const retryAfter = Number(response.headers.get('retry-after'));
+    return new ProviderError(
+        response.status,
+        `API request failed with status ${response.status}: ${errorText}`,
+        Number.isFinite(retryAfter) && retryAfter > 0 ? retryAfter : null,
+    );
+}
+
+module.exports = { ProviderError, providerErrorFrom };
@@ -0,0 +1,33 @@
+// Parses a text/event-stream response body and calls onData with each event's `data:` payload
+async function readEventStream(body, onData) {
+    const decoder = new TextDecoder();
+    let buffer = '';
+    let dataLines = [];
+
+    const handleLine = (line) => {
+        if (line === '') {
+            // A blank line ends the event
+            if (dataLines.length > 0) {
+                const data = dataLines.join('\n');
+                dataLines = [];
+                onData(data);
+            }
+        } else if (line.startsWith('data:')) {
+            dataLines.push(line.slice(5).replace(/^ /, ''));
+        }
+    };
+
+    for await (const chunk of body) {
+        buffer += decoder.decode(chunk, { stream: true });
+        const lines = buffer.split(/\r?\n/);
+        buffer = lines.pop();
+        lines.forEach(handleLine);
+    }
+    buffer += decoder.decode();
+    if (buffer) {
+        handleLine(buffer);
+    }
+    handleLine('');
+}
+
+module.exports = { readEventStream };
@@ -0,0 +1,90 @@
+const fetch = require('node-fetch');
+const { getAccessToken } = require('../googleAuth');
+const { readEventStream } = require('./sse');
+const { ProviderError, providerErrorFrom } = require('./providerError');
+
+// Vertex AI accepts an OpenAPI subset with upper case type names
+function toVertexSchema(schema) {
+    const converted = { type: schema.type.toUpperCase() };
+    ['description', 'enum', 'required', 'minItems', 'maxItems'].forEach((key) => {
+        if (schema[key] !== undefined) converted[key] = schema[key];
+    });
+    if (schema.properties) {
+        converted.properties = {};
+        Object.entries(schema.properties).forEach(([key, value]) => {
+            converted.properties[key] = toVertexSchema(value);
+        });
+    }
+    if (schema.items) {
+        converted.items = toVertexSchema(schema.items);
+    }
+    return converted;
+}
+
+// Gemini on Vertex AI (REST API), authenticated with Application Default Credentials
+function createVertexProvider({ projectId, region = 'us-central1', modelId = 'gemini-2.0-flash' }) {
+    const baseUrl = `https://${region}-aiplatform.googleapis.com/v1/projects/${projectId}/locations/${region}/publishers/google/models/${modelId}`;
+
+    async function post(method, prompt, options) {
+        const accessToken = await getAccessToken();
+        const body = {
+            contents: [{ role: 'user', parts: [{ text: prompt }] }],
+        };
+        const generationConfig = {};
+        if (options.temperature !== undefined) {
+            generationConfig.temperature = options.temperature;
+        }
+        if (options.responseSchema) {
+            generationConfig.responseMimeType = 'application/json';
+            generationConfig.responseSchema = toVertexSchema(options.responseSchema);
+        }
+        if (Object.keys(generationConfig).length > 0) {
+            body.generationConfig = generationConfig;
+        }
+
+        const response = await fetch(`${baseUrl}:${method}`, {
+            method: 'POST',
+            headers: {
+                'Authorization': `Bearer ${accessToken}`,
+                'Content-Type': 'application/json',
+            },
+            body: JSON.stringify(body),
+            signal: options.signal,
+        });
+
+        if (!response.ok) {
+            throw await providerErrorFrom(response);
+        }
+        return response;
+    }
+
+    function textOf(data) {
+        if (data.error) {
+            // Errors in a stream carry the HTTP status they would have had, e.g. 429 for RESOURCE_EXHAUSTED
+            throw new ProviderError(data.error.code || 500, `Vertex AI API error: ${data.error.message}`);
+        }
+        return (data.candidates?.[0]?.content?.parts || []).map((part) => part.text || '').join('');
+    }
+
+    async function generate(prompt, options = {}) {
+        const response = await post('generateContent', prompt, options);
+        return textOf(await response.json());
+    }
+
+    async function stream(prompt, options = {}, onChunk) {
+        const response = await post('streamGenerateContent?alt=sse', prompt, options);
+        let text = '';
+        await readEventStream(response.body, (data) => {
+            const chunk = textOf(JSON.parse(data));
+            if (chunk) {
+                text += chunk;
+                onChunk(chunk);
+            }
+        });
+        return text;
+    }
+
+    return { name: 'vertex', modelId, generate, stream };
+}
+
+module.exports = { createVertexProvider };
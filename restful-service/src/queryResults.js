@@ -0,0 +1,163 @@
+const { describeQueryData, sampleRows } = require('./dataProfile');
+
+// Turns Looker json_detail results (field metadata, pivots, totals) into flat rows keyed by
+// readable labels, so the model sees "Total Sale Price (USD) [Complete]" instead of
+// order_items.total_sale_price nested under a pivot key. Plain 'json' rows are passed through.
+
+const ROW_TOTAL_KEY = '$$$_row_total_$$$';
+const GROUPING_KEY = '$$$__grouping__$$$';
+
+const UNITS = [
+    [/usd|\$/i, 'USD'],
+    [/eur|€/i, 'EUR'],
+    [/gbp|£/i, 'GBP'],
+    [/percent|%/i, '%'],
+];
+
+function fieldUnit(field) {
+    const format = `${field.value_format_name || ''} ${field.value_format || ''}`;
+    const match = UNITS.find(([pattern]) => pattern.test(format));
+    return match ? match[1] : null;
+}
+
+// Labels are unique within a result; short labels that collide (e.g. two "Count" measures) use the full label
+function assignLabels(fields) {
+    const shortLabels = fields.map((field) => field.label_short || field.label || field.name);
+    return fields.map((field, index) => {
+        const collides = shortLabels.filter((label) => label === shortLabels[index]).length > 1;
+        const label = collides ? (field.label || field.name) : shortLabels[index];
+        const unit = fieldUnit(field);
+        return unit && !label.includes(`(${unit})`) ? `${label} (${unit})` : label;
+    });
+}
+
+function pivotLabel(pivot, pivotFields) {
+    if (pivot.is_total) return 'Total';
+    const values = pivotFields.map((field) => pivot.data && pivot.data[field.name]).filter((value) => value !== undefined);
+    return values.length > 0 ? values.map((value) => (value === null ? '∅' : value)).join(' / ') : pivot.key;
+}
+
+function cellValue(cell) {
+    return cell !== null && typeof cell === 'object' && 'value' in cell ? cell.value : cell;
+}
+
+function isDetailResult(queryData) {
+    return queryData !== null && typeof queryData === 'object' && !Array.isArray(queryData) && Array.isArray(queryData.data);
+}
+
+/**
+ * Normalizes a query result for the prompts. Returns
+ * { detailed, fields, pivot, rows, totals, subtotals } where rows, totals and subtotals
+ * are flat objects keyed by column label. Subtotal rows are kept apart from rows so they
+ * aren't counted twice in the column profile.
+ */
+function normalizeQueryResult(queryData) {
+    if (!isDetailResult(queryData)) {
+        return { detailed: false, fields: [], pivot: null, rows: Array.isArray(queryData) ? queryData : [], totals: null, subtotals: [] };
+    }
+    const groups = queryData.fields || {};
+    const kinds = [['dimensions', 'dimension'], ['measures', 'measure'], ['table_calculations', 'table calculation']];
+    const fields = kinds.flatMap(([group, kind]) => (groups[group] || []).map((field) => ({ ...field, kind })));
+    const labels = assignLabels(fields);
+    fields.forEach((field, index) => {
+        field.columnLabel = labels[index];
+    });
+
+    const pivotFields = groups.pivots || [];
+    const pivots = queryData.pivots || [];
+    const pivotLabels = {};
+    pivots.forEach((pivot) => {
+        pivotLabels[pivot.key] = pivotLabel(pivot, pivotFields);
+    });
+    pivotLabels[ROW_TOTAL_KEY] = 'Row Total';
+
+    const flatten = (row) => {
+        const flat = {};
+        fields.forEach((field) => {
+            const cell = row[field.name];
+            if (cell === undefined) return;
+            if (cell !== null && typeof cell === 'object' && !('value' in cell)) {
+                // Pivoted field: one cell per pivot key
+                Object.keys(cell).forEach((key) => {
+                    flat[`${field.columnLabel} [${pivotLabels[key] || key}]`] = cellValue(cell[key]);
+                });
+            } else {
+                flat[field.columnLabel] = cellValue(cell);
+            }
+        });
+        return flat;
+    };
+
+    const rows = [];
+    const subtotals = [];
+    queryData.data.forEach((row) => {
+        if (Array.isArray(row[GROUPING_KEY]) && row[GROUPING_KEY].length > 0) {
+            subtotals.push(flatten(row));
+        } else {
+            rows.push(flatten(row));
+        }
+    });
+
+    return {
+        detailed: true,
+        fields: fields.map((field) => ({
+            name: field.name,
+            label: field.columnLabel,
+            kind: field.kind,
+            type: field.type,
+            valueFormat: field.value_format || field.value_format_name || null,
+            description: field.description || null,
+        })),
+        pivot: pivotFields.length > 0
+            ? {
+                fields: assignLabels(pivotFields),
+                values: pivots.filter((pivot) => !pivot.is_total).map((pivot) => pivotLabels[pivot.key]),
+                hasRowTotals: Boolean(queryData.has_row_totals),
+            }
+            : null,
+        rows,
+        totals: queryData.has_totals && queryData.totals_data ? flatten(queryData.totals_data) : null,
+        subtotals,
+    };
+}
+
+function describeFields(result, queryBody) {
+    if (!result.detailed) {
+        return `Query Fields: ${(queryBody && queryBody.fields) || []}`;
+    }
+    const lines = result.fields.map((field) => {
+        const details = [field.kind, field.type, field.valueFormat && `format ${field.valueFormat}`].filter(Boolean).join(', ');
+        return `* ${field.label} (${field.name}): ${details}${field.description ? ` - ${field.description}` : ''}`;
+    });
+    return `Query Fields:\n    ${lines.join('\n    ')}`;
+}
+
+function describePivot(pivot) {
+    if (!pivot) return '';
+    const totals = pivot.hasRowTotals ? ', plus a [Row Total] column summing across them' : '';
+    return `Pivot: results are pivoted by ${pivot.fields.join(' / ')}. Each measure has one column per pivot value, named "Measure [Pivot Value]", for: ${pivot.values.join(', ')}${totals}.`;
+}
+
+// Query fields, pivot layout, profiled data and totals as one text block for the summary prompts
+function describeQueryResult(queryData, queryBody, tokenBudget) {
+    const result = normalizeQueryResult(queryData);
+    const subtotalBudget = result.subtotals.length > 0 ? Math.floor(tokenBudget / 5) : 0;
+    const parts = [
+        describeFields(result, queryBody),
+        describePivot(result.pivot),
+        describeQueryData(result.rows, tokenBudget - subtotalBudget),
+    ];
+    if (result.totals) {
+        parts.push(`Totals row (computed by Looker over the whole query): ${JSON.stringify(result.totals)}`);
+    }
+    if (result.subtotals.length > 0) {
+        const sample = sampleRows(result.subtotals, subtotalBudget);
+        parts.push(`Subtotal rows (${sample.sampled ? `${sample.rows.length} of ${sample.totalRows}` : 'all'}; these aggregate the rows above): ${JSON.stringify(sample.rows)}`);
+    }
+    return parts.filter(Boolean).join('\n    ');
+}
+
+module.exports = {
+    normalizeQueryResult,
+    describeQueryResult,
+};
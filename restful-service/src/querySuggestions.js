@@ -0,0 +1,96 @@
+// Follow-up query suggestions are Looker queries (model, explore, fields, filters) the extension opens
+// as Explore URLs. The model may only use explores and fields the dashboard's tiles already use, so
+// every suggestion can run: suggestions on other explores are dropped, as are fields it made up.
+
+const DEFAULT_LIMIT = 500;
+const MAX_LIMIT = 5000;
+
+const exploreKey = (model, explore) => `${model}::${explore}`;
+
+// Custom fields and table calculations only exist in the tile that defines them
+function dynamicFieldNames(queryBody) {
+    try {
+        const dynamicFields = typeof queryBody.dynamic_fields === 'string' ? JSON.parse(queryBody.dynamic_fields) : queryBody.dynamic_fields;
+        return new Set((dynamicFields || []).map((field) => field.table_calculation || field.measure || field.dimension).filter(Boolean));
+    } catch (error) {
+        return new Set();
+    }
+}
+
+/**
+ * The explores of the tiles and the fields each uses (in fields, filters and pivots), with labels
+ * and types from the json_detail results. Returns a Map of 'model::explore' to
+ * { model, explore, fields: Map of name to { label, type } }.
+ */
+function buildFieldCatalog(queryResults) {
+    const catalog = new Map();
+    (queryResults || []).forEach((result) => {
+        const metadata = result.queryData && result.queryData.fields ? result.queryData.fields : {};
+        const fieldMetadata = new Map([...(metadata.dimensions || []), ...(metadata.measures || []), ...(metadata.pivots || [])]
+            .map((field) => [field.name, field]));
+        const queryBodies = result.mergeSources ? result.mergeSources.map((source) => source.queryBody) : [result.queryBody];
+        queryBodies.filter((body) => body && body.model && body.view).forEach((body) => {
+            const key = exploreKey(body.model, body.view);
+            if (!catalog.has(key)) {
+                catalog.set(key, { model: body.model, explore: body.view, fields: new Map() });
+            }
+            const { fields } = catalog.get(key);
+            const dynamicFields = dynamicFieldNames(body);
+            [...(body.fields || []), ...Object.keys(body.filters || {}), ...(body.pivots || [])]
+                .filter((name) => !dynamicFields.has(name) && !fields.has(name))
+                .forEach((name) => {
+                    const field = fieldMetadata.get(name) || {};
+                    fields.set(name, { label: field.label || name, type: field.type || null });
+                });
+        });
+    });
+    return catalog;
+}
+
+// The catalog as prompt text, one explore per block
+function describeFieldCatalog(catalog) {
+    return [...catalog.values()].map(({ model, explore, fields }) => {
+        const fieldLines = [...fields.entries()].map(([name, field]) => `  - ${name} ("${field.label}"${field.type ? `, ${field.type}` : ''})`);
+        return `Model "${model}", explore "${explore}":\n${fieldLines.join('\n')}`;
+    }).join('\n\n');
+}
+
+/**
+ * Keeps the suggestions that can run: the explore must be in the catalog and at least one of the
+ * fields known there. Unknown fields, filters on unknown fields and sorts on fields outside the
+ * query are dropped; filter values become strings and the row limit is capped.
+ */
+function validateSuggestions(suggestions, catalog) {
+    const valid = [];
+    (suggestions || []).forEach((suggestion) => {
+        const entry = catalog.get(exploreKey(suggestion.model, suggestion.explore));
+        if (!entry) {
+            console.warn(`Dropping query suggestion "${suggestion.title}": unknown explore ${suggestion.model}::${suggestion.explore}`);
+            return;
+        }
+        const fields = [...new Set(suggestion.fields.filter((name) => entry.fields.has(name)))];
+        if (fields.length === 0) {
+            console.warn(`Dropping query suggestion "${suggestion.title}": none of its fields are used on the dashboard`);
+            return;
+        }
+        // The model lists filters as { field, value }; the extension takes them by field name
+        const filters = (suggestion.filters || [])
+            .filter(({ field, value }) => entry.fields.has(field) && value !== null && value !== undefined && String(value).trim())
+            .reduce((acc, { field, value }) => ({ ...acc, [field]: String(value) }), {});
+        const sorts = (suggestion.sorts || []).filter((sort) => fields.includes(sort.replace(/\s+(asc|desc)$/i, '')));
+        const limit = Number.isInteger(suggestion.limit) && suggestion.limit > 0 ? Math.min(suggestion.limit, MAX_LIMIT) : DEFAULT_LIMIT;
+        valid.push({
+            title: suggestion.title,
+            question: suggestion.question,
+            model: entry.model,
+            explore: entry.explore,
+            fields,
+            filters,
+            sorts,
+            limit,
+        });
+    });
+    return valid;
+}
+
+module.exports = { buildFieldCatalog, describeFieldCatalog, validateSuggestions };
@@ -0,0 +1,178 @@
+const { ProviderError } = require('./providers/providerError');
+const { StructuredOutputError } = require('./structuredOutput');
+
+// Retries, timeouts and a concurrency limit around the model provider, and the typed errors the
+// generate routes return when generation fails anyway. Large dashboards send a request per tile at
+// once; the limit queues them so they don't exhaust the model's quota.
+
+// Error codes: the HTTP status the routes answer with, whether trying again later can help, and the
+// message shown to users (provider details are only logged)
+const ERROR_TYPES = {
+    rate_limited: { status: 429, retryable: true, message: 'The model is receiving too many requests. Try again in a moment.' },
+    overloaded: { status: 503, retryable: true, message: 'The service is busy with other summaries. Try again in a moment.' },
+    provider_unavailable: { status: 503, retryable: true, message: 'The model is temporarily unavailable. Try again in a moment.' },
+    timeout: { status: 504, retryable: true, message: 'The model took too long to respond.' },
+    invalid_output: { status: 502, retryable: true, message: 'The model did not return a valid response.' },
+    provider_error: { status: 502, retryable: false, message: 'The model rejected the request.' },
+    internal: { status: 500, retryable: false, message: 'Internal Server Error' },
+};
+
+// Network errors of node-fetch worth retrying
+const RETRYABLE_NETWORK_ERRORS = new Set(['ECONNRESET', 'ECONNREFUSED', 'ETIMEDOUT', 'EPIPE', 'EAI_AGAIN', 'ENOTFOUND']);
+
+class GenerationError extends Error {
+    constructor(code, { cause, attempts } = {}) {
+        super(ERROR_TYPES[code].message, cause ? { cause } : undefined);
+        this.name = 'GenerationError';
+        this.code = code;
+        this.status = ERROR_TYPES[code].status;
+        this.retryable = ERROR_TYPES[code].retryable;
+        this.attempts = attempts;
+    }
+}
+
+// The GenerationError for any error thrown while generating
+function toGenerationError(e) {
+    if (e instanceof GenerationError) return e;
+    if (e instanceof ProviderError) {
+        if (e.status === 429) return new GenerationError('rate_limited', { cause: e });
+        if (e.status === 408 || e.status >= 500) return new GenerationError('provider_unavailable', { cause: e });
+        return new GenerationError('provider_error', { cause: e });
+    }
+    if (e && e.name === 'FetchError' && (e.type === 'request-timeout' || RETRYABLE_NETWORK_ERRORS.has(e.code))) {
+        return new GenerationError('provider_unavailable', { cause: e });
+    }
+    if (e instanceof StructuredOutputError) return new GenerationError('invalid_output', { cause: e });
+    return new GenerationError('internal', { cause: e });
+}
+
+// Response body of a failed request: { error, message, retryable }
+const generationErrorBody = (error) => ({ error: error.code, message: error.message, retryable: error.retryable });
+
+/**
+ * Runs at most `maxConcurrency` tasks at a time (0 for no limit), queueing the rest in order. Tasks
+ * beyond `maxQueue` waiting are rejected as overloaded rather than waiting indefinitely.
+ */
+function createConcurrencyLimiter({ maxConcurrency = 4, maxQueue = 100 } = {}) {
+    let active = 0;
+    const queue = [];
+
+    return {
+        async run(task) {
+            if (!maxConcurrency) return task();
+            if (active < maxConcurrency) {
+                active += 1;
+            } else {
+                if (queue.length >= maxQueue) throw new GenerationError('overloaded');
+                // The finishing task hands its slot over, so `active` stays the same
+                await new Promise((resolve) => queue.push(resolve));
+            }
+            try {
+                return await task();
+            } finally {
+                const next = queue.shift();
+                if (next) {
+                    next();
+                } else {
+                    active -= 1;
+                }
+            }
+        },
+        stats: () => ({ active, queued: queue.length }),
+    };
+}
+
+/**
+ * Runs `call(signal, keepAlive)`, aborting `signal` and rejecting with a timeout error when it
+ * takes longer than `timeoutMs` (0 for no timeout). keepAlive restarts the timer, so streams only
+ * time out when no text arrives for that long.
+ */
+function withTimeout(timeoutMs, call) {
+    const controller = new AbortController();
+    if (!timeoutMs) return call(controller.signal, () => {});
+    let timer;
+    const keepAlive = () => {
+        clearTimeout(timer);
+        timer = setTimeout(() => controller.abort(), timeoutMs);
+    };
+    const timedOut = new Promise((resolve, reject) => {
+        controller.signal.addEventListener('abort', () => reject(new GenerationError('timeout')), { once: true });
+    });
+    keepAlive();
+    return Promise.race([call(controller.signal, keepAlive), timedOut]).finally(() => clearTimeout(timer));
+}
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// Exponential backoff with jitter, at least the provider's Retry-After and at most maxDelayMs
+function retryDelay(attempt, error, { baseDelayMs, maxDelayMs }) {
+    const backoff = baseDelayMs * Math.pow(2, attempt - 1);
+    const jittered = backoff / 2 + Math.random() * backoff / 2;
+    const retryAfterSeconds = error.cause instanceof ProviderError ? error.cause.retryAfterSeconds : null;
+    return Math.min(maxDelayMs, Math.max(jittered, (retryAfterSeconds || 0) * 1000));
+}
+
+/**
+ * Wraps a provider (see providers/index.js) with the same interface. Each call waits for a slot of
+ * the concurrency limit, each attempt times out after `timeoutSeconds`, and retryable failures
+ * (rate limits, 5xx, timeouts, network errors) are tried again up to `maxAttempts` in total with
+ * exponential backoff. A stream is only retried while it hasn't sent any text, since the caller
+ * already passed that on. Failures are thrown as GenerationError; onRetry(error, attempt, delayMs,
+ * task) is called before each retry for logging.
+ */
+function createResilientProvider(provider, {
+    maxAttempts = 4,
+    baseDelayMs = 500,
+    maxDelayMs = 10000,
+    timeoutSeconds = 60,
+    maxConcurrency = 4,
+    maxQueue = 100,
+    onRetry = () => {},
+} = {}) {
+    const limiter = createConcurrencyLimiter({ maxConcurrency, maxQueue });
+
+    async function call(prompt, options, onChunk) {
+        let streamed = false;
+        for (let attempt = 1; ; attempt++) {
+            try {
+                return await limiter.run(() => withTimeout(timeoutSeconds * 1000, (signal, keepAlive) => {
+                    const attemptOptions = { ...options, signal };
+                    if (!onChunk) return provider.generate(prompt, attemptOptions);
+                    return provider.stream(prompt, attemptOptions, (chunk) => {
+                        // Providers that ignore the signal may keep going after a timeout
+                        if (signal.aborted) return;
+                        streamed = true;
+                        keepAlive();
+                        onChunk(chunk);
+                    });
+                }));
+            } catch (e) {
+                const error = toGenerationError(e);
+                if (!error.retryable || streamed || attempt >= maxAttempts) {
+                    error.attempts = attempt;
+                    throw error;
+                }
+                const delayMs = retryDelay(attempt, error, { baseDelayMs, maxDelayMs });
+                onRetry(error, attempt, delayMs, options.task);
+                await sleep(delayMs);
+            }
+        }
+    }
+
+    return {
+        name: provider.name,
+        modelId: provider.modelId,
+        generate: (prompt, options = {}) => call(prompt, options, null),
+        stream: (prompt, options = {}, onChunk) => call(prompt, options, onChunk),
+        // Calls running and waiting for a slot
+        stats: limiter.stats,
+    };
+}
+
+module.exports = {
+    GenerationError,
+    toGenerationError,
+    generationErrorBody,
+    createConcurrencyLimiter,
+    createResilientProvider,
+};
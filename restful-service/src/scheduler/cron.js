@@ -0,0 +1,129 @@
+// Five-field cron expressions (minute hour day-of-month month day-of-week), evaluated in a time zone.
+// Supports *, lists (1,15), ranges (1-5), steps (*/15, 8-18/2) and names (MON, JAN).
+
+const FIELDS = [
+    { name: 'minute', min: 0, max: 59 },
+    { name: 'hour', min: 0, max: 23 },
+    { name: 'dayOfMonth', min: 1, max: 31 },
+    { name: 'month', min: 1, max: 12, names: ['JAN', 'FEB', 'MAR', 'APR', 'MAY', 'JUN', 'JUL', 'AUG', 'SEP', 'OCT', 'NOV', 'DEC'] },
+    { name: 'dayOfWeek', min: 0, max: 7, names: ['SUN', 'MON', 'TUE', 'WED', 'THU', 'FRI', 'SAT'] },
+];
+
+const WEEKDAYS = { Sun: 0, Mon: 1, Tue: 2, Wed: 3, Thu: 4, Fri: 5, Sat: 6 };
+
+// Longest search for the next run; every valid expression matches at least once in 5 years (Feb 29)
+const MAX_SEARCH_MINUTES = 5 * 366 * 24 * 60;
+
+const formatters = new Map();
+
+function parseValue(text, field) {
+    const index = field.names ? field.names.indexOf(text.toUpperCase()) : -1;
+    const value = index !== -1 ? index + (field.name === 'month' ? 1 : 0) : Number(text);
+    if (!Number.isInteger(value) || value < field.min || value > field.max) {
+        throw new Error(`Invalid ${field.name} "${text}"`);
+    }
+    return value;
+}
+
+function parseField(text, field) {
+    const values = new Set();
+    text.split(',').forEach((part) => {
+        const [range, stepText] = part.split('/');
+        const step = stepText === undefined ? 1 : Number(stepText);
+        if (!Number.isInteger(step) || step < 1) {
+            throw new Error(`Invalid step in ${field.name} "${part}"`);
+        }
+        let start = field.min;
+        let end = field.max;
+        if (range !== '*') {
+            const [from, to] = range.split('-');
+            start = parseValue(from, field);
+            end = to === undefined ? (stepText === undefined ? start : field.max) : parseValue(to, field);
+        }
+        if (start > end) {
+            throw new Error(`Invalid range in ${field.name} "${part}"`);
+        }
+        for (let value = start; value <= end; value += step) {
+            // 7 is Sunday too
+            values.add(field.name === 'dayOfWeek' && value === 7 ? 0 : value);
+        }
+    });
+    return { values, any: text === '*' };
+}
+
+/**
+ * Parses a cron expression. Throws with a readable message when it is invalid.
+ * Returns { minute, hour, dayOfMonth, month, dayOfWeek }, each { values: Set, any }.
+ */
+function parseCron(expression) {
+    const parts = String(expression || '').trim().split(/\s+/);
+    if (parts.length !== FIELDS.length) {
+        throw new Error(`Cron expression "${expression}" must have 5 fields: minute hour day-of-month month day-of-week`);
+    }
+    const cron = {};
+    FIELDS.forEach((field, index) => {
+        cron[field.name] = parseField(parts[index], field);
+    });
+    return cron;
+}
+
+// Wall clock fields of `date` in timeZone
+function zonedParts(date, timeZone) {
+    if (!formatters.has(timeZone)) {
+        formatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+            timeZone,
+            hourCycle: 'h23',
+            year: 'numeric',
+            month: 'numeric',
+            day: 'numeric',
+            hour: 'numeric',
+            minute: 'numeric',
+            weekday: 'short',
+        }));
+    }
+    const parts = {};
+    formatters.get(timeZone).formatToParts(date).forEach(({ type, value }) => {
+        parts[type] = value;
+    });
+    return {
+        minute: Number(parts.minute),
+        hour: Number(parts.hour),
+        dayOfMonth: Number(parts.day),
+        month: Number(parts.month),
+        dayOfWeek: WEEKDAYS[parts.weekday],
+    };
+}
+
+// Like cron, a restricted day-of-month and day-of-week match when either one does
+function dayMatches(cron, parts) {
+    const dayOfMonth = cron.dayOfMonth.values.has(parts.dayOfMonth);
+    const dayOfWeek = cron.dayOfWeek.values.has(parts.dayOfWeek);
+    if (cron.dayOfMonth.any || cron.dayOfWeek.any) {
+        return dayOfMonth && dayOfWeek;
+    }
+    return dayOfMonth || dayOfWeek;
+}
+
+// The first minute after `after` that matches the expression, as a Date
+function nextRun(expression, after = new Date(), timeZone = 'UTC') {
+    const cron = typeof expression === 'string' ? parseCron(expression) : expression;
+    let time = Math.floor(after.getTime() / 60000) * 60000 + 60000;
+    const limit = time + MAX_SEARCH_MINUTES * 60000;
+    while (time < limit) {
+        const parts = zonedParts(new Date(time), timeZone);
+        const minutesToNextHour = 60 - parts.minute;
+        if (!cron.month.values.has(parts.month) || !dayMatches(cron, parts)) {
+            // Skip to an hour before local midnight, which stays safe across daylight saving changes
+            time += Math.max(minutesToNextHour, (23 - parts.hour) * 60 + minutesToNextHour - 60) * 60000;
+        } else if (!cron.hour.values.has(parts.hour)) {
+            time += minutesToNextHour * 60000;
+        } else if (!cron.minute.values.has(parts.minute)) {
+            time += 60000;
+        } else {
+            return new Date(time);
+        }
+    }
+    throw new Error(`Cron expression "${expression}" never matches`);
+}
+
+module.exports = { parseCron, nextRun };
@@ -0,0 +1,111 @@
+const fetch = require('node-fetch');
+const { chunkText, markdownToSlack, markdownToChatText } = require('../messageFormat');
+
+// Delivers a scheduled summary to its destinations. Each deliverer resolves when the destination
+// accepted the message and throws otherwise, so the scheduler can retry it.
+//
+// Destinations:
+//   { type: 'slack', webhookUrl } or { type: 'slack', channel } (with SLACK_BOT_TOKEN)
+//   { type: 'googleChat', webhookUrl }
+//   { type: 'email', to: ['exec@example.com'], subject? } (with SMTP_* settings)
+//   { type: 'webhook', url, headers? }
+
+// Slack section blocks hold at most 3000 characters
+const SLACK_TEXT_LIMIT = 3000;
+// Google Chat messages hold at most 4096 characters
+const GOOGLE_CHAT_TEXT_LIMIT = 4000;
+
+async function postJson(url, body, headers = {}) {
+    const response = await fetch(url, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', ...headers },
+        body: JSON.stringify(body),
+    });
+    const text = await response.text();
+    if (!response.ok) {
+        throw new Error(`${url.split('?')[0]} responded ${response.status}: ${text.slice(0, 200)}`);
+    }
+    return text;
+}
+
+async function deliverSlack(destination, message, env) {
+    const blocks = [
+        { type: 'header', text: { type: 'plain_text', text: message.title.slice(0, 150) } },
+        { type: 'section', text: { type: 'mrkdwn', text: `<${message.dashboardUrl}|Open dashboard> · ${message.generatedAt}` } },
+        ...chunkText(markdownToSlack(message.markdown), SLACK_TEXT_LIMIT).map((text) => ({ type: 'section', text: { type: 'mrkdwn', text } })),
+    ];
+    if (destination.webhookUrl) {
+        await postJson(destination.webhookUrl, { text: message.title, blocks });
+        return;
+    }
+    if (!env.SLACK_BOT_TOKEN || !destination.channel) {
+        throw new Error('Slack destinations need a webhookUrl, or a channel and SLACK_BOT_TOKEN');
+    }
+    // Slack messages hold at most 50 blocks
+    for (let i = 0; i < blocks.length; i += 50) {
+        const body = JSON.parse(await postJson('https://slack.com/api/chat.postMessage',
+            { channel: destination.channel, text: message.title, blocks: blocks.slice(i, i + 50) },
+            { Authorization: `Bearer ${env.SLACK_BOT_TOKEN}` }));
+        // The Web API answers 200 even when the message was rejected
+        if (!body.ok) {
+            throw new Error(`Slack chat.postMessage failed: ${body.error}`);
+        }
+    }
+}
+
+async function deliverGoogleChat(destination, message) {
+    if (!destination.webhookUrl) {
+        throw new Error('Google Chat destinations need a webhookUrl');
+    }
+    const text = `*${message.title}*\n<${message.dashboardUrl}|Open dashboard> · ${message.generatedAt}\n\n${markdownToChatText(message.markdown)}`;
+    for (const chunk of chunkText(text, GOOGLE_CHAT_TEXT_LIMIT)) {
+        await postJson(destination.webhookUrl, { text: chunk });
+    }
+}
+
+let transporter = null;
+
+async function deliverEmail(destination, message, env) {
+    if (!env.SMTP_HOST) {
+        throw new Error('Email destinations need SMTP_HOST');
+    }
+    if (!transporter) {
+        const nodemailer = require('nodemailer');
+        transporter = nodemailer.createTransport({
+            host: env.SMTP_HOST,
+            port: Number(env.SMTP_PORT || 587),
+            secure: env.SMTP_SECURE === 'true',
+            auth: env.SMTP_USER ? { user: env.SMTP_USER, pass: env.SMTP_PASSWORD } : undefined,
+        });
+    }
+    await transporter.sendMail({
+        from: env.SMTP_FROM || env.SMTP_USER,
+        to: destination.to,
+        subject: destination.subject || message.title,
+        text: `${message.markdown}\n\nOpen dashboard: ${message.dashboardUrl}\nGenerated ${message.generatedAt}`,
+    });
+}
+
+async function deliverWebhook(destination, message) {
+    if (!destination.url) {
+        throw new Error('Webhook destinations need a url');
+    }
+    await postJson(destination.url, message, destination.headers || {});
+}
+
+const deliverers = {
+    slack: deliverSlack,
+    googleChat: deliverGoogleChat,
+    email: deliverEmail,
+    webhook: deliverWebhook,
+};
+
+function deliver(destination, message, env = process.env) {
+    const deliverer = deliverers[destination.type];
+    if (!deliverer) {
+        return Promise.reject(new Error(`Unknown destination type "${destination.type}"`));
+    }
+    return deliverer(destination, message, env);
+}
+
+module.exports = { deliver, DESTINATION_TYPES: Object.keys(deliverers) };
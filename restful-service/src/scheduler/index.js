@@ -0,0 +1,209 @@
+const crypto = require('crypto');
+const { nextRun, parseCron } = require('./cron');
+const { DESTINATION_TYPES } = require('./delivery');
+const { validateSchema } = require('../structuredOutput');
+const { SCHEDULE_SCHEMA } = require('../schemas');
+
+// Runs summary schedules: each schedule names a dashboard, a cron expression and destinations.
+// Due schedules are found by tick(), called every minute by the in-process timer (start()) or by an
+// external trigger such as Cloud Scheduler when the service scales to zero. A schedule that was due
+// while the service was down runs once on the next tick. A run holds a lease on its schedule in the
+// store, so ticks and manual runs never run a schedule twice at once.
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// Errors for invalid schedules, returned to the caller as 400s
+class ScheduleValidationError extends Error {
+    constructor(errors) {
+        super(`Invalid schedule: ${errors.join('; ')}`);
+        this.name = 'ScheduleValidationError';
+        this.errors = errors;
+    }
+}
+
+// Thrown by runSchedule when another run holds the schedule's lease, returned to the caller as 409s
+class ScheduleRunningError extends Error {
+    constructor(scheduleId) {
+        super(`Schedule ${scheduleId} is already running`);
+        this.name = 'ScheduleRunningError';
+    }
+}
+
+/**
+ * @param store             schedule store (./store.js)
+ * @param summarize         async ({ dashboardId, filters, nextStepsInstructions }) => message
+ *                          ({ title, dashboardUrl, markdown, ... }) for the destinations
+ * @param deliver           async (destination, message) => void
+ * @param retryDelaySeconds delay before the first retry, doubled on each further attempt
+ * @param leaseSeconds      how long a run holds its schedule's lease; longer than any run, it only
+ *                          frees schedules whose run was lost, e.g. to a restart
+ */
+function createScheduler({ store, summarize, deliver, retryDelaySeconds = 60, leaseSeconds = 3600, defaultTimeZone = 'UTC' }) {
+    let timer = null;
+
+    function validate(schedule) {
+        const errors = validateSchema(SCHEDULE_SCHEMA, schedule);
+        try {
+            parseCron(schedule.cron);
+            nextRun(schedule.cron, new Date(), schedule.timeZone || defaultTimeZone);
+        } catch (error) {
+            errors.push(error.message);
+        }
+        (schedule.destinations || []).forEach((destination, index) => {
+            if (!DESTINATION_TYPES.includes(destination.type)) {
+                errors.push(`destinations[${index}].type must be one of: ${DESTINATION_TYPES.join(', ')}`);
+            }
+        });
+        if (errors.length > 0) {
+            throw new ScheduleValidationError(errors);
+        }
+    }
+
+    function withNextRun(schedule, after = new Date()) {
+        return { ...schedule, nextRunAt: nextRun(schedule.cron, after, schedule.timeZone || defaultTimeZone).toISOString() };
+    }
+
+    async function createSchedule(fields) {
+        const now = new Date().toISOString();
+        const schedule = { enabled: true, maxAttempts: 3, timeZone: defaultTimeZone, filters: {}, ...fields, id: crypto.randomUUID(), createdAt: now, updatedAt: now };
+        validate(schedule);
+        return store.saveSchedule(withNextRun(schedule));
+    }
+
+    async function updateSchedule(id, fields) {
+        const existing = await store.getSchedule(id);
+        if (!existing) return null;
+        const schedule = { ...existing, ...fields, id, createdAt: existing.createdAt, updatedAt: new Date().toISOString() };
+        validate(schedule);
+        return store.saveSchedule(withNextRun(schedule));
+    }
+
+    // Retries `action` with exponential backoff; resolves with { attempts, error } (error null on success)
+    async function withRetries(maxAttempts, action) {
+        let error = null;
+        for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+            try {
+                await action();
+                return { attempts: attempt, error: null };
+            } catch (e) {
+                error = e;
+                console.error(`Scheduled run attempt ${attempt} of ${maxAttempts} failed:`, e);
+                if (attempt < maxAttempts) {
+                    await sleep(retryDelaySeconds * 1000 * Math.pow(2, attempt - 1));
+                }
+            }
+        }
+        return { attempts: maxAttempts, error };
+    }
+
+    const newRun = (schedule, trigger) => ({
+        id: crypto.randomUUID(),
+        scheduleId: schedule.id,
+        trigger,
+        status: 'running',
+        startedAt: new Date().toISOString(),
+        deliveries: [],
+    });
+
+    const leaseExpiry = () => new Date(Date.now() + leaseSeconds * 1000);
+
+    // Generates and delivers the summary of a leased schedule, then releases the lease
+    async function execute(schedule, run) {
+        try {
+            const maxAttempts = Math.max(1, Number(schedule.maxAttempts) || 1);
+            await store.saveRun(run);
+            let message = null;
+            const generation = await withRetries(maxAttempts, async () => {
+                message = await summarize(schedule);
+            });
+            run.generationAttempts = generation.attempts;
+            if (generation.error) {
+                run.status = 'failed';
+                run.error = generation.error.message;
+            } else {
+                run.summary = message.markdown;
+                for (const destination of schedule.destinations || []) {
+                    const delivery = await withRetries(maxAttempts, () => deliver(destination, message));
+                    run.deliveries.push({
+                        type: destination.type,
+                        target: destination.channel || destination.to || destination.webhookUrl || destination.url,
+                        status: delivery.error ? 'failed' : 'delivered',
+                        attempts: delivery.attempts,
+                        error: delivery.error ? delivery.error.message : undefined,
+                    });
+                }
+                const failed = run.deliveries.filter((delivery) => delivery.status === 'failed').length;
+                run.status = failed === 0 ? 'success' : failed === run.deliveries.length ? 'failed' : 'partial';
+            }
+            run.finishedAt = new Date().toISOString();
+            await store.saveRun(run);
+            const latest = await store.getSchedule(schedule.id);
+            if (latest) {
+                await store.saveSchedule({ ...latest, lastRun: { id: run.id, status: run.status, finishedAt: run.finishedAt } });
+            }
+            return run;
+        } finally {
+            await store.releaseLease(schedule.id, run.id);
+        }
+    }
+
+    /**
+     * Generates the schedule's summary and delivers it to every destination, resolving with the
+     * finished run. Generation and each delivery are retried separately, so one failing destination
+     * doesn't resend to the others. The run is recorded in the history with status success,
+     * partial (some deliveries failed) or failed. Throws ScheduleRunningError when the schedule is
+     * already running.
+     */
+    async function runSchedule(schedule, trigger = 'schedule') {
+        const run = newRun(schedule, trigger);
+        const leased = await store.acquireLease(schedule.id, run.id, leaseExpiry());
+        if (!leased) {
+            throw new ScheduleRunningError(schedule.id);
+        }
+        return execute(leased, run);
+    }
+
+    // Runs every enabled schedule that is due; resolves with their runs once they have finished
+    async function tick(now = new Date()) {
+        const isDue = (schedule) => schedule.enabled && new Date(schedule.nextRunAt) <= now;
+        const due = (await store.listSchedules()).filter(isDue);
+        const runs = await Promise.all(due.map(async (schedule) => {
+            const run = newRun(schedule, 'schedule');
+            try {
+                // Advanced as it is leased, so a slow run isn't picked up again by the next tick
+                const leased = await store.acquireLease(schedule.id, run.id, leaseExpiry(), (latest) => (isDue(latest) ? withNextRun(latest, now) : null));
+                return leased ? await execute(leased, run) : null;
+            } catch (error) {
+                console.error(`Scheduled run of ${schedule.id} failed:`, error);
+                return null;
+            }
+        }));
+        return runs.filter(Boolean);
+    }
+
+    return {
+        createSchedule,
+        updateSchedule,
+        validate,
+        runSchedule,
+        tick,
+        start() {
+            if (timer) return;
+            // Align ticks to the start of each minute. A tick isn't awaited, so long runs don't delay
+            // the next one; the leases keep overlapping ticks from running a schedule twice.
+            const scheduleTick = () => {
+                timer = setTimeout(() => {
+                    tick().catch((error) => console.error('Scheduler tick failed:', error));
+                    scheduleTick();
+                }, 60000 - (Date.now() % 60000));
+            };
+            scheduleTick();
+        },
+        stop() {
+            clearTimeout(timer);
+            timer = null;
+        },
+    };
+}
+
+module.exports = { createScheduler, ScheduleValidationError, ScheduleRunningError };
@@ -0,0 +1,67 @@
+// Loads a dashboard's tiles and results through the Looker API for scheduled runs. Tiles are
+// resolved, compacted and merged by dashboardQueries.js, which the extension bundles too, so
+// scheduled summaries see the same data as the extension. Cross-filters only exist in the browser.
+
+const { resolveTileQuery, mergeResultIdOf, compactQueryResult, mergeQueryResults } = require('../dashboardQueries');
+
+let sdk = null;
+
+// API3 credentials are read from LOOKERSDK_BASE_URL, LOOKERSDK_CLIENT_ID and LOOKERSDK_CLIENT_SECRET.
+// The SDK is loaded on first use so the service starts without Looker credentials.
+function getLookerSdk() {
+    if (!sdk) {
+        const { LookerNodeSDK } = require('@looker/sdk-node');
+        sdk = LookerNodeSDK.init40();
+    }
+    return sdk;
+}
+
+async function runQuery(looker, queryBody) {
+    return compactQueryResult(await looker.ok(looker.run_inline_query({ body: queryBody, result_format: 'json_detail' })));
+}
+
+// Source queries of a merged results tile, as resolveTileQuery takes them
+async function fetchSourceQueries(looker, mergeResultId) {
+    const mergeQuery = await looker.ok(looker.merge_query(mergeResultId, 'source_queries'));
+    return Promise.all((mergeQuery.source_queries || []).map(async (source) => ({ ...source, query: await looker.ok(looker.query(source.query_id)) })));
+}
+
+async function loadTile(looker, element, dashboardFilters) {
+    const mergeResultId = mergeResultIdOf(element);
+    const sourceQueries = mergeResultId ? await fetchSourceQueries(looker, mergeResultId) : [];
+    const tile = resolveTileQuery(element, dashboardFilters, null, sourceQueries);
+    if (!tile) return null;
+    const queryData = tile.mergeSources
+        ? mergeQueryResults(await Promise.all(tile.mergeSources.map(async (source) => ({ ...source, result: await runQuery(looker, source.queryBody) }))))
+        : await runQuery(looker, tile.queryBody);
+    return { ...tile, queryData };
+}
+
+/**
+ * Loads a dashboard for summarizing: { title, description, filters, queries } where queries have
+ * the same shape the extension sends to /generateQuerySummary. `filters` overrides the dashboard's
+ * default filter values by filter name.
+ */
+async function loadDashboard(dashboardId, filters = {}, looker = getLookerSdk()) {
+    const dashboard = await looker.ok(looker.dashboard(dashboardId, 'title,description,dashboard_filters'));
+    const dashboardFilters = {};
+    (dashboard.dashboard_filters || []).forEach((filter) => {
+        dashboardFilters[filter.name] = filter.default_value || '';
+    });
+    Object.assign(dashboardFilters, filters);
+
+    const elements = await looker.ok(looker.dashboard_dashboard_elements(dashboardId, 'query,result_maker,merge_result_id,note_text,title'));
+    const queries = [];
+    // One tile at a time, so a schedule doesn't flood the Looker instance with queries
+    for (const element of elements) {
+        try {
+            const tile = await loadTile(looker, element, dashboardFilters);
+            if (tile) queries.push(tile);
+        } catch (error) {
+            console.error(`Error loading tile "${element.title}" of dashboard ${dashboardId}:`, error);
+        }
+    }
+    return { title: dashboard.title, description: dashboard.description, filters: dashboardFilters, queries };
+}
+
+module.exports = { loadDashboard, getLookerSdk };
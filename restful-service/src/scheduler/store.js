@@ -0,0 +1,86 @@
+const { createJsonStore } = require('../jsonStore');
+
+// Persistence for schedules, their run history and the leases of running schedules, in a JSON
+// store (../jsonStore.js)
+
+function createScheduleStore({ backend = 'file', file, historyLimit = 50 } = {}) {
+    const store = createJsonStore({ backend, file, initialState: () => ({ schedules: [], runs: [], leases: {} }), setting: 'SCHEDULER_STORE' });
+    const { update } = store;
+
+    return {
+        backend: store.backend,
+        async listSchedules() {
+            return (await store.load()).schedules;
+        },
+        async getSchedule(id) {
+            return (await store.load()).schedules.find((schedule) => schedule.id === id) || null;
+        },
+        saveSchedule(schedule) {
+            return update((state) => {
+                const index = state.schedules.findIndex((existing) => existing.id === schedule.id);
+                if (index === -1) {
+                    state.schedules.push(schedule);
+                } else {
+                    state.schedules[index] = schedule;
+                }
+                return schedule;
+            });
+        },
+        deleteSchedule(id) {
+            return update((state) => {
+                const count = state.schedules.length;
+                state.schedules = state.schedules.filter((schedule) => schedule.id !== id);
+                state.runs = state.runs.filter((run) => run.scheduleId !== id);
+                delete state.leases[id];
+                return state.schedules.length !== count;
+            });
+        },
+        /**
+         * Leases a schedule to `owner` until `expiresAt`, so it can't run twice at once. `claim`
+         * gets the schedule and returns it to save, e.g. advanced to its next run, or null to leave
+         * it; it is applied in the same update, so two ticks can't both claim a due schedule.
+         * Resolves with the saved schedule, or null when the schedule is gone, not claimed or
+         * leased by a run whose lease hasn't expired.
+         */
+        acquireLease(id, owner, expiresAt, claim = (schedule) => schedule) {
+            return update((state) => {
+                const index = state.schedules.findIndex((schedule) => schedule.id === id);
+                const lease = state.leases[id];
+                if (index === -1 || (lease && new Date(lease.expiresAt) > new Date())) return null;
+                const schedule = claim(state.schedules[index]);
+                if (!schedule) return null;
+                state.schedules[index] = schedule;
+                state.leases[id] = { owner, expiresAt: expiresAt.toISOString() };
+                return schedule;
+            });
+        },
+        releaseLease(id, owner) {
+            return update((state) => {
+                if (state.leases[id] && state.leases[id].owner === owner) delete state.leases[id];
+            });
+        },
+        // Newest first
+        async listRuns(scheduleId) {
+            return (await store.load()).runs.filter((run) => run.scheduleId === scheduleId).reverse();
+        },
+        // Adds or replaces a run, keeping the newest historyLimit runs of its schedule
+        saveRun(run) {
+            return update((state) => {
+                const index = state.runs.findIndex((existing) => existing.id === run.id);
+                if (index === -1) {
+                    state.runs.push(run);
+                } else {
+                    state.runs[index] = run;
+                }
+                const scheduleRuns = state.runs.filter((existing) => existing.scheduleId === run.scheduleId);
+                if (scheduleRuns.length > historyLimit) {
+                    const expired = new Set(scheduleRuns.slice(0, scheduleRuns.length - historyLimit).map((existing) => existing.id));
+                    state.runs = state.runs.filter((existing) => !expired.has(existing.id));
+                }
+                return run;
+            });
+        },
+    };
+}
+
+module.exports = { createScheduleStore };
@@ -0,0 +1,158 @@
+// JSON schemas validated by structuredOutput.js: structured model output and request bodies.
+// Field names match the types in the extension's src/types.tsx.
+
+const QUERY_SUMMARY_SCHEMA = {
+    type: 'object',
+    properties: {
+        queryTitle: { type: 'string', description: 'The Query Title from the provided context', minLength: 1 },
+        description: { type: 'string', description: 'A concise (2-4 sentences) description of the query', minLength: 1 },
+        summary: { type: 'string', description: 'A 3-5 sentence summary of the query results', minLength: 1 },
+        nextSteps: {
+            type: 'array',
+            description: '2-3 actionable next steps based on the summary',
+            items: { type: 'string', minLength: 1 },
+            minItems: 1,
+            maxItems: 5,
+        },
+    },
+    required: ['queryTitle', 'description', 'summary', 'nextSteps'],
+};
+
+// Follow-up Looker queries; querySuggestions.js checks the explores and fields against the dashboard's tiles
+const QUERY_SUGGESTIONS_SCHEMA = {
+    type: 'object',
+    properties: {
+        suggestions: {
+            type: 'array',
+            minItems: 3,
+            maxItems: 3,
+            items: {
+                type: 'object',
+                properties: {
+                    title: { type: 'string', description: 'A short name for the query', minLength: 1 },
+                    question: { type: 'string', description: 'The question the query answers', minLength: 1 },
+                    model: { type: 'string', minLength: 1 },
+                    explore: { type: 'string', minLength: 1 },
+                    fields: { type: 'array', items: { type: 'string', minLength: 1 }, minItems: 1 },
+                    // Looker filter expressions, e.g. { "field": "orders.created_date", "value": "last 30 days" }. A list
+                    // rather than a map by field name, since Gemini rejects object schemas without properties
+                    filters: {
+                        type: 'array',
+                        items: {
+                            type: 'object',
+                            properties: {
+                                field: { type: 'string', minLength: 1 },
+                                value: { type: 'string' },
+                            },
+                            required: ['field', 'value'],
+                        },
+                    },
+                    sorts: { type: 'array', items: { type: 'string', minLength: 1 } },
+                    limit: { type: 'integer' },
+                },
+                required: ['title', 'question', 'model', 'explore', 'fields', 'filters'],
+            },
+        },
+    },
+    required: ['suggestions'],
+};
+
+// Summary schedules (scheduler/index.js); cron syntax and destination types are checked separately
+const SCHEDULE_SCHEMA = {
+    type: 'object',
+    properties: {
+        name: { type: 'string', minLength: 1 },
+        dashboardId: { type: 'string', minLength: 1 },
+        cron: { type: 'string', minLength: 1 },
+        timeZone: { type: 'string', minLength: 1 },
+        // Dashboard filter values by filter name, overriding the dashboard defaults
+        filters: { type: 'object' },
+        nextStepsInstructions: { type: 'string' },
+        enabled: { type: 'boolean' },
+        maxAttempts: { type: 'integer' },
+        destinations: {
+            type: 'array',
+            minItems: 1,
+            items: {
+                type: 'object',
+                properties: { type: { type: 'string', minLength: 1 } },
+                required: ['type'],
+            },
+        },
+    },
+    required: ['name', 'dashboardId', 'cron', 'destinations'],
+};
+
+// Team prompt preset, shared through the service; the prompt becomes the next steps instructions
+const PRESET_SCHEMA = {
+    type: 'object',
+    properties: {
+        title: { type: 'string', minLength: 1, maxLength: 80 },
+        description: { type: 'string', maxLength: 200 },
+        prompt: { type: 'string', minLength: 1, maxLength: 8000 },
+    },
+    required: ['title', 'prompt'],
+};
+
+// A summary run saved to the history by the extension; summaryHistory.js adds the id, source, user and time
+const SUMMARY_RUN_SCHEMA = {
+    type: 'object',
+    properties: {
+        dashboardId: { type: 'string', minLength: 1 },
+        dashboardTitle: { type: 'string' },
+        // Markdown
+        dashboardSummary: { type: 'string' },
+        querySummaries: {
+            type: 'array',
+            items: {
+                type: 'object',
+                properties: {
+                    queryTitle: { type: 'string', minLength: 1 },
+                    description: { type: 'string' },
+                    summary: { type: 'string' },
+                },
+                required: ['queryTitle'],
+            },
+        },
+        filters: { type: 'object' },
+        filtersDescription: { type: 'string' },
+        instructions: { type: 'string' },
+        // The comparison period, e.g. 'Previous period', when comparison mode was on
+        comparison: { type: 'string' },
+        model: { type: 'string' },
+        dataHash: { type: 'string', minLength: 1 },
+    },
+    required: ['dashboardId', 'querySummaries', 'dataHash'],
+};
+
+// A dashboard summarization being started, whose progress /generationRuns/:id reports; tiles are the tile titles in order
+const GENERATION_RUN_SCHEMA = {
+    type: 'object',
+    properties: {
+        dashboardId: { type: 'string', minLength: 1 },
+        tiles: { type: 'array', items: { type: 'string' }, minItems: 1, maxItems: 500 },
+    },
+    required: ['dashboardId', 'tiles'],
+};
+
+// Answer to a /chat question; citations name the tiles (T1, T2, ...) and the figures used from each
+const CHAT_ANSWER_SCHEMA = {
+    type: 'object',
+    properties: {
+        answer: { type: 'string', minLength: 1 },
+        citations: {
+            type: 'array',
+            items: {
+                type: 'object',
+                properties: {
+                    tileId: { type: 'string', minLength: 1 },
+                    evidence: { type: 'string' },
+                },
+                required: ['tileId'],
+            },
+        },
+    },
+    required: ['answer', 'citations'],
+};
+
+module.exports = { QUERY_SUMMARY_SCHEMA, QUERY_SUGGESTIONS_SCHEMA, SCHEDULE_SCHEMA, PRESET_SCHEMA, SUMMARY_RUN_SCHEMA, GENERATION_RUN_SCHEMA, CHAT_ANSWER_SCHEMA };
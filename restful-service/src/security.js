@@ -0,0 +1,98 @@
+const crypto = require('crypto');
+const { verifyStreamToken } = require('./streamToken');
+
+// Request authentication, CORS and rate limiting for the service. The extension calls the service
+// through the Looker server proxy, which adds the client secret (a user attribute) in the
+// X-Client-Secret header; the browser only ever holds short-lived stream tokens.
+
+const LOOPBACK_ADDRESSES = new Set(['127.0.0.1', '::1', '::ffff:127.0.0.1']);
+
+// Compares digests so neither the contents nor the length of the secret leak through timing
+function secretMatches(expected, actual) {
+    if (!expected || typeof actual !== 'string') return false;
+    const digest = (value) => crypto.createHash('sha256').update(value).digest();
+    return crypto.timingSafeEqual(digest(expected), digest(actual));
+}
+
+// The socket's address, not X-Forwarded-For, so requests relayed by a proxy never count as loopback
+function isLoopbackRequest(req) {
+    return LOOPBACK_ADDRESSES.has(req.socket.remoteAddress);
+}
+
+// Who a request is from in rate limits and audit logs. Requests with the client secret came through
+// the Looker server proxy, where every user shares the proxy's address, so they are keyed on the
+// Looker user the extension sends next to the secret tag (X-Looker-User-Id); stream requests on the
+// user in their token, which was issued through the proxy. Anything else, including direct calls
+// without a user, is keyed on the caller's address. The user id is set by the extension's code in
+// the browser, so a Looker user could change it; it is recorded as reported in audit logs.
+function clientId(req, { clientSecret, streamTokenSecret } = {}) {
+    const userId = req.get('X-Looker-User-Id');
+    if (userId && secretMatches(clientSecret, req.get('X-Client-Secret'))) {
+        return `user:${userId}`;
+    }
+    const [scheme, token] = (req.get('Authorization') || '').split(' ');
+    const claims = scheme === 'Bearer' ? verifyStreamToken(streamTokenSecret, token) : null;
+    if (claims && claims.userId) {
+        return `user:${claims.userId}`;
+    }
+    return `ip:${req.ip}`;
+}
+
+/**
+ * Options for the cors middleware allowing `allowedOrigins` (e.g. ['https://example.looker.com',
+ * 'https://*.looker.app']); '*' matches one host label. An empty list allows no cross-origin
+ * requests. Requests without an Origin header (the Looker server proxy, curl) are not affected by CORS.
+ */
+function createCorsOptions(allowedOrigins) {
+    if (allowedOrigins.length === 0) {
+        return { origin: false };
+    }
+    const patterns = allowedOrigins.map((origin) => new RegExp(`^${origin
+        .replace(/\/$/, '')
+        .replace(/[.+?^${}()|[\]\\]/g, '\\$&')
+        .replace(/\*/g, '[^./]+')}$`, 'i'));
+    return {
+        origin: (origin, callback) => callback(null, !origin || patterns.some((pattern) => pattern.test(origin))),
+    };
+}
+
+/**
+ * Fixed-window rate limiting per client: keyOf(req) names the client (see clientId). Requests over
+ * `maxRequests` within `windowSeconds` get a 429 with Retry-After; onLimited is called with the
+ * request for logging.
+ */
+function createRateLimiter({ windowSeconds = 60, maxRequests = 240, keyOf = clientId, onLimited = () => {} } = {}) {
+    const windows = new Map();
+    let lastSweep = Date.now();
+
+    return (req, res, next) => {
+        // CORS preflights from disallowed origins reach here too and don't count
+        if (!maxRequests || req.method === 'OPTIONS') return next();
+        const now = Date.now();
+        // Drop expired windows now and then so idle clients don't accumulate
+        if (now - lastSweep > windowSeconds * 1000) {
+            windows.forEach((window, key) => {
+                if (window.resetAt <= now) windows.delete(key);
+            });
+            lastSweep = now;
+        }
+        const key = keyOf(req);
+        let window = windows.get(key);
+        if (!window || window.resetAt <= now) {
+            window = { count: 0, resetAt: now + windowSeconds * 1000 };
+            windows.set(key, window);
+        }
+        window.count += 1;
+        res.set('RateLimit-Limit', String(maxRequests));
+        res.set('RateLimit-Remaining', String(Math.max(0, maxRequests - window.count)));
+        if (window.count > maxRequests) {
+            const retryAfter = Math.ceil((window.resetAt - now) / 1000);
+            onLimited(req);
+            res.set('Retry-After', String(retryAfter));
+            return res.status(429).json({ error: 'rate_limited', retryAfter });
+        }
+        next();
+    };
+}
+
+module.exports = { secretMatches, isLoopbackRequest, clientId, createCorsOptions, createRateLimiter };
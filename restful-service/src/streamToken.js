@@ -0,0 +1,35 @@
+const crypto = require('crypto');
+
+// Streaming responses can't go through the Looker server proxy, which is the only place the
+// client secret user attribute is substituted. The extension asks for a short-lived token
+// through the proxy instead and calls the streaming routes directly with it. The token carries the
+// Looker user the token request reported, so stream requests are rate limited per user too.
+
+function sign(secret, payload) {
+    return crypto.createHmac('sha256', secret).update(payload).digest('base64url');
+}
+
+function createStreamToken(secret, { ttlSeconds = 300, userId = null } = {}) {
+    const expiresAt = Date.now() + ttlSeconds * 1000;
+    const user = userId ? Buffer.from(String(userId)).toString('base64url') : '';
+    const payload = `${expiresAt}.${crypto.randomBytes(8).toString('hex')}.${user}`;
+    return { token: `${payload}.${sign(secret, payload)}`, expiresAt };
+}
+
+// Resolves a valid, unexpired token to { userId } (null when it has none), anything else to null
+function verifyStreamToken(secret, token) {
+    if (!secret || typeof token !== 'string') return null;
+    const separator = token.lastIndexOf('.');
+    if (separator === -1) return null;
+    const payload = token.slice(0, separator);
+    const expected = Buffer.from(sign(secret, payload));
+    const actual = Buffer.from(token.slice(separator + 1));
+    if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+        return null;
+    }
+    const [expiresAt, , user] = payload.split('.');
+    if (Number(expiresAt) <= Date.now()) return null;
+    return { userId: user ? Buffer.from(user, 'base64url').toString() : null };
+}
+
+module.exports = { createStreamToken, verifyStreamToken };
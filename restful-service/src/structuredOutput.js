@@ -0,0 +1,146 @@
+// Structured (JSON) output: ask the provider for JSON, validate it against a schema and
+// re-prompt with the validation errors when the model gets it wrong.
+
+class StructuredOutputError extends Error {
+    constructor(message, errors, lastResponse) {
+        super(message);
+        this.name = 'StructuredOutputError';
+        this.errors = errors;
+        this.lastResponse = lastResponse;
+    }
+}
+
+// Validates the subset of JSON Schema used by the schemas in schemas.js.
+// Returns a list of error messages, empty when the value is valid.
+function validateSchema(schema, value, path = '$') {
+    const errors = [];
+    switch (schema.type) {
+        case 'object':
+            if (value === null || typeof value !== 'object' || Array.isArray(value)) {
+                return [`${path} must be an object`];
+            }
+            (schema.required || []).forEach((key) => {
+                if (value[key] === undefined || value[key] === null) {
+                    errors.push(`${path}.${key} is required`);
+                }
+            });
+            Object.entries(schema.properties || {}).forEach(([key, propertySchema]) => {
+                if (value[key] !== undefined && value[key] !== null) {
+                    errors.push(...validateSchema(propertySchema, value[key], `${path}.${key}`));
+                }
+            });
+            break;
+        case 'array':
+            if (!Array.isArray(value)) {
+                return [`${path} must be an array`];
+            }
+            if (schema.minItems !== undefined && value.length < schema.minItems) {
+                errors.push(`${path} must have at least ${schema.minItems} items`);
+            }
+            if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+                errors.push(`${path} must have at most ${schema.maxItems} items`);
+            }
+            if (schema.items) {
+                value.forEach((item, index) => errors.push(...validateSchema(schema.items, item, `${path}[${index}]`)));
+            }
+            break;
+        case 'string':
+            if (typeof value !== 'string') {
+                return [`${path} must be a string`];
+            }
+            if (schema.minLength !== undefined && value.trim().length < schema.minLength) {
+                errors.push(`${path} must not be empty`);
+            }
+            if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+                errors.push(`${path} must be at most ${schema.maxLength} characters`);
+            }
+            if (schema.enum && !schema.enum.includes(value)) {
+                errors.push(`${path} must be one of: ${schema.enum.join(', ')}`);
+            }
+            break;
+        case 'number':
+        case 'integer':
+            if (typeof value !== 'number' || Number.isNaN(value) || (schema.type === 'integer' && !Number.isInteger(value))) {
+                return [`${path} must be ${schema.type === 'integer' ? 'an integer' : 'a number'}`];
+            }
+            break;
+        case 'boolean':
+            if (typeof value !== 'boolean') {
+                return [`${path} must be a boolean`];
+            }
+            break;
+        default:
+            break;
+    }
+    return errors;
+}
+
+// Extracts JSON from a model response, tolerating code fences, surrounding prose and trailing commas
+function parseJsonResponse(text) {
+    const cleaned = (text || '').replace(/```(?:json)?/gi, '').trim();
+    const start = cleaned.search(/[[{]/);
+    if (start === -1) {
+        throw new Error('Response does not contain JSON');
+    }
+    const end = cleaned.lastIndexOf(cleaned[start] === '{' ? '}' : ']');
+    const candidate = cleaned.slice(start, end + 1);
+    try {
+        return JSON.parse(candidate);
+    } catch (error) {
+        return JSON.parse(candidate.replace(/,\s*([}\]])/g, '$1'));
+    }
+}
+
+function getRepairPrompt(prompt, schema, previousResponse, errors) {
+    return `${prompt}
+
+    **Your previous response was invalid.**
+
+    Previous response:
+    ${previousResponse}
+
+    Problems:
+    ${errors.map((error) => `* ${error}`).join('\n    ')}
+
+    Respond again with ONLY a JSON value that matches this JSON schema, with no other text:
+    ${JSON.stringify(schema)}
+    `;
+}
+
+/**
+ * Generates JSON matching `schema`. The first attempt is streamed when onChunk is given;
+ * repair attempts are not, since the caller only needs the final value.
+ * Throws StructuredOutputError when no valid response is produced within maxAttempts.
+ */
+async function generateStructured(llm, prompt, schema, { task, maxAttempts = 3, onChunk } = {}) {
+    const options = { task, responseSchema: schema };
+    let currentPrompt = prompt;
+    let response = '';
+    let errors = [];
+
+    for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+        response = attempt === 1 && onChunk
+            ? await llm.stream(currentPrompt, options, onChunk)
+            : await llm.generate(currentPrompt, options);
+        let value;
+        try {
+            value = parseJsonResponse(response);
+            errors = validateSchema(schema, value);
+        } catch (error) {
+            errors = [`Response is not valid JSON: ${error.message}`];
+        }
+        if (errors.length === 0) {
+            return value;
+        }
+        console.warn(`Invalid structured output for ${task} (attempt ${attempt} of ${maxAttempts}):`, errors);
+        currentPrompt = getRepairPrompt(prompt, schema, response, errors);
+    }
+    throw new StructuredOutputError(`Could not generate valid ${task} output after ${maxAttempts} attempts`, errors, response);
+}
+
+module.exports = {
+    StructuredOutputError,
+    validateSchema,
+    parseJsonResponse,
+    generateStructured,
+};
@@ -0,0 +1,132 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+// Cache for generated summaries. Entries are keyed on a hash of everything that affects the
+// output (query, result rows, dashboard description, instructions and model) and expire after a TTL.
+
+// Bump when prompts or output formats change so old entries are no longer served
+const CACHE_VERSION = 6;
+
+// JSON.stringify with sorted object keys, so equal inputs always hash the same
+function stableStringify(value) {
+    if (Array.isArray(value)) {
+        return `[${value.map(stableStringify).join(',')}]`;
+    }
+    if (value && typeof value === 'object') {
+        return `{${Object.keys(value).sort().filter((key) => value[key] !== undefined)
+            .map((key) => `${JSON.stringify(key)}:${stableStringify(value[key])}`).join(',')}}`;
+    }
+    return JSON.stringify(value === undefined ? null : value);
+}
+
+function hashKey(parts) {
+    return crypto.createHash('sha256').update(stableStringify({ version: CACHE_VERSION, ...parts })).digest('hex');
+}
+
+// --- Backends ---
+// get(key) => Promise<entry | null>, set(key, entry) => Promise<void>; entry = { value, createdAt, expiresAt }
+
+function memoryBackend({ maxEntries = 500 } = {}) {
+    const entries = new Map();
+    return {
+        name: 'memory',
+        async get(key) {
+            const entry = entries.get(key);
+            if (!entry) return null;
+            // Re-insert so the Map stays in least recently used order
+            entries.delete(key);
+            entries.set(key, entry);
+            return entry;
+        },
+        async set(key, entry) {
+            entries.delete(key);
+            entries.set(key, entry);
+            if (entries.size > maxEntries) {
+                entries.delete(entries.keys().next().value);
+            }
+        },
+        async delete(key) {
+            entries.delete(key);
+        },
+    };
+}
+
+// One JSON file per entry, so the cache survives restarts (mount a volume on Cloud Run)
+function fileBackend({ directory }) {
+    const fileFor = (key) => path.join(directory, `${key}.json`);
+    return {
+        name: 'file',
+        async get(key) {
+            try {
+                return JSON.parse(await fs.promises.readFile(fileFor(key), 'utf8'));
+            } catch (error) {
+                if (error.code !== 'ENOENT') {
+                    console.error('Error reading summary cache entry:', error);
+                }
+                return null;
+            }
+        },
+        async set(key, entry) {
+            await fs.promises.mkdir(directory, { recursive: true });
+            await fs.promises.writeFile(fileFor(key), JSON.stringify(entry));
+        },
+        async delete(key) {
+            await fs.promises.rm(fileFor(key), { force: true });
+        },
+    };
+}
+
+const backends = {
+    memory: memoryBackend,
+    file: fileBackend,
+};
+
+function createSummaryCache({ backend = 'memory', ttlSeconds = 3600, directory, maxEntries } = {}) {
+    if (backend === 'none') {
+        return {
+            enabled: false,
+            async wrap(kind, keyParts, options, compute) {
+                return { value: await compute(), cache: { hit: false, enabled: false } };
+            },
+        };
+    }
+    const factory = backends[backend];
+    if (!factory) {
+        throw new Error(`Unknown SUMMARY_CACHE_BACKEND "${backend}". Expected one of: none, ${Object.keys(backends).join(', ')}`);
+    }
+    const store = factory({ directory, maxEntries });
+
+    /**
+     * Returns the cached value for keyParts, or computes and stores it.
+     * options.forceRefresh skips the lookup but still stores the new value.
+     * Resolves with { value, cache: { hit, key, createdAt, expiresAt } }.
+     */
+    async function wrap(kind, keyParts, { forceRefresh = false } = {}, compute) {
+        const key = hashKey({ kind, ...keyParts });
+        if (!forceRefresh) {
+            const entry = await store.get(key);
+            if (entry && entry.expiresAt > Date.now()) {
+                return { value: entry.value, cache: { hit: true, key, createdAt: entry.createdAt, expiresAt: entry.expiresAt } };
+            }
+            if (entry) {
+                await store.delete(key);
+            }
+        }
+
+        const value = await compute();
+        const createdAt = Date.now();
+        const entry = { value, createdAt, expiresAt: createdAt + ttlSeconds * 1000 };
+        try {
+            await store.set(key, entry);
+        } catch (error) {
+            // A cache write failure shouldn't fail the request
+            console.error('Error writing summary cache entry:', error);
+        }
+        return { value, cache: { hit: false, key, createdAt: entry.createdAt, expiresAt: entry.expiresAt } };
+    }
+
+    return { enabled: true, backend: store.name, wrap };
+}
+
+module.exports = { createSummaryCache, stableStringify };
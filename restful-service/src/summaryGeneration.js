@@ -0,0 +1,209 @@
+const { generateStructured } = require('./structuredOutput');
+const { QUERY_SUMMARY_SCHEMA } = require('./schemas');
+const { querySummaryToMarkdown } = require('./markdown');
+const { describeQueryResult } = require('./queryResults');
+const { compareQueryResults } = require('./comparison');
+const { describeAnomalies } = require('./anomalies');
+
+// Tile and dashboard summary prompts and the model calls that run them. The routes (index.js) add
+// caching and verification around the generator; the evaluation harness (evaluation/) runs it
+// directly with other providers and prompt variants.
+
+// Approximate tokens of query data (column profile plus sampled rows) included per tile
+const DEFAULT_PROMPT_DATA_TOKEN_BUDGET = 6000;
+
+// Filters the tile ran with, as resolved by the extension (src/utils/resolveTileFilters.ts)
+function describeAppliedFilters(appliedFilters) {
+    if (!Array.isArray(appliedFilters)) return '';
+    if (appliedFilters.length === 0) return 'Applied Filters: none, the tile covers all data';
+    const lines = appliedFilters.map((filter) => {
+        const source = filter.source === 'dashboard'
+            ? `dashboard filter "${filter.dashboardFilter}"`
+            : filter.source === 'crossfilter' ? 'cross-filter' : 'tile filter';
+        return `* ${filter.field} is "${filter.value}" (${source}${filter.mergeSource ? `, merged source "${filter.mergeSource}"` : ''})`;
+    });
+    return `Applied Filters:\n    ${lines.join('\n    ')}`;
+}
+
+function getQuerySummaryPrompt(query, description, nextStepsInstructions, findings = [], promptDataTokenBudget = DEFAULT_PROMPT_DATA_TOKEN_BUDGET) {
+    const queryPrompt = `
+    You are an expert Looker dashboard analyst tasked with summarizing dashboard queries and providing actionable next steps.
+
+    **Strict Formatting and Content Requirements:**
+
+    * **JSON Output:** Respond with ONLY a JSON object, without code fences or any other text, with these keys:
+        * \`queryTitle\`: Use the "Query Title" from the provided context.
+        * \`description\`: A concise (2-4 sentences) paragraph describing the query.
+        * \`summary\`: A 3-5 sentence summary of the query results for user comprehension.
+        * \`nextSteps\`: An array of 2-3 actionable next steps based on the query summary.
+    * **Plain Text Values:** Values may use inline Markdown (bold, italic, links) but no headings, lists, tables or images.
+    * **Numerical Formatting:** Format numerical values as percentages or dollar amounts (rounded to the nearest cent).
+    * **Whole Result:** The data may be a sample. Base totals, averages, ranges and changes on the Column Profile, which covers every row.
+    * **Filters:** When Applied Filters are listed, state the ones that scope the results (e.g. date range, region) in the description.
+    * **Field Labels:** Refer to fields by their labels (e.g. "Total Sale Price (USD)"), never by technical names like \`order_items.total_sale_price\`. Use the units in the labels.
+    * **Detected Patterns:** The Detected Patterns were computed from every row. Mention the outliers and level shifts among them in the summary, with their periods and values, and don't report spikes, trends or movers that aren't listed or that contradict them.
+
+    **Context:**
+    
+    Summary style/specialized instructions: ${nextStepsInstructions || ''}
+    Dashboard Detail: ${description || ''} 
+
+    Query Details: "Query Title: ${query.title} 
+    ${query.note_text !== '' && query.note_text !== null ? "Query Note: " + query.note_text : ''} 
+    ${describeAppliedFilters(query.appliedFilters)}
+    ${describeQueryResult(query.queryData, query.queryBody, promptDataTokenBudget)}
+    ${describeAnomalies(findings)}"
+
+    **Example Output (Use as a Template, Not Verbatim):**
+
+    {
+        "queryTitle": "Web Traffic Over Time",
+        "description": "This query details the amount of web traffic received to the website over the past 6 months. It includes a web traffic source field of organic, search, and display, as well as an amount field detailing the number of users from those sources.",
+        "summary": "It appears that search has consistently driven the highest user traffic, with 9875 users in the past month and a peak in December at 1000 unique users. Organic traffic is the second highest, while display traffic is significantly lower. Display traffic started strong but declined steadily. There was a notable 23% spike in organic traffic in March.",
+        "nextSteps": [
+            "Investigate the 23% organic traffic spike in March to identify potential causes (e.g., marketing campaign, website error).",
+            "Segment search traffic by campaign source to identify high-performing strategies.",
+            "Analyze display traffic patterns to determine the factors contributing to its decline and explore optimization strategies."
+        ]
+    }
+    `;
+    return queryPrompt;
+}
+
+function describeShiftedFilters(shiftedFilters) {
+    if (!Array.isArray(shiftedFilters) || shiftedFilters.length === 0) {
+        return 'Periods: the tile has no date filter, so both periods returned the same date range';
+    }
+    const lines = shiftedFilters.map((shift) => `* ${shift.field}: current "${shift.current}", previous "${shift.previous}"`);
+    return `Periods:\n    ${lines.join('\n    ')}`;
+}
+
+function getComparisonSummaryPrompt(query, comparison, deltas, description, nextStepsInstructions, promptDataTokenBudget = DEFAULT_PROMPT_DATA_TOKEN_BUDGET) {
+    const queryPrompt = `
+    You are an expert Looker dashboard analyst explaining what changed in a dashboard query between two periods and providing actionable next steps.
+
+    **Strict Formatting and Content Requirements:**
+
+    * **JSON Output:** Respond with ONLY a JSON object, without code fences or any other text, with these keys:
+        * \`queryTitle\`: Use the "Query Title" from the provided context.
+        * \`description\`: A concise (2-4 sentences) paragraph describing the query and the two periods compared.
+        * \`summary\`: A 3-5 sentence summary of what changed from the previous period to the current one: the overall changes first, then the biggest movers.
+        * \`nextSteps\`: An array of 2-3 actionable next steps to investigate or act on the changes.
+    * **Plain Text Values:** Values may use inline Markdown (bold, italic, links) but no headings, lists, tables or images.
+    * **Explain Changes, Not Levels:** Lead with changes and percentages from the Computed Changes; mention current levels only to give a change context. Don't compute changes yourself.
+    * **Numerical Formatting:** Format numerical values as percentages or dollar amounts (rounded to the nearest cent).
+    * **Field Labels:** Refer to fields by their labels, never by technical names.
+
+    **Context:**
+
+    Summary style/specialized instructions: ${nextStepsInstructions || ''}
+    Dashboard Detail: ${description || ''}
+    Comparison: current period vs. ${comparison.label || 'previous period'}
+
+    Query Details: "Query Title: ${query.title}
+    ${query.note_text !== '' && query.note_text !== null ? "Query Note: " + query.note_text : ''}
+    ${describeAppliedFilters(query.appliedFilters)}
+    ${describeShiftedFilters(comparison.shiftedFilters)}
+
+    Computed Changes (current minus previous, over ${deltas.currentRows} current and ${deltas.previousRows} previous rows):
+    Overall: ${JSON.stringify(deltas.overall)}
+    Top Movers by dimension value: ${JSON.stringify(deltas.topMovers)}
+
+    Current Period Data:
+    ${describeQueryResult(query.queryData, query.queryBody, Math.floor(promptDataTokenBudget / 2))}
+
+    Previous Period Data:
+    ${describeQueryResult(comparison.previousQueryData, query.queryBody, Math.floor(promptDataTokenBudget / 4))}"
+
+    **Example Output (Use as a Template, Not Verbatim):**
+
+    {
+        "queryTitle": "Web Traffic by Source",
+        "description": "This query shows website users by traffic source, comparing the last 7 days with the 7 days before.",
+        "summary": "Total users grew 12.4% to 10,870. Search drove most of the increase with 950 more users (+10.6%), while display fell 31% to 420 users. Organic traffic was flat (+0.8%).",
+        "nextSteps": [
+            "Find which search campaigns drove the increase and shift budget toward them.",
+            "Check whether the display decline follows a campaign ending or a tracking change."
+        ]
+    }
+    `;
+    return queryPrompt;
+}
+
+// The dashboard summary prompt, combining the tile summaries (QuerySummary objects) as Markdown
+function getSummaryPrompt(querySummaries, nextStepsInstructions, comparison) {
+    const finalPromptData = `
+    You are a specialized answering assistant that can summarize a Looker dashboard and the underlying data and propose operational next steps drawing conclusions from the Query Details listed above. Follow the instructions below:
+
+    Please highlight the findings of all of the query data here. All responses MUST be based on the actual information returned by these queries: \n${comparison ? `
+    These summaries compare the current period with the ${comparison.label || 'previous period'}. Focus on what changed and why it matters rather than on current levels.\n` : ''}                                     
+    data: ${querySummaries.map(querySummaryToMarkdown).join('\n')}
+
+    For example, use the names of the locations in the data series (like Seattle, Indianapolis, Chicago, etc) in recommendations regarding locations. Use the name of a process if discussing processes. Don't use row numbers to refer to any facility, process or location. This information should be sourced from the above data.
+    Surface the most important or notable details and combine next steps recommendations into one bulleted list of 2-6 suggestions. \n
+    --------------
+    Here is an output format Example:
+    ----------------
+    
+    ## Web Traffic Over Time \n
+    This query details the amount of web traffic received to the website over the past 6 months. It includes a web traffic source field of organic, search and display
+    as well as an amount field detailing the amount of people coming from those sources to the website. \n
+    
+    > It looks like search historically has been driving the most user traffic with 9875 users over the past month with peak traffic happening in december at 1000 unique users.
+    Organic comes in second and display a distant 3rd. It seems that display got off to a decent start in the year, but has decreased in volume consistently into the end of the year.
+    There appears to be a large spike in organic traffic during the month of March a 23% increase from the rest of the year.\n
+    \n
+    
+    ## Next Steps
+    * Look into the data for the month of March to determine if there was an issue in reporting and/or what sort of local events could have caused the spike
+    * Continue investing into search advertisement with common digital marketing strategies. IT would also be good to identify/breakdown this number by campaign source and see what strategies have been working well for Search.
+    * Display seems to be dropping off and variable. Use only during select months and optimize for heavily trafficed areas with a good demographic for the site retention.\n
+    \n
+    -----------
+
+    Please add actionable next steps, both for immediate intervention, improved data gathering and further analysis of existing data.
+    Here are some tips for creating actionable next steps: \n
+    -----------
+    ${nextStepsInstructions}
+    -----------
+    
+    `;
+    return finalPromptData;
+}
+
+// The prompts the generator uses unless they are replaced, e.g. by an evaluation variant
+const DEFAULT_PROMPTS = { getQuerySummaryPrompt, getComparisonSummaryPrompt, getSummaryPrompt };
+
+/**
+ * Summary generation with `llm` (a provider, see providers/index.js). `prompts` replaces some of
+ * DEFAULT_PROMPTS, with the same signatures. onChunk streams the response where given.
+ */
+function createSummaryGenerator({ llm, promptDataTokenBudget = DEFAULT_PROMPT_DATA_TOKEN_BUDGET, prompts = {} }) {
+    const { getQuerySummaryPrompt: querySummaryPrompt, getComparisonSummaryPrompt: comparisonSummaryPrompt, getSummaryPrompt: summaryPrompt } = { ...DEFAULT_PROMPTS, ...prompts };
+
+    return {
+        // Resolves with a QuerySummary object ({ queryTitle, description, summary, nextSteps }) validated against QUERY_SUMMARY_SCHEMA
+        generateQuerySummary(query, description, nextStepsInstructions, findings, onChunk) {
+            const prompt = querySummaryPrompt(query, description, nextStepsInstructions, findings, promptDataTokenBudget);
+            return generateStructured(llm, prompt, QUERY_SUMMARY_SCHEMA, { task: 'querySummary', onChunk });
+        },
+        // Same QuerySummary shape as a tile summary, but written about the change between the two periods
+        generateComparisonSummary(query, comparison, description, nextStepsInstructions, onChunk) {
+            const deltas = compareQueryResults(query.queryData, comparison.previousQueryData);
+            const prompt = comparisonSummaryPrompt(query, comparison, deltas, description, nextStepsInstructions, promptDataTokenBudget);
+            return generateStructured(llm, prompt, QUERY_SUMMARY_SCHEMA, { task: 'comparisonSummary', onChunk });
+        },
+        // Resolves with the dashboard summary as Markdown
+        generateSummary(querySummaries, nextStepsInstructions, onChunk, comparison) {
+            const prompt = summaryPrompt(querySummaries, nextStepsInstructions, comparison);
+            return onChunk ? llm.stream(prompt, { task: 'summary' }, onChunk) : llm.generate(prompt, { task: 'summary' });
+        },
+    };
+}
+
+module.exports = {
+    DEFAULT_PROMPTS,
+    DEFAULT_PROMPT_DATA_TOKEN_BUDGET,
+    createSummaryGenerator,
+    describeAppliedFilters,
+};
@@ -0,0 +1,84 @@
+const crypto = require('crypto');
+const { createJsonStore } = require('./jsonStore');
+const { validateSchema } = require('./structuredOutput');
+const { SUMMARY_RUN_SCHEMA } = require('./schemas');
+
+// History of summary runs per dashboard: each run keeps the summaries with the filters, instructions,
+// model and a hash of the tile data they were generated from, so earlier runs can be read again and
+// compared. The extension saves its runs; scheduled runs are saved by the service.
+
+// Errors for invalid runs, returned to the caller as 400s
+class SummaryRunValidationError extends Error {
+    constructor(errors) {
+        super(`Invalid summary run: ${errors.join('; ')}`);
+        this.name = 'SummaryRunValidationError';
+        this.errors = errors;
+    }
+}
+
+/**
+ * Hash of the tiles' query results, which tells whether two runs summarized the same data. The
+ * extension computes the same hash (utils/summaryHistory.ts): SHA-256 of the JSON of the results'
+ * queryData, in tile order.
+ */
+function hashQueryData(queryResults) {
+    return crypto.createHash('sha256')
+        .update(JSON.stringify(queryResults.map((result) => (result.queryData === undefined ? null : result.queryData))))
+        .digest('hex');
+}
+
+// A run without its summaries, for listing
+const runHeader = ({ dashboardSummary, querySummaries, ...header }) => ({ ...header, tileCount: querySummaries.length });
+
+function createSummaryHistory({ backend = 'file', file, historyLimit = 50 } = {}) {
+    const store = createJsonStore({ backend, file, initialState: () => ({ runs: [] }), setting: 'SUMMARY_HISTORY_STORE' });
+
+    return {
+        backend: store.backend,
+        // Newest first, without the summaries
+        async listRuns(dashboardId) {
+            return (await store.load()).runs.filter((run) => run.dashboardId === dashboardId).reverse().map(runHeader);
+        },
+        async getRun(id) {
+            return (await store.load()).runs.find((run) => run.id === id) || null;
+        },
+        /**
+         * Adds a run, keeping the newest historyLimit runs of its dashboard.
+         * @param source 'extension' or 'schedule'
+         */
+        saveRun(fields, { source = 'extension', userId = null, scheduleId = null } = {}) {
+            const errors = validateSchema(SUMMARY_RUN_SCHEMA, fields);
+            if (errors.length > 0) {
+                throw new SummaryRunValidationError(errors);
+            }
+            const run = {
+                id: crypto.randomUUID(),
+                dashboardId: fields.dashboardId,
+                dashboardTitle: fields.dashboardTitle || '',
+                createdAt: new Date().toISOString(),
+                source,
+                userId,
+                scheduleId,
+                filters: fields.filters || {},
+                filtersDescription: fields.filtersDescription || '',
+                instructions: fields.instructions || '',
+                comparison: fields.comparison || null,
+                model: fields.model || null,
+                dataHash: fields.dataHash,
+                dashboardSummary: fields.dashboardSummary || '',
+                querySummaries: fields.querySummaries,
+            };
+            return store.update((state) => {
+                state.runs.push(run);
+                const dashboardRuns = state.runs.filter((existing) => existing.dashboardId === run.dashboardId);
+                if (dashboardRuns.length > historyLimit) {
+                    const expired = new Set(dashboardRuns.slice(0, dashboardRuns.length - historyLimit).map((existing) => existing.id));
+                    state.runs = state.runs.filter((existing) => !expired.has(existing.id));
+                }
+                return run;
+            });
+        },
+    };
+}
+
+module.exports = { createSummaryHistory, hashQueryData, SummaryRunValidationError };
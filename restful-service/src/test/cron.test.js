@@ -0,0 +1,55 @@
+const { describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+const { parseCron, nextRun } = require('../scheduler/cron');
+
+describe('parseCron', () => {
+    test('expands lists, ranges, steps and names', () => {
+        const cron = parseCron('*/15 8-18/2 1,15 JAN-MAR MON-FRI');
+        assert.deepEqual([...cron.minute.values], [0, 15, 30, 45]);
+        assert.deepEqual([...cron.hour.values], [8, 10, 12, 14, 16, 18]);
+        assert.deepEqual([...cron.dayOfMonth.values], [1, 15]);
+        assert.deepEqual([...cron.month.values], [1, 2, 3]);
+        assert.deepEqual([...cron.dayOfWeek.values], [1, 2, 3, 4, 5]);
+        assert.equal(cron.minute.any, false);
+    });
+
+    test('treats 7 as Sunday', () => {
+        assert.deepEqual([...parseCron('0 0 * * 7').dayOfWeek.values], [0]);
+    });
+
+    test('rejects invalid expressions with a readable message', () => {
+        assert.throws(() => parseCron('0 8 * *'), /must have 5 fields/);
+        assert.throws(() => parseCron('60 * * * *'), /Invalid minute "60"/);
+        assert.throws(() => parseCron('*/0 * * * *'), /Invalid step in minute/);
+        assert.throws(() => parseCron('0 18-8 * * *'), /Invalid range in hour/);
+        assert.throws(() => parseCron('0 0 * * FUNDAY'), /Invalid dayOfWeek/);
+    });
+});
+
+describe('nextRun', () => {
+    test('returns the first matching minute after the given time', () => {
+        assert.equal(nextRun('*/15 * * * *', new Date('2024-01-01T00:07:30Z')).toISOString(), '2024-01-01T00:15:00.000Z');
+        // Never the given minute itself, so a run isn't repeated
+        assert.equal(nextRun('0 * * * *', new Date('2024-01-01T01:00:00Z')).toISOString(), '2024-01-01T02:00:00.000Z');
+    });
+
+    test('evaluates the expression in the time zone, across daylight saving changes', () => {
+        // Monday 8:00 in Berlin is 7:00 UTC in winter and 6:00 UTC in summer (from March 31, 2024)
+        assert.equal(nextRun('0 8 * * MON', new Date('2024-03-24T12:00:00Z'), 'Europe/Berlin').toISOString(), '2024-03-25T07:00:00.000Z');
+        assert.equal(nextRun('0 8 * * MON', new Date('2024-03-26T12:00:00Z'), 'Europe/Berlin').toISOString(), '2024-04-01T06:00:00.000Z');
+    });
+
+    test('matches either a restricted day of month or day of week', () => {
+        // The 1st, or any Monday: after Tuesday January 2, 2024 comes Monday January 8
+        assert.equal(nextRun('0 0 1 * MON', new Date('2024-01-02T00:00:00Z')).toISOString(), '2024-01-08T00:00:00.000Z');
+        assert.equal(nextRun('0 0 1 * MON', new Date('2024-01-29T12:00:00Z')).toISOString(), '2024-02-01T00:00:00.000Z');
+    });
+
+    test('finds yearly dates such as February 29', () => {
+        assert.equal(nextRun('0 0 29 2 *', new Date('2024-03-01T00:00:00Z')).toISOString(), '2028-02-29T00:00:00.000Z');
+    });
+
+    test('throws for expressions that never match', () => {
+        assert.throws(() => nextRun('0 0 31 2 *', new Date('2024-01-01T00:00:00Z')), /never matches/);
+    });
+});
@@ -0,0 +1,91 @@
+const { describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+const { resolveTileQuery, mergeResultIdOf, compactQueryResult, mergeQueryResults } = require('../dashboardQueries');
+
+describe('resolveTileQuery', () => {
+    const element = {
+        title: 'Orders',
+        note_text: '',
+        query: { model: 'shop', view: 'orders', fields: ['orders.count'], filters: { 'orders.status': 'Complete', 'orders.region': '' }, client_id: 'x' },
+        result_maker: { filterables: [{ listen: [{ dashboard_filter_name: 'Date', field: 'orders.created_date' }, { dashboard_filter_name: 'Status', field: 'orders.status' }] }] },
+    };
+
+    test('applies tile, dashboard and cross-filters in order and records where each came from', () => {
+        const crossFilters = { model: 'shop', view: 'orders', filters: { 'orders.status': 'Returned', 'orders.created_date': '7 days' } };
+        const tile = resolveTileQuery(element, { Date: '7 days', Status: '' }, crossFilters);
+        assert.deepEqual(tile.queryBody, { model: 'shop', view: 'orders', fields: ['orders.count'], filters: { 'orders.status': 'Returned', 'orders.created_date': '7 days' } });
+        assert.deepEqual(tile.appliedFilters, [
+            { field: 'orders.status', value: 'Returned', source: 'crossfilter' },
+            { field: 'orders.created_date', value: '7 days', source: 'dashboard', dashboardFilter: 'Date' },
+        ]);
+    });
+
+    test('ignores cross-filters on other explores', () => {
+        const tile = resolveTileQuery(element, {}, { model: 'shop', view: 'users', filters: { 'orders.status': 'Returned' } });
+        assert.deepEqual(tile.queryBody.filters, { 'orders.status': 'Complete' });
+    });
+
+    test('resolves merged results tiles per source query', () => {
+        const merged = { title: 'Merged', result_maker: { merge_result_id: '7', filterables: [{ name: 'Users', listen: [{ dashboard_filter_name: 'Date', field: 'users.created_date' }] }] } };
+        assert.equal(mergeResultIdOf(merged), '7');
+        assert.equal(mergeResultIdOf(element), null);
+        const tile = resolveTileQuery(merged, { Date: '7 days' }, null, [
+            { name: 'Orders', query: { model: 'shop', view: 'orders', fields: ['orders.created_date', 'orders.count'] } },
+            { name: 'Users', query: { model: 'shop', view: 'users', fields: ['users.created_date', 'users.count'] }, merge_fields: [{ field_name: 'orders.created_date', source_field_name: 'users.created_date' }] },
+        ]);
+        assert.equal(tile.queryBody, tile.mergeSources[0].queryBody);
+        assert.deepEqual(tile.mergeSources.map((source) => source.queryBody.filters), [{}, { 'users.created_date': '7 days' }]);
+        assert.deepEqual(tile.appliedFilters, [{ field: 'users.created_date', value: '7 days', source: 'dashboard', dashboardFilter: 'Date', mergeSource: 'Users' }]);
+    });
+
+    test('returns null for tiles without a query', () => {
+        assert.equal(resolveTileQuery({ title: 'Text', note_text: 'Hello' }, {}, null), null);
+    });
+});
+
+describe('compactQueryResult', () => {
+    test('keeps only what the prompts use', () => {
+        const compacted = compactQueryResult({
+            sql: 'SELECT 1',
+            fields: { dimensions: [{ name: 'orders.status', label: 'Status', sql: '${TABLE}.status', suggestions: ['a'] }], measures: [] },
+            pivots: [{ key: 'EMEA', data: { 'orders.region': 'EMEA' }, labels: {} }],
+            data: [{ 'orders.status': { value: 'Complete', rendered: 'Complete', html: '<b>Complete</b>', links: [] }, 'orders.count': { EMEA: { value: 1, links: [] } } }],
+            has_totals: false,
+        });
+        assert.deepEqual(compacted, {
+            fields: { dimensions: [{ name: 'orders.status', label: 'Status' }], measures: [], pivots: [], table_calculations: [] },
+            pivots: [{ key: 'EMEA', data: { 'orders.region': 'EMEA' } }],
+            data: [{ 'orders.status': { value: 'Complete', rendered: 'Complete' }, 'orders.count': { EMEA: { value: 1, rendered: undefined } } }],
+            totals_data: undefined,
+            has_totals: false,
+            has_row_totals: undefined,
+        });
+    });
+});
+
+describe('mergeQueryResults', () => {
+    test('left joins each source on its merge fields and renames shared fields', () => {
+        const merged = mergeQueryResults([
+            {
+                name: 'Orders',
+                mergeFields: [],
+                result: {
+                    fields: { dimensions: [{ name: 'orders.date', label: 'Date' }], measures: [{ name: 'count', label: 'Count' }] },
+                    data: [{ 'orders.date': { value: '2024-01-01' }, count: { value: 3 } }, { 'orders.date': { value: '2024-01-02' }, count: { value: 4 } }],
+                    has_totals: true,
+                },
+            },
+            {
+                name: 'Users',
+                mergeFields: [{ field_name: 'orders.date', source_field_name: 'users.date' }],
+                result: {
+                    fields: { dimensions: [{ name: 'users.date', label: 'Date' }], measures: [{ name: 'count', label: 'Count' }] },
+                    data: [{ 'users.date': { value: '2024-01-01' }, count: { value: 9 } }],
+                },
+            },
+        ]);
+        assert.deepEqual(merged.fields.measures.map((field) => [field.name, field.label]), [['count', 'Count'], ['Users.count', 'Count (Users)']]);
+        assert.deepEqual(merged.data.map((row) => row['Users.count']), [{ value: 9 }, { value: null }]);
+        assert.equal(merged.has_totals, false);
+    });
+});
@@ -0,0 +1,80 @@
+const { describe, test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const perspectiveAnalytics = require('../perspectiveAnalytics');
+
+const CLIENT_SECRET = 'test-secret';
+
+const analyze = (model, text) => perspectiveAnalytics.analyzeQuestion(perspectiveAnalytics.extractQuestion(text), model);
+
+describe('analyzeQuestion', () => {
+    let model;
+    before(async () => {
+        model = await perspectiveAnalytics.createWeightsProvider({ source: 'file' }).load();
+    });
+
+    test('computes what-if, goal and driver questions', () => {
+        assert.equal(analyze(model, 'What if rm increases by 10%?').type, 'whatIf');
+        assert.equal(analyze(model, 'How can we increase medv by 5?').type, 'goal');
+        assert.equal(analyze(model, 'What drives medv?').type, 'drivers');
+    });
+
+    test('says so instead of ranking drivers when a question names an unknown feature', () => {
+        const computation = analyze(model, 'What if foo increases by 10%?');
+        assert.equal(computation.type, 'unrecognized');
+        assert.equal(computation.result.reason, 'unknownFeature');
+        assert.equal(computation.result.mentioned, 'foo');
+        assert.deepEqual(computation.result.features, Object.keys(model.weights));
+        assert.match(perspectiveAnalytics.describeComputation(computation), /"foo" is neither medv nor one of the model's features/);
+    });
+
+    test('says so for questions it doesn\'t understand', () => {
+        const computation = analyze(model, 'What is the weather like?');
+        assert.equal(computation.type, 'unrecognized');
+        assert.equal(computation.result.reason, 'unrecognizedQuestion');
+        assert.match(perspectiveAnalytics.describeComputation(computation), /features: crim, zn, indus/);
+    });
+});
+
+describe('POST /generatePerspectiveAnalytics', () => {
+    let server;
+    let baseUrl;
+
+    before(async () => {
+        Object.assign(process.env, {
+            GENAI_CLIENT_SECRET: CLIENT_SECRET,
+            LLM_PROVIDER: 'fixture',
+            SUMMARY_CACHE_BACKEND: 'none',
+            SCHEDULER_STORE: 'memory',
+            PRESET_STORE: 'memory',
+            SUMMARY_HISTORY_STORE: 'memory',
+        });
+        ({ server } = require('../index'));
+        await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+        baseUrl = `http://127.0.0.1:${server.address().port}`;
+    });
+
+    after(() => new Promise((resolve) => server.close(resolve)));
+
+    const ask = (body) => fetch(`${baseUrl}/generatePerspectiveAnalytics`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', 'X-Client-Secret': CLIENT_SECRET },
+        body: JSON.stringify(body),
+    });
+
+    test('rejects a missing, non-string or blank query with a 400', async () => {
+        for (const body of [{}, { query: 5 }, { query: ['What drives medv?'] }, { query: '   ' }]) {
+            const response = await ask(body);
+            assert.equal(response.status, 400, JSON.stringify(body));
+            assert.match(await response.text(), /query must be a non-empty string/);
+        }
+    });
+
+    test('keeps serving after bad input and answers unrecognized questions without the model', async () => {
+        await ask({ query: 5 });
+        const response = await ask({ query: 'What is the weather like?' });
+        assert.equal(response.status, 200);
+        const { analysis, computation } = await response.json();
+        assert.equal(computation.type, 'unrecognized');
+        assert.match(analysis, /The question was not understood/);
+    });
+});
@@ -0,0 +1,55 @@
+const { describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+const { createPresetStore, PresetValidationError } = require('../presets');
+
+const fields = { title: ' Weekly review ', description: '', prompt: ' Focus on week over week changes. ' };
+
+describe('createPresetStore', () => {
+    test('creates, updates and lists presets with their authors', async () => {
+        const store = createPresetStore({ backend: 'memory' });
+        const preset = await store.createPreset(fields, 'alice');
+        assert.equal(preset.title, 'Weekly review');
+        assert.equal(preset.prompt, 'Focus on week over week changes.');
+        assert.equal(preset.createdBy, 'alice');
+
+        const updated = await store.updatePreset(preset.id, { ...fields, title: 'Weekly' }, 'bob');
+        assert.equal(updated.title, 'Weekly');
+        assert.equal(updated.createdBy, 'alice');
+        assert.equal(updated.updatedBy, 'bob');
+        assert.deepEqual((await store.listPresets()).map((item) => item.title), ['Weekly']);
+        assert.equal(await store.updatePreset('missing', fields), null);
+    });
+
+    test('rejects presets without a title or prompt', async () => {
+        const store = createPresetStore({ backend: 'memory' });
+        assert.throws(() => store.createPreset({ title: ' ', prompt: '' }), (error) => (
+            error instanceof PresetValidationError && error.errors.length === 2
+        ));
+    });
+
+    test('keeps one default preset per dashboard and clears it with its preset', async () => {
+        const store = createPresetStore({ backend: 'memory' });
+        const preset = await store.createPreset(fields);
+        assert.equal(await store.getDashboardDefault('42'), null);
+        await store.setDashboardDefault('42', preset.id);
+        await store.setDashboardDefault('model::sales', 'executive');
+        assert.equal(await store.getDashboardDefault('42'), preset.id);
+        assert.equal(await store.getDashboardDefault('model::sales'), 'executive');
+
+        assert.equal(await store.deletePreset(preset.id), true);
+        assert.equal(await store.getDashboardDefault('42'), null);
+        assert.equal(await store.getDashboardDefault('model::sales'), 'executive');
+        await store.setDashboardDefault('model::sales', null);
+        assert.equal(await store.getDashboardDefault('model::sales'), null);
+    });
+
+    test('rejects dashboard ids that aren\'t Looker ids, including inherited property names', async () => {
+        const store = createPresetStore({ backend: 'memory' });
+        for (const dashboardId of ['__proto__', '_private', '', '../42', 42]) {
+            assert.throws(() => store.setDashboardDefault(dashboardId, 'executive'), PresetValidationError);
+        }
+        // A valid id that happens to name an Object.prototype property has no default
+        assert.equal(await store.getDashboardDefault('constructor'), null);
+        assert.throws(() => store.setDashboardDefault('42', 'not an id!'), PresetValidationError);
+    });
+});
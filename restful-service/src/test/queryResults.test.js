@@ -0,0 +1,88 @@
+const { describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+const { normalizeQueryResult, describeQueryResult } = require('../queryResults');
+
+// A json_detail result: orders by status pivoted by region, with totals, row totals and a subtotal row
+const pivotedResult = {
+    fields: {
+        dimensions: [{ name: 'orders.status', label: 'Orders Status', label_short: 'Status', type: 'string' }],
+        measures: [
+            { name: 'orders.total_sale_price', label: 'Orders Total Sale Price', label_short: 'Total Sale Price', type: 'sum', value_format_name: 'usd' },
+            { name: 'orders.count', label: 'Orders Count', label_short: 'Count', type: 'count' },
+            { name: 'users.count', label: 'Users Count', label_short: 'Count', type: 'count' },
+        ],
+        pivots: [{ name: 'orders.region', label: 'Orders Region', label_short: 'Region' }],
+    },
+    pivots: [
+        { key: 'EMEA', data: { 'orders.region': 'EMEA' } },
+        { key: 'null', data: { 'orders.region': null } },
+    ],
+    data: [
+        {
+            'orders.status': { value: 'Complete' },
+            'orders.total_sale_price': { EMEA: { value: 10 }, null: { value: 5 }, '$$$_row_total_$$$': { value: 15 } },
+            'orders.count': { EMEA: { value: 1 }, null: { value: 2 } },
+            'users.count': { EMEA: { value: 1 }, null: { value: 1 } },
+        },
+        {
+            'orders.status': { value: null },
+            'orders.total_sale_price': { EMEA: { value: 10 }, null: { value: 5 } },
+            '$$$__grouping__$$$': ['orders.status'],
+        },
+    ],
+    totals_data: { 'orders.total_sale_price': { EMEA: { value: 10 }, null: { value: 5 } } },
+    has_totals: true,
+    has_row_totals: true,
+};
+
+describe('normalizeQueryResult', () => {
+    test('flattens pivoted json_detail rows into columns named by label, unit and pivot value', () => {
+        const result = normalizeQueryResult(pivotedResult);
+        assert.equal(result.detailed, true);
+        assert.deepEqual(result.rows, [{
+            Status: 'Complete',
+            'Total Sale Price (USD) [EMEA]': 10,
+            'Total Sale Price (USD) [∅]': 5,
+            'Total Sale Price (USD) [Row Total]': 15,
+            // Colliding short labels fall back to the full label
+            'Orders Count [EMEA]': 1,
+            'Orders Count [∅]': 2,
+            'Users Count [EMEA]': 1,
+            'Users Count [∅]': 1,
+        }]);
+        assert.deepEqual(result.pivot, { fields: ['Region'], values: ['EMEA', '∅'], hasRowTotals: true });
+        assert.deepEqual(result.fields.map((field) => [field.name, field.label, field.kind]), [
+            ['orders.status', 'Status', 'dimension'],
+            ['orders.total_sale_price', 'Total Sale Price (USD)', 'measure'],
+            ['orders.count', 'Orders Count', 'measure'],
+            ['users.count', 'Users Count', 'measure'],
+        ]);
+    });
+
+    test('keeps totals and subtotal rows apart from the rows', () => {
+        const result = normalizeQueryResult(pivotedResult);
+        assert.deepEqual(result.totals, { 'Total Sale Price (USD) [EMEA]': 10, 'Total Sale Price (USD) [∅]': 5 });
+        assert.deepEqual(result.subtotals, [{ Status: null, 'Total Sale Price (USD) [EMEA]': 10, 'Total Sale Price (USD) [∅]': 5 }]);
+        assert.equal(normalizeQueryResult({ ...pivotedResult, has_totals: false }).totals, null);
+    });
+
+    test('passes plain json rows through', () => {
+        const rows = [{ 'orders.status': 'Complete', 'orders.count': 3 }];
+        assert.deepEqual(normalizeQueryResult(rows), { detailed: false, fields: [], pivot: null, rows, totals: null, subtotals: [] });
+        assert.deepEqual(normalizeQueryResult(null).rows, []);
+    });
+});
+
+describe('describeQueryResult', () => {
+    test('describes the fields, pivot layout and totals for the prompt', () => {
+        const text = describeQueryResult(pivotedResult, { fields: [] }, 2000);
+        assert.match(text, /\* Total Sale Price \(USD\) \(orders\.total_sale_price\): measure, sum, format usd/);
+        assert.match(text, /Pivot: results are pivoted by Region\. .* for: EMEA, ∅, plus a \[Row Total\] column/);
+        assert.match(text, /Totals row \(computed by Looker over the whole query\)/);
+        assert.match(text, /Subtotal rows \(all; these aggregate the rows above\)/);
+    });
+
+    test('lists the query fields of plain json results', () => {
+        assert.match(describeQueryResult([{ a: 1 }], { fields: ['orders.count'] }, 2000), /^Query Fields: orders\.count/);
+    });
+});
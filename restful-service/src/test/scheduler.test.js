@@ -0,0 +1,81 @@
+const { describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+const { createScheduler, ScheduleValidationError, ScheduleRunningError } = require('../scheduler');
+const { createScheduleStore } = require('../scheduler/store');
+
+const fields = { name: 'Weekly sales', dashboardId: '42', cron: '0 8 * * MON', destinations: [{ type: 'webhook', url: 'https://example.com/hook' }] };
+
+// A scheduler on a memory store whose summaries take `summarizeMs` and whose deliveries fail for `failing` urls
+function testScheduler({ summarizeMs = 0, failing = [] } = {}) {
+    const store = createScheduleStore({ backend: 'memory' });
+    const calls = { summarize: 0, deliver: [] };
+    const scheduler = createScheduler({
+        store,
+        retryDelaySeconds: 0,
+        summarize: async () => {
+            calls.summarize += 1;
+            await new Promise((resolve) => setTimeout(resolve, summarizeMs));
+            return { title: 'Weekly sales', markdown: 'Sales rose.' };
+        },
+        deliver: async (destination) => {
+            calls.deliver.push(destination.url);
+            if (failing.includes(destination.url)) throw new Error('rejected');
+        },
+    });
+    return { store, scheduler, calls };
+}
+
+// Makes the schedule due a minute ago
+const makeDue = (store, schedule) => store.saveSchedule({ ...schedule, nextRunAt: new Date(Date.now() - 60000).toISOString() });
+
+describe('createScheduler', () => {
+    test('validates schedules and sets their next run', async () => {
+        const { scheduler } = testScheduler();
+        const schedule = await scheduler.createSchedule({ ...fields, timeZone: 'Europe/Berlin' });
+        assert.equal(new Date(schedule.nextRunAt).getUTCDay(), 1);
+        await assert.rejects(scheduler.createSchedule({ ...fields, cron: '0 25 * * *', destinations: [{ type: 'fax' }] }), (error) => (
+            error instanceof ScheduleValidationError && error.errors.some((message) => /Invalid hour/.test(message)) && error.errors.some((message) => /must be one of/.test(message))
+        ));
+    });
+
+    test('tick runs due schedules to completion, once, and advances them', async () => {
+        const { store, scheduler, calls } = testScheduler({ summarizeMs: 20 });
+        const schedule = await makeDue(store, await scheduler.createSchedule(fields));
+        const [first, second] = await Promise.all([scheduler.tick(), scheduler.tick()]);
+        assert.equal(first.length + second.length, 1);
+        assert.equal([...first, ...second][0].status, 'success');
+        assert.equal(calls.summarize, 1);
+
+        const saved = await store.getSchedule(schedule.id);
+        assert.ok(new Date(saved.nextRunAt) > new Date());
+        assert.equal(saved.lastRun.status, 'success');
+        assert.deepEqual(await scheduler.tick(), []);
+    });
+
+    test('does not run a schedule twice at once', async () => {
+        const { store, scheduler, calls } = testScheduler({ summarizeMs: 20 });
+        const schedule = await scheduler.createSchedule(fields);
+        const running = scheduler.runSchedule(schedule, 'manual');
+        await assert.rejects(scheduler.runSchedule(schedule, 'manual'), ScheduleRunningError);
+        await makeDue(store, schedule);
+        assert.deepEqual(await scheduler.tick(), []);
+        assert.equal((await running).status, 'success');
+        assert.equal(calls.summarize, 1);
+
+        // The lease is released with the run
+        assert.equal((await scheduler.runSchedule(schedule, 'manual')).status, 'success');
+    });
+
+    test('records partial runs and retries each destination separately', async () => {
+        const { scheduler, calls } = testScheduler({ failing: ['https://example.com/broken'] });
+        const schedule = await scheduler.createSchedule({
+            ...fields,
+            maxAttempts: 2,
+            destinations: [...fields.destinations, { type: 'webhook', url: 'https://example.com/broken' }],
+        });
+        const run = await scheduler.runSchedule(schedule, 'manual');
+        assert.equal(run.status, 'partial');
+        assert.deepEqual(run.deliveries.map((delivery) => [delivery.status, delivery.attempts]), [['delivered', 1], ['failed', 2]]);
+        assert.deepEqual(calls.deliver, ['https://example.com/hook', 'https://example.com/broken', 'https://example.com/broken']);
+    });
+});
@@ -0,0 +1,122 @@
+const { describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+const { secretMatches, isLoopbackRequest, clientId, createCorsOptions, createRateLimiter } = require('../security');
+const { createStreamToken } = require('../streamToken');
+
+// The parts of an Express request the security helpers read
+function fakeRequest({ headers = {}, ip = '203.0.113.7', remoteAddress = ip, method = 'POST' } = {}) {
+    const lowerCased = Object.fromEntries(Object.entries(headers).map(([name, value]) => [name.toLowerCase(), value]));
+    return { method, ip, socket: { remoteAddress }, get: (name) => lowerCased[name.toLowerCase()] };
+}
+
+function fakeResponse() {
+    return {
+        statusCode: 200,
+        headers: {},
+        body: undefined,
+        set(name, value) {
+            this.headers[name] = value;
+            return this;
+        },
+        status(code) {
+            this.statusCode = code;
+            return this;
+        },
+        json(body) {
+            this.body = body;
+            return this;
+        },
+    };
+}
+
+describe('secretMatches', () => {
+    test('matches only the configured secret', () => {
+        assert.equal(secretMatches('secret', 'secret'), true);
+        assert.equal(secretMatches('secret', 'secret2'), false);
+        assert.equal(secretMatches('secret', undefined), false);
+        // Without a configured secret nothing matches, not even an empty header
+        assert.equal(secretMatches(undefined, ''), false);
+    });
+});
+
+describe('isLoopbackRequest', () => {
+    test('uses the socket address, not forwarded headers', () => {
+        assert.equal(isLoopbackRequest(fakeRequest({ remoteAddress: '::ffff:127.0.0.1' })), true);
+        assert.equal(isLoopbackRequest(fakeRequest({ ip: '127.0.0.1', remoteAddress: '10.0.0.2', headers: { 'X-Forwarded-For': '127.0.0.1' } })), false);
+    });
+});
+
+describe('clientId', () => {
+    const secrets = { clientSecret: 'secret', streamTokenSecret: 'token-secret' };
+
+    test('keys proxied requests on the Looker user', () => {
+        assert.equal(clientId(fakeRequest({ headers: { 'X-Client-Secret': 'secret', 'X-Looker-User-Id': '42' } }), secrets), 'user:42');
+    });
+
+    test('keys stream requests on the user in their token', () => {
+        const { token } = createStreamToken('token-secret', { userId: '42' });
+        assert.equal(clientId(fakeRequest({ headers: { Authorization: `Bearer ${token}` } }), secrets), 'user:42');
+    });
+
+    test('falls back to the address without the secret, a user or a valid token', () => {
+        assert.equal(clientId(fakeRequest({ headers: { 'X-Looker-User-Id': '42' } }), secrets), 'ip:203.0.113.7');
+        assert.equal(clientId(fakeRequest({ headers: { 'X-Client-Secret': 'secret' } }), secrets), 'ip:203.0.113.7');
+        const { token } = createStreamToken('other-secret', { userId: '42' });
+        assert.equal(clientId(fakeRequest({ headers: { Authorization: `Bearer ${token}` } }), secrets), 'ip:203.0.113.7');
+        assert.equal(clientId(fakeRequest({ headers: { Authorization: `Bearer ${createStreamToken('token-secret').token}` } }), secrets), 'ip:203.0.113.7');
+    });
+});
+
+describe('createCorsOptions', () => {
+    const allows = (options, origin) => new Promise((resolve) => options.origin(origin, (error, allowed) => resolve(allowed)));
+
+    test('allows listed origins, with * matching one host label', async () => {
+        const options = createCorsOptions(['https://example.looker.com/', 'https://*.looker.app']);
+        assert.equal(await allows(options, 'https://example.looker.com'), true);
+        assert.equal(await allows(options, 'https://team.looker.app'), true);
+        assert.equal(await allows(options, 'https://a.b.looker.app'), false);
+        assert.equal(await allows(options, 'https://example.looker.com.evil.com'), false);
+        // Requests without an Origin header don't come from a browser page
+        assert.equal(await allows(options, undefined), true);
+    });
+
+    test('allows no cross-origin requests without a list', () => {
+        assert.deepEqual(createCorsOptions([]), { origin: false });
+    });
+});
+
+describe('createRateLimiter', () => {
+    const send = (limiter, req) => {
+        const res = fakeResponse();
+        let passed = false;
+        limiter(req, res, () => {
+            passed = true;
+        });
+        return { passed, res };
+    };
+
+    test('limits each client separately and tells it when to retry', () => {
+        const limited = [];
+        const limiter = createRateLimiter({ windowSeconds: 60, maxRequests: 2, keyOf: (req) => req.get('X-Looker-User-Id'), onLimited: (req) => limited.push(req) });
+        const alice = fakeRequest({ headers: { 'X-Looker-User-Id': 'alice' } });
+        const bob = fakeRequest({ headers: { 'X-Looker-User-Id': 'bob' } });
+
+        assert.equal(send(limiter, alice).passed, true);
+        assert.equal(send(limiter, alice).res.headers['RateLimit-Remaining'], '0');
+        const third = send(limiter, alice);
+        assert.equal(third.passed, false);
+        assert.equal(third.res.statusCode, 429);
+        assert.equal(third.res.body.error, 'rate_limited');
+        assert.equal(third.res.headers['Retry-After'], '60');
+        assert.deepEqual(limited, [alice]);
+        assert.equal(send(limiter, bob).passed, true);
+    });
+
+    test('lets preflights through and can be turned off', () => {
+        const limiter = createRateLimiter({ maxRequests: 1, keyOf: () => 'client' });
+        send(limiter, fakeRequest());
+        assert.equal(send(limiter, fakeRequest({ method: 'OPTIONS' })).passed, true);
+        const unlimited = createRateLimiter({ maxRequests: 0, keyOf: () => 'client' });
+        assert.equal([1, 2, 3].every(() => send(unlimited, fakeRequest()).passed), true);
+    });
+});
@@ -0,0 +1,97 @@
+const { describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+const { validateSchema, parseJsonResponse, generateStructured, StructuredOutputError } = require('../structuredOutput');
+const { QUERY_SUMMARY_SCHEMA } = require('../schemas');
+
+// A provider that answers with `responses` in turn and records the prompts it was given
+function scriptedLlm(responses) {
+    const prompts = [];
+    const answer = async (prompt) => {
+        prompts.push(prompt);
+        return responses[prompts.length - 1];
+    };
+    return {
+        prompts,
+        generate: answer,
+        async stream(prompt, options, onChunk) {
+            const response = await answer(prompt);
+            onChunk(response);
+            return response;
+        },
+    };
+}
+
+const validSummary = { queryTitle: 'Sales', description: 'Sales by month', summary: 'Sales rose 5%.', nextSteps: ['Check the returns'] };
+
+describe('validateSchema', () => {
+    const schema = {
+        type: 'object',
+        properties: {
+            name: { type: 'string', minLength: 1, maxLength: 5 },
+            kind: { type: 'string', enum: ['a', 'b'] },
+            count: { type: 'integer' },
+            tags: { type: 'array', minItems: 1, maxItems: 2, items: { type: 'string' } },
+            flag: { type: 'boolean' },
+        },
+        required: ['name'],
+    };
+
+    test('returns no errors for a valid value', () => {
+        assert.deepEqual(validateSchema(schema, { name: 'ok', kind: 'a', count: 2, tags: ['x'], flag: true }), []);
+    });
+
+    test('reports every problem with its path', () => {
+        assert.deepEqual(validateSchema(schema, { name: '  ', kind: 'c', count: 1.5, tags: ['x', 2, 'y'], flag: 'yes' }), [
+            '$.name must not be empty',
+            '$.kind must be one of: a, b',
+            '$.count must be an integer',
+            '$.tags must have at most 2 items',
+            '$.tags[1] must be a string',
+            '$.flag must be a boolean',
+        ]);
+        assert.deepEqual(validateSchema(schema, { tags: [] }), ['$.name is required', '$.tags must have at least 1 items']);
+        assert.deepEqual(validateSchema(schema, []), ['$ must be an object']);
+    });
+});
+
+describe('parseJsonResponse', () => {
+    test('tolerates code fences, surrounding prose and trailing commas', () => {
+        assert.deepEqual(parseJsonResponse('Here you go:\n```json\n{ "a": [1, 2,], }\n```\nThanks'), { a: [1, 2] });
+        assert.deepEqual(parseJsonResponse('[{"a": 1}]'), [{ a: 1 }]);
+    });
+
+    test('throws when the response holds no JSON', () => {
+        assert.throws(() => parseJsonResponse('no json here'), /does not contain JSON/);
+    });
+});
+
+describe('generateStructured', () => {
+    test('returns the first valid response', async () => {
+        const llm = scriptedLlm([JSON.stringify(validSummary)]);
+        assert.deepEqual(await generateStructured(llm, 'prompt', QUERY_SUMMARY_SCHEMA, { task: 'querySummary' }), validSummary);
+        assert.equal(llm.prompts.length, 1);
+    });
+
+    test('re-prompts with the validation errors', async () => {
+        const llm = scriptedLlm(['not json', JSON.stringify({ ...validSummary, summary: undefined }), JSON.stringify(validSummary)]);
+        assert.deepEqual(await generateStructured(llm, 'prompt', QUERY_SUMMARY_SCHEMA, { task: 'querySummary' }), validSummary);
+        assert.equal(llm.prompts.length, 3);
+        assert.match(llm.prompts[1], /Response is not valid JSON/);
+        assert.match(llm.prompts[2], /\$\.summary is required/);
+    });
+
+    test('streams the first attempt only', async () => {
+        const llm = scriptedLlm(['{}', JSON.stringify(validSummary)]);
+        const chunks = [];
+        await generateStructured(llm, 'prompt', QUERY_SUMMARY_SCHEMA, { task: 'querySummary', onChunk: (chunk) => chunks.push(chunk) });
+        assert.deepEqual(chunks, ['{}']);
+    });
+
+    test('throws StructuredOutputError after maxAttempts invalid responses', async () => {
+        const llm = scriptedLlm(['{}', '{}']);
+        await assert.rejects(
+            generateStructured(llm, 'prompt', QUERY_SUMMARY_SCHEMA, { task: 'querySummary', maxAttempts: 2 }),
+            (error) => error instanceof StructuredOutputError && error.lastResponse === '{}' && error.errors.length > 0,
+        );
+    });
+});
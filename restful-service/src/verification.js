@@ -0,0 +1,228 @@
+const { normalizeQueryResult } = require('./queryResults');
+const { profileQueryData } = require('./dataProfile');
+const { compareQueryResults } = require('./comparison');
+
+// Checks generated summaries against the data they describe. Figures ($1.2M, 18%, 4,512) are
+// supported when they match a value in the tile's data or one derived from it (column totals,
+// averages, differences, percent changes, shares and ratios) within the figure's rounding.
+// Entity names (bold or quoted proper names) are supported when the tile's dimension values,
+// field labels or title contain them. Nothing here calls the model.
+
+const FIGURE_PATTERN = /(?<![\w.])([-+−]?)([$€£]?)(\d{1,3}(?:,\d{3})+|\d+)(\.\d+)?(?:\s?(%|percent\b|percentage points?\b|pts?\b|[kKmMbB](?![a-zA-Z])|thousand\b|million\b|billion\b|bn\b))?/g;
+// Dates, periods and times, whose digits aren't figures
+const DATE_PATTERNS = [
+    /\b\d{4}-\d{2}(-\d{2})?\b/g,
+    /\b(?:Q[1-4]|H[12]|FY|W)\s?'?\d{2,4}\b/g,
+    /\b(?:Jan|Feb|Mar|Apr|May|Jun|Jul|Aug|Sep|Sept|Oct|Nov|Dec)[a-z]*\.?\s+\d{1,2}(?:st|nd|rd|th)?\b/g,
+    /\b\d{1,2}(?:st|nd|rd|th)?\s+(?:of\s+)?(?:Jan|Feb|Mar|Apr|May|Jun|Jul|Aug|Sep|Sept|Oct|Nov|Dec)[a-z]*\b/g,
+    /\b\d{1,2}:\d{2}\b/g,
+    /\[T\d+\]/g,
+];
+const SCALES = { k: 1e3, thousand: 1e3, m: 1e6, million: 1e6, b: 1e9, bn: 1e9, billion: 1e9 };
+const ENTITY_PATTERN = /\*\*([^*\n]+?)\*\*|"([^"\n]+)"|“([^”\n]+)”/g;
+const ENTITY_CONNECTORS = new Set(['of', 'and', 'the', 'in', 'for', 'on', 'at', 'by', '&', '-', '/']);
+// Words summaries bold for emphasis rather than to name something in the data
+const EMPHASIS_WORDS = new Set([
+    'key', 'takeaway', 'takeaways', 'insight', 'insights', 'summary', 'overview', 'highlight', 'highlights', 'finding', 'findings',
+    'note', 'important', 'warning', 'risk', 'risks', 'opportunity', 'opportunities', 'recommendation', 'recommendations',
+    'action', 'actions', 'next', 'steps', 'trend', 'trends', 'overall', 'total', 'top', 'bottom', 'significant', 'notable',
+    'strong', 'weak', 'growth', 'decline', 'increase', 'decrease', 'drop', 'spike', 'peak', 'low', 'high', 'record',
+    'positive', 'negative', 'stable', 'flat', 'upward', 'downward', 'performance', 'outlier', 'outliers', 'concern',
+]);
+// Pairwise differences, changes and shares are computed over at most this many values per column
+const PAIRWISE_LIMIT = 60;
+const ROW_RATIO_LIMIT = 200;
+
+function maskDates(text) {
+    return DATE_PATTERNS.reduce((masked, pattern) => masked.replace(pattern, (match) => ' '.repeat(match.length)), text);
+}
+
+/**
+ * Figures in text as [{ text, start, end, value, percent, tolerance }]. Counts, ordinals and years
+ * written as plain small integers or four-digit years (e.g. "top 5", "2024") are not figures.
+ */
+function extractFigures(text) {
+    const figures = [];
+    const masked = maskDates(text || '');
+    for (const match of masked.matchAll(FIGURE_PATTERN)) {
+        const [figureText, , currency, integer, decimals = '', suffix = ''] = match;
+        const unit = suffix.toLowerCase();
+        const scale = SCALES[unit] || 1;
+        const value = Number(`${integer.replace(/,/g, '')}${decimals}`) * scale;
+        const percent = unit !== '' && !SCALES[unit];
+        const plain = !currency && !suffix && !decimals && !integer.includes(',');
+        if (plain && (value <= 12 || (value >= 1900 && value <= 2100))) continue;
+        // Half the last written digit, so "$1.2M" covers 1,150,000 to 1,250,000
+        const step = Math.pow(10, -Math.max(0, decimals.length - 1)) * scale;
+        figures.push({
+            text: figureText.trim(),
+            start: match.index,
+            end: match.index + figureText.trimEnd().length,
+            value: Math.abs(value),
+            percent,
+            tolerance: Math.max(step / 2, Math.abs(value) * 0.005),
+        });
+    }
+    return figures;
+}
+
+const isNumber = (value) => typeof value === 'number' && Number.isFinite(value);
+
+// Numbers a tile's figures may come from, split into plain values and percentages
+function collectKnownNumbers(results, comparisonDeltas, texts) {
+    const values = [];
+    const percents = [];
+    const addValue = (value) => {
+        if (!isNumber(value)) return;
+        values.push(Math.abs(value));
+        // Ratios formatted as percentages, e.g. a conversion rate of 0.123
+        if (Math.abs(value) <= 10) percents.push(Math.abs(value) * 100);
+        percents.push(Math.abs(value));
+    };
+    const addPercent = (value) => {
+        if (isNumber(value)) percents.push(Math.abs(value));
+    };
+
+    const columns = new Map();
+    results.forEach((result) => {
+        const rows = [...result.rows, ...result.subtotals, ...(result.totals ? [result.totals] : [])];
+        rows.forEach((row) => Object.entries(row).forEach(([column, value]) => {
+            if (!isNumber(value)) return;
+            addValue(value);
+            if (!columns.has(column)) columns.set(column, new Set());
+            columns.get(column).add(value);
+        }));
+        const profile = profileQueryData(result.rows);
+        values.push(profile.rowCount);
+        Object.values(profile.columns).forEach((column) => {
+            ['min', 'max', 'mean', 'total'].forEach((stat) => addValue(column[stat]));
+            if (column.distinct !== undefined) values.push(column.distinct);
+            (column.top || []).forEach((top) => Object.values(top).forEach(addValue));
+            Object.values((column.periodOverPeriod && column.periodOverPeriod.deltas) || {}).forEach((delta) => {
+                ['latest', 'previous', 'change'].forEach((key) => addValue(delta[key]));
+                ['changePct', 'changeSinceFirstPct'].forEach((key) => addPercent(delta[key]));
+            });
+        });
+        // Ratios between the measures of a row, e.g. a margin
+        result.rows.slice(0, ROW_RATIO_LIMIT).forEach((row) => {
+            const numbers = Object.values(row).filter(isNumber);
+            numbers.forEach((a) => numbers.forEach((b) => {
+                if (a !== b && b !== 0) addPercent(a / b * 100);
+            }));
+        });
+    });
+
+    // Differences, changes and shares within a column; columns of both periods share a label in comparison mode
+    columns.forEach((columnValues) => {
+        const numbers = [...columnValues].sort((a, b) => Math.abs(b) - Math.abs(a)).slice(0, PAIRWISE_LIMIT);
+        const total = [...columnValues].reduce((sum, value) => sum + value, 0);
+        numbers.forEach((a) => {
+            if (total !== 0) addPercent(a / total * 100);
+            numbers.forEach((b) => {
+                if (a === b) return;
+                values.push(Math.abs(a - b));
+                if (b !== 0) {
+                    addPercent((a - b) / b * 100);
+                    values.push(Math.abs(a / b));
+                }
+            });
+        });
+    });
+
+    if (comparisonDeltas) {
+        [...comparisonDeltas.overall, ...comparisonDeltas.topMovers].forEach((delta) => {
+            ['current', 'previous', 'change'].forEach((key) => addValue(delta[key]));
+            addPercent(delta.changePct);
+        });
+    }
+    // Figures in the title, note, filters and dashboard description
+    texts.forEach((text) => extractFigures(text).forEach((figure) => (figure.percent ? addPercent : addValue)(figure.value)));
+    return { values, percents };
+}
+
+function isSupportedFigure(figure, known) {
+    const candidates = figure.percent ? known.percents : known.values;
+    return candidates.some((value) => Math.abs(value - figure.value) <= figure.tolerance);
+}
+
+const normalizeWord = (word) => word.toLowerCase().replace(/[^\p{L}\p{N}]/gu, '').replace(/s$/, '');
+
+// Bold or quoted proper names, e.g. **EMEA** or "Acme Corp", without the emphasis words around them
+function extractEntities(text) {
+    const entities = [];
+    for (const match of (text || '').matchAll(ENTITY_PATTERN)) {
+        const entity = (match[1] || match[2] || match[3]).trim().replace(/[.,:;!?]+$/, '');
+        const words = entity.split(/\s+/);
+        if (/\d/.test(entity) || words.length > 5) continue;
+        const properName = words.every((word) => ENTITY_CONNECTORS.has(word.toLowerCase()) || /^\p{Lu}/u.test(word));
+        const nameWords = words.map(normalizeWord).filter((word) => word && !ENTITY_CONNECTORS.has(word) && !EMPHASIS_WORDS.has(word));
+        if (properName && nameWords.length > 0) {
+            entities.push({ text: entity, words: nameWords });
+        }
+    }
+    return entities;
+}
+
+function collectVocabulary(results, texts) {
+    const strings = [...texts];
+    results.forEach((result) => {
+        result.fields.forEach((field) => strings.push(field.label, field.name));
+        if (result.pivot) strings.push(...result.pivot.values, ...result.pivot.fields);
+        [...result.rows, ...result.subtotals].forEach((row) => Object.entries(row).forEach(([column, value]) => {
+            strings.push(column);
+            if (typeof value === 'string') strings.push(value);
+        }));
+    });
+    return new Set(strings.filter(Boolean).flatMap((string) => String(string).split(/[\s_.,/()[\]:-]+/)).map(normalizeWord).filter(Boolean));
+}
+
+/**
+ * Checks a tile summary's description and summary against the tile's data (and the previous
+ * period's in comparison mode) and the anomaly findings computed from it. Returns { checked, unsupported: [{ text, kind: 'figure' | 'entity' }] }.
+ */
+function verifyQuerySummary(summary, query, { comparison, description, findings = [] } = {}) {
+    const results = [normalizeQueryResult(query.queryData)];
+    if (comparison && comparison.previousQueryData) {
+        results.push(normalizeQueryResult(comparison.previousQueryData));
+    }
+    const deltas = comparison && comparison.previousQueryData ? compareQueryResults(query.queryData, comparison.previousQueryData) : null;
+    const contextTexts = [
+        query.title,
+        query.note_text,
+        description,
+        ...(query.appliedFilters || []).map((filter) => `${filter.field} ${filter.value}`),
+        ...Object.values((query.queryBody && query.queryBody.filters) || {}),
+        // Computed by anomalies.js, e.g. a trend's slope or a mover's change
+        ...findings.map((finding) => finding.text),
+    ].filter((text) => typeof text === 'string');
+    const known = collectKnownNumbers(results, deltas, contextTexts);
+    const vocabulary = collectVocabulary(results, contextTexts);
+
+    const text = `${summary.description || ''}\n${summary.summary || ''}`;
+    const figures = extractFigures(text);
+    const entities = extractEntities(text);
+    const unsupported = new Map();
+    figures.filter((figure) => !isSupportedFigure(figure, known))
+        .forEach((figure) => unsupported.set(figure.text, { text: figure.text, kind: 'figure' }));
+    entities.filter((entity) => !entity.words.every((word) => vocabulary.has(word)))
+        .forEach((entity) => unsupported.set(entity.text, { text: entity.text, kind: 'entity' }));
+    return { checked: figures.length + entities.length, unsupported: [...unsupported.values()] };
+}
+
+/**
+ * Links the figures of the dashboard summary to the tile summary they were taken from. Returns
+ * [{ text, start, end, summaryIndex }] with offsets into `summary` and indexes into querySummaries;
+ * figures no tile summary mentions are left out.
+ */
+function linkSummaryFigures(summary, querySummaries) {
+    const tileFigures = (querySummaries || []).map((querySummary) => (querySummary
+        ? extractFigures(`${querySummary.description || ''}\n${querySummary.summary || ''}`)
+        : []));
+    return extractFigures(summary).map((figure) => {
+        const summaryIndex = tileFigures.findIndex((figures) => figures.some((candidate) => candidate.percent === figure.percent
+            && Math.abs(candidate.value - figure.value) <= Math.max(candidate.tolerance, figure.tolerance)));
+        return summaryIndex === -1 ? null : { text: figure.text, start: figure.start, end: figure.end, summaryIndex };
+    }).filter(Boolean);
+}
+
+module.exports = { extractFigures, verifyQuerySummary, linkSummaryFigures };
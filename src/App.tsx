@@ -30,13 +30,13 @@ import { SummaryDataContext } from './contexts/SummaryDataContext'
 import { hot } from 'react-hot-loader/root'
 
 import { DashboardSummarization } from './components/DashboardSummarization'
-import { SummaryDataContextType } from './types'
+import { QuerySuggestion, SummaryDataContextType } from './types'
 import './index.css' // Import the CSS file
 
 export const App = hot(() => {
   const [data, setData] = React.useState<string[]>([])
   const [formattedData, setFormattedData] = React.useState<string>('')
-  const [querySuggestions, setQuerySuggestions] = React.useState<string[]>([])
+  const [querySuggestions, setQuerySuggestions] = React.useState<QuerySuggestion[]>([])
   const [info, setInfo] = React.useState(true)
   const [message, setMessage] = React.useState('')
   const [dashboardURL, setDashboardURL] = React.useState<string>('')
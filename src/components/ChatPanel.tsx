@@ -0,0 +1,172 @@
+import React, { useContext, useEffect, useState } from 'react'
+import styled from 'styled-components'
+import { ExtensionContext } from '@looker/extension-sdk-react'
+import MarkdownComponent from './MarkdownComponent'
+import { ChatCitation, ChatTurn } from '../types'
+import { sendChatMessage } from '../utils/sendChatMessage'
+import { scrollToTileSummary } from '../utils/tileLinks'
+
+const PanelContainer = styled.div`
+  background-color: var(--surface);
+  border-radius: 8px;
+  padding: 24px;
+  margin-bottom: 16px;
+  box-shadow: var(--shadow-sm);
+`
+
+const Turn = styled.div<{ $role: ChatTurn['role'] }>`
+  margin-bottom: 12px;
+  padding: 8px 12px;
+  border-radius: 6px;
+  background-color: ${props => props.$role === 'user' ? 'var(--neutral-200)' : 'transparent'};
+`
+
+const Citations = styled.div`
+  display: flex;
+  flex-wrap: wrap;
+  gap: 6px;
+  margin-top: 4px;
+`
+
+const CitationChip = styled.button`
+  padding: 2px 8px;
+  border-radius: 12px;
+  border: 1px solid var(--primary-200);
+  background-color: var(--primary-100);
+  color: var(--text-primary);
+  font-size: 0.8rem;
+  cursor: pointer;
+`
+
+const InputRow = styled.form`
+  display: flex;
+  gap: 8px;
+`
+
+const QuestionInput = styled.input`
+  flex: 1;
+  padding: 8px;
+  border: 1px solid var(--input-border);
+  border-radius: 6px;
+  background-color: var(--surface);
+  color: var(--text-primary);
+
+  &:focus {
+    outline: none;
+    border-color: var(--primary-500);
+  }
+`
+
+const SendButton = styled.button`
+  padding: 8px 16px;
+  border-radius: 6px;
+  border: none;
+  font-weight: 500;
+  cursor: pointer;
+  background-color: var(--primary-500);
+  color: white;
+
+  &:disabled {
+    background-color: var(--neutral-200);
+    color: var(--text-disabled);
+    cursor: not-allowed;
+  }
+`
+
+const Status = styled.div<{ $error: boolean }>`
+  font-size: 0.8rem;
+  margin-bottom: 8px;
+  color: ${props => props.$error ? 'var(--error)' : 'var(--text-secondary)'};
+`
+
+interface ChatPanelProps {
+  // Query results with their summaries, in the order the summaries are shown; T1 is the first
+  tiles: any[]
+  description?: string
+  // Changes when the summaries are regenerated, which starts a new conversation
+  sessionKey: string
+  disabled: boolean
+}
+
+// Citations name tiles T1, T2, ... in the order of the tile summaries
+const scrollToTile = (citation: ChatCitation) => {
+  scrollToTileSummary(Number(citation.tileId.replace(/^T/, '')) - 1)
+}
+
+// Follow-up questions about the dashboard, answered from the tile data and summaries. Each answer
+// cites the tiles it used; selecting a citation scrolls to that tile's summary.
+export const ChatPanel: React.FC<ChatPanelProps> = ({ tiles, description, sessionKey, disabled }) => {
+  const { extensionSDK } = useContext(ExtensionContext)
+  const restfulService = process.env.RESTFUL_WEBSERVICE || ''
+  const [turns, setTurns] = useState<ChatTurn[]>([])
+  const [conversationId, setConversationId] = useState<string | null>(null)
+  const [question, setQuestion] = useState('')
+  const [sending, setSending] = useState(false)
+  const [error, setError] = useState('')
+
+  useEffect(() => {
+    setTurns([])
+    setConversationId(null)
+    setError('')
+  }, [sessionKey])
+
+  const handleSubmit = async (e: React.FormEvent) => {
+    e.preventDefault()
+    const message = question.trim()
+    if (!message) return
+    setSending(true)
+    setError('')
+    setTurns((previous) => [...previous, { role: 'user', content: message }])
+    setQuestion('')
+    try {
+      const response = await sendChatMessage(message, conversationId, tiles, turns, description, restfulService, extensionSDK)
+      setConversationId(response.conversationId)
+      setTurns((previous) => [...previous, { role: 'assistant', content: response.answer, citations: response.citations }])
+    } catch (error: any) {
+      console.error('Error answering the question:', error)
+      setError(error.message)
+      // Drop the unanswered question so it isn't sent as history, and let it be asked again
+      setTurns((previous) => previous.slice(0, -1))
+      setQuestion(message)
+    } finally {
+      setSending(false)
+    }
+  }
+
+  return (
+    <PanelContainer>
+      <h3>Ask about this dashboard</h3>
+      {turns.map((turn, index) => (
+        <Turn key={index} $role={turn.role}>
+          <MarkdownComponent data={[turn.content]} />
+          {turn.citations && turn.citations.length > 0 && (
+            <Citations>
+              {turn.citations.map((citation) => (
+                <CitationChip
+                  key={citation.tileId}
+                  title={citation.evidence}
+                  onClick={() => scrollToTile(citation)}
+                >
+                  {citation.tileId} · {citation.title}
+                </CitationChip>
+              ))}
+            </Citations>
+          )}
+        </Turn>
+      ))}
+      {sending && <Status $error={false}>Answering...</Status>}
+      {error && <Status $error={true}>{error}</Status>}
+      <InputRow onSubmit={handleSubmit}>
+        <QuestionInput
+          value={question}
+          onChange={(e) => setQuestion(e.target.value)}
+          placeholder="e.g. Which region drove the change in revenue?"
+          disabled={disabled || sending}
+        />
+        <SendButton type="submit" disabled={disabled || sending || !question.trim()}>
+          Send
+        </SendButton>
+      </InputRow>
+    </PanelContainer>
+  )
+}
@@ -27,79 +27,38 @@ SOFTWARE.
 import React, { useCallback, useContext, useEffect, useState } from 'react'
 import { ExtensionContext, ExtensionContextData } from '@looker/extension-sdk-react'
 import MarkdownComponent from './MarkdownComponent'
-import useWorkspaceOauth from '../hooks/useWorkspaceOauth'
 import { SummaryDataContext } from '../contexts/SummaryDataContext'
-import useSlackOauth from '../hooks/useSlackOauth'
+import useSlackExport from '../hooks/useSlackExport'
+import useGoogleChatExport from '../hooks/useGoogleChatExport'
+import { ExportPanel } from './ExportPanel'
+import { DocumentExportButtons } from './DocumentExportButtons'
+import { ChatPanel } from './ChatPanel'
+import { QuerySuggestions } from './QuerySuggestions'
+import { VerificationBadge } from './VerificationBadge'
+import { FindingChips } from './FindingChips'
+import { PresetPicker } from './PresetPicker'
+import { SummaryHistory } from './SummaryHistory'
+import { FailedTile } from './FailedTile'
 import { fetchDashboardDetails } from '../utils/fetchDashboardDetails'
-import { DashboardMetadata, Query, QuerySummary, SummaryDataContextType, LoadingStates } from '../types'
+import { describeAppliedFilters, getCrossFilters } from '../utils/resolveTileFilters'
+import { DashboardMetadata, ExportService, PromptPreset, Query, QueryComparison, QuerySummary, SummaryDataContextType, SummaryExport, SummaryFigure, LoadingStates, TileFailures } from '../types'
 import { fetchQueryData } from '../utils/fetchQueryData'
 import { fetchPrescriptiveAnalysis } from '../utils/fetchPrescriptiveAnalysis'
 import { collateSummaries } from '../utils/collateSummaries'
+import { streamQuerySummary } from '../utils/fetchQuerySummary'
+import { startGenerationRun } from '../utils/generationRuns'
 import { generateQuerySuggestions } from '../utils/generateQuerySuggestions'
+import { generateFinalSummary } from '../utils/generateFinalSummary'
+import { renderQuerySummaryMarkdown } from '../utils/querySummaryMarkdown'
+import { fetchComparisonData } from '../utils/fetchComparisonData'
+import { COMPARISON_LABELS, ComparisonMode } from '../utils/shiftDateFilters'
+import { buildDashboardUrl, describeDashboardFilters } from '../utils/exportMessages'
+import { handleFigureLinkClick, linkSummaryFigures } from '../utils/tileLinks'
+import { setAuditContext, toGenerationFailure } from '../utils/restfulService'
+import { PRESCRIPTIVE_PRESET_ID } from '../utils/promptPresets'
+import { hashQueryData, saveSummaryRun } from '../utils/summaryHistory'
 import styled, { keyframes } from 'styled-components';
 
-interface PresetPrompt {
-  id: string;
-  title: string;
-  description: string;
-  prompt: string;
-}
-
-const PrescriptiveAnalysisPrompt = `User's question:
-'What will be the impact on medv if rm increases by 2 units?'
-Instructions:
-- Each key represents a feature (e.g., 'rm', 'lstat'), and its corresponding value is the model's learned coefficient (weight).
-- The model predicts medv (median house value). The prediction is a linear combination of features:
-medv = sum(weight_i * feature_i) + intercept
-- When a user asks: 'What happens if [feature] increases/decreases by [X]?', calculate the impact as:
-Impact = X * weight
-- If a user asks for feature importance or driver analysis:
-- Rank features by absolute value of their weights.
-- Explain how each feature influences medv (positive/negative).
-- If the user asks 'How can I increase medv by Y?', suggest feature changes based on inverse weight logic.
-- Include numbers in the answer, especially when simulating changes.
-- Respond in a strategic tone suitable for business decision-makers.
-- If the intercept is present (e.g., '_INTERCEPT_': 36.77), you may include it when explaining the full model.
-Example queries to handle:
-- 'How does a 1 unit increase in rm affect medv?'
-- 'What features are most important in predicting medv?'
-- 'What if lstat drops by 2 units?'
-- 'How can we increase medv by 5 points?'
-Always aim to give clear, actionable insights grounded in the model weights provided.`
-
-const PRESET_PROMPTS: PresetPrompt[] = [
-  {
-    id: 'executive',
-    title: 'Executive Style',
-    description: 'High-level insights focused on business impact',
-    prompt: 'Analyze this dashboard with an executive mindset. Focus on key business metrics, strategic implications, and actionable insights. Keep the language concise and emphasize bottom-line impact.'
-  },
-  {
-    id: 'analyst',
-    title: 'Analyst Style',
-    description: 'Detailed analysis with statistical context',
-    prompt: 'Provide a detailed analytical breakdown of this dashboard. Include statistical significance where relevant, highlight correlations, and provide data-driven recommendations. Focus on trends and patterns in the data.'
-  },
-  {
-    id: 'stakeholder',
-    title: 'Stakeholder Style',
-    description: 'Balanced overview for diverse audiences',
-    prompt: 'Summarize this dashboard for key stakeholders. Balance technical insights with business context, highlight progress towards goals, and identify areas needing attention. Include both achievements and opportunities for improvement.'
-  },
-  {
-    id: 'action',
-    title: 'Action-Oriented',
-    description: 'Focus on next steps and recommendations',
-    prompt: 'Analyze this dashboard with a focus on actionable insights. Prioritize specific recommendations, outline clear next steps, and identify immediate opportunities for optimization or improvement.'
-  },
-  {
-    id: 'prescriptive',
-    title: 'Prescriptive Analysis',
-    description: 'Gives the prescriptive analysis based on pre-trained BQML models',
-    prompt: PrescriptiveAnalysisPrompt
-  }
-];
-
 // Styled Components
 const Container = styled.div`
   display: flex;
@@ -159,6 +118,12 @@ const Content = styled.div<{ $isBlurred: boolean }>`
   pointer-events: ${props => props.$isBlurred ? 'none' : 'auto'};
 `;
 
+const FailureNotice = styled.div`
+  font-size: 0.9rem;
+  color: var(--warning);
+  margin-bottom: 16px;
+`;
+
 const SummarySection = styled.div`
   background-color: var(--surface);
   border-radius: 8px;
@@ -235,6 +200,12 @@ const LandingHeader = styled.div`
   margin-bottom: 24px;
 `;
 
+const FilterCaption = styled.div`
+  color: var(--text-secondary);
+  font-size: 0.8rem;
+  margin-top: 8px;
+`;
+
 const LoadingIndicator = styled.div`
   color: var(--text-secondary);
   font-size: 0.9rem;
@@ -262,9 +233,12 @@ const LoadingIndicator = styled.div`
 export const DashboardSummarization: React.FC = () => {
   const { extensionSDK, tileHostData, core40SDK, lookerHostData } = useContext(ExtensionContext) as ExtensionContextData
   const { dashboardFilters, dashboardId } = tileHostData
+  const crossFilters = getCrossFilters(tileHostData)
+  // Compared by value so a new tileHostData object with the same cross-filters doesn't refetch
+  const crossFiltersKey = JSON.stringify(crossFilters)
   const [dashboardMetadata, setDashboardMetadata] = useState<DashboardMetadata>({ dashboardFilters: {}, dashboardId: '', queries: [], description: '' })
   const [loadingDashboardMetadata, setLoadingDashboardMetadata] = useState<boolean>(false)
-  const [querySummaries, setQuerySummaries] = useState<any[]>([])
+  const [querySummaries, setQuerySummaries] = useState<Partial<QuerySummary>[]>([])
   const [queryResults, setQueryResults] = useState<any[]>([])
   const [nextStepsInstructions, setNextStepsInstructions] = useState<string>('');
   const { data, setData, formattedData, setFormattedData, setQuerySuggestions, info, setInfo, message, setMessage, setDashboardURL } = useContext(SummaryDataContext) as SummaryDataContextType
@@ -272,13 +246,33 @@ export const DashboardSummarization: React.FC = () => {
   const [isExpanded, setIsExpanded] = useState(false);
   const [hasInitialized, setHasInitialized] = useState(false);
   const [loadingStates, setLoadingStates] = useState<LoadingStates>({});
-  const workspaceOauth = useWorkspaceOauth()
-  const slackOauth = useSlackOauth()
+  // Tiles whose summary failed, keyed like loadingStates; they can be retried one by one
+  const [tileFailures, setTileFailures] = useState<TileFailures>({});
+  const googleChatExport = useGoogleChatExport()
+  const slackExport = useSlackExport()
+  // The export target whose channel or space picker is open
+  const [exportService, setExportService] = useState<ExportService | null>(null)
   const restfulService = process.env.RESTFUL_WEBSERVICE || ''
   const [selectedPreset, setSelectedPreset] = useState<string | null>(null);
   const [prescriptiveAnalysis, setPrescriptiveAnalysis] = useState('');
-
-  const handlePresetSelect = (preset: PresetPrompt) => {
+  const [loadingFinalSummary, setLoadingFinalSummary] = useState(false);
+  // Model that generated the dashboard summary and when, cited in exports
+  const [summaryModel, setSummaryModel] = useState<string | null>(null);
+  const [summaryGeneratedAt, setSummaryGeneratedAt] = useState<Date | null>(null);
+  // Figures of the dashboard summary linked to the tile summaries they came from
+  const [summaryFigures, setSummaryFigures] = useState<SummaryFigure[]>([]);
+  const [forceRefresh, setForceRefresh] = useState(false);
+  // Empty for a snapshot summary, otherwise the period each tile is compared with
+  const [comparisonMode, setComparisonMode] = useState<ComparisonMode | ''>('');
+  const [showHistory, setShowHistory] = useState(false);
+  // Id of the last run saved to the history, which reloads the history panel
+  const [savedRunId, setSavedRunId] = useState('');
+  // Generation run of the last summarization, which the restful service reports the tiles' status in
+  const [generationRunId, setGenerationRunId] = useState<string | null>(null);
+  // The comparison data each tile was summarized with, for retrying a tile
+  const [tileComparisons, setTileComparisons] = useState<(QueryComparison | null)[]>([]);
+
+  const handlePresetSelect = (preset: PromptPreset) => {
     setSelectedPreset(preset.id);
     setNextStepsInstructions(preset.prompt);
   };
@@ -290,9 +284,20 @@ export const DashboardSummarization: React.FC = () => {
     }
   }, [tileHostData.dashboardRunState, setData, setLoading])
 
+  // The restful service logs which Looker user summarized which dashboard
+  useEffect(() => {
+    core40SDK.ok(core40SDK.me('id'))
+      .then((user: any) => setAuditContext({ userId: String(user.id) }))
+      .catch((error: any) => console.warn('Could not load the current user for audit logging:', error))
+  }, [core40SDK])
+
+  useEffect(() => {
+    setAuditContext({ dashboardId: dashboardId || undefined })
+  }, [dashboardId])
+
   // Update the message when the dashboard metadata is loaded
   useEffect(() => {
-    if (message && message.includes('Loaded Dashboard Metadata') || message.includes("Google Chat") || message.includes("Slack")) {
+    if (message && message.includes('Loaded Dashboard Metadata')) {
       setTimeout(() => {
         setInfo(false)
       }, 1000)
@@ -315,39 +320,162 @@ export const DashboardSummarization: React.FC = () => {
   const fetchQueryMetadata = useCallback(async () => {
     if (dashboardId && dashboardId !== 'undefined') {
       setLoadingDashboardMetadata(true)
-      const { description, queries } = await fetchDashboardDetails(dashboardId, core40SDK, extensionSDK, dashboardFilters)
+      const { description, queries, title } = await fetchDashboardDetails(dashboardId, core40SDK, extensionSDK, dashboardFilters, crossFilters)
       if (!loadingDashboardMetadata) {
         await extensionSDK.localStorageSetItem(`${dashboardId}:${JSON.stringify(dashboardFilters)}`, JSON.stringify({ dashboardFilters, dashboardId, queries, description }))
-        setDashboardMetadata({ dashboardFilters, dashboardId, queries, description })
+        setDashboardMetadata({ dashboardFilters, dashboardId, queries, description, title })
       }
     }
-  }, [dashboardId, dashboardFilters])
+  }, [dashboardId, dashboardFilters, crossFiltersKey])
 
   // Fetch dashboard metadata, including description and queries
   useEffect(() => {
     fetchQueryMetadata()
   }, [fetchQueryMetadata]);
 
-  // Generate query suggestions
-  const generateSuggestions = async (querySummaries: QuerySummary[]) => {
-    await generateQuerySuggestions(querySummaries, restfulService, extensionSDK, setQuerySuggestions, nextStepsInstructions);
+  // Suggest follow-up queries on the tiles' explores
+  const generateSuggestions = async (summaries: (QuerySummary | null)[]) => {
+    const completed = summaries.filter(Boolean) as QuerySummary[];
+    if (completed.length === 0) return;
+    await generateQuerySuggestions(queryResults, completed, restfulService, extensionSDK, setQuerySuggestions, nextStepsInstructions);
   };
 
-  const handleInitialGenerate = async () => {
-    if (!nextStepsInstructions.trim()) return;
+  // Combine the tile summaries (indexed like queryResults) into the dashboard summary, streamed into formattedData
+  const generateDashboardSummary = async (summaries: (QuerySummary | null)[], bypassCache: boolean = false, runId: string | null = null) => {
+    // Tile index of each summary sent, to link the dashboard summary's figures back to their tiles
+    const tileIndexes = summaries.map((summary, index) => (summary ? index : -1)).filter((index) => index >= 0);
+    if (tileIndexes.length === 0) return;
+    setLoadingFinalSummary(true);
+    try {
+      const result = await generateFinalSummary(tileIndexes.map((index) => summaries[index] as QuerySummary), restfulService, extensionSDK, setFormattedData, nextStepsInstructions, bypassCache, comparisonMode ? COMPARISON_LABELS[comparisonMode] : null, runId);
+      setSummaryModel(result ? result.model : null);
+      setSummaryFigures((result ? result.figures : []).map(({ summaryIndex, ...figure }) => ({ ...figure, tileIndex: tileIndexes[summaryIndex] })));
+      setSummaryGeneratedAt(new Date());
+      if (result) {
+        // Not awaited: saving to the history doesn't hold up the summary
+        saveToHistory(tileIndexes.map((index) => summaries[index] as QuerySummary), result.summary, result.model);
+      }
+    } finally {
+      setLoadingFinalSummary(false);
+    }
+  };
+
+  // Keeps the run in the restful service's history with what it was generated from
+  const saveToHistory = async (summaries: QuerySummary[], dashboardSummary: string, model: string | null) => {
+    if (!dashboardId) return;
+    try {
+      const run = await saveSummaryRun(restfulService, extensionSDK, {
+        dashboardId,
+        dashboardTitle: dashboardMetadata.title || '',
+        dashboardSummary,
+        querySummaries: summaries,
+        filters: (dashboardFilters || {}) as { [name: string]: string },
+        filtersDescription: describeDashboardFilters(dashboardFilters, crossFilters),
+        instructions: nextStepsInstructions,
+        comparison: comparisonMode ? COMPARISON_LABELS[comparisonMode] : null,
+        model,
+        dataHash: await hashQueryData(queryResults),
+      });
+      setSavedRunId(run.id);
+    } catch (error) {
+      console.warn('Could not save the summary to the history:', error);
+    }
+  };
+
+  // Re-runs each tile for the earlier period when comparison mode is on
+  const loadComparisons = async (): Promise<(QueryComparison | null)[]> => {
+    if (!comparisonMode) return [];
+    return fetchComparisonData(queryResults, comparisonMode, core40SDK);
+  };
+
+  // Summarizes every tile (streamed into querySummaries), tracked as a new generation run
+  const summarizeTiles = async (bypassCache: boolean) => {
+    const comparisons = await loadComparisons();
+    setTileComparisons(comparisons);
+    const runId = await startGenerationRun(restfulService, extensionSDK, dashboardId || '', queryResults.map((result) => result.title || ''));
+    setGenerationRunId(runId);
+    const summaries = await collateSummaries(
+      queryResults,
+      nextStepsInstructions,
+      restfulService,
+      extensionSDK,
+      dashboardMetadata,
+      setQuerySummaries,
+      setLoadingStates,
+      setTileFailures,
+      bypassCache,
+      comparisons,
+      runId
+    );
+    return { summaries, runId };
+  };
+
+  // Summarizes a failed tile again and, once it succeeds, the dashboard with it
+  const handleRetryTile = async (index: number) => {
+    const key = `query-${index}`;
+    const replaceSummary = (summary: Partial<QuerySummary> | undefined) => setQuerySummaries((prev) => {
+      const next = [...prev];
+      next[index] = summary as Partial<QuerySummary>;
+      return next;
+    });
     setLoading(true);
-    setQuerySummaries([]); // Clear existing summaries
+    setTileFailures(({ [key]: retried, ...others }) => others);
+    setLoadingStates((prev) => ({ ...prev, [key]: true }));
     try {
-      await collateSummaries(
-        queryResults,
-        nextStepsInstructions,
+      const summary = await streamQuerySummary(
+        queryResults[index],
         restfulService,
         extensionSDK,
         dashboardMetadata,
-        setQuerySummaries,
-        setLoadingStates
+        nextStepsInstructions,
+        replaceSummary,
+        false,
+        tileComparisons[index] || null,
+        generationRunId ? { runId: generationRunId, tileIndex: index } : null
       );
-      setHasInitialized(true);
+      replaceSummary(summary);
+      setLoadingStates((prev) => ({ ...prev, [key]: false }));
+      // The other tiles are done: retrying is disabled while summaries are generating
+      const summaries = queryResults.map((_, tileIndex) => (tileIndex === index ? summary : (querySummaries[tileIndex] as QuerySummary) || null));
+      await generateDashboardSummary(summaries, false, generationRunId);
+    } catch (error) {
+      console.error(`Error retrying query ${index}:`, error);
+      replaceSummary(undefined);
+      setTileFailures((prev) => ({ ...prev, [key]: toGenerationFailure(error) }));
+      setLoadingStates((prev) => ({ ...prev, [key]: false }));
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const comparisonSelect = (
+    <label style={{ display: 'flex', alignItems: 'center', gap: '6px', fontSize: '0.9rem' }}>
+      Compare with
+      <select
+        value={comparisonMode}
+        onChange={(e) => setComparisonMode(e.target.value as ComparisonMode | '')}
+        disabled={loading}
+      >
+        <option value="">Nothing (current snapshot)</option>
+        {(Object.keys(COMPARISON_LABELS) as ComparisonMode[]).map((mode) => (
+          <option key={mode} value={mode}>{COMPARISON_LABELS[mode]}</option>
+        ))}
+      </select>
+    </label>
+  );
+
+  const handleInitialGenerate = async () => {
+    if (!nextStepsInstructions.trim()) return;
+    setLoading(true);
+    setQuerySummaries([]); // Clear existing summaries
+    setFormattedData('');
+    setSummaryFigures([]);
+    setQuerySuggestions([]);
+    // Show the summary view right away so summaries render as they stream in
+    setHasInitialized(true);
+    try {
+      const { summaries, runId } = await summarizeTiles(false);
+      await Promise.all([generateDashboardSummary(summaries, false, runId), generateSuggestions(summaries)]);
     } catch (error) {
       console.error('Error generating summaries:', error);
     } finally {
@@ -373,17 +501,13 @@ export const DashboardSummarization: React.FC = () => {
     if (!nextStepsInstructions.trim()) return;
     setLoading(true);
     setQuerySummaries([]); // Clear existing summaries
+    setFormattedData('');
+    setSummaryFigures([]);
+    setQuerySuggestions([]);
+    setIsExpanded(false);
     try {
-      await collateSummaries(
-        queryResults,
-        nextStepsInstructions,
-        restfulService,
-        extensionSDK,
-        dashboardMetadata,
-        setQuerySummaries,
-        setLoadingStates
-      );
-      setIsExpanded(false);
+      const { summaries, runId } = await summarizeTiles(forceRefresh);
+      await Promise.all([generateDashboardSummary(summaries, forceRefresh, runId), generateSuggestions(summaries)]);
     } catch (error) {
       console.error('Error generating summaries:', error);
     } finally {
@@ -391,6 +515,22 @@ export const DashboardSummarization: React.FC = () => {
     }
   };
 
+  const failedTileCount = Object.keys(tileFailures).length
+
+  // Exporters only receive summaries that have finished generating
+  const completedSummaries = querySummaries.filter(Boolean) as QuerySummary[]
+
+  // What the Slack, Google Chat and document exports contain, linking to the dashboard with the current filters
+  const buildExport = (): SummaryExport => ({
+    title: `Summary of ${dashboardMetadata.title || 'Looker dashboard'}`,
+    dashboardUrl: buildDashboardUrl(lookerHostData?.hostUrl || lookerHostData?.hostOrigin || '', dashboardId || '', dashboardFilters),
+    filtersDescription: describeDashboardFilters(dashboardFilters, crossFilters),
+    dashboardSummary: formattedData,
+    querySummaries: completedSummaries,
+    generatedAt: summaryGeneratedAt || new Date(),
+    model: summaryModel,
+  })
+
   if (!hasInitialized) {
     return (
       <LandingContainer>
@@ -412,30 +552,22 @@ export const DashboardSummarization: React.FC = () => {
         <div>
           <h3>Next Steps Instructions:</h3>
           <p>Please provide business context for what recommendations you hope to have or select from a pre-provided prompt.</p>
-          <div className="preset-prompts">
-            <h3 className="preset-prompts-title">Select an Analysis Style</h3>
-            <div className="preset-options">
-              {PRESET_PROMPTS.map((preset) => (
-                <button
-                  key={preset.id}
-                  className={`button-formatting preset-option ${selectedPreset === preset.id ? 'active' : ''}`}
-                  onClick={() => handlePresetSelect(preset)}
-                  disabled={queryResults.length === 0 ? true : false}
-                >
-                  <div className="preset-option-title">{preset.title}</div>
-                  <div className="preset-option-description">{preset.description}</div>
-                </button>
-              ))}
-            </div>
-          </div>
+          <PresetPicker
+            dashboardId={dashboardId}
+            selectedPresetId={selectedPreset}
+            instructions={nextStepsInstructions}
+            onSelect={handlePresetSelect}
+            disabled={queryResults.length === 0}
+          />
           <PromptInput
             value={nextStepsInstructions}
             onChange={(e) => setNextStepsInstructions(e.target.value)}
             rows={10}
           />
+          {comparisonSelect}
           <Button
             onClick={() => {
-              if (selectedPreset == "prescriptive") {
+              if (selectedPreset === PRESCRIPTIVE_PRESET_ID) {
                 handlePresetAnalysis();
               } else {
                 handleInitialGenerate();
@@ -453,7 +585,7 @@ export const DashboardSummarization: React.FC = () => {
           </Button>
           <div id="prescriptive_analysis"
             style={{ margin: '20px 0', fontSize: '16px' }}>
-            {prescriptiveAnalysis}
+            {prescriptiveAnalysis && <MarkdownComponent data={[prescriptiveAnalysis]} />}
           </div>
         </div>
       </LandingContainer>
@@ -463,30 +595,76 @@ export const DashboardSummarization: React.FC = () => {
   return (
     <Container>
       <Content $isBlurred={isExpanded}>
-        {querySummaries.length > 0 && (
+        {showHistory && dashboardId && (
+          <SummaryHistory dashboardId={dashboardId} refreshKey={savedRunId} onClose={() => setShowHistory(false)} />
+        )}
+        {(formattedData || loadingFinalSummary) && (
+          <SummarySection onClick={handleFigureLinkClick}>
+            {loadingFinalSummary && (
+              <LoadingIndicator>Generating dashboard summary...</LoadingIndicator>
+            )}
+            <MarkdownComponent data={[linkSummaryFigures(formattedData, summaryFigures, queryResults.map((result) => result.title))]} />
+          </SummarySection>
+        )}
+        {failedTileCount > 0 && !loading && (
+          <FailureNotice>
+            {failedTileCount} of {queryResults.length} tiles couldn't be summarized and are left out of the dashboard summary. Retry them below.
+          </FailureNotice>
+        )}
+        {(querySummaries.length > 0 || failedTileCount > 0) && (
           <div className="summary-scroll">
-            {querySummaries.map((summary, index) => (
-              <SummarySection
-                key={index}
-                style={{
-                  opacity: loadingStates[`query-${index}`] ? 0.7 : 1,
-                  transition: 'opacity 0.3s ease-in-out'
-                }}
-              >
-                <div style={{
-                  display: 'flex',
-                  alignItems: 'center',
-                  justifyContent: 'space-between'
-                }}>
-                  {loadingStates[`query-${index}`] && (
-                    <LoadingIndicator>Generating...</LoadingIndicator>
+            {queryResults.map((result, index) => {
+              const summary = querySummaries[index]
+              const failure = tileFailures[`query-${index}`]
+              if (failure && !summary) {
+                return (
+                  <FailedTile
+                    key={index}
+                    title={result.title}
+                    failure={failure}
+                    onRetry={() => handleRetryTile(index)}
+                    disabled={loading}
+                  />
+                )
+              }
+              return summary && (
+                <SummarySection
+                  key={index}
+                  id={`tile-summary-${index}`}
+                  style={{
+                    opacity: loadingStates[`query-${index}`] ? 0.7 : 1,
+                    transition: 'opacity 0.3s ease-in-out'
+                  }}
+                >
+                  <div style={{
+                    display: 'flex',
+                    alignItems: 'center',
+                    justifyContent: 'space-between'
+                  }}>
+                    {loadingStates[`query-${index}`] && (
+                      <LoadingIndicator>Generating...</LoadingIndicator>
+                    )}
+                    <VerificationBadge verification={summary.verification} />
+                  </div>
+                  <FindingChips findings={summary.findings} />
+                  <MarkdownComponent data={[renderQuerySummaryMarkdown(summary)]} />
+                  {queryResults[index]?.appliedFilters?.length > 0 && (
+                    <FilterCaption>Filters: {describeAppliedFilters(queryResults[index].appliedFilters)}</FilterCaption>
                   )}
-                </div>
-                <MarkdownComponent data={[summary]} />
-              </SummarySection>
-            ))}
+                </SummarySection>
+              )
+            })}
           </div>
         )}
+        <QuerySuggestions />
+        {summaryGeneratedAt && (
+          <ChatPanel
+            tiles={queryResults.map((result, index) => ({ ...result, summary: querySummaries[index] }))}
+            description={dashboardMetadata.description}
+            sessionKey={summaryGeneratedAt.toISOString()}
+            disabled={loading}
+          />
+        )}
       </Content>
 
       <Overlay $isVisible={isExpanded} onClick={() => setIsExpanded(false)} />
@@ -500,10 +678,19 @@ export const DashboardSummarization: React.FC = () => {
               placeholder="Provide business context for what recommendations you hope to have..."
             />
             <ActionButtons>
-              <div>
+              <div style={{ display: 'flex', alignItems: 'center', gap: '16px' }}>
                 <Button onClick={() => setIsExpanded(false)} $variant="secondary">
                   Cancel
                 </Button>
+                <label style={{ display: 'flex', alignItems: 'center', gap: '6px', fontSize: '0.9rem' }}>
+                  <input
+                    type="checkbox"
+                    checked={forceRefresh}
+                    onChange={(e) => setForceRefresh(e.target.checked)}
+                  />
+                  Ignore cached summaries
+                </label>
+                {comparisonSelect}
               </div>
               <Button
                 onClick={handleRegenerate}
@@ -515,15 +702,32 @@ export const DashboardSummarization: React.FC = () => {
             </ActionButtons>
           </>
         ) : (
+          <>
+          {exportService && (
+            <ExportPanel
+              service={exportService}
+              getContent={buildExport}
+              onClose={() => setExportService(null)}
+            />
+          )}
           <ActionButtons>
-            <Button onClick={() => setIsExpanded(true)} $variant="primary">
-              Regenerate Summary
-            </Button>
+            <div style={{ display: 'flex', gap: '8px' }}>
+              <Button onClick={() => setIsExpanded(true)} $variant="primary">
+                Regenerate Summary
+              </Button>
+              <Button onClick={() => setShowHistory(!showHistory)} disabled={!dashboardId}>
+                History
+              </Button>
+            </div>
             <ExportButtons>
               <span style={{ opacity: 0.8 }}>Export</span>
+              <DocumentExportButtons
+                getContent={buildExport}
+                disabled={loading || completedSummaries.length === 0}
+              />
               <Button
-                onClick={workspaceOauth}
-                disabled={loading || querySummaries.length === 0}
+                onClick={() => setExportService(googleChatExport)}
+                disabled={loading || completedSummaries.length === 0}
               >
                 <img
                   height={20}
@@ -533,8 +737,8 @@ export const DashboardSummarization: React.FC = () => {
                 />
               </Button>
               <Button
-                onClick={slackOauth}
-                disabled={loading || querySummaries.length === 0}
+                onClick={() => setExportService(slackExport)}
+                disabled={loading || completedSummaries.length === 0}
               >
                 <img
                   height={20}
@@ -545,6 +749,7 @@ export const DashboardSummarization: React.FC = () => {
               </Button>
             </ExportButtons>
           </ActionButtons>
+          </>
         )}
       </ActionsBarContainer>
     </Container>
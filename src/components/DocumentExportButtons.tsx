@@ -0,0 +1,99 @@
+import React, { useContext, useState } from 'react'
+import styled from 'styled-components'
+import { ExtensionContext } from '@looker/extension-sdk-react'
+import { SummaryExport } from '../types'
+import { downloadFile, exportFileName, toDocx, toMarkdown, toPdf } from '../utils/exportDocuments'
+import useGoogleDocsExport from '../hooks/useGoogleDocsExport'
+
+type DocumentFormat = 'markdown' | 'pdf' | 'docx' | 'googleDoc'
+
+const FORMAT_LABELS: { [format in DocumentFormat]: string } = {
+  markdown: 'Markdown',
+  pdf: 'PDF',
+  docx: 'DOCX',
+  googleDoc: 'Google Doc',
+}
+
+const FormatButton = styled.button`
+  padding: 8px 10px;
+  border-radius: 6px;
+  border: none;
+  font-weight: 500;
+  cursor: pointer;
+  background-color: var(--neutral-200);
+  color: var(--text-primary);
+  transition: all 200ms ease-in-out;
+
+  &:hover {
+    background-color: var(--neutral-300);
+  }
+
+  &:disabled {
+    color: var(--text-disabled);
+    cursor: not-allowed;
+  }
+`
+
+const Status = styled.span<{ $error: boolean }>`
+  font-size: 0.8rem;
+  color: ${props => props.$error ? 'var(--error)' : 'var(--text-secondary)'};
+`
+
+interface DocumentExportButtonsProps {
+  // Built when exporting, so the document has the latest summaries
+  getContent: () => SummaryExport
+  disabled: boolean
+}
+
+// Downloads the summaries as Markdown, PDF or DOCX, or creates a Google Doc when a Google OAuth
+// client is configured
+export const DocumentExportButtons: React.FC<DocumentExportButtonsProps> = ({ getContent, disabled }) => {
+  const { extensionSDK } = useContext(ExtensionContext)
+  const createGoogleDoc = useGoogleDocsExport()
+  const [exporting, setExporting] = useState<DocumentFormat | null>(null)
+  const [status, setStatus] = useState('')
+  const [failed, setFailed] = useState(false)
+  const formats = (Object.keys(FORMAT_LABELS) as DocumentFormat[])
+    .filter((format) => format !== 'googleDoc' || !!process.env.GOOGLE_CLIENT_ID)
+
+  const handleExport = async (format: DocumentFormat) => {
+    const content = getContent()
+    setExporting(format)
+    setFailed(false)
+    setStatus(`Creating ${FORMAT_LABELS[format]}...`)
+    try {
+      if (format === 'markdown') {
+        downloadFile(new Blob([toMarkdown(content)], { type: 'text/markdown;charset=utf-8' }), exportFileName(content, 'md'))
+      } else if (format === 'pdf') {
+        downloadFile(await toPdf(content), exportFileName(content, 'pdf'))
+      } else if (format === 'docx') {
+        downloadFile(await toDocx(content), exportFileName(content, 'docx'))
+      } else {
+        const url = await createGoogleDoc(content)
+        extensionSDK.openBrowserWindow(url, '_blank')
+      }
+      setStatus(`${FORMAT_LABELS[format]} created`)
+    } catch (error: any) {
+      console.error(`Error exporting the summaries as ${FORMAT_LABELS[format]}:`, error)
+      setFailed(true)
+      setStatus(error.message)
+    } finally {
+      setExporting(null)
+    }
+  }
+
+  return (
+    <>
+      {status && <Status $error={failed}>{status}</Status>}
+      {formats.map((format) => (
+        <FormatButton
+          key={format}
+          onClick={() => handleExport(format)}
+          disabled={disabled || exporting !== null}
+        >
+          {FORMAT_LABELS[format]}
+        </FormatButton>
+      ))}
+    </>
+  )
+}
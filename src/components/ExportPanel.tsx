@@ -0,0 +1,110 @@
+import React, { useEffect, useState } from 'react'
+import styled from 'styled-components'
+import { ExportDestination, ExportService, SummaryExport } from '../types'
+
+type ExportState = 'loading' | 'ready' | 'sending' | 'delivered' | 'error'
+
+const PanelContainer = styled.div`
+  display: flex;
+  flex-wrap: wrap;
+  align-items: center;
+  gap: 8px;
+  margin-bottom: 12px;
+  font-size: 0.9rem;
+`
+
+const Status = styled.span<{ $state: ExportState }>`
+  color: ${props => props.$state === 'error' ? 'var(--error)' : props.$state === 'delivered' ? 'var(--success)' : 'var(--text-secondary)'};
+`
+
+const PanelButton = styled.button`
+  padding: 6px 12px;
+  border-radius: 6px;
+  border: none;
+  cursor: pointer;
+  background-color: var(--neutral-200);
+  color: var(--text-primary);
+
+  &:disabled {
+    color: var(--text-disabled);
+    cursor: not-allowed;
+  }
+`
+
+interface ExportPanelProps {
+  service: ExportService
+  // Built when sending, so the export has the latest summaries
+  getContent: () => SummaryExport
+  onClose: () => void
+}
+
+// Picks a Slack channel or Google Chat space and sends the summaries there, showing the
+// service's own error when listing or delivery fails
+export const ExportPanel: React.FC<ExportPanelProps> = ({ service, getContent, onClose }) => {
+  const [destinations, setDestinations] = useState<ExportDestination[]>([])
+  const [destinationId, setDestinationId] = useState('')
+  const [state, setState] = useState<ExportState>('loading')
+  const [status, setStatus] = useState('')
+
+  useEffect(() => {
+    let cancelled = false
+    setState('loading')
+    setStatus(`Loading ${service.destinationLabel}s...`)
+    service.listDestinations()
+      .then((loaded) => {
+        if (cancelled) return
+        setDestinations(loaded)
+        setDestinationId(loaded.length > 0 ? loaded[0].id : '')
+        setState(loaded.length > 0 ? 'ready' : 'error')
+        setStatus(loaded.length > 0 ? '' : `No ${service.destinationLabel}s available`)
+      })
+      .catch((error) => {
+        if (cancelled) return
+        console.error(`Error listing ${service.name} ${service.destinationLabel}s:`, error)
+        setState('error')
+        setStatus(error.message)
+      })
+    return () => {
+      cancelled = true
+    }
+  }, [service.name])
+
+  const handleSend = async () => {
+    const destination = destinations.find((candidate) => candidate.id === destinationId)
+    if (!destination) return
+    setState('sending')
+    setStatus(`Sending to ${destination.name}...`)
+    try {
+      setStatus(await service.send(destination, getContent()))
+      setState('delivered')
+    } catch (error: any) {
+      console.error(`Error exporting to ${service.name}:`, error)
+      setState('error')
+      setStatus(error.message)
+    }
+  }
+
+  return (
+    <PanelContainer>
+      <label style={{ display: 'flex', alignItems: 'center', gap: '6px' }}>
+        {service.name} {service.destinationLabel}
+        <select
+          value={destinationId}
+          onChange={(e) => setDestinationId(e.target.value)}
+          disabled={state === 'loading' || state === 'sending' || destinations.length === 0}
+        >
+          {destinations.map((destination) => (
+            <option key={destination.id} value={destination.id}>{destination.name}</option>
+          ))}
+        </select>
+      </label>
+      <PanelButton onClick={handleSend} disabled={!destinationId || state === 'loading' || state === 'sending'}>
+        Send
+      </PanelButton>
+      <PanelButton onClick={onClose} disabled={state === 'sending'}>
+        Close
+      </PanelButton>
+      {status && <Status $state={state}>{status}</Status>}
+    </PanelContainer>
+  )
+}
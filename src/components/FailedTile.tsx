@@ -0,0 +1,61 @@
+import React from 'react'
+import styled from 'styled-components'
+import { GenerationFailure } from '../types'
+
+const Card = styled.div`
+  background-color: var(--surface);
+  border: 1px solid var(--error);
+  border-radius: 8px;
+  padding: 16px 24px;
+  margin-bottom: 16px;
+  box-shadow: var(--shadow-sm);
+
+  h4 {
+    margin: 0 0 4px;
+  }
+`
+
+const Row = styled.div`
+  display: flex;
+  flex-wrap: wrap;
+  align-items: center;
+  gap: 12px;
+  font-size: 0.9rem;
+  color: var(--text-secondary);
+`
+
+const RetryButton = styled.button`
+  padding: 4px 12px;
+  border-radius: 6px;
+  border: none;
+  cursor: pointer;
+  background-color: var(--primary-500);
+  color: white;
+
+  &:disabled {
+    background-color: var(--neutral-200);
+    color: var(--text-disabled);
+    cursor: not-allowed;
+  }
+`
+
+interface FailedTileProps {
+  title: string
+  failure: GenerationFailure
+  onRetry: () => void
+  // While other summaries are generating
+  disabled: boolean
+}
+
+// A tile whose summary couldn't be generated, in place of its summary, with the reason and a retry
+export const FailedTile: React.FC<FailedTileProps> = ({ title, failure, onRetry, disabled }) => (
+  <Card>
+    <h4>{title || 'Untitled tile'}</h4>
+    <Row>
+      <span>Not summarized: {failure.message}</span>
+      <RetryButton onClick={onRetry} disabled={disabled}>
+        {failure.retryable ? 'Retry' : 'Try again'}
+      </RetryButton>
+    </Row>
+  </Card>
+)
@@ -0,0 +1,47 @@
+import React from 'react'
+import styled from 'styled-components'
+import { AnomalyFinding } from '../types'
+
+const Chips = styled.div`
+  display: flex;
+  flex-wrap: wrap;
+  gap: 6px;
+  margin: 8px 0;
+`
+
+const Chip = styled.span<{ $kind: AnomalyFinding['kind'] }>`
+  padding: 2px 8px;
+  border-radius: 12px;
+  font-size: 0.8rem;
+  color: var(--text-primary);
+  border: 1px solid ${props => props.$kind === 'outlier' || props.$kind === 'changePoint' ? 'var(--warning)' : 'var(--primary-200)'};
+  background-color: ${props => props.$kind === 'outlier' || props.$kind === 'changePoint' ? 'transparent' : 'var(--primary-100)'};
+  cursor: default;
+`
+
+const KIND_ICONS: { [kind in AnomalyFinding['kind']]: string } = {
+  outlier: '⚠',
+  changePoint: '⇅',
+  trend: '↗',
+  seasonality: '↻',
+  topMover: '★',
+}
+
+const icon = (finding: AnomalyFinding) => {
+  if (finding.kind === 'trend') return finding.direction === 'down' ? '↘' : '↗'
+  return KIND_ICONS[finding.kind]
+}
+
+// Patterns the restful service detected in a tile's data before summarizing it; the full finding is the tooltip
+export const FindingChips: React.FC<{ findings?: AnomalyFinding[] }> = ({ findings }) => {
+  if (!findings || findings.length === 0) return null
+  return (
+    <Chips>
+      {findings.map((finding, index) => (
+        <Chip key={index} $kind={finding.kind} title={finding.text}>
+          {icon(finding)} {finding.label}
+        </Chip>
+      ))}
+    </Chips>
+  )
+}
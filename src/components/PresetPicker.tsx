@@ -0,0 +1,285 @@
+import React, { useContext, useEffect, useState } from 'react'
+import styled from 'styled-components'
+import { ExtensionContext } from '@looker/extension-sdk-react'
+import { PromptPreset } from '../types'
+import {
+  BUILTIN_PRESETS,
+  PresetFields,
+  createPersonalPreset,
+  deleteTeamPreset,
+  fetchTeamPresets,
+  loadPersonalPresets,
+  savePersonalPresets,
+  saveTeamPreset,
+  setDashboardDefaultPreset,
+} from '../utils/promptPresets'
+
+const SCOPE_LABELS: { [scope in PromptPreset['scope']]: string } = {
+  builtin: 'Built-in',
+  team: 'Team',
+  personal: 'Personal',
+}
+
+const PresetActions = styled.div`
+  display: flex;
+  flex-wrap: wrap;
+  align-items: center;
+  gap: 8px;
+  margin-top: 8px;
+  font-size: 0.8rem;
+`
+
+const ActionButton = styled.button`
+  padding: 4px 10px;
+  border-radius: 6px;
+  border: none;
+  cursor: pointer;
+  background-color: var(--neutral-200);
+  color: var(--text-primary);
+
+  &:disabled {
+    color: var(--text-disabled);
+    cursor: not-allowed;
+  }
+`
+
+const Editor = styled.div`
+  display: flex;
+  flex-direction: column;
+  gap: 8px;
+  margin-top: 12px;
+  padding: 12px;
+  border: 1px solid var(--border);
+  border-radius: 6px;
+
+  input, textarea, select {
+    padding: 6px;
+    border: 1px solid var(--input-border);
+    border-radius: 6px;
+    background-color: var(--surface);
+    color: var(--text-primary);
+  }
+`
+
+const Status = styled.div<{ $error: boolean }>`
+  font-size: 0.8rem;
+  margin-top: 8px;
+  color: ${props => props.$error ? 'var(--error)' : 'var(--text-secondary)'};
+`
+
+interface PresetPickerProps {
+  dashboardId?: string
+  selectedPresetId: string | null
+  // The instructions being edited, offered as the prompt of a new preset
+  instructions: string
+  onSelect: (preset: PromptPreset) => void
+  // Disables choosing a preset; presets can still be managed
+  disabled: boolean
+}
+
+// A preset being created (preset null) or edited
+interface EditState {
+  preset: PromptPreset | null
+  scope: 'personal' | 'team'
+  fields: PresetFields
+}
+
+// The built-in, team and personal presets. Personal presets can be shared with the team, and a built-in
+// or team preset can be made the dashboard's default, which is selected when the tile loads.
+export const PresetPicker: React.FC<PresetPickerProps> = ({ dashboardId, selectedPresetId, instructions, onSelect, disabled }) => {
+  const { extensionSDK } = useContext(ExtensionContext)
+  const restfulService = process.env.RESTFUL_WEBSERVICE || ''
+  const [teamPresets, setTeamPresets] = useState<PromptPreset[]>([])
+  const [personalPresets, setPersonalPresets] = useState<PromptPreset[]>([])
+  const [dashboardDefault, setDashboardDefault] = useState<string | null>(null)
+  const [editing, setEditing] = useState<EditState | null>(null)
+  // The preset whose Delete was clicked once, waiting for confirmation
+  const [confirmingDelete, setConfirmingDelete] = useState<string | null>(null)
+  const [saving, setSaving] = useState(false)
+  const [status, setStatus] = useState<{ message: string; error: boolean } | null>(null)
+
+  const presets = [...BUILTIN_PRESETS, ...teamPresets, ...personalPresets]
+  const selected = presets.find((preset) => preset.id === selectedPresetId) || null
+
+  useEffect(() => {
+    let cancelled = false
+    const loadPresets = async () => {
+      const personal = await loadPersonalPresets(extensionSDK)
+      if (cancelled) return
+      setPersonalPresets(personal)
+      try {
+        const team = await fetchTeamPresets(restfulService, extensionSDK, dashboardId)
+        if (cancelled) return
+        setTeamPresets(team.presets)
+        setDashboardDefault(team.dashboardDefault)
+        const defaultPreset = [...BUILTIN_PRESETS, ...team.presets].find((preset) => preset.id === team.dashboardDefault)
+        if (defaultPreset && !selectedPresetId) {
+          onSelect(defaultPreset)
+        }
+      } catch (error: any) {
+        if (cancelled) return
+        console.error('Error loading team presets:', error)
+        setStatus({ message: `Team presets unavailable: ${error.message}`, error: true })
+      }
+    }
+    loadPresets()
+    return () => {
+      cancelled = true
+    }
+  }, [dashboardId])
+
+  // Runs a change, showing its error or the confirmation
+  const run = async (change: () => Promise<string>) => {
+    setSaving(true)
+    setStatus(null)
+    try {
+      setStatus({ message: await change(), error: false })
+    } catch (error: any) {
+      console.error('Error updating presets:', error)
+      setStatus({ message: error.message, error: true })
+    } finally {
+      setSaving(false)
+    }
+  }
+
+  const updatePersonalPresets = async (next: PromptPreset[]) => {
+    await savePersonalPresets(extensionSDK, next)
+    setPersonalPresets(next)
+  }
+
+  const handleSave = () => editing && run(async () => {
+    const { preset, scope, fields } = editing
+    let saved: PromptPreset
+    if (scope === 'team') {
+      saved = await saveTeamPreset(restfulService, extensionSDK, fields, preset?.id)
+      setTeamPresets((previous) => preset ? previous.map((existing) => existing.id === saved.id ? saved : existing) : [...previous, saved])
+    } else {
+      saved = preset ? { ...preset, ...fields } : createPersonalPreset(fields)
+      await updatePersonalPresets(preset ? personalPresets.map((existing) => existing.id === saved.id ? saved : existing) : [...personalPresets, saved])
+    }
+    setEditing(null)
+    onSelect(saved)
+    return `Saved "${saved.title}"`
+  })
+
+  const handleDelete = (preset: PromptPreset) => run(async () => {
+    setConfirmingDelete(null)
+    if (preset.scope === 'team') {
+      await deleteTeamPreset(restfulService, extensionSDK, preset.id)
+      setTeamPresets((previous) => previous.filter((existing) => existing.id !== preset.id))
+      // The service clears the default of dashboards using it
+      if (dashboardDefault === preset.id) setDashboardDefault(null)
+    } else {
+      await updatePersonalPresets(personalPresets.filter((existing) => existing.id !== preset.id))
+    }
+    return `Deleted "${preset.title}"`
+  })
+
+  const handleShare = (preset: PromptPreset) => run(async () => {
+    const shared = await saveTeamPreset(restfulService, extensionSDK, { title: preset.title, description: preset.description, prompt: preset.prompt })
+    setTeamPresets((previous) => [...previous, shared])
+    onSelect(shared)
+    return `Shared "${preset.title}" with the team`
+  })
+
+  const handleDefault = (presetId: string | null) => dashboardId && run(async () => {
+    await setDashboardDefaultPreset(restfulService, extensionSDK, dashboardId, presetId)
+    setDashboardDefault(presetId)
+    return presetId ? 'Saved as the dashboard default' : 'Cleared the dashboard default'
+  })
+
+  const updateFields = (fields: Partial<PresetFields>) => editing && setEditing({ ...editing, fields: { ...editing.fields, ...fields } })
+
+  return (
+    <div className="preset-prompts">
+      <h3 className="preset-prompts-title">Select an Analysis Style</h3>
+      <div className="preset-options">
+        {presets.map((preset) => (
+          <button
+            key={preset.id}
+            className={`button-formatting preset-option ${selectedPresetId === preset.id ? 'active' : ''}`}
+            onClick={() => onSelect(preset)}
+            disabled={disabled}
+          >
+            <div className="preset-option-title">
+              {preset.title}{preset.id === dashboardDefault ? ' ★' : ''}
+            </div>
+            <div className="preset-option-description">
+              {preset.scope === 'builtin' ? preset.description : [SCOPE_LABELS[preset.scope], preset.description].filter(Boolean).join(' · ')}
+            </div>
+          </button>
+        ))}
+      </div>
+      <PresetActions>
+        <ActionButton
+          onClick={() => setEditing({ preset: null, scope: 'personal', fields: { title: '', description: '', prompt: instructions } })}
+          disabled={saving || !instructions.trim()}
+        >
+          Save instructions as preset
+        </ActionButton>
+        {selected && selected.scope !== 'builtin' && (
+          <>
+            <ActionButton
+              onClick={() => setEditing({ preset: selected, scope: selected.scope as EditState['scope'], fields: { title: selected.title, description: selected.description, prompt: selected.prompt } })}
+              disabled={saving}
+            >
+              Edit
+            </ActionButton>
+            <ActionButton
+              onClick={() => confirmingDelete === selected.id ? handleDelete(selected) : setConfirmingDelete(selected.id)}
+              disabled={saving}
+            >
+              {confirmingDelete === selected.id ? `Delete ${SCOPE_LABELS[selected.scope].toLowerCase()} preset?` : 'Delete'}
+            </ActionButton>
+          </>
+        )}
+        {selected && selected.scope === 'personal' && (
+          <ActionButton onClick={() => handleShare(selected)} disabled={saving}>
+            Share with team
+          </ActionButton>
+        )}
+        {selected && selected.scope !== 'personal' && dashboardId && (
+          selected.id === dashboardDefault
+            ? <ActionButton onClick={() => handleDefault(null)} disabled={saving}>Clear dashboard default</ActionButton>
+            : <ActionButton onClick={() => handleDefault(selected.id)} disabled={saving}>Make dashboard default</ActionButton>
+        )}
+      </PresetActions>
+      {editing && (
+        <Editor>
+          <input
+            value={editing.fields.title}
+            onChange={(e) => updateFields({ title: e.target.value })}
+            placeholder="Title"
+            maxLength={80}
+          />
+          <input
+            value={editing.fields.description}
+            onChange={(e) => updateFields({ description: e.target.value })}
+            placeholder="Description (optional)"
+            maxLength={200}
+          />
+          <textarea
+            value={editing.fields.prompt}
+            onChange={(e) => updateFields({ prompt: e.target.value })}
+            rows={6}
+          />
+          <PresetActions>
+            {!editing.preset && (
+              <select value={editing.scope} onChange={(e) => setEditing({ ...editing, scope: e.target.value as EditState['scope'] })}>
+                <option value="personal">Personal (this browser)</option>
+                <option value="team">Team (shared)</option>
+              </select>
+            )}
+            <ActionButton onClick={handleSave} disabled={saving || !editing.fields.title.trim() || !editing.fields.prompt.trim()}>
+              Save
+            </ActionButton>
+            <ActionButton onClick={() => setEditing(null)} disabled={saving}>
+              Cancel
+            </ActionButton>
+          </PresetActions>
+        </Editor>
+      )}
+      {status && <Status $error={status.error}>{status.message}</Status>}
+    </div>
+  )
+}
@@ -1,68 +1,96 @@
 import React, { useContext } from "react"
 import styled from "styled-components"
 import { SummaryDataContext } from '../contexts/SummaryDataContext'
-import { ExtensionContext } from "@looker/extension-sdk-react"
+import { ExtensionContext, ExtensionContextData } from "@looker/extension-sdk-react"
+import { QuerySuggestion, SummaryDataContextType } from '../types'
+import { buildExploreAssistantUrl, buildExploreUrl } from '../utils/exploreUrls'
 
-const BoxContainer = styled.div`
+const SuggestionsContainer = styled.div`
+  background-color: var(--surface);
+  border-radius: 8px;
+  padding: 24px;
+  margin-bottom: 16px;
+  box-shadow: var(--shadow-sm);
+`
+
+const SuggestionList = styled.div`
   display: flex;
-  flex-wrap: wrap;
+  flex-direction: column;
   gap: 10px;
-  margin: 20px 0;
-  max-height: 220px;
 `
 
-const QueryBox = styled.a`
-  display: inline-block;
-  padding: 10px 20px;
-  background-color: #007bff;
-  color: white;
-  text-decoration: none;
-  border-radius: 5px;
-  flex-shrink: 1;
-  box-shadow: 0 2px 4px rgba(0, 0, 0, 0.1);
-  transition: background-color 0.3s ease;
-  width: 100%;
-  height: auto;
+const SuggestionCard = styled.div`
+  display: flex;
+  justify-content: space-between;
+  align-items: center;
+  gap: 12px;
+  padding: 10px 14px;
+  border: 1px solid var(--input-border);
+  border-radius: 6px;
+`
+
+const SuggestionDetail = styled.div`
+  color: var(--text-secondary);
+  font-size: 0.8rem;
+  margin-top: 4px;
+`
+
+const LinkButton = styled.button<{ $variant?: 'primary' | 'secondary' }>`
+  padding: 6px 12px;
+  border-radius: 6px;
+  border: none;
+  cursor: pointer;
+  white-space: nowrap;
+  background-color: ${props => props.$variant === 'primary' ? 'var(--primary-500)' : 'var(--neutral-200)'};
+  color: ${props => props.$variant === 'primary' ? 'white' : 'var(--text-primary)'};
+
   &:hover {
-    background-color: #0056b3;
+    background-color: ${props => props.$variant === 'primary' ? 'var(--primary-600)' : 'var(--neutral-300)'};
   }
 `
-// Here is the format of the querySuggestions string:
-// ---------
-// '''json
-// [
-//     {"querySuggestion": "Show me the top XXX entries for YYY"},
-//     {"querySuggestion": "What are the higest and lowest values for ZZZ, grouped by AAAA?"},
-//     ...
-// ]
-// '''
-interface ParsedQuerySuggestion {
-    querySuggestion: string
-    }
-interface ParsedQuerySuggestions extends Array<ParsedQuerySuggestion> {}
 
-export const QuerySuggestions: React.FC = (explore) => {
-  const { querySuggestions } = useContext(SummaryDataContext) as any
-  const { lookerHostData } = useContext(ExtensionContext) as any
+const describeQuery = (suggestion: QuerySuggestion): string => {
+  const filters = Object.entries(suggestion.filters).map(([field, value]) => `${field} is ${value}`)
+  return [`${suggestion.model} › ${suggestion.explore}`, suggestion.fields.join(', '), ...filters].join(' · ')
+}
+
+// Follow-up queries suggested after summarization, each opening in Explore (and in Explore Assistant
+// when that extension is installed)
+export const QuerySuggestions: React.FC = () => {
+  const { querySuggestions } = useContext(SummaryDataContext) as SummaryDataContextType
+  const { extensionSDK, lookerHostData } = useContext(ExtensionContext) as ExtensionContextData
   if (!querySuggestions || querySuggestions.length === 0) return null
-  // Replace ''' and '''json with empty strings and also ```json and ``` with empty strings
-  const cleanedQuerySuggestions = querySuggestions.body.suggestions.replace(/'''json|'''/g, '').replace(/```json|```/g, '')
-  // Parse the cleaned string as JSON
-  const parsedQuerySuggestions: ParsedQuerySuggestions = JSON.parse(cleanedQuerySuggestions)
-  const modelName = lookerHostData.extensionId.split('::')[0]
-  const explore_assistant_url = `${lookerHostData.hostOrigin}/extensions/${modelName}::explore_assistant/index?explore=${explore}&queryPrompt=`
+  const hostUrl = lookerHostData?.hostUrl || lookerHostData?.hostOrigin || ''
+
   return (
-    <BoxContainer>
-      {parsedQuerySuggestions.map((suggestion: ParsedQuerySuggestion, index: number) => (
-        <QueryBox
-          key={index}
-          href={`${explore_assistant_url}${encodeURIComponent(suggestion.querySuggestion)}`}
-          target="_blank"
-          rel="noopener noreferrer"
-        >
-          {suggestion.querySuggestion}
-        </QueryBox>
-      ))}
-    </BoxContainer>
+    <SuggestionsContainer>
+      <h3>Suggested follow-up queries</h3>
+      <SuggestionList>
+        {querySuggestions.map((suggestion, index) => {
+          const assistantUrl = buildExploreAssistantUrl(hostUrl, suggestion)
+          return (
+            <SuggestionCard key={index}>
+              <div>
+                <div><strong>{suggestion.title}</strong> — {suggestion.question}</div>
+                <SuggestionDetail>{describeQuery(suggestion)}</SuggestionDetail>
+              </div>
+              <div style={{ display: 'flex', gap: '8px' }}>
+                <LinkButton
+                  $variant="primary"
+                  onClick={() => extensionSDK.openBrowserWindow(buildExploreUrl(hostUrl, suggestion), '_blank')}
+                >
+                  Open in Explore
+                </LinkButton>
+                {assistantUrl && (
+                  <LinkButton onClick={() => extensionSDK.openBrowserWindow(assistantUrl, '_blank')}>
+                    Ask Explore Assistant
+                  </LinkButton>
+                )}
+              </div>
+            </SuggestionCard>
+          )
+        })}
+      </SuggestionList>
+    </SuggestionsContainer>
   )
-}
\ No newline at end of file
+}
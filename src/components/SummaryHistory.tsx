@@ -0,0 +1,251 @@
+import React, { useContext, useEffect, useState } from 'react'
+import styled from 'styled-components'
+import { ExtensionContext } from '@looker/extension-sdk-react'
+import { QuerySummary, SummaryRun, SummaryRunHeader } from '../types'
+import { fetchSummaryRun, fetchSummaryRuns } from '../utils/summaryHistory'
+import { DiffPart, FigureChange, diffFigures, diffText } from '../utils/summaryDiff'
+
+const PanelContainer = styled.div`
+  background-color: var(--surface);
+  border-radius: 8px;
+  padding: 24px;
+  margin-bottom: 16px;
+  box-shadow: var(--shadow-sm);
+  font-size: 0.9rem;
+`
+
+const Header = styled.div`
+  display: flex;
+  flex-wrap: wrap;
+  align-items: center;
+  gap: 12px;
+  margin-bottom: 12px;
+
+  h3 {
+    margin: 0;
+    flex: 1;
+  }
+`
+
+const PanelButton = styled.button`
+  padding: 6px 12px;
+  border-radius: 6px;
+  border: none;
+  cursor: pointer;
+  background-color: var(--neutral-200);
+  color: var(--text-primary);
+`
+
+const SideBySide = styled.div`
+  display: grid;
+  grid-template-columns: 1fr 1fr;
+  gap: 16px;
+  margin-bottom: 16px;
+`
+
+const DiffText = styled.div`
+  white-space: pre-wrap;
+  line-height: 1.5;
+`
+
+const Removed = styled.span`
+  color: var(--error);
+  text-decoration: line-through;
+`
+
+const Added = styled.span`
+  color: var(--success);
+  font-weight: 600;
+`
+
+const Meta = styled.dl`
+  display: grid;
+  grid-template-columns: auto 1fr;
+  gap: 2px 8px;
+  margin: 0;
+  color: var(--text-secondary);
+  font-size: 0.8rem;
+
+  dt {
+    font-weight: 600;
+  }
+
+  dd {
+    margin: 0;
+    white-space: pre-wrap;
+  }
+`
+
+const Status = styled.div<{ $error: boolean }>`
+  font-size: 0.8rem;
+  margin-bottom: 8px;
+  color: ${props => props.$error ? 'var(--error)' : 'var(--text-secondary)'};
+`
+
+interface SummaryHistoryProps {
+  dashboardId: string
+  // Changes when a run is saved, which reloads the list
+  refreshKey: string
+  onClose: () => void
+}
+
+const describeRun = (run: SummaryRunHeader) =>
+  `${new Date(run.createdAt).toLocaleString()} · ${run.source === 'schedule' ? 'Scheduled' : run.userId ? `User ${run.userId}` : 'Extension'}${run.model ? ` · ${run.model}` : ''}`
+
+const tileText = (summary?: QuerySummary) => (summary ? `${summary.description || ''}\n\n${summary.summary || ''}` : '')
+
+// One side of a diff: the earlier run shows what was removed, the later run what was added
+const DiffSide: React.FC<{ parts: DiffPart[]; side: 'before' | 'after' }> = ({ parts, side }) => (
+  <DiffText>
+    {parts.map((part, index) => {
+      if (part.change === 'same') return <span key={index}>{part.text}</span>
+      if (side === 'before' && part.change === 'removed') return <Removed key={index}>{part.text}</Removed>
+      if (side === 'after' && part.change === 'added') return <Added key={index}>{part.text}</Added>
+      return null
+    })}
+  </DiffText>
+)
+
+const RunMeta: React.FC<{ run: SummaryRun }> = ({ run }) => (
+  <Meta>
+    <dt>Generated</dt><dd>{describeRun({ ...run, tileCount: run.querySummaries.length })}</dd>
+    <dt>Filters</dt><dd>{run.filtersDescription || 'None'}</dd>
+    {run.comparison && <><dt>Compared with</dt><dd>{run.comparison}</dd></>}
+    <dt>Instructions</dt><dd>{run.instructions || 'None'}</dd>
+    <dt>Data</dt><dd title={run.dataHash}>{run.dataHash.slice(0, 12)}</dd>
+  </Meta>
+)
+
+// Earlier summary runs of the dashboard, two of them side by side: the narrative with removed and added
+// words marked, and the figures that changed
+export const SummaryHistory: React.FC<SummaryHistoryProps> = ({ dashboardId, refreshKey, onClose }) => {
+  const { extensionSDK } = useContext(ExtensionContext)
+  const restfulService = process.env.RESTFUL_WEBSERVICE || ''
+  const [runs, setRuns] = useState<SummaryRunHeader[]>([])
+  const [beforeId, setBeforeId] = useState('')
+  const [afterId, setAfterId] = useState('')
+  // Runs loaded so far by id; the list doesn't include the summaries
+  const [loadedRuns, setLoadedRuns] = useState<{ [id: string]: SummaryRun }>({})
+  const [status, setStatus] = useState<{ message: string; error: boolean } | null>({ message: 'Loading history...', error: false })
+
+  useEffect(() => {
+    let cancelled = false
+    fetchSummaryRuns(restfulService, extensionSDK, dashboardId)
+      .then((loaded) => {
+        if (cancelled) return
+        setRuns(loaded)
+        setAfterId(loaded.length > 0 ? loaded[0].id : '')
+        setBeforeId(loaded.length > 1 ? loaded[1].id : loaded.length > 0 ? loaded[0].id : '')
+        setStatus(loaded.length === 0 ? { message: 'No summaries of this dashboard have been saved yet', error: false } : null)
+      })
+      .catch((error) => {
+        if (cancelled) return
+        console.error('Error loading the summary history:', error)
+        setStatus({ message: error.message, error: true })
+      })
+    return () => {
+      cancelled = true
+    }
+  }, [dashboardId, refreshKey])
+
+  useEffect(() => {
+    const missing = [beforeId, afterId].filter((id) => id && !loadedRuns[id])
+    if (missing.length === 0) return
+    let cancelled = false
+    Promise.all([...new Set(missing)].map((id) => fetchSummaryRun(restfulService, extensionSDK, id)))
+      .then((fetched) => {
+        if (cancelled) return
+        setLoadedRuns((previous) => fetched.reduce((acc, run) => ({ ...acc, [run.id]: run }), previous))
+      })
+      .catch((error) => {
+        if (cancelled) return
+        console.error('Error loading summary runs:', error)
+        setStatus({ message: error.message, error: true })
+      })
+    return () => {
+      cancelled = true
+    }
+  }, [beforeId, afterId])
+
+  const before = loadedRuns[beforeId]
+  const after = loadedRuns[afterId]
+
+  const runSelect = (value: string, onChange: (id: string) => void) => (
+    <select value={value} onChange={(e) => onChange(e.target.value)} disabled={runs.length === 0}>
+      {runs.map((run) => (
+        <option key={run.id} value={run.id}>{describeRun(run)}</option>
+      ))}
+    </select>
+  )
+
+  const renderComparison = (earlier: SummaryRun, later: SummaryRun) => {
+    const summaryParts = diffText(earlier.dashboardSummary, later.dashboardSummary)
+    // Tiles are matched by title, in the later run's order
+    const titles = [...new Set([...later.querySummaries, ...earlier.querySummaries].map((summary) => summary.queryTitle))]
+    const tiles = titles.map((title) => {
+      const earlierTile = earlier.querySummaries.find((summary) => summary.queryTitle === title)
+      const laterTile = later.querySummaries.find((summary) => summary.queryTitle === title)
+      return { title, earlierTile, laterTile, parts: diffText(tileText(earlierTile), tileText(laterTile)) }
+    })
+    const figureChanges: (FigureChange & { section: string })[] = [
+      ...diffFigures(summaryParts).map((change) => ({ ...change, section: 'Dashboard summary' })),
+      ...tiles.flatMap((tile) => (tile.earlierTile && tile.laterTile ? diffFigures(tile.parts) : [])
+        .map((change) => ({ ...change, section: tile.title }))),
+    ]
+    return (
+      <>
+        <SideBySide>
+          <RunMeta run={earlier} />
+          <RunMeta run={later} />
+        </SideBySide>
+        <Status $error={false}>
+          {earlier.dataHash === later.dataHash ? 'Both runs summarized the same data.' : 'The data changed between these runs.'}
+        </Status>
+        <h4>Key numbers</h4>
+        {figureChanges.length === 0 ? (
+          <Status $error={false}>No figures changed.</Status>
+        ) : (
+          <ul>
+            {figureChanges.map((change, index) => (
+              <li key={index}>
+                <strong>{change.section}</strong>{change.context && ` (${change.context} …)`}:{' '}
+                {change.before ? <Removed>{change.before}</Removed> : '—'} → {change.after ? <Added>{change.after}</Added> : '—'}
+              </li>
+            ))}
+          </ul>
+        )}
+        <h4>Dashboard summary</h4>
+        <SideBySide>
+          <DiffSide parts={summaryParts} side="before" />
+          <DiffSide parts={summaryParts} side="after" />
+        </SideBySide>
+        {tiles.map((tile) => (
+          <div key={tile.title}>
+            <h4>{tile.title}</h4>
+            <SideBySide>
+              {tile.earlierTile ? <DiffSide parts={tile.parts} side="before" /> : <Status $error={false}>Not in this run</Status>}
+              {tile.laterTile ? <DiffSide parts={tile.parts} side="after" /> : <Status $error={false}>Not in this run</Status>}
+            </SideBySide>
+          </div>
+        ))}
+      </>
+    )
+  }
+
+  return (
+    <PanelContainer>
+      <Header>
+        <h3>Summary history</h3>
+        <PanelButton onClick={onClose}>Close</PanelButton>
+      </Header>
+      {runs.length > 0 && (
+        <SideBySide>
+          <label>Earlier {runSelect(beforeId, setBeforeId)}</label>
+          <label>Later {runSelect(afterId, setAfterId)}</label>
+        </SideBySide>
+      )}
+      {status && <Status $error={status.error}>{status.message}</Status>}
+      {before && after && renderComparison(before, after)}
+    </PanelContainer>
+  )
+}
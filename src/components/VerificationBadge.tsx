@@ -0,0 +1,48 @@
+import React from 'react'
+import styled from 'styled-components'
+import { SummaryVerification } from '../types'
+
+const Badge = styled.details`
+  font-size: 0.8rem;
+  color: var(--text-primary);
+
+  summary {
+    display: inline-block;
+    padding: 2px 10px;
+    border-radius: 12px;
+    background-color: var(--warning);
+    cursor: pointer;
+    list-style: none;
+  }
+
+  ul {
+    margin: 6px 0 0;
+    padding-left: 18px;
+    color: var(--text-secondary);
+  }
+`
+
+const KIND_LABELS = {
+  figure: 'Figure',
+  entity: 'Name',
+}
+
+// Warns about figures and names in a tile summary that the tile's data doesn't support
+export const VerificationBadge: React.FC<{ verification?: SummaryVerification | null }> = ({ verification }) => {
+  if (!verification || verification.unsupported.length === 0) return null
+  const count = verification.unsupported.length
+  return (
+    <Badge>
+      <summary title="These claims couldn't be matched to the tile's data">
+        ⚠ {count} unverified {count === 1 ? 'claim' : 'claims'}
+      </summary>
+      <ul>
+        {verification.unsupported.map((claim) => (
+          <li key={`${claim.kind}:${claim.text}`}>
+            {KIND_LABELS[claim.kind]} "{claim.text}" was not found in the tile's data
+          </li>
+        ))}
+      </ul>
+    </Badge>
+  )
+}
@@ -0,0 +1,70 @@
+/*
+
+MIT License
+
+Copyright (c) 2023 Looker Data Sciences, Inc.
+
+Permission is hereby granted, free of charge, to any person obtaining a copy
+of this software and associated documentation files (the "Software"), to deal
+in the Software without restriction, including without limitation the rights
+to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+copies of the Software, and to permit persons to whom the Software is
+furnished to do so, subject to the following conditions:
+
+The above copyright notice and this permission notice shall be included in all
+copies or substantial portions of the Software.
+
+THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+SOFTWARE.
+
+*/
+
+import { useContext } from 'react'
+import { ExtensionContext } from '@looker/extension-sdk-react'
+import { ExportDestination, ExportService, SummaryExport } from '../types'
+import { buildChatMessages } from '../utils/exportMessages'
+import { postRestfulService } from '../utils/restfulService'
+
+// Only a Chat app can post cards, so spaces are listed and messages posted by the restful service
+// with the Chat app's credentials (restful-service/src/googleChat.js)
+const useGoogleChatExport = (): ExportService => {
+    const { extensionSDK } = useContext(ExtensionContext)
+    const restfulService = process.env.RESTFUL_WEBSERVICE || ''
+
+    async function callService(route: string, params: { [key: string]: any }) {
+        const response = await postRestfulService(restfulService, extensionSDK, route, params)
+        if (!response.ok) {
+            throw new Error(`Google Chat export failed: ${(response.body && response.body.error) || response.statusText || response.status}`)
+        }
+        return response.body
+    }
+
+    async function listDestinations(): Promise<ExportDestination[]> {
+        const { spaces } = await callService('/googleChat/spaces', {})
+        return spaces
+            .map((space: any) => ({ id: space.name, name: space.displayName }))
+            .sort((a: ExportDestination, b: ExportDestination) => a.name.localeCompare(b.name))
+    }
+
+    async function send(destination: ExportDestination, content: SummaryExport): Promise<string> {
+        const { messages } = await callService('/googleChat/messages', {
+            space: destination.id,
+            messages: buildChatMessages(content)
+        })
+        return `Delivered to ${destination.name} in ${messages.length} message${messages.length === 1 ? '' : 's'}`
+    }
+
+    return {
+        name: 'Google Chat',
+        destinationLabel: 'space',
+        listDestinations,
+        send
+    }
+}
+
+export default useGoogleChatExport;
@@ -0,0 +1,88 @@
+/*
+
+MIT License
+
+Copyright (c) 2023 Looker Data Sciences, Inc.
+
+Permission is hereby granted, free of charge, to any person obtaining a copy
+of this software and associated documentation files (the "Software"), to deal
+in the Software without restriction, including without limitation the rights
+to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+copies of the Software, and to permit persons to whom the Software is
+furnished to do so, subject to the following conditions:
+
+The above copyright notice and this permission notice shall be included in all
+copies or substantial portions of the Software.
+
+THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+SOFTWARE.
+
+*/
+
+import { useContext, useRef } from 'react'
+import { ExtensionContext } from '@looker/extension-sdk-react'
+import { SummaryExport } from '../types'
+import { toHtml } from '../utils/exportDocuments'
+
+// Creates a Google Doc in the user's Drive: the summaries are uploaded as HTML, which Drive converts
+const useGoogleDocsExport = () => {
+    const { extensionSDK } = useContext(ExtensionContext)
+    // Kept for the session; cleared when Google rejects it
+    const accessToken = useRef<string | null>(null)
+
+    async function authenticate(): Promise<string> {
+        if (accessToken.current) return accessToken.current
+        const response = await extensionSDK.oauth2Authenticate(
+            'https://accounts.google.com/o/oauth2/v2/auth',
+            {
+                client_id: process.env.GOOGLE_CLIENT_ID!,
+                // Only gives access to files the extension creates
+                scope: 'https://www.googleapis.com/auth/drive.file',
+                response_type: 'token',
+            }
+        )
+        accessToken.current = response.access_token
+        return response.access_token
+    }
+
+    // Resolves with the link to the new document
+    return async (content: SummaryExport): Promise<string> => {
+        const token = await authenticate()
+        const boundary = `summary-${Date.now()}`
+        const metadata = { name: content.title, mimeType: 'application/vnd.google-apps.document' }
+        const body = [
+            `--${boundary}`,
+            'Content-Type: application/json; charset=UTF-8',
+            '',
+            JSON.stringify(metadata),
+            `--${boundary}`,
+            'Content-Type: text/html; charset=UTF-8',
+            '',
+            toHtml(content),
+            `--${boundary}--`,
+        ].join('\r\n')
+        const response = await extensionSDK.fetchProxy(
+            'https://www.googleapis.com/upload/drive/v3/files?uploadType=multipart&fields=id,webViewLink',
+            {
+                method: 'POST',
+                headers: {
+                    Authorization: `Bearer ${token}`,
+                    'Content-Type': `multipart/related; boundary=${boundary}`
+                },
+                body
+            }
+        )
+        if (!response.ok) {
+            if (response.status === 401) accessToken.current = null
+            throw new Error(`Creating the Google Doc failed: ${(response.body && response.body.error && response.body.error.message) || response.statusText || response.status}`)
+        }
+        return response.body.webViewLink || `https://docs.google.com/document/d/${response.body.id}/edit`
+    }
+}
+
+export default useGoogleDocsExport;
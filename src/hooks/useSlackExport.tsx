@@ -0,0 +1,131 @@
+/*
+
+MIT License
+
+Copyright (c) 2023 Looker Data Sciences, Inc.
+
+Permission is hereby granted, free of charge, to any person obtaining a copy
+of this software and associated documentation files (the "Software"), to deal
+in the Software without restriction, including without limitation the rights
+to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+copies of the Software, and to permit persons to whom the Software is
+furnished to do so, subject to the following conditions:
+
+The above copyright notice and this permission notice shall be included in all
+copies or substantial portions of the Software.
+
+THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+SOFTWARE.
+
+*/
+
+import { useContext, useRef } from 'react'
+import { ExtensionContext } from '@looker/extension-sdk-react'
+import { ExportDestination, ExportService, SummaryExport } from '../types'
+import { buildSlackMessages } from '../utils/exportMessages'
+
+// conversations.list pages to read at most, 200 channels each
+const MAX_CHANNEL_PAGES = 10
+
+const useSlackExport = (): ExportService => {
+    const { extensionSDK } = useContext(ExtensionContext)
+    // Kept for the session so listing channels and sending don't sign in twice
+    const accessToken = useRef<string | null>(null)
+
+    async function authenticate(): Promise<string> {
+        if (accessToken.current) return accessToken.current
+        const response = await extensionSDK.oauth2Authenticate(
+            'https://slack.com/oauth/v2/authorize',
+            {
+                client_id: process.env.SLACK_CLIENT_ID!,
+                scope: 'chat:write,chat:write.public,channels:read,groups:read',
+                response_type: 'code'
+            },
+            'GET'
+        )
+        const tokenResponse = await extensionSDK.oauth2ExchangeCodeForToken(
+            'https://slack.com/api/oauth.v2.access',
+            {
+                client_id: process.env.SLACK_CLIENT_ID!,
+                code: response.code,
+                // The Looker proxy fills in the slack_client_secret user attribute, so the secret isn't bundled
+                client_secret: extensionSDK.createSecretKeyTag('slack_client_secret')
+            }
+        )
+        if (!tokenResponse.access_token) {
+            throw new Error(`Slack sign-in failed: ${tokenResponse.error || 'no access token returned'}`)
+        }
+        accessToken.current = tokenResponse.access_token
+        return tokenResponse.access_token
+    }
+
+    // Calls a Slack Web API method through the Looker proxy, with the token in the Authorization header
+    async function callSlack(method: string, params: { [key: string]: any }, httpMethod: 'GET' | 'POST' = 'POST') {
+        const token = await authenticate()
+        const query = httpMethod === 'GET' ? `?${new URLSearchParams(params).toString()}` : ''
+        const response = await extensionSDK.fetchProxy(`https://slack.com/api/${method}${query}`, {
+            method: httpMethod,
+            headers: {
+                Authorization: `Bearer ${token}`,
+                'Content-Type': 'application/json; charset=utf-8'
+            },
+            body: httpMethod === 'POST' ? JSON.stringify(params) : undefined
+        })
+        const body = response.body
+        // The Web API answers 200 even when a call fails: ok is false and error names the problem
+        if (!response.ok || !body || !body.ok) {
+            const error = (body && body.error) || response.statusText || `HTTP ${response.status}`
+            if (error === 'invalid_auth' || error === 'token_revoked') {
+                accessToken.current = null
+            }
+            throw new Error(`Slack ${method} failed: ${error}`)
+        }
+        return body
+    }
+
+    async function listDestinations(): Promise<ExportDestination[]> {
+        const channels: ExportDestination[] = []
+        let cursor = ''
+        for (let page = 0; page < MAX_CHANNEL_PAGES; page++) {
+            const body = await callSlack('conversations.list', {
+                types: 'public_channel,private_channel',
+                exclude_archived: 'true',
+                limit: '200',
+                ...(cursor ? { cursor } : {})
+            }, 'GET')
+            body.channels.forEach((channel: any) => {
+                channels.push({ id: channel.id, name: `#${channel.name}` })
+            })
+            cursor = body.response_metadata && body.response_metadata.next_cursor
+            if (!cursor) break
+        }
+        return channels.sort((a, b) => a.name.localeCompare(b.name))
+    }
+
+    async function send(destination: ExportDestination, content: SummaryExport): Promise<string> {
+        const messages = buildSlackMessages(content)
+        for (const message of messages) {
+            await callSlack('chat.postMessage', {
+                channel: destination.id,
+                text: message.text,
+                blocks: message.blocks,
+                unfurl_links: false
+            })
+        }
+        return `Delivered to ${destination.name} in ${messages.length} message${messages.length === 1 ? '' : 's'}`
+    }
+
+    return {
+        name: 'Slack',
+        destinationLabel: 'channel',
+        listDestinations,
+        send
+    }
+}
+
+export default useSlackExport;
@@ -17,6 +17,42 @@ export interface Query {
     };
     note_text: string;
     title: string;
+    // Filters the tile ran with (see utils/resolveTileFilters.ts)
+    appliedFilters?: AppliedFilter[];
+    // Source queries of a merged results tile; queryBody is the first (primary) source
+    mergeSources?: MergeSource[];
+}
+
+// A filter applied to a tile and where it came from, so summaries can cite it
+export interface AppliedFilter {
+    field: string;
+    value: string;
+    source: 'tile' | 'dashboard' | 'crossfilter';
+    // Dashboard filter name, for source 'dashboard'
+    dashboardFilter?: string;
+    // Source query name, for merged results tiles
+    mergeSource?: string;
+}
+
+export interface MergeSource {
+    name: string;
+    queryBody: Query['queryBody'];
+    // Joins this source to the primary: field_name is in the primary, source_field_name in this source
+    mergeFields: { field_name: string; source_field_name: string }[];
+}
+
+// Period-over-period comparison sent with a tile summary request (see utils/shiftDateFilters.ts)
+export interface QueryComparison {
+    label: string;
+    shiftedFilters: { field: string; current: string; previous: string }[];
+    previousQueryData: any;
+}
+
+// Filters from cross-filtering, which apply to tiles built on the same explore
+export interface CrossFilters {
+    model?: string;
+    view?: string;
+    filters: { [field: string]: string };
 }
 export interface DashboardMetadata {
     dashboardFilters: Filters | undefined,
@@ -29,7 +65,8 @@ export interface DashboardMetadata {
             model: string
         }
     },
-    description?: string | undefined
+    description?: string | undefined,
+    title?: string
 }
 export interface Query {
     queryBody: {
@@ -49,11 +86,138 @@ export interface Query {
     title: string;
 }
 
+// Structured tile summary returned by the restful service (QUERY_SUMMARY_SCHEMA in restful-service/src/schemas.js)
 export interface QuerySummary {
   queryTitle: string;
   description: string;
   summary: string;
   nextSteps: string[];
+  // Set by the extension from the response, not generated: the check of the summary against the tile's data
+  verification?: SummaryVerification | null;
+  // Set by the extension from the response: patterns detected in the tile's data before summarization
+  findings?: AnomalyFinding[];
+}
+
+// An outlier, level shift, trend, seasonal pattern or top mover found in a tile's data (restful-service/src/anomalies.js)
+export interface AnomalyFinding {
+  kind: 'outlier' | 'changePoint' | 'trend' | 'seasonality' | 'topMover';
+  // The measure's label
+  field: string;
+  direction: 'up' | 'down' | null;
+  // Short, for chips
+  label: string;
+  text: string;
+}
+
+// Figures and entity names of a tile summary that the tile's data doesn't support (restful-service/src/verification.js)
+export interface SummaryVerification {
+  checked: number;
+  unsupported: { text: string; kind: 'figure' | 'entity' }[];
+}
+
+// A figure of the dashboard summary, at [start, end), taken from the tile summary at tileIndex
+export interface SummaryFigure {
+  text: string;
+  start: number;
+  end: number;
+  tileIndex: number;
+}
+
+// A follow-up Looker query suggested after summarization (QUERY_SUGGESTIONS_SCHEMA in restful-service/src/schemas.js),
+// opened as an Explore URL (see utils/exploreUrls.ts)
+export interface QuerySuggestion {
+  title: string;
+  question: string;
+  model: string;
+  explore: string;
+  fields: string[];
+  // Looker filter expressions by field name
+  filters: { [field: string]: string };
+  sorts: string[];
+  limit: number;
+}
+
+// The summaries as exported to Slack, Google Chat and documents (see utils/exportMessages.ts and utils/exportDocuments.ts)
+export interface SummaryExport {
+  title: string;
+  // Link to the dashboard with the filters the summaries were generated with
+  dashboardUrl: string;
+  filtersDescription: string;
+  // Markdown
+  dashboardSummary: string;
+  querySummaries: QuerySummary[];
+  generatedAt: Date;
+  // Model that generated the dashboard summary, e.g. 'vertex/gemini-2.0-flash'
+  model: string | null;
+}
+
+// A tile an answer in the follow-up chat is based on; tileId is T1 for the first tile summary
+export interface ChatCitation {
+  tileId: string;
+  title: string;
+  // The figures or rows the answer used
+  evidence: string;
+}
+
+export interface ChatTurn {
+  role: 'user' | 'assistant';
+  // Markdown
+  content: string;
+  citations?: ChatCitation[];
+}
+
+// Next steps instructions saved under a title: built into the extension, shared with the team through the
+// restful service, or personal (the extension's local storage)
+export interface PromptPreset {
+  id: string;
+  title: string;
+  description: string;
+  prompt: string;
+  scope: 'builtin' | 'team' | 'personal';
+}
+
+// A summary run in the restful service's history (restful-service/src/summaryHistory.js), as listed
+export interface SummaryRunHeader {
+  id: string;
+  dashboardId: string;
+  dashboardTitle: string;
+  // ISO timestamp
+  createdAt: string;
+  // Generated in the extension or by a scheduled summary
+  source: 'extension' | 'schedule';
+  userId: string | null;
+  scheduleId: string | null;
+  filters: { [name: string]: string };
+  filtersDescription: string;
+  instructions: string;
+  // The comparison period, e.g. 'Previous period'
+  comparison: string | null;
+  model: string | null;
+  // SHA-256 of the tiles' query results: runs with the same hash summarized the same data
+  dataHash: string;
+  tileCount: number;
+}
+
+export interface SummaryRun extends Omit<SummaryRunHeader, 'tileCount'> {
+  // Markdown
+  dashboardSummary: string;
+  querySummaries: QuerySummary[];
+}
+
+// A Slack channel or Google Chat space
+export interface ExportDestination {
+  id: string;
+  name: string;
+}
+
+// An export target (see hooks/useSlackExport.tsx and hooks/useGoogleChatExport.tsx)
+export interface ExportService {
+  name: string;
+  // What a destination is called, e.g. 'channel'
+  destinationLabel: string;
+  listDestinations: () => Promise<ExportDestination[]>;
+  // Resolves with a description of what was delivered; rejects with the service's error
+  send: (destination: ExportDestination, content: SummaryExport) => Promise<string>;
 }
 
 export interface SummaryDataContextType {
@@ -61,8 +225,8 @@ export interface SummaryDataContextType {
     setData: React.Dispatch<React.SetStateAction<string[]>>;
     formattedData: string;
     setFormattedData: React.Dispatch<React.SetStateAction<string>>;
-    querySuggestions: string[];
-    setQuerySuggestions: React.Dispatch<React.SetStateAction<string[]>>;
+    querySuggestions: QuerySuggestion[];
+    setQuerySuggestions: React.Dispatch<React.SetStateAction<QuerySuggestion[]>>;
     info: boolean;
     setInfo: React.Dispatch<React.SetStateAction<boolean>>;
     message: string;
@@ -73,4 +237,18 @@ export interface SummaryDataContextType {
 
   export interface LoadingStates {
     [key: string]: boolean;
+  }
+
+  // A failed generation as the restful service reports it (see restful-service/src/resilience.js)
+  export interface GenerationFailure {
+    // e.g. 'rate_limited', 'timeout', 'provider_unavailable'; 'request_failed' when the service couldn't be reached
+    error: string;
+    message: string;
+    // Whether trying again later can help
+    retryable: boolean;
+  }
+
+  // Keyed like LoadingStates: the tiles whose summary failed
+  export interface TileFailures {
+    [key: string]: GenerationFailure;
   }
\ No newline at end of file
@@ -1,15 +1,25 @@
-import { Query, DashboardMetadata, QuerySummary, LoadingStates } from '../types';
-import { fetchQuerySummary } from './fetchQuerySummary';
+import { Query, DashboardMetadata, QueryComparison, QuerySummary, LoadingStates, TileFailures } from '../types';
+import { streamQuerySummary } from './fetchQuerySummary';
+import { toGenerationFailure } from './restfulService';
 
+// Resolves with the summaries indexed like queryResults, null where generation failed. The failures
+// are reported through setTileFailures, keyed like the loading states, so the tiles can be retried.
 export const collateSummaries = async (
   queryResults: any[],
   nextStepsInstructions: string,
   restfulService: string,
   extensionSDK: any,
   dashboardMetadata: DashboardMetadata,
-  setQuerySummaries: (summaries: QuerySummary[]) => void,
-  setLoadingStates: React.Dispatch<React.SetStateAction<LoadingStates>>
-): Promise<QuerySummary[]> => {
+  setQuerySummaries: (summaries: Partial<QuerySummary>[]) => void,
+  setLoadingStates: React.Dispatch<React.SetStateAction<LoadingStates>>,
+  setTileFailures: React.Dispatch<React.SetStateAction<TileFailures>>,
+  // Skip the restful service's summary cache
+  forceRefresh: boolean = false,
+  // Indexed like queryResults; tiles with a comparison are summarized as period-over-period changes
+  comparisons: (QueryComparison | null)[] = [],
+  // Generation run the restful service reports the tiles' status in
+  runId: string | null = null
+): Promise<(QuerySummary | null)[]> => {
   if (!queryResults || queryResults.length === 0) {
     console.error('No query results to collate');
     return [];
@@ -21,38 +31,52 @@ export const collateSummaries = async (
     return acc;
   }, {} as LoadingStates);
   setLoadingStates(initialLoadingStates);
+  setTileFailures({});
 
-  // Create an array to store all summaries
-  const allSummaries: QuerySummary[] = [];
+  // Create an array to store all summaries, indexed like queryResults so partial
+  // (streaming) summaries stay in the same position as their loading state
+  const allSummaries: Partial<QuerySummary>[] = [];
 
   try {
     // Create an array of promises but don't wait for all
     const summaryPromises = queryResults.map(async (queryResult, index) => {
       try {
-        const querySummary = await fetchQuerySummary(
+        const querySummary = await streamQuerySummary(
           queryResult, 
           restfulService, 
           extensionSDK, 
           dashboardMetadata,
-          nextStepsInstructions
+          nextStepsInstructions,
+          (partialSummary) => {
+            // Render the text generated so far
+            allSummaries[index] = partialSummary;
+            setQuerySummaries([...allSummaries]);
+          },
+          forceRefresh,
+          comparisons[index] || null,
+          runId ? { runId, tileIndex: index } : null
         );
 
-        if (querySummary) {
-          // Update the allSummaries array and notify the component
-          allSummaries[index] = querySummary;
-          setQuerySummaries([...allSummaries].filter(Boolean));
+        // Update the allSummaries array and notify the component
+        allSummaries[index] = querySummary;
+        setQuerySummaries([...allSummaries]);
 
-          // Update loading state for this query
-          setLoadingStates((prev: LoadingStates) => ({
-            ...prev,
-            [`query-${index}`]: false
-          }));
+        // Update loading state for this query
+        setLoadingStates((prev: LoadingStates) => ({
+          ...prev,
+          [`query-${index}`]: false
+        }));
 
-          return querySummary;
-        }
-        throw new Error(`Failed to generate summary for query ${index}`);
+        return querySummary;
       } catch (error) {
         console.error(`Error processing query ${index}:`, error);
+        // Drop any partial text for this query; the tile is shown as failed instead
+        delete allSummaries[index];
+        setQuerySummaries([...allSummaries]);
+        setTileFailures((prev: TileFailures) => ({
+          ...prev,
+          [`query-${index}`]: toGenerationFailure(error)
+        }));
         // Update loading state even on error
         setLoadingStates((prev: LoadingStates) => ({
           ...prev,
@@ -71,13 +95,9 @@ export const collateSummaries = async (
       }))
     );
 
-    const completedSummaries = results.filter((result): result is QuerySummary => 
-      result !== null
-    );
-
-    return completedSummaries;
+    return results;
   } catch (error) {
     console.error('Error in collateSummaries:', error);
-    return allSummaries.filter(Boolean);
+    return queryResults.map((_, index) => (allSummaries[index] as QuerySummary) || null);
   }
 };
\ No newline at end of file
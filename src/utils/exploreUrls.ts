@@ -0,0 +1,21 @@
+import { QuerySuggestion } from '../types';
+
+// Explore URL of a suggested query, e.g.
+// https://example.looker.com/explore/ecommerce/order_items?fields=products.name,order_items.count&f[order_items.created_date]=last+30+days&limit=10
+export const buildExploreUrl = (hostUrl: string, suggestion: QuerySuggestion): string => {
+  const params = new URLSearchParams();
+  params.set('fields', suggestion.fields.join(','));
+  Object.entries(suggestion.filters).forEach(([field, value]) => params.set(`f[${field}]`, value));
+  if (suggestion.sorts.length > 0) params.set('sorts', suggestion.sorts.join(','));
+  params.set('limit', String(suggestion.limit));
+  return `${hostUrl.replace(/\/$/, '')}/explore/${suggestion.model}/${suggestion.explore}?${params.toString()}`;
+};
+
+// The Explore Assistant extension is only linked when EXPLORE_ASSISTANT_EXTENSION_ID names its installation,
+// e.g. 'explore_assistant::explore_assistant'
+export const buildExploreAssistantUrl = (hostUrl: string, suggestion: QuerySuggestion): string | null => {
+  const extensionId = process.env.EXPLORE_ASSISTANT_EXTENSION_ID;
+  if (!extensionId) return null;
+  const params = new URLSearchParams({ explore: `${suggestion.model}:${suggestion.explore}`, queryPrompt: suggestion.question });
+  return `${hostUrl.replace(/\/$/, '')}/extensions/${extensionId}/index?${params.toString()}`;
+};
@@ -0,0 +1,305 @@
+import { jsPDF } from 'jspdf';
+import { Document, ExternalHyperlink, HeadingLevel, Packer, Paragraph, TextRun as DocxTextRun } from 'docx';
+import { SummaryExport } from '../types';
+import { renderQuerySummaryMarkdown } from './querySummaryMarkdown';
+
+// Markdown, PDF, DOCX and HTML (for Google Docs) versions of the summaries. The summaries are first
+// turned into a list of blocks, which each format then renders.
+
+export interface TextRun {
+  text: string;
+  bold?: boolean;
+  italic?: boolean;
+}
+
+export interface DocumentBlock {
+  type: 'heading' | 'paragraph' | 'quote' | 'bullet';
+  // Heading level, 1 to 3
+  level?: number;
+  runs: TextRun[];
+}
+
+// **bold** and *italic* spans; links keep their text. _underscores_ are left alone, since field
+// names like order_items.total_sale are common in summaries
+export const parseInline = (text: string): TextRun[] => {
+  const runs: TextRun[] = [];
+  const pattern = /\*\*(.+?)\*\*|\*(.+?)\*/g;
+  const plain = text.replace(/\[([^\]]+)\]\([^)\s]+\)/g, '$1');
+  let last = 0;
+  let match: RegExpExecArray | null;
+  while ((match = pattern.exec(plain)) !== null) {
+    if (match.index > last) runs.push({ text: plain.slice(last, match.index) });
+    runs.push(match[1] !== undefined ? { text: match[1], bold: true } : { text: match[2], italic: true });
+    last = pattern.lastIndex;
+  }
+  if (last < plain.length) runs.push({ text: plain.slice(last) });
+  return runs;
+};
+
+// Headings, bullets, quotes and paragraphs of the Markdown the model writes
+export const parseMarkdownBlocks = (markdown: string): DocumentBlock[] => {
+  const blocks: DocumentBlock[] = [];
+  let paragraph: string[] = [];
+  const flush = () => {
+    if (paragraph.length > 0) blocks.push({ type: 'paragraph', runs: parseInline(paragraph.join(' ')) });
+    paragraph = [];
+  };
+  markdown.split('\n').forEach((line) => {
+    const trimmed = line.trim();
+    const heading = trimmed.match(/^(#{1,6})\s+(.*)$/);
+    const bullet = trimmed.match(/^(?:[-*+]|\d+\.)\s+(.*)$/);
+    if (!trimmed || /^-{3,}$/.test(trimmed)) {
+      flush();
+    } else if (heading) {
+      flush();
+      blocks.push({ type: 'heading', level: Math.min(heading[1].length, 3), runs: parseInline(heading[2]) });
+    } else if (bullet) {
+      flush();
+      blocks.push({ type: 'bullet', runs: parseInline(bullet[1]) });
+    } else if (trimmed.startsWith('>')) {
+      flush();
+      blocks.push({ type: 'quote', runs: parseInline(trimmed.replace(/^>\s?/, '')) });
+    } else {
+      paragraph.push(trimmed);
+    }
+  });
+  flush();
+  return blocks;
+};
+
+// Title, filters, timestamp and model, as label/value pairs
+export const exportDetails = (content: SummaryExport): [string, string][] => {
+  return [
+    ['Dashboard', content.dashboardUrl],
+    ['Filters', content.filtersDescription || 'None'],
+    ['Generated', content.generatedAt.toLocaleString()],
+    ['Model', content.model || 'Unknown'],
+  ];
+};
+
+export const toMarkdown = (content: SummaryExport): string => {
+  const sections = [
+    `# ${content.title}`,
+    exportDetails(content).map(([label, value]) => `**${label}:** ${value}  `).join('\n'),
+  ];
+  if (content.dashboardSummary) {
+    // The summary's own headings sit below the section heading
+    sections.push(`## Dashboard Summary\n\n${content.dashboardSummary.trim().replace(/^(#{1,5})\s/gm, '#$1 ')}`);
+  }
+  content.querySummaries.forEach((summary) => sections.push(renderQuerySummaryMarkdown(summary).trim()));
+  return `${sections.join('\n\n')}\n`;
+};
+
+// The document body after the title and details: the dashboard summary, then each tile
+export const toDocumentBlocks = (content: SummaryExport): DocumentBlock[] => {
+  const blocks: DocumentBlock[] = [];
+  if (content.dashboardSummary) {
+    blocks.push({ type: 'heading', level: 1, runs: [{ text: 'Dashboard Summary' }] });
+    // The summary's own headings sit below the section heading
+    blocks.push(...parseMarkdownBlocks(content.dashboardSummary).map((block) =>
+      block.type === 'heading' ? { ...block, level: Math.min((block.level || 1) + 1, 3) } : block));
+  }
+  content.querySummaries.forEach((summary) => {
+    blocks.push({ type: 'heading', level: 1, runs: [{ text: summary.queryTitle }] });
+    if (summary.description) blocks.push({ type: 'paragraph', runs: [{ text: summary.description, italic: true }] });
+    blocks.push({ type: 'quote', runs: parseInline(summary.summary) });
+    if (summary.nextSteps.length > 0) {
+      blocks.push({ type: 'heading', level: 2, runs: [{ text: 'Next Steps' }] });
+      summary.nextSteps.forEach((step) => blocks.push({ type: 'bullet', runs: parseInline(step) }));
+    }
+  });
+  return blocks;
+};
+
+const escapeHtml = (text: string): string => {
+  return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+};
+
+const runsToHtml = (runs: TextRun[]): string => runs.map((run) => {
+  let html = escapeHtml(run.text);
+  if (run.bold) html = `<b>${html}</b>`;
+  if (run.italic) html = `<i>${html}</i>`;
+  return html;
+}).join('');
+
+// HTML that Google Drive converts into a Google Doc
+export const toHtml = (content: SummaryExport): string => {
+  const details = exportDetails(content).map(([label, value]) => label === 'Dashboard'
+    ? `<b>${label}:</b> <a href="${escapeHtml(value)}">${escapeHtml(value)}</a>`
+    : `<b>${label}:</b> ${escapeHtml(value)}`).join('<br>');
+  const body: string[] = [];
+  let list: string[] = [];
+  const flushList = () => {
+    if (list.length > 0) body.push(`<ul>${list.join('')}</ul>`);
+    list = [];
+  };
+  toDocumentBlocks(content).forEach((block) => {
+    if (block.type === 'bullet') {
+      list.push(`<li>${runsToHtml(block.runs)}</li>`);
+      return;
+    }
+    flushList();
+    if (block.type === 'heading') body.push(`<h${(block.level || 1) + 1}>${runsToHtml(block.runs)}</h${(block.level || 1) + 1}>`);
+    else if (block.type === 'quote') body.push(`<blockquote style="border-left: 3px solid #cccccc; padding-left: 12px; color: #444444">${runsToHtml(block.runs)}</blockquote>`);
+    else body.push(`<p>${runsToHtml(block.runs)}</p>`);
+  });
+  flushList();
+  return `<html><head><meta charset="utf-8"><title>${escapeHtml(content.title)}</title></head><body><h1>${escapeHtml(content.title)}</h1><p style="color: #666666">${details}</p>${body.join('')}</body></html>`;
+};
+
+// --- PDF ---
+
+const PDF_MARGIN = 48;
+const PDF_FONT_SIZES: { [level: number]: number } = { 1: 15, 2: 12.5, 3: 11.5 };
+const PDF_BODY_SIZE = 10.5;
+
+export const toPdf = async (content: SummaryExport): Promise<Blob> => {
+  const doc = new jsPDF({ unit: 'pt', format: 'a4' });
+  const pageWidth = doc.internal.pageSize.getWidth();
+  const pageHeight = doc.internal.pageSize.getHeight();
+  const right = pageWidth - PDF_MARGIN;
+  let y = PDF_MARGIN;
+
+  const ensureSpace = (height: number) => {
+    if (y + height > pageHeight - PDF_MARGIN) {
+      doc.addPage();
+      y = PDF_MARGIN;
+    }
+  };
+
+  // Writes runs word by word, wrapping at the right margin
+  const writeRuns = (runs: TextRun[], size: number, indent: number, color: [number, number, number], forceBold: boolean = false) => {
+    const lineHeight = size * 1.35;
+    const start = PDF_MARGIN + indent;
+    let x = start;
+    doc.setFontSize(size);
+    doc.setTextColor(...color);
+    ensureSpace(lineHeight);
+    runs.forEach((run) => {
+      const bold = forceBold || run.bold;
+      doc.setFont('helvetica', bold && run.italic ? 'bolditalic' : bold ? 'bold' : run.italic ? 'italic' : 'normal');
+      (run.text.match(/\S+\s*|\s+/g) || []).forEach((word) => {
+        const width = doc.getTextWidth(word);
+        if (x + width > right && x > start) {
+          x = start;
+          y += lineHeight;
+          ensureSpace(lineHeight);
+        }
+        if (x === start && !word.trim()) return;
+        doc.text(word, x, y + size);
+        x += width;
+      });
+    });
+    y += lineHeight;
+  };
+
+  writeRuns([{ text: content.title }], 20, 0, [32, 33, 36], true);
+  y += 4;
+  exportDetails(content).forEach(([label, value]) => {
+    if (label === 'Dashboard') {
+      doc.setFont('helvetica', 'normal');
+      doc.setFontSize(9);
+      doc.setTextColor(26, 115, 232);
+      doc.textWithLink('Open dashboard in Looker', PDF_MARGIN, y + 9, { url: value });
+      y += 9 * 1.35;
+    } else {
+      writeRuns([{ text: `${label}: `, bold: true }, { text: value }], 9, 0, [95, 99, 104]);
+    }
+  });
+  y += 8;
+  doc.setDrawColor(218, 220, 224);
+  doc.line(PDF_MARGIN, y, right, y);
+  y += 12;
+
+  toDocumentBlocks(content).forEach((block) => {
+    if (block.type === 'heading') {
+      y += block.level === 1 ? 10 : 4;
+      writeRuns(block.runs, PDF_FONT_SIZES[block.level || 1], 0, [32, 33, 36], true);
+      y += 2;
+    } else if (block.type === 'bullet') {
+      doc.setFont('helvetica', 'normal');
+      doc.setFontSize(PDF_BODY_SIZE);
+      doc.setTextColor(32, 33, 36);
+      ensureSpace(PDF_BODY_SIZE * 1.35);
+      doc.text('•', PDF_MARGIN + 6, y + PDF_BODY_SIZE);
+      writeRuns(block.runs, PDF_BODY_SIZE, 18, [32, 33, 36]);
+    } else if (block.type === 'quote') {
+      const page = doc.getNumberOfPages();
+      const top = y;
+      writeRuns(block.runs, PDF_BODY_SIZE, 12, [60, 64, 67]);
+      // When the quote continues on a new page, the bar only spans the part on that page
+      doc.setDrawColor(26, 115, 232);
+      doc.setLineWidth(2);
+      doc.line(PDF_MARGIN + 2, doc.getNumberOfPages() === page ? top : PDF_MARGIN, PDF_MARGIN + 2, y);
+      doc.setLineWidth(1);
+      y += 6;
+    } else {
+      writeRuns(block.runs, PDF_BODY_SIZE, 0, [32, 33, 36]);
+      y += 6;
+    }
+  });
+
+  const pages = doc.getNumberOfPages();
+  for (let page = 1; page <= pages; page++) {
+    doc.setPage(page);
+    doc.setFont('helvetica', 'normal');
+    doc.setFontSize(8);
+    doc.setTextColor(128, 134, 139);
+    doc.text(`${content.title} · ${page} / ${pages}`, PDF_MARGIN, pageHeight - PDF_MARGIN / 2);
+  }
+  return doc.output('blob');
+};
+
+// --- DOCX ---
+
+export const toDocx = async (content: SummaryExport): Promise<Blob> => {
+  const headingLevels = [HeadingLevel.HEADING_1, HeadingLevel.HEADING_2, HeadingLevel.HEADING_3];
+  const toRuns = (runs: TextRun[]) => runs.map((run) => new DocxTextRun({ text: run.text, bold: run.bold, italics: run.italic }));
+
+  const children = [
+    new Paragraph({ heading: HeadingLevel.TITLE, children: [new DocxTextRun(content.title)] }),
+    ...exportDetails(content).map(([label, value]) => new Paragraph({
+      children: [
+        new DocxTextRun({ text: `${label}: `, bold: true, color: '5F6368' }),
+        label === 'Dashboard'
+          ? new ExternalHyperlink({ link: value, children: [new DocxTextRun({ text: value, style: 'Hyperlink' })] })
+          : new DocxTextRun({ text: value, color: '5F6368' }),
+      ],
+    })),
+    ...toDocumentBlocks(content).map((block) => {
+      if (block.type === 'heading') {
+        return new Paragraph({ heading: headingLevels[(block.level || 1) - 1], children: toRuns(block.runs) });
+      }
+      if (block.type === 'bullet') {
+        return new Paragraph({ bullet: { level: 0 }, children: toRuns(block.runs) });
+      }
+      if (block.type === 'quote') {
+        return new Paragraph({
+          indent: { left: 360 },
+          border: { left: { style: 'single', size: 12, color: '1A73E8', space: 8 } },
+          children: toRuns(block.runs),
+        });
+      }
+      return new Paragraph({ children: toRuns(block.runs) });
+    }),
+  ];
+  return Packer.toBlob(new Document({ title: content.title, creator: 'Looker Dashboard Summarization', sections: [{ children }] }));
+};
+
+// e.g. summary-of-sales-dashboard-2024-05-01.pdf
+export const exportFileName = (content: SummaryExport, extension: string): string => {
+  const slug = content.title.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'dashboard-summary';
+  return `${slug}-${content.generatedAt.toISOString().slice(0, 10)}.${extension}`;
+};
+
+export const downloadFile = (blob: Blob, fileName: string) => {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = fileName;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  // Revoked after the click has started the download
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+};
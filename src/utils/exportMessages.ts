@@ -0,0 +1,174 @@
+import { Filters } from '@looker/extension-sdk';
+import { CrossFilters, QuerySummary, SummaryExport } from '../types';
+import { chunkText, escapeHtml, markdownToChatHtml, markdownToSlack } from '../../restful-service/src/messageFormat';
+
+// Builds the Slack (Block Kit) and Google Chat (Cards v2) messages for an export. Summaries are
+// split over as many messages as the services' size limits need. The Markdown conversion and
+// splitting are shared with the scheduled deliveries of the restful service
+// (restful-service/src/messageFormat.js).
+
+// Slack: section text holds 3000 characters, header text 150 and a message 50 blocks
+const SLACK_TEXT_LIMIT = 3000;
+const SLACK_HEADER_LIMIT = 150;
+const SLACK_BLOCK_LIMIT = 50;
+// Google Chat messages hold 32,000 bytes; leave room for the JSON around the text
+const CHAT_MESSAGE_LIMIT = 24000;
+const CHAT_TEXT_LIMIT = 4000;
+
+export const buildDashboardUrl = (hostUrl: string, dashboardId: string, dashboardFilters?: Filters): string => {
+  const params = new URLSearchParams();
+  Object.entries(dashboardFilters || {}).forEach(([name, value]) => {
+    if (value !== undefined && value !== null) params.set(name, String(value));
+  });
+  const query = params.toString();
+  return `${hostUrl.replace(/\/$/, '')}/dashboards/${dashboardId}${query ? `?${query}` : ''}`;
+};
+
+// "Region: EMEA, Date: last 7 days"; cross-filters can't be carried in the link, so they are listed here
+export const describeDashboardFilters = (dashboardFilters?: Filters, crossFilters?: CrossFilters | null): string => {
+  const filters = Object.entries(dashboardFilters || {})
+    .filter(([, value]) => value !== undefined && value !== null && value !== '')
+    .map(([name, value]) => `${name}: ${value}`);
+  Object.entries(crossFilters?.filters || {}).forEach(([field, value]) => {
+    filters.push(`${field}: ${value} (cross-filter)`);
+  });
+  return filters.join(', ');
+};
+
+const truncate = (text: string, limit: number): string => {
+  return text.length <= limit ? text : `${text.slice(0, limit - 1)}…`;
+};
+
+const bulletList = (items: string[]): string => items.map((item) => `• ${item}`).join('\n');
+
+const exportCaption = (content: SummaryExport): string => {
+  const generated = `Generated ${content.generatedAt.toLocaleString()}`;
+  return content.filtersDescription ? `Filters: ${content.filtersDescription} · ${generated}` : generated;
+};
+
+// --- Slack ---
+
+export interface SlackMessage {
+  text: string;
+  blocks: any[];
+}
+
+const slackSections = (markdown: string): any[] => {
+  return chunkText(markdownToSlack(markdown), SLACK_TEXT_LIMIT).map((text) => ({
+    type: 'section',
+    text: { type: 'mrkdwn', text },
+  }));
+};
+
+const slackTileBlocks = (summary: QuerySummary): any[] => {
+  const blocks: any[] = [{ type: 'header', text: { type: 'plain_text', text: truncate(summary.queryTitle, SLACK_HEADER_LIMIT), emoji: true } }];
+  if (summary.description) {
+    blocks.push({ type: 'context', elements: [{ type: 'mrkdwn', text: truncate(markdownToSlack(summary.description), SLACK_TEXT_LIMIT) }] });
+  }
+  blocks.push(...slackSections(summary.summary).map((block) => ({ ...block, text: { ...block.text, text: `>${block.text.text.replace(/\n/g, '\n>')}` } })));
+  if (summary.nextSteps.length > 0) {
+    blocks.push(...slackSections(`**Next Steps**\n${bulletList(summary.nextSteps)}`));
+  }
+  blocks.push({ type: 'divider' });
+  return blocks;
+};
+
+// Block Kit messages: the dashboard summary with a link to the dashboard, then one group of blocks
+// per tile. A tile's blocks stay in one message unless they alone exceed the block limit.
+export const buildSlackMessages = (content: SummaryExport): SlackMessage[] => {
+  const groups: any[][] = [[
+    { type: 'header', text: { type: 'plain_text', text: truncate(content.title, SLACK_HEADER_LIMIT), emoji: true } },
+    {
+      type: 'section',
+      text: { type: 'mrkdwn', text: truncate(markdownToSlack(exportCaption(content)), SLACK_TEXT_LIMIT) },
+      accessory: {
+        type: 'button',
+        text: { type: 'plain_text', text: 'Open dashboard', emoji: true },
+        url: content.dashboardUrl,
+        action_id: 'open-dashboard',
+      },
+    },
+    ...(content.dashboardSummary ? slackSections(content.dashboardSummary) : []),
+    { type: 'divider' },
+  ], ...content.querySummaries.map(slackTileBlocks)];
+
+  const messages: any[][] = [[]];
+  groups.forEach((group) => {
+    let current = messages[messages.length - 1];
+    if (current.length > 0 && current.length + group.length > SLACK_BLOCK_LIMIT) {
+      current = [];
+      messages.push(current);
+    }
+    group.forEach((block) => {
+      if (current.length === SLACK_BLOCK_LIMIT) {
+        current = [];
+        messages.push(current);
+      }
+      current.push(block);
+    });
+  });
+  return messages.map((blocks, index) => ({
+    // Shown in notifications and by clients that can't render blocks
+    text: messages.length > 1 ? `${content.title} (${index + 1}/${messages.length})` : content.title,
+    blocks,
+  }));
+};
+
+// --- Google Chat ---
+
+export interface ChatMessage {
+  text?: string;
+  cardsV2: any[];
+}
+
+const chatParagraphs = (markdown: string): any[] => {
+  return chunkText(markdown, CHAT_TEXT_LIMIT).map((text) => ({ textParagraph: { text: markdownToChatHtml(text) } }));
+};
+
+const chatTileSection = (summary: QuerySummary): any => {
+  const widgets = [
+    ...(summary.description ? [{ textParagraph: { text: `<i>${markdownToChatHtml(truncate(summary.description, CHAT_TEXT_LIMIT))}</i>` } }] : []),
+    ...chatParagraphs(summary.summary),
+  ];
+  if (summary.nextSteps.length > 0) {
+    widgets.push(...chatParagraphs(`**Next Steps**\n${bulletList(summary.nextSteps)}`));
+  }
+  return { header: escapeHtml(summary.queryTitle), collapsible: true, uncollapsibleWidgetsCount: 2, widgets };
+};
+
+// Cards v2 messages: a card with the dashboard summary and link, then the tile sections, moved to
+// follow-up cards when a message would exceed Chat's size limit
+export const buildChatMessages = (content: SummaryExport): ChatMessage[] => {
+  const sections = [
+    {
+      widgets: [
+        { textParagraph: { text: markdownToChatHtml(exportCaption(content)) } },
+        { buttonList: { buttons: [{ text: 'Open dashboard', onClick: { openLink: { url: content.dashboardUrl } } }] } },
+      ],
+    },
+    ...(content.dashboardSummary ? [{ header: 'Dashboard Summary', widgets: chatParagraphs(content.dashboardSummary) }] : []),
+    ...content.querySummaries.map(chatTileSection),
+  ];
+
+  const cards: any[][] = [[]];
+  let size = 0;
+  sections.forEach((section) => {
+    const sectionSize = JSON.stringify(section).length;
+    if (cards[cards.length - 1].length > 0 && size + sectionSize > CHAT_MESSAGE_LIMIT) {
+      cards.push([]);
+      size = 0;
+    }
+    cards[cards.length - 1].push(section);
+    size += sectionSize;
+  });
+  return cards.map((cardSections, index) => {
+    const title = cards.length > 1 ? `${content.title} (${index + 1}/${cards.length})` : content.title;
+    return {
+      text: index === 0 ? `*${content.title}*` : undefined,
+      cardsV2: [{
+        cardId: `summary-${index + 1}`,
+        card: { header: { title, subtitle: 'Dashboard summary from Looker' }, sections: cardSections },
+      }],
+    };
+  });
+};
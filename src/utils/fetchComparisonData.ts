@@ -0,0 +1,19 @@
+import { QueryComparison } from '../types';
+import { fetchQueryData } from './fetchQueryData';
+import { COMPARISON_LABELS, ComparisonMode, shiftQueryDateFilters } from './shiftDateFilters';
+
+// Re-runs each tile with its date filters shifted back. Entries line up with queryResults and are
+// null for tiles without a date filter (they'd return the same data), which are summarized as usual.
+export const fetchComparisonData = async (
+  queryResults: any[],
+  mode: ComparisonMode,
+  core40SDK: any
+): Promise<(QueryComparison | null)[]> => {
+  return Promise.all(queryResults.map(async (queryResult) => {
+    const { query, shiftedFilters } = shiftQueryDateFilters(queryResult, mode);
+    if (shiftedFilters.length === 0) return null;
+    const [previous] = await fetchQueryData([query], core40SDK);
+    if (!previous) return null;
+    return { label: COMPARISON_LABELS[mode], shiftedFilters, previousQueryData: previous.queryData };
+  }));
+};
@@ -1,22 +1,17 @@
+import { postRestfulService } from './restfulService';
+
 export const fetchPrescriptiveAnalysis = async (
   userQuestion: any,
   restfulService: string,
   extensionSDK: any,
 ): Promise<any> => {
   try {
-    const response = await extensionSDK[restfulService === 'http://localhost:5000' ? 'fetchProxy' : 'serverProxy'](`${restfulService}/generatePerspectiveAnalytics`, {
-      method: 'POST',
-      headers: {
-        "Content-Type": "application/json"
-      },
-      body: JSON.stringify({
-        query: userQuestion,
-        client_secret: restfulService === 'http://localhost:5000' ? process.env.GENAI_CLIENT_SECRET : extensionSDK.createSecretKeyTag("genai_client_secret")
-      })
+    const response = await postRestfulService(restfulService, extensionSDK, '/generatePerspectiveAnalytics', {
+      query: userQuestion
     });
 
     if (response.ok) {
-      const data = await response.body.suggestions;
+      const data = await response.body.analysis;
       return data;
     } else {
       console.error('Error generating prescriptive analysis:', response.statusText);
@@ -1,15 +1,25 @@
 import { Query } from '../types';
+import { compactQueryResult, mergeQueryResults } from '../../restful-service/src/dashboardQueries';
 
 export const fetchQueryData = async (queries: Query[], core40SDK: any): Promise<any[]> => {
   console.log('fetchQueryData queries', queries);
+  // json_detail keeps field labels, value formats, pivots and totals that 'json' flattens away; the
+  // compaction and merging are shared with the scheduled runs of the restful service
+  const runQuery = async (queryBody: Query['queryBody']) => {
+    const response = await core40SDK.ok(core40SDK.run_inline_query({
+      body: queryBody,
+      result_format: 'json_detail'
+    }));
+    return compactQueryResult(response);
+  };
+
   const queryPromises = queries.map(async (query) => {
     try {
-      const response = await core40SDK.ok(core40SDK.run_inline_query({
-        body: query.queryBody,
-        result_format: 'json'
-      }));
-      
-      return { ...query, queryData: response.length > 100 ? response.slice(0,100) : response };
+      // The full result is sent; the restful service profiles it and samples rows to fit the prompt
+      const queryData = query.mergeSources
+        ? mergeQueryResults(await Promise.all(query.mergeSources.map(async (source) => ({ ...source, result: await runQuery(source.queryBody) }))))
+        : await runQuery(query.queryBody);
+      return { ...query, queryData };
     } catch (error) {
       console.error('Error fetching query data:', error);
       return null;
@@ -19,4 +29,4 @@ export const fetchQueryData = async (queries: Query[], core40SDK: any): Promise<
   const queryResults = await Promise.all(queryPromises);
   console.log('fetchQueryData queryResults', queryResults);
   return queryResults.filter(result => result !== null);
-};
\ No newline at end of file
+};
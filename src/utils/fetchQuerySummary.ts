@@ -1,37 +1,75 @@
-import { DashboardMetadata } from '../types';
+import { DashboardMetadata, QueryComparison, QuerySummary } from '../types';
+import { parsePartialQuerySummary } from './querySummaryMarkdown';
+import { canStream, streamRestfulService } from './streamRestfulService';
+import { GenerationError, generationErrorFrom, postRestfulService } from './restfulService';
 
+// Links a tile request to its generation run so the restful service reports the tile's status
+export interface TileRun {
+  runId: string;
+  tileIndex: number;
+}
+
+// Rejects with a GenerationError (the service's typed error) when the summary couldn't be generated
 export const fetchQuerySummary = async (
   queryResult: any,
   restfulService: string,
   extensionSDK: any,
   dashboardMetadata: DashboardMetadata,
   nextStepsInstructions: string,
-): Promise<any> => {
+  forceRefresh: boolean = false,
+  // Summarize the change from an earlier period instead of the current snapshot
+  comparison: QueryComparison | null = null,
+  tileRun: TileRun | null = null,
+): Promise<QuerySummary> => {
   console.log('fetchquerysummary queryResult', queryResult);
-  try {
-    
-    const response = await extensionSDK[restfulService === 'http://localhost:5000' ? 'fetchProxy' : 'serverProxy'](`${restfulService}/generateQuerySummary`, {
-      method: 'POST',
-      headers: {
-        "Content-Type": "application/json"
-      },
-      body: JSON.stringify({
+  const response = await postRestfulService(restfulService, extensionSDK, '/generateQuerySummary', {
+    query: queryResult,
+    description: dashboardMetadata.description,
+    nextStepsInstructions: nextStepsInstructions,
+    forceRefresh,
+    comparison: comparison || undefined,
+    ...(tileRun || {})
+  });
+  console.log('fetchquerysummary response', response);
+  if (!response.ok) {
+    console.error('Error generating query summary:', response.statusText);
+    throw generationErrorFrom(response);
+  }
+  return { ...response.body.summary, verification: response.body.verification, findings: response.body.findings || [] };
+};
+
+// Streams the summary when possible, falling back to the request/response route when the stream
+// can't be opened. A generation error reported on the stream is not retried with the fallback.
+// onProgress receives the fields of the summary generated so far.
+export const streamQuerySummary = async (
+  queryResult: any,
+  restfulService: string,
+  extensionSDK: any,
+  dashboardMetadata: DashboardMetadata,
+  nextStepsInstructions: string,
+  onProgress: (partialSummary: Partial<QuerySummary>) => void,
+  forceRefresh: boolean = false,
+  comparison: QueryComparison | null = null,
+  tileRun: TileRun | null = null,
+): Promise<QuerySummary> => {
+  if (canStream()) {
+    try {
+      const { summary, verification, findings } = await streamRestfulService(restfulService, '/generateQuerySummaryStream', {
         query: queryResult,
         description: dashboardMetadata.description,
         nextStepsInstructions: nextStepsInstructions,
-        client_secret: restfulService === 'http://localhost:5000' ? process.env.GENAI_CLIENT_SECRET : extensionSDK.createSecretKeyTag("genai_client_secret")
-      })
-    });
-    console.log('fetchquerysummary response', response);
-    if (response.ok) {
-      const data = await response.body.summary;
-      return data;
-    } else {
-      console.error('Error generating query summary:', response.statusText);
-      return null;
+        forceRefresh,
+        comparison: comparison || undefined,
+        ...(tileRun || {}),
+      }, extensionSDK, (text: string) => {
+        const partialSummary = parsePartialQuerySummary(text);
+        if (partialSummary) onProgress(partialSummary);
+      });
+      return { ...summary, verification, findings: findings || [] };
+    } catch (error) {
+      if (error instanceof GenerationError) throw error;
+      console.warn('Streaming query summary failed, falling back to a single request:', error);
     }
-  } catch (error) {
-    console.error('Error generating query summary:', error);
-    return null;
   }
+  return fetchQuerySummary(queryResult, restfulService, extensionSDK, dashboardMetadata, nextStepsInstructions, forceRefresh, comparison, tileRun);
 };
@@ -1,23 +1,60 @@
+import { QuerySummary } from '../types';
+import { canStream, streamRestfulService } from './streamRestfulService';
+import { GenerationError, postRestfulService } from './restfulService';
 
+export interface FinalSummaryResult {
+  // Markdown
+  summary: string;
+  // Model that generated the summary, e.g. 'vertex/gemini-2.0-flash'
+  model: string | null;
+  // Figures of the summary with the index (into querySummaries) of the tile summary each came from
+  figures: { text: string; start: number; end: number; summaryIndex: number }[];
+}
+
+// Resolves with the summary, model and figure links, or null on failure
 export const generateFinalSummary = async (
-    querySummaries: any[],
+    querySummaries: QuerySummary[],
     restfulService: string,
     extensionSDK: any,
     setFormattedData: (data: any) => void,
     nextStepsInstructions: string,
-  
-  ): Promise<void> => {
-    try {
-      const response = await extensionSDK[restfulService === 'http://localhost:5000' ? 'fetchProxy' : 'serverProxy'](`${restfulService}/generateSummary`, {
-        method: 'POST',
-        headers: {
-          "Content-Type": "application/json"
-        },
-        body: JSON.stringify({
+    forceRefresh: boolean = false,
+    // Set in comparison mode, e.g. 'previous period'
+    comparisonLabel: string | null = null,
+    // Generation run the restful service tracks the summary in
+    runId: string | null = null,
+  ): Promise<FinalSummaryResult | null> => {
+    const comparison = comparisonLabel ? { label: comparisonLabel } : undefined;
+    // The verification results and findings aren't part of the summaries the prompt (and cache key) is built from
+    querySummaries = querySummaries.map(({ verification, findings, ...summary }) => summary);
+    // Stream when possible so the summary renders as it is generated
+    if (canStream()) {
+      try {
+        const { summary, model, figures } = await streamRestfulService(restfulService, '/generateSummaryStream', {
           querySummaries,
           nextStepsInstructions: nextStepsInstructions,
-          client_secret: restfulService === 'http://localhost:5000' ? process.env.GENAI_CLIENT_SECRET : extensionSDK.createSecretKeyTag("genai_client_secret")
-        })
+          forceRefresh,
+          comparison,
+          runId: runId || undefined,
+        }, extensionSDK, setFormattedData);
+        setFormattedData(summary);
+        return { summary, model: model || null, figures: figures || [] };
+      } catch (error) {
+        // The service tried and failed; asking again right away would fail the same way
+        if (error instanceof GenerationError) {
+          console.error('Error generating summary:', error);
+          return null;
+        }
+        console.warn('Streaming summary failed, falling back to a single request:', error);
+      }
+    }
+    try {
+      const response = await postRestfulService(restfulService, extensionSDK, '/generateSummary', {
+        querySummaries,
+        nextStepsInstructions: nextStepsInstructions,
+        forceRefresh,
+        comparison,
+        runId: runId || undefined
       });
   
       if (response.ok) {
@@ -25,11 +62,13 @@ export const generateFinalSummary = async (
         console.log('generateFinalSummary response', response);
         const data = await response.body;
         setFormattedData(data.summary);
+        return { summary: data.summary, model: data.model || null, figures: data.figures || [] };
       } else {
         console.error('Error generating summary:', response.statusText);
       }
     } catch (error) {
       console.error('Error generating summary:', error);
     }
+    return null;
   };
   
\ No newline at end of file
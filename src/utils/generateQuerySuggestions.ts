@@ -1,42 +1,30 @@
-import { look, Looker40SDK } from "@looker/sdk";
+import { QuerySuggestion, QuerySummary } from '../types';
+import { postRestfulService } from './restfulService';
 
+// Suggests follow-up queries on the tiles' explores; the restful service drops any that couldn't run
 export const generateQuerySuggestions = async (
-  querySummaries: any[],
+  queryResults: any[],
+  querySummaries: QuerySummary[],
   restfulService: string,
   extensionSDK: any,
-  setQuerySuggestions: (suggestions: any) => void,
+  setQuerySuggestions: (suggestions: QuerySuggestion[]) => void,
   nextStepsInstructions: string
 ): Promise<void> => {
   try {
     // Use the extension sdk to proxy the request to the RESTful service
-    const response = await extensionSDK[restfulService === 'http://localhost:5000' ? 'fetchProxy' : 'serverProxy'](`${restfulService}/generateQuerySuggestions`, {
-      method: 'POST',
-      headers: {
-        "Content-Type": "application/json"
-      },
-      body: JSON.stringify({
-        queryResults: querySummaries,
-        querySummaries,
-        nextStepsInstructions: nextStepsInstructions,
-        client_secret: restfulService === 'http://localhost:5000' ? process.env.GENAI_CLIENT_SECRET : extensionSDK.createSecretKeyTag("genai_client_secret")
-      })
+    const response = await postRestfulService(restfulService, extensionSDK, '/generateQuerySuggestions', {
+      queryResults,
+      querySummaries,
+      nextStepsInstructions: nextStepsInstructions
     });
 
     if (response.ok) {
       console.log('Query suggestions response:', response);
-     
-      try {
-        const data = await response.json();
-        console.log("Suggestions: ", data)
-        setQuerySuggestions(data.suggestions);
-      } catch (error) {
-        // If parsing fails, assume it's Markdown
-        setQuerySuggestions(response);
-      }
+      setQuerySuggestions(response.body.suggestions || []);
     } else {
       console.error('Error generating query suggestions:', response.statusText);
     }
   } catch (error) {
     console.error('Error generating query suggestions:', error);
   }
-};
\ No newline at end of file
+};
@@ -0,0 +1,27 @@
+import { requestRestfulService } from './restfulService';
+
+// Generation runs (/generationRuns in the restful service) report the progress of a summarization,
+// including which tiles failed and why, to anyone polling GET /generationRuns/:id. The tile and
+// summary requests send the run's id.
+
+// Resolves with the id of the new run, or null when the service couldn't start one: summaries are
+// still generated, only without the run status
+export const startGenerationRun = async (
+  restfulService: string,
+  extensionSDK: any,
+  dashboardId: string,
+  tileTitles: string[]
+): Promise<string | null> => {
+  if (!dashboardId || tileTitles.length === 0) return null;
+  try {
+    const response = await requestRestfulService(restfulService, extensionSDK, 'POST', '/generationRuns', { dashboardId, tiles: tileTitles });
+    if (!response.ok) {
+      console.warn('Could not start a generation run:', response.statusText);
+      return null;
+    }
+    return response.body.run.id;
+  } catch (error) {
+    console.warn('Could not start a generation run:', error);
+    return null;
+  }
+};
@@ -0,0 +1,129 @@
+import { PromptPreset } from '../types';
+import { requestRestfulService } from './restfulService';
+
+// Prompt presets: the built-in analysis styles, team presets stored in the restful service (/presets)
+// and personal presets in the extension's local storage. A dashboard's default preset is stored in
+// the service and may be a built-in or team preset.
+
+// The restful service computes the answer from the model weights and only uses Gemini to phrase it.
+// Supported questions: 'What if [feature] increases/decreases by [X]?', 'What features are most
+// important in predicting [target]?' and 'How can we increase [target] by [Y]?'
+const PrescriptiveAnalysisPrompt = `User's question:
+'What will be the impact on medv if rm increases by 2 units?'`
+
+// Runs the prescriptive analysis instead of summarizing the dashboard
+export const PRESCRIPTIVE_PRESET_ID = 'prescriptive';
+
+export const BUILTIN_PRESETS: PromptPreset[] = [
+  {
+    id: 'executive',
+    title: 'Executive Style',
+    description: 'High-level insights focused on business impact',
+    prompt: 'Analyze this dashboard with an executive mindset. Focus on key business metrics, strategic implications, and actionable insights. Keep the language concise and emphasize bottom-line impact.',
+    scope: 'builtin'
+  },
+  {
+    id: 'analyst',
+    title: 'Analyst Style',
+    description: 'Detailed analysis with statistical context',
+    prompt: 'Provide a detailed analytical breakdown of this dashboard. Include statistical significance where relevant, highlight correlations, and provide data-driven recommendations. Focus on trends and patterns in the data.',
+    scope: 'builtin'
+  },
+  {
+    id: 'stakeholder',
+    title: 'Stakeholder Style',
+    description: 'Balanced overview for diverse audiences',
+    prompt: 'Summarize this dashboard for key stakeholders. Balance technical insights with business context, highlight progress towards goals, and identify areas needing attention. Include both achievements and opportunities for improvement.',
+    scope: 'builtin'
+  },
+  {
+    id: 'action',
+    title: 'Action-Oriented',
+    description: 'Focus on next steps and recommendations',
+    prompt: 'Analyze this dashboard with a focus on actionable insights. Prioritize specific recommendations, outline clear next steps, and identify immediate opportunities for optimization or improvement.',
+    scope: 'builtin'
+  },
+  {
+    id: PRESCRIPTIVE_PRESET_ID,
+    title: 'Prescriptive Analysis',
+    description: 'Gives the prescriptive analysis based on pre-trained BQML models',
+    prompt: PrescriptiveAnalysisPrompt,
+    scope: 'builtin'
+  }
+];
+
+const PERSONAL_PRESETS_KEY = 'prompt-presets';
+
+export type PresetFields = Pick<PromptPreset, 'title' | 'description' | 'prompt'>;
+
+// The service's validation errors, or its status
+const responseError = (response: any, fallback: string): Error => {
+  const errors = response.body?.errors;
+  return new Error(Array.isArray(errors) ? errors.join('; ') : response.statusText || fallback);
+};
+
+export const loadPersonalPresets = async (extensionSDK: any): Promise<PromptPreset[]> => {
+  try {
+    const stored = await extensionSDK.localStorageGetItem(PERSONAL_PRESETS_KEY);
+    return stored ? JSON.parse(stored).map((preset: PromptPreset) => ({ ...preset, scope: 'personal' })) : [];
+  } catch (error) {
+    console.error('Error loading personal presets:', error);
+    return [];
+  }
+};
+
+// Replaces the stored personal presets
+export const savePersonalPresets = async (extensionSDK: any, presets: PromptPreset[]): Promise<void> => {
+  await extensionSDK.localStorageSetItem(PERSONAL_PRESETS_KEY, JSON.stringify(presets.filter((preset) => preset.scope === 'personal')));
+};
+
+export const createPersonalPreset = (fields: PresetFields): PromptPreset => ({
+  ...fields,
+  id: `personal-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`,
+  scope: 'personal',
+});
+
+// The team presets and the id of the dashboard's default preset (null without one)
+export const fetchTeamPresets = async (
+  restfulService: string,
+  extensionSDK: any,
+  dashboardId: string | undefined
+): Promise<{ presets: PromptPreset[]; dashboardDefault: string | null }> => {
+  const query = dashboardId ? `?dashboardId=${encodeURIComponent(dashboardId)}` : '';
+  const response = await requestRestfulService(restfulService, extensionSDK, 'GET', `/presets${query}`);
+  if (!response.ok) {
+    throw responseError(response, 'Team presets could not be loaded');
+  }
+  return {
+    presets: response.body.presets.map(({ id, title, description, prompt }: PromptPreset) => ({ id, title, description, prompt, scope: 'team' })),
+    dashboardDefault: response.body.dashboardDefault,
+  };
+};
+
+// Creates a team preset, or updates the one with `id`
+export const saveTeamPreset = async (restfulService: string, extensionSDK: any, fields: PresetFields, id?: string): Promise<PromptPreset> => {
+  const response = id
+    ? await requestRestfulService(restfulService, extensionSDK, 'PUT', `/presets/${encodeURIComponent(id)}`, fields)
+    : await requestRestfulService(restfulService, extensionSDK, 'POST', '/presets', fields);
+  if (!response.ok) {
+    throw responseError(response, 'The team preset could not be saved');
+  }
+  const { preset } = response.body;
+  return { id: preset.id, title: preset.title, description: preset.description, prompt: preset.prompt, scope: 'team' };
+};
+
+export const deleteTeamPreset = async (restfulService: string, extensionSDK: any, id: string): Promise<void> => {
+  const response = await requestRestfulService(restfulService, extensionSDK, 'DELETE', `/presets/${encodeURIComponent(id)}`);
+  // Already deleted by someone else
+  if (!response.ok && response.status !== 404) {
+    throw responseError(response, 'The team preset could not be deleted');
+  }
+};
+
+// presetId null clears the dashboard's default
+export const setDashboardDefaultPreset = async (restfulService: string, extensionSDK: any, dashboardId: string, presetId: string | null): Promise<void> => {
+  const response = await requestRestfulService(restfulService, extensionSDK, 'PUT', `/dashboards/${encodeURIComponent(dashboardId)}/defaultPreset`, { presetId });
+  if (!response.ok) {
+    throw responseError(response, 'The dashboard default could not be saved');
+  }
+};
@@ -0,0 +1,84 @@
+import { QuerySummary } from '../types';
+
+// Renders a structured query summary with the layout MarkdownComponent styles:
+// title, description, blockquote summary, next steps and a divider
+export const renderQuerySummaryMarkdown = (summary: Partial<QuerySummary>): string => {
+  const sections: string[] = [];
+  if (summary.queryTitle) sections.push(`## ${summary.queryTitle}`);
+  if (summary.description) sections.push(summary.description);
+  if (summary.summary) sections.push(`> ${summary.summary}`);
+  if (summary.nextSteps && summary.nextSteps.length > 0) {
+    sections.push(['## Next Steps', ...summary.nextSteps.map((step) => `* ${step}`)].join('\n'));
+  }
+  return `${sections.join('\n\n')}\n---\n`;
+};
+
+interface OpenContainer {
+  close: string;
+  expectKey: boolean;
+  // Where the key currently being written starts (including its leading comma)
+  keyStart: number;
+}
+
+// Closes open strings, arrays and objects so JSON that is still streaming can be parsed.
+// Returns null when the text can't be completed into valid JSON yet.
+export const parsePartialJson = (text: string): any => {
+  const start = text.indexOf('{');
+  if (start === -1) return null;
+  const json = text.slice(start);
+  const stack: OpenContainer[] = [];
+  let inString = false;
+  let escaped = false;
+
+  for (let i = 0; i < json.length; i++) {
+    const char = json[i];
+    const top = stack[stack.length - 1];
+    if (inString) {
+      if (escaped) escaped = false;
+      else if (char === '\\') escaped = true;
+      else if (char === '"') inString = false;
+    } else if (char === '"') {
+      inString = true;
+      if (top && top.expectKey && top.keyStart === -1) top.keyStart = i;
+    } else if (char === '{') {
+      stack.push({ close: '}', expectKey: true, keyStart: -1 });
+    } else if (char === '[') {
+      stack.push({ close: ']', expectKey: false, keyStart: -1 });
+    } else if (char === '}' || char === ']') {
+      stack.pop();
+    } else if (char === ':' && top) {
+      top.expectKey = false;
+    } else if (char === ',' && top && top.close === '}') {
+      top.expectKey = true;
+      top.keyStart = i;
+    }
+  }
+
+  let candidate = json;
+  const top = stack[stack.length - 1];
+  if (top && top.close === '}' && (top.expectKey || (!inString && /:\s*$/.test(json)))) {
+    // Drop a key that has no value yet
+    if (top.keyStart !== -1) candidate = json.slice(0, top.keyStart);
+  } else if (inString) {
+    candidate = (escaped ? json.slice(0, -1) : json) + '"';
+  }
+  candidate = candidate.replace(/,\s*$/, '') + stack.map((container) => container.close).reverse().join('');
+
+  try {
+    return JSON.parse(candidate);
+  } catch (error) {
+    return null;
+  }
+};
+
+// Partial QuerySummary from the JSON streamed so far
+export const parsePartialQuerySummary = (text: string): Partial<QuerySummary> | null => {
+  const parsed = parsePartialJson(text);
+  if (!parsed || typeof parsed !== 'object') return null;
+  return {
+    queryTitle: typeof parsed.queryTitle === 'string' ? parsed.queryTitle : undefined,
+    description: typeof parsed.description === 'string' ? parsed.description : undefined,
+    summary: typeof parsed.summary === 'string' ? parsed.summary : undefined,
+    nextSteps: Array.isArray(parsed.nextSteps) ? parsed.nextSteps.filter((step: any) => typeof step === 'string') : undefined,
+  };
+};
@@ -0,0 +1,49 @@
+import { Filters } from '@looker/extension-sdk';
+import { AppliedFilter, CrossFilters, Query } from '../types';
+import { mergeResultIdOf, resolveTileQuery as resolveTile } from '../../restful-service/src/dashboardQueries';
+
+// Works out which filters each dashboard tile runs with, the way Looker does: the tile's saved
+// filters, then the dashboard filters the tile listens to, then cross-filters, with later ones
+// replacing earlier ones on the same field. Merged results tiles resolve filters per source query.
+// The resolution itself is shared with the scheduled runs of the restful service
+// (restful-service/src/dashboardQueries.js); this fetches what it needs through the Looker API.
+
+// Cross-filters are read from the extension tile's own filtered query and apply to tiles on the same explore
+export const getCrossFilters = (tileHostData: any): CrossFilters | null => {
+  const filteredQuery = tileHostData?.filteredQuery;
+  if (!tileHostData?.isDashboardCrossFilteringEnabled || !filteredQuery?.filters) return null;
+  return { model: filteredQuery.model, view: filteredQuery.view, filters: filteredQuery.filters };
+};
+
+// One-line description of a tile's filters for display, e.g. `orders.status: Complete (dashboard filter "Status")`
+export const describeAppliedFilters = (appliedFilters: AppliedFilter[]): string => {
+  return appliedFilters.map((filter) => {
+    const source = filter.source === 'dashboard'
+      ? `dashboard filter "${filter.dashboardFilter}"`
+      : filter.source === 'crossfilter' ? 'cross-filter' : 'tile filter';
+    const mergeSource = filter.mergeSource ? `, ${filter.mergeSource}` : '';
+    return `${filter.field}: ${filter.value} (${source}${mergeSource})`;
+  }).join(' · ');
+};
+
+// Source queries of a merged results tile, as the shared resolveTileQuery takes them
+const fetchSourceQueries = async (mergeResultId: string, core40SDK: any) => {
+  const mergeQuery = await core40SDK.ok(core40SDK.merge_query(mergeResultId, 'source_queries'));
+  return Promise.all((mergeQuery.source_queries || []).map(async (source: any) => ({ ...source, query: await core40SDK.ok(core40SDK.query(source.query_id)) })));
+};
+
+/**
+ * Resolves a dashboard element into a Query with its effective filters, or null when the element
+ * has no query (text tiles, etc.). Merged results tiles fetch each source query; queryBody is the
+ * primary source and mergeSources lists every source with its join fields.
+ */
+export const resolveTileQuery = async (
+  element: any,
+  core40SDK: any,
+  dashboardFilters: Filters | null | undefined,
+  crossFilters: CrossFilters | null
+): Promise<Query | null> => {
+  const mergeResultId = mergeResultIdOf(element);
+  const sourceQueries = mergeResultId ? await fetchSourceQueries(mergeResultId, core40SDK) : [];
+  return resolveTile(element, dashboardFilters, crossFilters, sourceQueries);
+};
@@ -0,0 +1,66 @@
+import { GenerationFailure } from '../types';
+
+// Requests to the restful service. In production they go through the Looker server proxy, which
+// replaces the secret key tag in the X-Client-Secret header with the genai_client_secret user
+// attribute, so the secret never reaches the browser. A local service (http://localhost:5000) is
+// called with fetchProxy and no secret: start it with DEV_LOOPBACK_BYPASS=true.
+
+// Reported with every request for the service's rate limits and audit log
+let auditContext: { userId?: string; dashboardId?: string } = {};
+
+export const setAuditContext = (context: { userId?: string; dashboardId?: string }) => {
+  auditContext = { ...auditContext, ...context };
+};
+
+export const isLocalService = (restfulService: string): boolean => restfulService === 'http://localhost:5000';
+
+export const auditHeaders = (): { [name: string]: string } => {
+  const headers: { [name: string]: string } = {};
+  if (auditContext.userId) headers['X-Looker-User-Id'] = auditContext.userId;
+  if (auditContext.dashboardId) headers['X-Looker-Dashboard-Id'] = auditContext.dashboardId;
+  return headers;
+};
+
+// Resolves with the proxy's response ({ ok, status, statusText, body }), body already parsed
+export const requestRestfulService = (restfulService: string, extensionSDK: any, method: string, path: string, body?: object): Promise<any> => {
+  const local = isLocalService(restfulService);
+  return extensionSDK[local ? 'fetchProxy' : 'serverProxy'](`${restfulService}${path}`, {
+    method,
+    headers: {
+      "Content-Type": "application/json",
+      ...(local ? {} : { "X-Client-Secret": extensionSDK.createSecretKeyTag("genai_client_secret") }),
+      ...auditHeaders(),
+    },
+    ...(body === undefined ? {} : { body: JSON.stringify(body) }),
+  });
+};
+
+export const postRestfulService = (restfulService: string, extensionSDK: any, path: string, body: object): Promise<any> =>
+  requestRestfulService(restfulService, extensionSDK, 'POST', path, body);
+
+// A failed generate request with the service's typed error
+export class GenerationError extends Error {
+  failure: GenerationFailure;
+
+  constructor(failure: GenerationFailure) {
+    super(failure.message);
+    this.name = 'GenerationError';
+    this.failure = failure;
+  }
+}
+
+// The typed error of a failed generate response; services without typed errors only have a status
+export const generationErrorFrom = (response: any): GenerationError => {
+  const body = response.body && typeof response.body === 'object' ? response.body : {};
+  return new GenerationError({
+    error: body.error || 'request_failed',
+    message: body.message || response.statusText || `Request failed with status ${response.status}`,
+    retryable: body.retryable !== undefined ? Boolean(body.retryable) : response.status === 429 || response.status >= 500,
+  });
+};
+
+// Any error of a generate call as a GenerationFailure: network and proxy errors can be retried
+export const toGenerationFailure = (error: any): GenerationFailure =>
+  error instanceof GenerationError
+    ? error.failure
+    : { error: 'request_failed', message: error?.message || 'The request failed', retryable: true };
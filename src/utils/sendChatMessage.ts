@@ -0,0 +1,43 @@
+import { ChatCitation, ChatTurn } from '../types';
+import { postRestfulService } from './restfulService';
+
+export interface ChatResponse {
+  conversationId: string;
+  answer: string;
+  citations: ChatCitation[];
+}
+
+const postChat = (restfulService: string, extensionSDK: any, body: any) => {
+  return postRestfulService(restfulService, extensionSDK, '/chat', body);
+};
+
+// Asks a follow-up question about the dashboard. The tiles (query results with their summaries, in the
+// order they are shown) start the conversation; later questions only send its id. When the restful
+// service no longer has the conversation, it is started again with the tiles and the turns so far.
+export const sendChatMessage = async (
+  message: string,
+  conversationId: string | null,
+  tiles: any[],
+  history: ChatTurn[],
+  description: string | undefined,
+  restfulService: string,
+  extensionSDK: any,
+): Promise<ChatResponse> => {
+  const startConversation = () => postChat(restfulService, extensionSDK, {
+    message,
+    tiles,
+    history: history.map(({ role, content }) => ({ role, content })),
+    description,
+  });
+  let response = conversationId
+    ? await postChat(restfulService, extensionSDK, { message, conversationId })
+    : await startConversation();
+  if (conversationId && response.status === 404) {
+    response = await startConversation();
+  }
+  if (!response.ok) {
+    // Generation errors carry a message for users; other errors only a code
+    throw new Error(response.body?.message || response.body?.error || response.statusText || 'The question could not be answered');
+  }
+  return response.body;
+};
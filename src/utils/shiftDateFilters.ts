@@ -0,0 +1,161 @@
+import { Query } from '../types';
+
+// Comparison mode support: rewrites a query's date filters to an earlier period. Looker date
+// filter expressions (relative like "last 7 days" or absolute like "2024-01-01 to 2024-02-01")
+// are resolved to an absolute range, shifted back and written out as "YYYY/MM/DD to YYYY/MM/DD".
+
+export type ComparisonMode = 'previousPeriod' | 'previousYear';
+
+export const COMPARISON_LABELS: { [mode in ComparisonMode]: string } = {
+  previousPeriod: 'previous period',
+  previousYear: 'same period last year',
+};
+
+export interface ShiftedFilter {
+  field: string;
+  current: string;
+  previous: string;
+}
+
+type Unit = 'day' | 'week' | 'month' | 'quarter' | 'year';
+
+interface DateRange {
+  start: Date;
+  // Exclusive, like the end of a Looker "to" range
+  end: Date;
+  unit: Unit;
+  count: number;
+}
+
+const UNIT_PATTERN = '(day|week|month|quarter|year|fiscal quarter|fiscal year)s?';
+const DATE_FIELD_PATTERN = /(date|time|day|week|month|quarter|year)/i;
+
+const startOfDay = (date: Date) => new Date(date.getFullYear(), date.getMonth(), date.getDate());
+
+const startOf = (date: Date, unit: Unit): Date => {
+  const day = startOfDay(date);
+  switch (unit) {
+    // Looker weeks start on Monday by default
+    case 'week': return new Date(day.getFullYear(), day.getMonth(), day.getDate() - ((day.getDay() + 6) % 7));
+    case 'month': return new Date(day.getFullYear(), day.getMonth(), 1);
+    case 'quarter': return new Date(day.getFullYear(), day.getMonth() - (day.getMonth() % 3), 1);
+    case 'year': return new Date(day.getFullYear(), 0, 1);
+    default: return day;
+  }
+};
+
+const add = (date: Date, unit: Unit, count: number): Date => {
+  switch (unit) {
+    case 'week': return new Date(date.getFullYear(), date.getMonth(), date.getDate() + count * 7);
+    case 'month': return new Date(date.getFullYear(), date.getMonth() + count, date.getDate());
+    case 'quarter': return new Date(date.getFullYear(), date.getMonth() + count * 3, date.getDate());
+    case 'year': return new Date(date.getFullYear() + count, date.getMonth(), date.getDate());
+    default: return new Date(date.getFullYear(), date.getMonth(), date.getDate() + count);
+  }
+};
+
+const parseUnit = (text: string): Unit => text.replace(/^fiscal /, '').replace(/s$/, '') as Unit;
+
+const parseDate = (text: string): Date | null => {
+  const match = text.trim().match(/^(\d{4})[-/](\d{1,2})(?:[-/](\d{1,2}))?$/);
+  if (!match) return null;
+  return new Date(Number(match[1]), Number(match[2]) - 1, match[3] ? Number(match[3]) : 1);
+};
+
+const daysBetween = (start: Date, end: Date) => Math.round((end.getTime() - start.getTime()) / 86400000);
+
+// Resolves a Looker date filter expression to an absolute range, or null when it isn't a bounded date range
+export const parseDateFilter = (expression: string, now: Date = new Date()): DateRange | null => {
+  const text = expression.trim().toLowerCase();
+  let match: RegExpMatchArray | null;
+
+  if (text === 'today') return { start: startOfDay(now), end: add(startOfDay(now), 'day', 1), unit: 'day', count: 1 };
+  if (text === 'yesterday') return { start: add(startOfDay(now), 'day', -1), end: startOfDay(now), unit: 'day', count: 1 };
+
+  // "7 days", "last 7 days", "past 7 days": the current unit plus the N - 1 before it
+  if ((match = text.match(new RegExp(`^(?:last |past )?(\\d+) ${UNIT_PATTERN}$`)))) {
+    const count = Number(match[1]);
+    const unit = parseUnit(match[2]);
+    const end = add(startOf(now, unit), unit, 1);
+    return { start: add(end, unit, -count), end, unit, count };
+  }
+  // "this month", "last week" (the previous complete week)
+  if ((match = text.match(new RegExp(`^(this|current|last|previous) ${UNIT_PATTERN}$`)))) {
+    const unit = parseUnit(match[2]);
+    const offset = match[1] === 'this' || match[1] === 'current' ? 0 : -1;
+    const start = add(startOf(now, unit), unit, offset);
+    return { start, end: add(start, unit, 1), unit, count: 1 };
+  }
+  // "N units ago for N units"
+  if ((match = text.match(new RegExp(`^(\\d+) ${UNIT_PATTERN} ago for (\\d+) ${UNIT_PATTERN}$`)))) {
+    const unit = parseUnit(match[2]);
+    const start = add(startOf(now, unit), unit, -Number(match[1]));
+    const count = Number(match[3]);
+    const forUnit = parseUnit(match[4]);
+    return { start, end: add(start, forUnit, count), unit: forUnit, count };
+  }
+  // "2024-01-01 to 2024-02-01"
+  if ((match = text.match(/^(\S+) to (\S+)$/))) {
+    const start = parseDate(match[1]);
+    const end = parseDate(match[2]);
+    if (!start || !end || end <= start) return null;
+    return { start, end, unit: 'day', count: daysBetween(start, end) };
+  }
+  // "2024", "2024-03", "2024-03-15"
+  if ((match = text.match(/^\d{4}$/))) {
+    const start = new Date(Number(text), 0, 1);
+    return { start, end: add(start, 'year', 1), unit: 'year', count: 1 };
+  }
+  const date = parseDate(text);
+  if (date) {
+    const unit: Unit = /^\d{4}[-/]\d{1,2}$/.test(text) ? 'month' : 'day';
+    return { start: date, end: add(date, unit, 1), unit, count: 1 };
+  }
+  return null;
+};
+
+const pad = (value: number) => String(value).padStart(2, '0');
+const formatDate = (date: Date) => `${date.getFullYear()}/${pad(date.getMonth() + 1)}/${pad(date.getDate())}`;
+const formatRange = (start: Date, end: Date) => `${formatDate(start)} to ${formatDate(end)}`;
+
+// The current and previous ranges of a filter expression, or null when the expression isn't a date range
+export const shiftDateFilter = (expression: string, mode: ComparisonMode, now: Date = new Date()): { current: string, previous: string } | null => {
+  const range = parseDateFilter(expression, now);
+  if (!range) return null;
+  const previousStart = mode === 'previousYear' ? add(range.start, 'year', -1) : add(range.start, range.unit, -range.count);
+  const previousEnd = mode === 'previousYear' ? add(range.end, 'year', -1) : range.start;
+  return { current: formatRange(range.start, range.end), previous: formatRange(previousStart, previousEnd) };
+};
+
+const shiftFilters = (filters: { [field: string]: string } | undefined, mode: ComparisonMode, now: Date) => {
+  const shifted: { [field: string]: string } = { ...(filters || {}) };
+  const shifts: ShiftedFilter[] = [];
+  Object.entries(filters || {}).forEach(([field, expression]) => {
+    if (typeof expression !== 'string' || !DATE_FIELD_PATTERN.test(field)) return;
+    const shift = shiftDateFilter(expression, mode, now);
+    if (!shift) return;
+    shifted[field] = shift.previous;
+    shifts.push({ field, current: `${expression} (${shift.current})`, previous: shift.previous });
+  });
+  return { filters: shifted, shifts };
+};
+
+/**
+ * Returns the query with every date filter shifted back, and the filters that were shifted.
+ * Merged results tiles have their source queries shifted as well.
+ */
+export const shiftQueryDateFilters = (query: Query, mode: ComparisonMode, now: Date = new Date()): { query: Query, shiftedFilters: ShiftedFilter[] } => {
+  const { filters, shifts } = shiftFilters(query.queryBody.filters, mode, now);
+  const shiftedFilters = [...shifts];
+  const mergeSources = query.mergeSources?.map((source) => {
+    const shiftedSource = shiftFilters(source.queryBody.filters, mode, now);
+    shiftedSource.shifts.forEach((shift) => {
+      if (!shiftedFilters.some((existing) => existing.field === shift.field)) shiftedFilters.push(shift);
+    });
+    return { ...source, queryBody: { ...source.queryBody, filters: shiftedSource.filters } };
+  });
+  return {
+    query: { ...query, queryBody: { ...query.queryBody, filters }, mergeSources },
+    shiftedFilters,
+  };
+};
@@ -0,0 +1,117 @@
+// The extension proxies (fetchProxy/serverProxy) only resolve once the whole response has
+// arrived, so streaming routes are called with the browser's fetch instead. Because the client
+// secret user attribute is only substituted by serverProxy, a short-lived stream token is
+// requested through the proxy first and sent as a bearer token.
+
+import { GenerationError, auditHeaders, postRestfulService } from './restfulService'
+
+interface StreamToken {
+  token: string;
+  expiresAt: number;
+}
+
+let streamToken: StreamToken | null = null
+// Set after a failed connection (e.g. blocked by CSP or CORS) so later calls go straight to the fallback
+let streamingUnavailable = process.env.RESTFUL_STREAMING === 'false'
+
+export const canStream = (): boolean => {
+  return !streamingUnavailable && typeof window.fetch === 'function' && typeof TextDecoder !== 'undefined'
+}
+
+const getStreamToken = async (restfulService: string, extensionSDK: any): Promise<string> => {
+  // Refresh a little early so the token doesn't expire mid-request
+  if (streamToken && streamToken.expiresAt - 30000 > Date.now()) {
+    return streamToken.token
+  }
+  const response = await postRestfulService(restfulService, extensionSDK, '/streamToken', {});
+  if (!response.ok) {
+    throw new Error(`Stream token request failed: ${response.statusText}`)
+  }
+  streamToken = response.body as StreamToken
+  return streamToken.token
+}
+
+// Splits a text/event-stream into named events with JSON data
+const parseEvents = (buffer: string, onEvent: (event: string, data: any) => void): string => {
+  const blocks = buffer.split(/\r?\n\r?\n/)
+  const remainder = blocks.pop() || ''
+  blocks.forEach((block) => {
+    let event = 'message'
+    const dataLines: string[] = []
+    block.split(/\r?\n/).forEach((line) => {
+      if (line.startsWith('event:')) {
+        event = line.slice(6).trim()
+      } else if (line.startsWith('data:')) {
+        dataLines.push(line.slice(5).replace(/^ /, ''))
+      }
+    })
+    if (dataLines.length > 0) {
+      onEvent(event, JSON.parse(dataLines.join('\n')))
+    }
+  })
+  return remainder
+}
+
+/**
+ * POSTs to a streaming route and calls onProgress with the accumulated text after every chunk.
+ * Resolves with the payload of the final `done` event; rejects with a GenerationError on `error`
+ * events, or a plain Error when the stream can't be opened.
+ */
+export const streamRestfulService = async (
+  restfulService: string,
+  path: string,
+  body: object,
+  extensionSDK: any,
+  onProgress: (text: string) => void
+): Promise<any> => {
+  const token = await getStreamToken(restfulService, extensionSDK)
+
+  let response: Response
+  try {
+    response = await window.fetch(`${restfulService}${path}`, {
+      method: 'POST',
+      headers: {
+        "Content-Type": "application/json",
+        "Authorization": `Bearer ${token}`,
+        ...auditHeaders()
+      },
+      body: JSON.stringify(body)
+    })
+  } catch (error) {
+    streamingUnavailable = true
+    throw error
+  }
+  if (!response.ok || !response.body) {
+    if (!response.body) streamingUnavailable = true
+    throw new Error(`Streaming request failed: ${response.status} ${response.statusText}`)
+  }
+
+  const reader = response.body.getReader()
+  const decoder = new TextDecoder()
+  let buffer = ''
+  let text = ''
+  let result: any = null
+
+  const handleEvent = (event: string, data: any) => {
+    if (event === 'chunk') {
+      text += data.text
+      onProgress(text)
+    } else if (event === 'done') {
+      result = data
+    } else if (event === 'error') {
+      throw new GenerationError({ error: data.error || 'internal', message: data.message, retryable: Boolean(data.retryable) })
+    }
+  }
+
+  while (true) {
+    const { done, value } = await reader.read()
+    if (done) break
+    buffer = parseEvents(buffer + decoder.decode(value, { stream: true }), handleEvent)
+  }
+  parseEvents(buffer + decoder.decode() + '\n\n', handleEvent)
+
+  if (!result) {
+    throw new Error('Stream ended before the response was complete')
+  }
+  return result
+}
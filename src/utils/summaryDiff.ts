@@ -0,0 +1,123 @@
+// Word-level diff of two summaries and the figures that changed between them, for comparing runs
+// from the summary history
+
+export interface DiffPart {
+  text: string;
+  change: 'same' | 'added' | 'removed';
+}
+
+// A figure of the earlier run replaced by one of the later run; null when it was only removed or added
+export interface FigureChange {
+  before: string | null;
+  after: string | null;
+  // The words leading up to the figure, e.g. 'Revenue grew'
+  context: string;
+}
+
+// Above this many LCS table cells the diff is computed on lines instead of words
+const MAX_DIFF_CELLS = 4000000;
+const FIGURE_PATTERN = /[-+]?[$€£]?\d[\d,]*(?:\.\d+)?(?:\s?(?:%|[kKmMbB]\b|thousand\b|million\b|billion\b))?/g;
+const CONTEXT_WORDS = 6;
+
+const tokenizeWords = (text: string): string[] => text.match(/\s+|[^\s]+/g) || [];
+const tokenizeLines = (text: string): string[] => text.match(/[^\n]*\n|[^\n]+$/g) || [];
+
+// Longest common subsequence diff of two token lists
+const diffTokens = (before: string[], after: string[]): DiffPart[] => {
+  // The common prefix and suffix don't need the table
+  let prefix = 0;
+  while (prefix < before.length && prefix < after.length && before[prefix] === after[prefix]) prefix++;
+  let suffix = 0;
+  while (suffix < before.length - prefix && suffix < after.length - prefix
+    && before[before.length - 1 - suffix] === after[after.length - 1 - suffix]) suffix++;
+  const a = before.slice(prefix, before.length - suffix);
+  const b = after.slice(prefix, after.length - suffix);
+
+  // lengths[i][j]: length of the LCS of a[i..] and b[j..]
+  const lengths = Array.from({ length: a.length + 1 }, () => new Int32Array(b.length + 1));
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      lengths[i][j] = a[i] === b[j] ? lengths[i + 1][j + 1] + 1 : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+    }
+  }
+  const parts: DiffPart[] = before.slice(0, prefix).map((text) => ({ text, change: 'same' }));
+  let i = 0;
+  let j = 0;
+  while (i < a.length || j < b.length) {
+    if (i < a.length && j < b.length && a[i] === b[j]) {
+      parts.push({ text: a[i++], change: 'same' });
+      j++;
+    } else if (i < a.length && (j === b.length || lengths[i + 1][j] >= lengths[i][j + 1])) {
+      parts.push({ text: a[i++], change: 'removed' });
+    } else {
+      parts.push({ text: b[j++], change: 'added' });
+    }
+  }
+  parts.push(...before.slice(before.length - suffix).map((text): DiffPart => ({ text, change: 'same' })));
+  return parts;
+};
+
+// Joins neighbouring tokens with the same change
+const mergeParts = (parts: DiffPart[]): DiffPart[] => parts.reduce((merged: DiffPart[], part) => {
+  const last = merged[merged.length - 1];
+  if (last && last.change === part.change) {
+    last.text += part.text;
+  } else {
+    merged.push({ ...part });
+  }
+  return merged;
+}, []);
+
+/**
+ * Diff of `before` and `after` by word, or by line for long texts. Removed parts are only in
+ * `before`, added parts only in `after`.
+ */
+export const diffText = (before: string, after: string): DiffPart[] => {
+  let a = tokenizeWords(before || '');
+  let b = tokenizeWords(after || '');
+  if (a.length * b.length > MAX_DIFF_CELLS) {
+    a = tokenizeLines(before || '');
+    b = tokenizeLines(after || '');
+  }
+  if (a.length * b.length > MAX_DIFF_CELLS) {
+    return mergeParts([{ text: before, change: 'removed' }, { text: after, change: 'added' }].filter((part) => part.text) as DiffPart[]);
+  }
+  return mergeParts(diffTokens(a, b));
+};
+
+const extractFigures = (text: string): string[] => (text.match(FIGURE_PATTERN) || []).map((figure) => figure.trim());
+
+/**
+ * The figures that changed in a diff: each changed stretch pairs the figures it removed with those it
+ * added, in order, so "grew 5% to $1.2M" -> "grew 7% to $1.4M" gives 5% -> 7% and $1.2M -> $1.4M.
+ */
+export const diffFigures = (parts: DiffPart[]): FigureChange[] => {
+  const changes: FigureChange[] = [];
+  let context = '';
+  let removed = '';
+  let added = '';
+  const flush = () => {
+    const removedFigures = extractFigures(removed);
+    const addedFigures = extractFigures(added);
+    for (let index = 0; index < Math.max(removedFigures.length, addedFigures.length); index++) {
+      const change = { before: removedFigures[index] || null, after: addedFigures[index] || null, context };
+      if (change.before !== change.after) changes.push(change);
+    }
+    removed = '';
+    added = '';
+  };
+  parts.forEach((part) => {
+    if (part.change === 'same') {
+      // Whitespace between changed words doesn't end the stretch
+      if (!part.text.trim() && (removed || added)) return;
+      flush();
+      context = part.text.trim().split(/\s+/).slice(-CONTEXT_WORDS).join(' ');
+    } else if (part.change === 'removed') {
+      removed += ` ${part.text}`;
+    } else {
+      added += ` ${part.text}`;
+    }
+  });
+  flush();
+  return changes;
+};
@@ -0,0 +1,54 @@
+import { QuerySummary, SummaryRun, SummaryRunHeader } from '../types';
+import { requestRestfulService } from './restfulService';
+
+// Summary runs saved in the restful service's history (/summaryRuns), to read earlier runs of the
+// dashboard and compare them (see summaryDiff.ts)
+
+export type SummaryRunFields = Omit<SummaryRun, 'id' | 'createdAt' | 'source' | 'userId' | 'scheduleId'>;
+
+// The service's validation errors, or its status
+const responseError = (response: any, fallback: string): Error => {
+  const errors = response.body?.errors;
+  return new Error(Array.isArray(errors) ? errors.join('; ') : response.statusText || fallback);
+};
+
+/**
+ * SHA-256 (hex) of the JSON of the tiles' queryData in tile order, as hashQueryData in
+ * restful-service/src/summaryHistory.js computes it for scheduled runs
+ */
+export const hashQueryData = async (queryResults: any[]): Promise<string> => {
+  const json = JSON.stringify(queryResults.map((result) => (result.queryData === undefined ? null : result.queryData)));
+  const digest = await window.crypto.subtle.digest('SHA-256', new TextEncoder().encode(json));
+  return Array.from(new Uint8Array(digest)).map((byte) => byte.toString(16).padStart(2, '0')).join('');
+};
+
+export const saveSummaryRun = async (restfulService: string, extensionSDK: any, fields: SummaryRunFields): Promise<SummaryRun> => {
+  const response = await requestRestfulService(restfulService, extensionSDK, 'POST', '/summaryRuns', {
+    ...fields,
+    // The verification results and findings are recomputed on every request and not part of the history
+    querySummaries: fields.querySummaries.map(({ verification, findings, ...summary }: QuerySummary) => summary),
+    comparison: fields.comparison || undefined,
+    model: fields.model || undefined,
+  });
+  if (!response.ok) {
+    throw responseError(response, 'The summary could not be saved to the history');
+  }
+  return response.body.run;
+};
+
+// Newest first, without their summaries
+export const fetchSummaryRuns = async (restfulService: string, extensionSDK: any, dashboardId: string): Promise<SummaryRunHeader[]> => {
+  const response = await requestRestfulService(restfulService, extensionSDK, 'GET', `/summaryRuns?dashboardId=${encodeURIComponent(dashboardId)}`);
+  if (!response.ok) {
+    throw responseError(response, 'The summary history could not be loaded');
+  }
+  return response.body.runs;
+};
+
+export const fetchSummaryRun = async (restfulService: string, extensionSDK: any, id: string): Promise<SummaryRun> => {
+  const response = await requestRestfulService(restfulService, extensionSDK, 'GET', `/summaryRuns/${encodeURIComponent(id)}`);
+  if (!response.ok) {
+    throw responseError(response, 'The summary run could not be loaded');
+  }
+  return response.body.run;
+};
@@ -0,0 +1,28 @@
+import { MouseEvent } from 'react';
+import { SummaryFigure } from '../types';
+
+// Tile summaries are rendered with ids tile-summary-0, tile-summary-1, ... (indexed like queryResults)
+export const scrollToTileSummary = (tileIndex: number) => {
+  document.getElementById(`tile-summary-${tileIndex}`)?.scrollIntoView({ behavior: 'smooth', block: 'start' });
+};
+
+// Wraps each figure of the dashboard summary in a link to its tile summary. Figures whose text no
+// longer matches the markdown at their offsets (e.g. while a new summary streams in) are skipped.
+export const linkSummaryFigures = (markdown: string, figures: SummaryFigure[], tileTitles: string[]): string => {
+  return [...figures]
+    .sort((a, b) => b.start - a.start)
+    .reduce((linked, figure) => {
+      if (linked.slice(figure.start, figure.end) !== figure.text) return linked;
+      const title = (tileTitles[figure.tileIndex] || '').replace(/&/g, '&amp;').replace(/"/g, '&quot;').replace(/</g, '&lt;');
+      const link = `<a class="figure-link" href="#tile-summary-${figure.tileIndex}" data-tile-index="${figure.tileIndex}" title="From ${title}">${figure.text}</a>`;
+      return `${linked.slice(0, figure.start)}${link}${linked.slice(figure.end)}`;
+    }, markdown);
+};
+
+// Click handler for a container of linked figures; the extension's iframe doesn't follow #anchors
+export const handleFigureLinkClick = (event: MouseEvent) => {
+  const link = (event.target as HTMLElement).closest('a[data-tile-index]');
+  if (!link) return;
+  event.preventDefault();
+  scrollToTileSummary(Number(link.getAttribute('data-tile-index')));
+};
@@ -26,7 +26,7 @@ SOFTWARE.
 
 const fs = require("fs");
 const path = require("path");
-const { DefinePlugin } = require("webpack");
+const { DefinePlugin, optimize } = require("webpack");
 
 const BundleAnalyzerPlugin = require("webpack-bundle-analyzer")
   .BundleAnalyzerPlugin;
@@ -42,6 +42,11 @@ const PATHS = {
 };
 
 const envVars = require('dotenv').config({ path: '.env' }).parsed || {};
+// The restful service secret must never be bundled: the Looker server proxy adds it in production and
+// the local service accepts loopback requests without it (DEV_LOOPBACK_BYPASS)
+delete envVars.GENAI_CLIENT_SECRET;
+// Likewise the Slack client secret, which the proxy fills in from the slack_client_secret user attribute
+delete envVars.SLACK_CLIENT_SECRET;
 
 module.exports = {
   entry: {
@@ -56,7 +61,9 @@ module.exports = {
       {
         test: /\.(js|jsx|ts|tsx)$/,
         loader: "babel-loader",
-        exclude: /node_modules/,
+        // Modules shared with the restful service (restful-service/src/dashboardQueries.js and
+        // messageFormat.js) are plain CommonJS and bundled as is; Babel would add ES module imports to them
+        exclude: /node_modules|restful-service/,
         include: /src/,
         sideEffects: false,
       },
@@ -84,6 +91,9 @@ module.exports = {
     }),
     new DefinePlugin({
       'process.env': JSON.stringify(envVars)
-    })
+    }),
+    // Looker loads the extension from a single file (manifest.lkml), so the dynamic imports inside
+    // libraries like jspdf must not be split into chunks it can't fetch
+    new optimize.LimitChunkCountPlugin({ maxChunks: 1 }),
   ],
 };
\ No newline at end of file